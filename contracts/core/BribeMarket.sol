@@ -0,0 +1,186 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "../interfaces/IBribeMarket.sol";
+import "./GuardianPausable.sol";
+
+/**
+ * @title BribeMarket
+ * @notice Marketplace where protocols pay veToken holders for voting on their gauge
+ * @dev Bribes are kept per gauge, week and token. A week's gauge weight is final once the week
+ *      starts (later votes apply from the next week), so deposits close and claims open then,
+ *      paying each voter bias / gauge weight of the bribe, with the bias read from the vote the
+ *      GaugeController recorded for that week. Changing or clearing a vote later does not touch
+ *      it. Whatever is left unclaimed CLAIM_WINDOW after the week starts can be rolled over like
+ *      a bribe nobody voted for. Pausing stops deposits only; claims and rollovers always stay open.
+ *      Any token can be deposited, so a gauge and week hold at most MAX_BRIBE_TOKENS of them and
+ *      voters can claim chosen tokens, leaving out one whose transfers fail.
+ */
+contract BribeMarket is IBribeMarket, ReentrancyGuard, GuardianPausable {
+    using SafeERC20 for IERC20;
+    
+    uint256 public constant WEEK = 7 days;
+    // How long voters have to claim before the unclaimed rest can be rolled over
+    uint256 public constant CLAIM_WINDOW = 26 * WEEK;
+    // Distinct tokens a gauge can be bribed with in one week, bounding the claim loop
+    uint256 public constant MAX_BRIBE_TOKENS = 8;
+    
+    struct Bribe {
+        uint256 amount;
+        uint256 claimed;
+    }
+    
+    IGaugeController public immutable controller;
+    
+    // gauge => week => token => bribe
+    mapping(address => mapping(uint256 => mapping(address => Bribe))) public bribes;
+    mapping(address => mapping(uint256 => address[])) internal _bribeTokens;
+    
+    // user => gauge => week => token => claimed
+    mapping(address => mapping(address => mapping(uint256 => mapping(address => bool)))) public hasClaimed;
+    
+    constructor(address _controller) Ownable(msg.sender) {
+        require(_controller != address(0), "Invalid controller");
+        controller = IGaugeController(_controller);
+    }
+    
+    /**
+     * @notice Add a bribe for a gauge's voters in a week
+     */
+    function depositBribe(
+        address gauge,
+        address token,
+        uint256 amount,
+        uint256 week
+    ) external nonReentrant whenNotPaused {
+        require(amount > 0, "Cannot deposit 0");
+        week = (week / WEEK) * WEEK;
+        require(week > block.timestamp, "Week already started");
+        controller.gaugeTypes(gauge);
+        require(!controller.isKilled(gauge), "Gauge killed");
+        
+        // Credit what actually arrived so fee-on-transfer tokens cannot overdraw the market
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        amount = IERC20(token).balanceOf(address(this)) - balanceBefore;
+        
+        _addBribe(gauge, token, week, amount);
+        emit BribeDeposited(gauge, token, week, msg.sender, amount);
+    }
+    
+    /**
+     * @notice Claim the caller's share of every bribe for a gauge in a week
+     */
+    function claim(address gauge, uint256 week) external nonReentrant {
+        week = (week / WEEK) * WEEK;
+        _claim(gauge, week, _bribeTokens[gauge][week]);
+    }
+    
+    /**
+     * @notice Claim the caller's share of chosen bribes for a gauge in a week
+     * @dev Tokens that were not bribed for the gauge and week pay nothing
+     */
+    function claimTokens(address gauge, uint256 week, address[] calldata tokens) external nonReentrant {
+        _claim(gauge, (week / WEEK) * WEEK, tokens);
+    }
+    
+    /**
+     * @notice Move a bribe nobody voted for, or what voters left unclaimed, to the next week
+     *         that has not started
+     * @dev Possible once the week has started if the gauge has no weight in it, and otherwise
+     *      once CLAIM_WINDOW has passed, which ends claims for the week. Landing in a week nobody
+     *      can claim yet keeps every voter's share of it whole
+     */
+    function rollOver(address gauge, address token, uint256 week) external nonReentrant {
+        week = (week / WEEK) * WEEK;
+        require(block.timestamp >= week, "Week not started");
+        require(
+            block.timestamp >= week + CLAIM_WINDOW || controller.getGaugeWeight(gauge, week) == 0,
+            "Gauge has votes"
+        );
+        
+        Bribe storage bribe = bribes[gauge][week][token];
+        uint256 amount = bribe.amount - bribe.claimed;
+        require(amount > 0, "Nothing to roll over");
+        bribe.claimed = bribe.amount;
+        
+        uint256 nextWeek = (block.timestamp / WEEK + 1) * WEEK;
+        _addBribe(gauge, token, nextWeek, amount);
+        emit BribeRolledOver(gauge, token, week, nextWeek, amount);
+    }
+    
+    /**
+     * @notice Amount of a bribe a user can claim
+     */
+    function claimable(address user, address gauge, address token, uint256 week) external view returns (uint256) {
+        week = (week / WEEK) * WEEK;
+        if (block.timestamp < week || hasClaimed[user][gauge][week][token]) return 0;
+        uint256 bias = _voterBias(user, gauge, week);
+        if (bias == 0) return 0;
+        return _share(bribes[gauge][week][token], bias, controller.getGaugeWeight(gauge, week));
+    }
+    
+    /**
+     * @notice Bias a user's vote contributes to a gauge's weight in a week
+     */
+    function voterBias(address user, address gauge, uint256 week) external view returns (uint256) {
+        return _voterBias(user, gauge, (week / WEEK) * WEEK);
+    }
+    
+    /**
+     * @notice Reward tokens bribed for a gauge in a week
+     */
+    function getBribeTokens(address gauge, uint256 week) external view returns (address[] memory) {
+        return _bribeTokens[gauge][(week / WEEK) * WEEK];
+    }
+    
+    function _claim(address gauge, uint256 week, address[] memory tokens) internal {
+        require(block.timestamp >= week, "Week not started");
+        uint256 bias = _voterBias(msg.sender, gauge, week);
+        require(bias > 0, "No vote in week");
+        uint256 weight = controller.getGaugeWeight(gauge, week);
+        
+        for (uint256 i = 0; i < tokens.length; i++) {
+            address token = tokens[i];
+            if (hasClaimed[msg.sender][gauge][week][token]) continue;
+            
+            Bribe storage bribe = bribes[gauge][week][token];
+            uint256 amount = _share(bribe, bias, weight);
+            hasClaimed[msg.sender][gauge][week][token] = true;
+            if (amount == 0) continue;
+            
+            bribe.claimed += amount;
+            IERC20(token).safeTransfer(msg.sender, amount);
+            emit BribeClaimed(msg.sender, gauge, token, week, amount);
+        }
+    }
+    
+    function _addBribe(address gauge, address token, uint256 week, uint256 amount) internal {
+        Bribe storage bribe = bribes[gauge][week][token];
+        if (bribe.amount == 0) {
+            require(_bribeTokens[gauge][week].length < MAX_BRIBE_TOKENS, "Too many bribe tokens");
+            _bribeTokens[gauge][week].push(token);
+        }
+        bribe.amount += amount;
+    }
+    
+    /**
+     * @dev Same bias the GaugeController added for the vote in force that week
+     */
+    function _voterBias(address user, address gauge, uint256 week) internal view returns (uint256) {
+        return controller.voteUserBiasAt(user, gauge, week);
+    }
+    
+    /**
+     * @dev Pro-rata share, capped at what is left in case clamped rounding shrank the weight
+     */
+    function _share(Bribe storage bribe, uint256 bias, uint256 weight) internal view returns (uint256) {
+        if (weight == 0) return 0;
+        uint256 amount = bribe.amount * bias / weight;
+        uint256 left = bribe.amount - bribe.claimed;
+        return amount < left ? amount : left;
+    }
+}
@@ -0,0 +1,179 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "../interfaces/IChildGauge.sol";
+import "./GuardianPausable.sol";
+
+/**
+ * @title ChildGauge
+ * @notice Staking gauge that pays out emissions bridged from a RootGauge on the Minter's chain
+ * @dev Bridges simply deliver tokens, so any reward token balance that is not yet accounted for
+ *      is picked up at the next checkpoint and streamed over REWARD_DURATION, with whatever is
+ *      still streaming rolled in. What streams while nothing is staked is held back and streamed
+ *      again from the first checkpoint with stake. There is no veToken on this chain, so rewards
+ *      follow raw stake.
+ *      Pausing stops deposits only; LP withdrawals and claims always stay open.
+ */
+contract ChildGauge is IChildGauge, ReentrancyGuard, GuardianPausable {
+    using SafeERC20 for IERC20;
+    
+    uint256 public constant PRECISION = 1e18;
+    uint256 public constant REWARD_DURATION = 7 days;
+    
+    IERC20 public immutable lpToken;
+    IERC20 public immutable rewardToken;
+    
+    uint256 public totalSupply;
+    mapping(address => uint256) public balanceOf;
+    
+    uint256 public rewardRate;
+    uint256 public periodFinish;
+    // Part of the last period's rewards that did not divide into rewardRate, carried into the next
+    uint256 public rewardRemainder;
+    // Rewards that streamed while nothing was staked, streamed again once something is
+    uint256 public queuedReward;
+    uint256 public lastUpdate;
+    uint256 public rewardIntegral;
+    mapping(address => uint256) public rewardIntegralFor;
+    mapping(address => uint256) public claimableReward;
+    
+    // Rewards received so far (streamed or streaming) and paid out so far
+    uint256 public totalReceived;
+    uint256 public totalClaimed;
+    
+    constructor(address _lpToken, address _rewardToken) Ownable(msg.sender) {
+        require(_lpToken != _rewardToken, "Invalid reward token");
+        lpToken = IERC20(_lpToken);
+        rewardToken = IERC20(_rewardToken);
+        lastUpdate = block.timestamp;
+    }
+    
+    modifier updateReward(address account) {
+        _updateReward(account);
+        _;
+    }
+    
+    /**
+     * @notice Deposit LP tokens
+     */
+    function deposit(uint256 amount) external nonReentrant whenNotPaused updateReward(msg.sender) {
+        require(amount > 0, "Cannot deposit 0");
+        
+        totalSupply += amount;
+        balanceOf[msg.sender] += amount;
+        
+        lpToken.safeTransferFrom(msg.sender, address(this), amount);
+        
+        emit Deposit(msg.sender, amount);
+    }
+    
+    /**
+     * @notice Withdraw LP tokens
+     */
+    function withdraw(uint256 amount) external nonReentrant updateReward(msg.sender) {
+        require(amount > 0, "Cannot withdraw 0");
+        require(balanceOf[msg.sender] >= amount, "Insufficient balance");
+        
+        totalSupply -= amount;
+        balanceOf[msg.sender] -= amount;
+        
+        lpToken.safeTransfer(msg.sender, amount);
+        
+        emit Withdraw(msg.sender, amount);
+    }
+    
+    /**
+     * @notice Claim pending rewards to the caller
+     */
+    function claimRewards() external nonReentrant updateReward(msg.sender) {
+        uint256 reward = claimableReward[msg.sender];
+        if (reward > 0) {
+            claimableReward[msg.sender] = 0;
+            totalClaimed += reward;
+            rewardToken.safeTransfer(msg.sender, reward);
+            emit RewardClaimed(msg.sender, reward);
+        }
+    }
+    
+    /**
+     * @notice Checkpoint user rewards, picking up bridged rewards that have arrived
+     */
+    function userCheckpoint(address addr) external updateReward(addr) {
+        // Checkpoint is handled by modifier
+    }
+    
+    /**
+     * @notice Get claimable rewards for user
+     * @dev Includes the user's share, at their current stake, of rewards that have arrived or are
+     *      held back but are not streaming yet; a claim pays that part as it streams
+     */
+    function claimableRewards(address user) external view returns (uint256) {
+        uint256 streamed = _streamed();
+        uint256 integral = rewardIntegral;
+        uint256 queued = queuedReward;
+        if (totalSupply > 0) {
+            integral += (streamed * PRECISION) / totalSupply;
+        } else {
+            queued += streamed;
+        }
+        uint256 claimable = claimableReward[user] + (balanceOf[user] * (integral - rewardIntegralFor[user])) / PRECISION;
+        
+        if (totalSupply == 0) return claimable;
+        uint256 unstreamed = _arrived() + queued;
+        return claimable + (balanceOf[user] * unstreamed) / totalSupply;
+    }
+    
+    /**
+     * @dev Rewards streamed since the last checkpoint
+     */
+    function _streamed() internal view returns (uint256) {
+        uint256 lastTime = block.timestamp < periodFinish ? block.timestamp : periodFinish;
+        return lastTime > lastUpdate ? (lastTime - lastUpdate) * rewardRate : 0;
+    }
+    
+    /**
+     * @dev Anything in the balance beyond what was received and not yet claimed has just arrived
+     */
+    function _arrived() internal view returns (uint256) {
+        return rewardToken.balanceOf(address(this)) + totalClaimed - totalReceived;
+    }
+    
+    function _updateReward(address account) internal {
+        uint256 streamed = _streamed();
+        if (totalSupply > 0) {
+            rewardIntegral += (streamed * PRECISION) / totalSupply;
+        } else {
+            queuedReward += streamed;
+        }
+        lastUpdate = block.timestamp;
+        
+        uint256 arrived = _arrived();
+        totalReceived += arrived;
+        uint256 restreamed = totalSupply > 0 ? queuedReward : 0;
+        if (arrived + restreamed > 0) {
+            queuedReward -= restreamed;
+            
+            uint256 total = arrived + restreamed + rewardRemainder;
+            if (block.timestamp < periodFinish) {
+                total += (periodFinish - block.timestamp) * rewardRate;
+            }
+            rewardRate = total / REWARD_DURATION;
+            rewardRemainder = total % REWARD_DURATION;
+            periodFinish = block.timestamp + REWARD_DURATION;
+            
+            emit RewardReceived(arrived, rewardRate, periodFinish);
+        }
+        
+        if (account != address(0)) {
+            uint256 integral = rewardIntegral;
+            uint256 integralFor = rewardIntegralFor[account];
+            if (integral > integralFor) {
+                claimableReward[account] += (balanceOf[account] * (integral - integralFor)) / PRECISION;
+                rewardIntegralFor[account] = integral;
+            }
+        }
+    }
+}
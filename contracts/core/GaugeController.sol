@@ -1,18 +1,20 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import "@openzeppelin/contracts/access/Ownable.sol";
 import "../interfaces/IGaugeController.sol";
 import "../interfaces/IVotingEscrow.sol";
+import "./GuardianPausable.sol";
 
 /**
  * @title GaugeController
  * @notice Manages gauge registration and vote-based weight distribution
  */
-contract GaugeController is IGaugeController, Ownable {
+contract GaugeController is IGaugeController, GuardianPausable {
     uint256 public constant WEEK = 7 days;
     uint256 public constant WEIGHT_VOTE_DELAY = 10 days;
     uint256 public constant MULTIPLIER = 1e18;
+    // Permanent lock power votes as if its lock always had MAX_TIME left
+    uint256 public constant MAX_TIME = 4 * 365 days;
     
     struct Point {
         uint256 bias;
@@ -23,6 +25,26 @@ contract GaugeController is IGaugeController, Ownable {
         uint256 slope;
         uint256 power;
         uint256 end;
+        uint256 permanent;
+    }
+    
+    struct KillPoint {
+        uint256 time;
+        bool killed;
+    }
+    
+    struct VotePoint {
+        uint256 time;
+        uint256 slope;
+        uint256 end;
+        uint256 permanent;
+    }
+    
+    struct VoterPower {
+        uint256 decaying;
+        uint256 permanent;
+        uint256 lockEnd;
+        uint256 nextTime;
     }
     
     IVotingEscrow public immutable votingEscrow;
@@ -30,25 +52,43 @@ contract GaugeController is IGaugeController, Ownable {
     uint256 public nGauges;
     uint256 public nGaugeTypes;
     
+    // Registered gauges in the order they were added
+    address[] public gauges;
+    
     mapping(address => uint256) public gaugeTypes_;
     mapping(address => uint256) public gaugeRelativeWeight_;
     mapping(address => mapping(uint256 => Point)) public pointsWeight;
     mapping(address => mapping(uint256 => uint256)) public changesWeight;
     mapping(address => uint256) public timeWeight;
     
-    mapping(uint256 => Point) public pointsSum;
+    // Killed gauges keep their own weight history but are left out of the type sums
+    mapping(address => bool) public isKilled;
+    // Kill state changes per gauge, each applying from a week-aligned time
+    mapping(address => KillPoint[]) internal _killHistory;
+    // Latest vote end per gauge, bounding the slope changes moved on kill/unkill
+    mapping(address => uint256) public lastVoteEnd;
+    
+    // Per-type sum of gauge weights
+    mapping(uint256 => mapping(uint256 => Point)) public pointsSum;
     mapping(uint256 => mapping(uint256 => uint256)) public changesSum;
-    uint256 public timeSum;
+    mapping(uint256 => uint256) public timeSum;
+    
+    // Per-type weight multiplier (1e18 = 1x), recorded per week
+    mapping(uint256 => string) public gaugeTypeNames;
+    mapping(uint256 => mapping(uint256 => uint256)) public pointsTypeWeight;
+    mapping(uint256 => uint256) public timeTypeWeight;
     
     mapping(address => mapping(address => VotedSlope)) public voteUserSlopes;
     mapping(address => uint256) public userPowerUsed;
     mapping(address => mapping(address => uint256)) public lastUserVote;
+    // Each user's vote per gauge as it changed, each applying from a week-aligned time
+    mapping(address => mapping(address => VotePoint[])) internal _voteHistory;
     
     mapping(address => uint256) public gaugeTypeIndex;
     
     constructor(address _votingEscrow) Ownable(msg.sender) {
         votingEscrow = IVotingEscrow(_votingEscrow);
-        timeSum = (block.timestamp / WEEK) * WEEK;
+        _addType("Default", MULTIPLIER);
     }
     
     /**
@@ -56,38 +96,158 @@ contract GaugeController is IGaugeController, Ownable {
      */
     function addGauge(address addr, uint256 gaugeType) external onlyOwner {
         require(gaugeTypes_[addr] == 0, "Gauge already exists");
-        require(gaugeType <= nGaugeTypes, "Invalid gauge type");
+        require(gaugeType < nGaugeTypes, "Invalid gauge type");
         
         gaugeTypes_[addr] = gaugeType + 1; // +1 to distinguish from default 0
         
         uint256 nextTime = ((block.timestamp + WEEK) / WEEK) * WEEK;
         timeWeight[addr] = nextTime;
         
+        gauges.push(addr);
         nGauges++;
         
         emit NewGauge(addr, gaugeType);
     }
     
     /**
-     * @notice Add new gauge type (admin only)
+     * @notice Add new gauge type with a weight of 1x (admin only)
      */
     function addGaugeType(string memory _name) external onlyOwner {
+        _addType(_name, MULTIPLIER);
+    }
+    
+    /**
+     * @notice Change a type's weight from the next week on (admin only)
+     * @param typeId Gauge type
+     * @param weight New type weight (1e18 = 1x)
+     */
+    function changeTypeWeight(uint256 typeId, uint256 weight) external onlyOwner {
+        require(typeId < nGaugeTypes, "Invalid gauge type");
+        
+        _getTotal();
+        uint256 nextTime = ((block.timestamp + WEEK) / WEEK) * WEEK;
+        pointsTypeWeight[typeId][nextTime] = weight;
+        
+        emit NewTypeWeight(typeId, nextTime, weight, _getTotalView(nextTime));
+    }
+    
+    /**
+     * @notice Stop a gauge from receiving emissions (admin only)
+     * @dev Its relative weight is 0 from the current week on, and its weight leaves the type sum
+     *      from next week; voters can still vote 0 to reclaim power. Earlier weeks keep their weight
+     */
+    function killGauge(address addr) external onlyOwner {
+        require(gaugeTypes_[addr] != 0, "Gauge does not exist");
+        require(!isKilled[addr], "Gauge already killed");
+        
+        _setGaugeInSum(addr, false);
+        isKilled[addr] = true;
+        _recordKill(addr, (block.timestamp / WEEK) * WEEK, true);
+        
+        emit GaugeKilled(addr);
+    }
+    
+    /**
+     * @notice Restore a killed gauge, adding its current weight back to the type sum (admin only)
+     * @dev Takes effect from next week, when the weight is back in the sum; the weeks it was
+     *      killed stay at 0
+     */
+    function unkillGauge(address addr) external onlyOwner {
+        require(isKilled[addr], "Gauge not killed");
+        
+        isKilled[addr] = false;
+        _setGaugeInSum(addr, true);
+        _recordKill(addr, ((block.timestamp + WEEK) / WEEK) * WEEK, false);
+        
+        emit GaugeUnkilled(addr);
+    }
+    
+    /**
+     * @notice Whether a gauge was killed in the week containing `time`
+     */
+    function isKilledAt(address addr, uint256 time) public view returns (bool) {
+        KillPoint[] storage history = _killHistory[addr];
+        for (uint256 i = history.length; i > 0; i--) {
+            if (history[i - 1].time <= time) return history[i - 1].killed;
+        }
+        return false;
+    }
+    
+    /**
+     * @dev Changes that have not applied yet are replaced; e.g. killing again before a pending
+     *      unkill applies keeps the gauge killed without a gap
+     */
+    function _recordKill(address addr, uint256 from, bool killed) internal {
+        KillPoint[] storage history = _killHistory[addr];
+        while (history.length > 0 && history[history.length - 1].time >= from) {
+            history.pop();
+        }
+        history.push(KillPoint({time: from, killed: killed}));
+    }
+    
+    /**
+     * @notice Add or remove a gauge's weight and future slope changes to/from its type sum
+     */
+    function _setGaugeInSum(address addr, bool add) internal {
+        uint256 gaugeType = gaugeTypes_[addr] - 1;
+        _getWeight(addr);
+        _getSum(gaugeType);
+        
+        uint256 nextTime = ((block.timestamp + WEEK) / WEEK) * WEEK;
+        Point memory gaugePt = pointsWeight[addr][nextTime];
+        Point storage sumPt = pointsSum[gaugeType][nextTime];
+        
+        if (add) {
+            sumPt.bias += gaugePt.bias;
+            sumPt.slope += gaugePt.slope;
+        } else {
+            sumPt.bias = _max(sumPt.bias, gaugePt.bias) - gaugePt.bias;
+            sumPt.slope = _max(sumPt.slope, gaugePt.slope) - gaugePt.slope;
+        }
+        
+        // Slope changes at nextTime are already folded into the points above
+        for (uint256 t = nextTime + WEEK; t <= lastVoteEnd[addr]; t += WEEK) {
+            uint256 dSlope = changesWeight[addr][t];
+            if (dSlope == 0) continue;
+            if (add) {
+                changesSum[gaugeType][t] += dSlope;
+            } else {
+                changesSum[gaugeType][t] = _max(changesSum[gaugeType][t], dSlope) - dSlope;
+            }
+        }
+    }
+    
+    function _addType(string memory _name, uint256 weight) internal {
+        uint256 typeId = nGaugeTypes;
+        uint256 thisWeek = (block.timestamp / WEEK) * WEEK;
+        
+        gaugeTypeNames[typeId] = _name;
+        timeSum[typeId] = thisWeek;
+        timeTypeWeight[typeId] = thisWeek;
+        pointsTypeWeight[typeId][thisWeek] = weight;
         nGaugeTypes++;
+        
+        emit AddType(_name, typeId);
+        emit NewTypeWeight(typeId, thisWeek, weight, _getTotalView(thisWeek));
     }
     
     /**
-     * @notice Checkpoint to update gauge weights
+     * @notice Checkpoint every type and every registered gauge up to the current week
      */
     function checkpoint() public {
+        _getTotal();
         _updateAllGauges();
     }
     
     /**
-     * @notice Checkpoint specific gauge
+     * @notice Checkpoint specific gauge and its type
      */
     function checkpointGauge(address addr) external {
+        require(gaugeTypes_[addr] != 0, "Gauge does not exist");
         _getWeight(addr);
-        _getTotal();
+        uint256 gaugeType = gaugeTypes_[addr] - 1;
+        _getSum(gaugeType);
+        _getTypeWeight(gaugeType);
     }
     
     /**
@@ -95,100 +255,211 @@ contract GaugeController is IGaugeController, Ownable {
      * @param gaugeAddr Gauge to vote for
      * @param userWeight Weight in basis points (10000 = 100%)
      */
-    function voteForGaugeWeights(address gaugeAddr, uint256 userWeight) external {
+    function voteForGaugeWeights(address gaugeAddr, uint256 userWeight) external whenNotPaused {
+        _checkVote(msg.sender, gaugeAddr, userWeight);
+        _vote(msg.sender, gaugeAddr, userWeight, _voterPower(msg.sender));
+    }
+    
+    /**
+     * @notice Vote for several gauges in one transaction
+     * @dev Lowered weights are applied before raised ones, so moving power between gauges
+     *      never exceeds 10000 part way through. Either every vote applies or none does
+     * @param gaugeAddrs Gauges to vote for
+     * @param userWeights Weight for each gauge in basis points
+     */
+    function voteForManyGaugeWeights(
+        address[] calldata gaugeAddrs,
+        uint256[] calldata userWeights
+    ) external whenNotPaused {
+        require(gaugeAddrs.length == userWeights.length, "Length mismatch");
+        VoterPower memory power = _voterPower(msg.sender);
+        
+        for (uint256 i = 0; i < gaugeAddrs.length; i++) {
+            if (userWeights[i] > voteUserSlopes[msg.sender][gaugeAddrs[i]].power) continue;
+            _checkVote(msg.sender, gaugeAddrs[i], userWeights[i]);
+            _vote(msg.sender, gaugeAddrs[i], userWeights[i], power);
+        }
+        for (uint256 i = 0; i < gaugeAddrs.length; i++) {
+            if (userWeights[i] <= voteUserSlopes[msg.sender][gaugeAddrs[i]].power) continue;
+            _checkVote(msg.sender, gaugeAddrs[i], userWeights[i]);
+            _vote(msg.sender, gaugeAddrs[i], userWeights[i], power);
+        }
+    }
+    
+    function _checkVote(address user, address gaugeAddr, uint256 userWeight) internal view {
         require(gaugeTypes_[gaugeAddr] != 0, "Gauge does not exist");
         require(userWeight <= 10000, "Weight > 100%");
+        require(userWeight == 0 || !isKilled[gaugeAddr], "Gauge is killed");
         require(
-            block.timestamp >= lastUserVote[msg.sender][gaugeAddr] + WEIGHT_VOTE_DELAY,
+            block.timestamp >= lastUserVote[user][gaugeAddr] + WEIGHT_VOTE_DELAY,
             "Vote too soon"
         );
-        
-        uint256 newSlope = uint256(uint128(votingEscrow.balanceOf(msg.sender))) * userWeight / 10000;
+    }
+    
+    /**
+     * @notice Power a user can vote with, read once per transaction
+     * @dev Votes use power delegated to the user, which includes their own undelegated lock.
+     *      Power from permanent locks is voted separately since it does not decay
+     */
+    function _voterPower(address user) internal view returns (VoterPower memory power) {
+        uint256 balance = votingEscrow.delegatedBalanceOf(user);
+        power.permanent = votingEscrow.delegatedPermanentBalance(user);
+        power.decaying = _max(balance, power.permanent) - power.permanent;
+        power.lockEnd = votingEscrow.delegatedPowerEnd(user);
+        power.nextTime = ((block.timestamp + WEEK) / WEEK) * WEEK;
+    }
+    
+    function _vote(address user, address gaugeAddr, uint256 userWeight, VoterPower memory power) internal {
+        uint256 newSlope = power.decaying * userWeight / 10000;
+        uint256 newPermanent = power.permanent * userWeight / 10000;
         // Allow 0 weight votes to remove existing votes
         if (userWeight > 0) {
-            require(newSlope > 0, "No voting power");
+            require(newSlope + newPermanent > 0, "No voting power");
         }
         
-        (, uint256 lockEnd) = votingEscrow.locked(msg.sender);
-        require(lockEnd > block.timestamp, "Lock expired");
+        uint256 lockEnd = power.lockEnd;
+        if (power.permanent > 0 && lockEnd <= power.nextTime) {
+            // Decaying power about to run out is left out of a permanent holder's vote
+            newSlope = 0;
+            lockEnd = 0;
+        } else {
+            require(lockEnd > block.timestamp, "Lock expired");
+            require(lockEnd > power.nextTime, "Lock expires too soon");
+        }
         
-        uint256 nextTime = ((block.timestamp + WEEK) / WEEK) * WEEK;
-        uint256 newBias = newSlope * (lockEnd - nextTime) / WEEK;
+        _applyVote(user, gaugeAddr, userWeight, newSlope, newPermanent, lockEnd, power.nextTime);
         
-        // Initialize time slots
-        _initializeTimeSlots(gaugeAddr, nextTime);
+        lastUserVote[user][gaugeAddr] = block.timestamp;
+    }
+    
+    /**
+     * @notice Remove every vote of a user whose delegated power has moved away
+     * @dev Called by the VotingEscrow on delegation changes. The vote delay is reset
+     *      so the user can vote again straight away with the power they still hold
+     */
+    function clearVotes(address user) external {
+        require(msg.sender == address(votingEscrow), "Only voting escrow");
+        if (userPowerUsed[user] == 0) return;
         
-        VotedSlope storage oldVote = voteUserSlopes[msg.sender][gaugeAddr];
-        uint256 oldBias = oldVote.slope * (lockEnd - nextTime) / WEEK;
+        uint256 nextTime = ((block.timestamp + WEEK) / WEEK) * WEEK;
+        for (uint256 i = 0; i < gauges.length; i++) {
+            address gaugeAddr = gauges[i];
+            if (voteUserSlopes[user][gaugeAddr].power == 0) continue;
+            
+            _applyVote(user, gaugeAddr, 0, 0, 0, 0, nextTime);
+            delete lastUserVote[user][gaugeAddr];
+        }
+    }
+    
+    function _applyVote(
+        address user,
+        address gaugeAddr,
+        uint256 userWeight,
+        uint256 newSlope,
+        uint256 newPermanent,
+        uint256 lockEnd,
+        uint256 nextTime
+    ) internal {
+        uint256 newBias = newSlope > 0 ? newSlope * (lockEnd - nextTime) / WEEK : 0;
+        newBias += newPermanent * (MAX_TIME / WEEK);
+        
+        // Bring stored points up to nextTime before changing them
+        _getWeight(gaugeAddr);
+        _getSum(gaugeTypes_[gaugeAddr] - 1);
+        
+        VotedSlope memory oldVote = voteUserSlopes[user][gaugeAddr];
+        uint256 oldBias = oldVote.permanent * (MAX_TIME / WEEK);
+        uint256 oldSlope = 0;
+        if (oldVote.end > nextTime) {
+            oldSlope = oldVote.slope;
+            oldBias += oldVote.slope * (oldVote.end - nextTime) / WEEK;
+        }
         
-        userPowerUsed[msg.sender] = userPowerUsed[msg.sender] - oldVote.power + userWeight;
-        require(userPowerUsed[msg.sender] <= 10000, "Used too much power");
+        userPowerUsed[user] = userPowerUsed[user] - oldVote.power + userWeight;
+        require(userPowerUsed[user] <= 10000, "Used too much power");
         
         // Update weights
-        _updateWeights(gaugeAddr, nextTime, oldBias, newBias, oldVote.slope, newSlope);
+        _updateWeights(gaugeAddr, nextTime, oldBias, newBias, oldSlope, newSlope);
         
         // Update slope changes
         _updateSlopeChanges(gaugeAddr, oldVote.slope, oldVote.end, newSlope, lockEnd);
+        if (lockEnd > lastVoteEnd[gaugeAddr]) lastVoteEnd[gaugeAddr] = lockEnd;
         
-        // Update time pointers
-        if (timeWeight[gaugeAddr] < nextTime) timeWeight[gaugeAddr] = nextTime;
-        if (timeSum < nextTime) timeSum = nextTime;
+        voteUserSlopes[user][gaugeAddr] = VotedSlope({
+            slope: newSlope,
+            power: userWeight,
+            end: lockEnd,
+            permanent: newPermanent
+        });
+        _recordVote(user, gaugeAddr, VotePoint({time: nextTime, slope: newSlope, end: lockEnd, permanent: newPermanent}));
         
-        oldVote.slope = newSlope;
-        oldVote.power = userWeight;
-        oldVote.end = lockEnd;
-        
-        lastUserVote[msg.sender][gaugeAddr] = block.timestamp;
-        emit VoteForGauge(msg.sender, gaugeAddr, userWeight, block.timestamp);
+        emit VoteForGauge(user, gaugeAddr, userWeight, block.timestamp);
     }
     
-    function _initializeTimeSlots(address gaugeAddr, uint256 nextTime) internal {
-        // Only copy forward if there's actual data to copy
-        if (nextTime > timeSum && pointsSum[nextTime].bias == 0 && pointsSum[timeSum].bias > 0) {
-            pointsSum[nextTime] = pointsSum[timeSum];
+    /**
+     * @dev A vote replacing one that has not applied yet overwrites it, as it never counted
+     */
+    function _recordVote(address user, address gaugeAddr, VotePoint memory point) internal {
+        VotePoint[] storage history = _voteHistory[user][gaugeAddr];
+        while (history.length > 0 && history[history.length - 1].time >= point.time) {
+            history.pop();
         }
-        uint256 prevTimeWeight = timeWeight[gaugeAddr];
-        if (nextTime > prevTimeWeight && pointsWeight[gaugeAddr][nextTime].bias == 0 && pointsWeight[gaugeAddr][prevTimeWeight].bias > 0) {
-            pointsWeight[gaugeAddr][nextTime] = pointsWeight[gaugeAddr][prevTimeWeight];
+        history.push(point);
+    }
+    
+    /**
+     * @notice Bias a user's vote added to a gauge's weight in the week containing `time`
+     * @dev Read from the vote in force that week, so later votes, clears and delegation
+     *      changes do not alter it
+     */
+    function voteUserBiasAt(address user, address gaugeAddr, uint256 time) external view returns (uint256 bias) {
+        uint256 t = (time / WEEK) * WEEK;
+        VotePoint[] storage history = _voteHistory[user][gaugeAddr];
+        for (uint256 i = history.length; i > 0; i--) {
+            VotePoint storage point = history[i - 1];
+            if (point.time > t) continue;
+            
+            if (point.end > t) bias = point.slope * (point.end - t) / WEEK;
+            bias += point.permanent * (MAX_TIME / WEEK);
+            return bias;
         }
     }
     
     function _updateWeights(address gaugeAddr, uint256 nextTime, uint256 oldBias, uint256 newBias, uint256 oldSlope, uint256 newSlope) internal {
-        // Update bias
-        if (newBias >= oldBias) {
-            pointsWeight[gaugeAddr][nextTime].bias += (newBias - oldBias);
-            pointsSum[nextTime].bias += (newBias - oldBias);
-        } else {
-            uint256 diff = oldBias - newBias;
-            pointsWeight[gaugeAddr][nextTime].bias = pointsWeight[gaugeAddr][nextTime].bias > diff ? pointsWeight[gaugeAddr][nextTime].bias - diff : 0;
-            pointsSum[nextTime].bias = pointsSum[nextTime].bias > diff ? pointsSum[nextTime].bias - diff : 0;
-        }
+        Point storage gaugePt = pointsWeight[gaugeAddr][nextTime];
         
-        // Update slope
-        if (newSlope >= oldSlope) {
-            pointsWeight[gaugeAddr][nextTime].slope += (newSlope - oldSlope);
-            pointsSum[nextTime].slope += (newSlope - oldSlope);
-        } else {
-            uint256 diff = oldSlope - newSlope;
-            pointsWeight[gaugeAddr][nextTime].slope = pointsWeight[gaugeAddr][nextTime].slope > diff ? pointsWeight[gaugeAddr][nextTime].slope - diff : 0;
-            pointsSum[nextTime].slope = pointsSum[nextTime].slope > diff ? pointsSum[nextTime].slope - diff : 0;
+        // Old values are clamped rather than reverting on rounding dust
+        gaugePt.bias = _max(gaugePt.bias + newBias, oldBias) - oldBias;
+        gaugePt.slope = _max(gaugePt.slope + newSlope, oldSlope) - oldSlope;
+        
+        // Killed gauges are not part of their type sum
+        if (!isKilled[gaugeAddr]) {
+            Point storage sumPt = pointsSum[gaugeTypes_[gaugeAddr] - 1][nextTime];
+            sumPt.bias = _max(sumPt.bias + newBias, oldBias) - oldBias;
+            sumPt.slope = _max(sumPt.slope + newSlope, oldSlope) - oldSlope;
         }
     }
     
     function _updateSlopeChanges(address gaugeAddr, uint256 oldSlope, uint256 oldEnd, uint256 newSlope, uint256 lockEnd) internal {
         uint256 gaugeType = gaugeTypes_[gaugeAddr] - 1;
+        bool inSum = !isKilled[gaugeAddr];
         
-        if (oldSlope > 0 && oldEnd > 0) {
+        // Cancel the old slope change if it has not happened yet
+        if (oldSlope > 0 && oldEnd > block.timestamp) {
             if (changesWeight[gaugeAddr][oldEnd] >= oldSlope) {
                 changesWeight[gaugeAddr][oldEnd] -= oldSlope;
             }
-            if (changesSum[gaugeType][oldEnd] >= oldSlope) {
+            if (inSum && changesSum[gaugeType][oldEnd] >= oldSlope) {
                 changesSum[gaugeType][oldEnd] -= oldSlope;
             }
         }
         
         changesWeight[gaugeAddr][lockEnd] += newSlope;
-        changesSum[gaugeType][lockEnd] += newSlope;
+        if (inSum) changesSum[gaugeType][lockEnd] += newSlope;
+    }
+    
+    function _max(uint256 a, uint256 b) internal pure returns (uint256) {
+        return a > b ? a : b;
     }
     
     /**
@@ -200,74 +471,117 @@ contract GaugeController is IGaugeController, Ownable {
     
     /**
      * @notice Get relative weight at specific time
+     * @dev Gauge weight scaled by its type weight, over the type-weighted total. 0 for weeks in
+     *      which the gauge was killed, whatever its state now
      */
     function gaugeRelativeWeight(address addr, uint256 time) public view returns (uint256) {
         uint256 t = (time / WEEK) * WEEK;
-        
-        // Get gauge weight at time t (with decay calculation)
-        uint256 gaugeWeight = _getWeightView(addr, t);
         uint256 total = _getTotalView(t);
+        if (total == 0 || gaugeTypes_[addr] == 0 || isKilledAt(addr, t)) return 0;
         
-        if (total == 0) return 0;
-        return MULTIPLIER * gaugeWeight / total;
+        uint256 typeWeight = _getTypeWeightView(gaugeTypes_[addr] - 1, t);
+        return MULTIPLIER * (_getWeightView(addr, t) * typeWeight / MULTIPLIER) / total;
+    }
+    
+    /**
+     * @notice Get absolute weight of a gauge at a specific time
+     * @dev Weight is the sum of vote slopes times weeks left on each voter's lock
+     */
+    function getGaugeWeight(address addr, uint256 time) external view returns (uint256) {
+        return _getWeightView(addr, (time / WEEK) * WEEK);
+    }
+    
+    /**
+     * @notice Get sum of all gauge weights, each type scaled by its type weight
+     */
+    function getTotalWeight(uint256 time) external view returns (uint256) {
+        return _getTotalView((time / WEEK) * WEEK);
     }
     
     /**
-     * @notice View function to calculate gauge weight at a specific time
-     * @dev Returns the stored weight, decayed to the query time
+     * @notice Get sum of gauge weights of one type (not scaled by the type weight)
+     */
+    function getTypeSum(uint256 typeId, uint256 time) external view returns (uint256) {
+        return _getSumView(typeId, (time / WEEK) * WEEK);
+    }
+    
+    /**
+     * @notice Get a type's weight at a specific time (1e18 = 1x)
+     */
+    function getTypeWeight(uint256 typeId, uint256 time) external view returns (uint256) {
+        return _getTypeWeightView(typeId, (time / WEEK) * WEEK);
+    }
+    
+    /**
+     * @notice View function to calculate gauge weight at a week-aligned time
+     * @dev Reads stored history up to the last checkpoint, then extrapolates forward
      */
     function _getWeightView(address gaugeAddr, uint256 t) internal view returns (uint256) {
         uint256 tWeight = timeWeight[gaugeAddr];
         if (tWeight == 0) return 0;
+        if (t <= tWeight) return pointsWeight[gaugeAddr][t].bias;
         
-        // Get the stored point
         Point memory pt = pointsWeight[gaugeAddr][tWeight];
-        if (pt.bias == 0) return 0;
-        
-        // Calculate decay from stored time to query time
-        uint256 queryTime = (t / WEEK) * WEEK;
-        
-        // If query is before the vote was stored, return 0
-        if (queryTime < tWeight) return 0;
-        
-        // No decay needed if same time
-        if (queryTime == tWeight) return pt.bias;
-        
-        // Decay forward - slope is per WEEK, so divide elapsed by WEEK
-        uint256 elapsed = queryTime - tWeight;
-        uint256 decay = (pt.slope * elapsed) / WEEK;
-        
-        if (pt.bias > decay) {
-            return pt.bias - decay;
+        for (uint256 i = 0; i < 500; i++) {
+            tWeight += WEEK;
+            if (tWeight > t) break;
+            if (pt.bias > pt.slope) {
+                pt.bias -= pt.slope;
+                pt.slope -= changesWeight[gaugeAddr][tWeight];
+            } else {
+                pt.bias = 0;
+                pt.slope = 0;
+            }
         }
-        return 0;
+        return pt.bias;
     }
     
     /**
-     * @notice View function to calculate total weight at a specific time
+     * @notice View function to calculate the type-weighted total at a week-aligned time
      */
-    function _getTotalView(uint256 t) internal view returns (uint256) {
-        if (timeSum == 0) return 0;
-        
-        Point memory pt = pointsSum[timeSum];
-        if (pt.bias == 0) return 0;
-        
-        uint256 queryTime = (t / WEEK) * WEEK;
-        
-        // If query is before any votes, return 0
-        if (queryTime < timeSum) return 0;
-        
-        // No decay needed if same time
-        if (queryTime == timeSum) return pt.bias;
-        
-        // Decay forward - slope is per WEEK, so divide elapsed by WEEK
-        uint256 elapsed = queryTime - timeSum;
-        uint256 decay = (pt.slope * elapsed) / WEEK;
-        
-        if (pt.bias > decay) {
-            return pt.bias - decay;
+    function _getTotalView(uint256 t) internal view returns (uint256 total) {
+        for (uint256 gaugeType = 0; gaugeType < nGaugeTypes; gaugeType++) {
+            total += _getSumView(gaugeType, t) * _getTypeWeightView(gaugeType, t) / MULTIPLIER;
         }
-        return 0;
+    }
+    
+    /**
+     * @notice View function to calculate a type's weight sum at a week-aligned time
+     */
+    function _getSumView(uint256 gaugeType, uint256 t) internal view returns (uint256) {
+        uint256 tSum = timeSum[gaugeType];
+        if (t <= tSum) return pointsSum[gaugeType][t].bias;
+        
+        Point memory pt = pointsSum[gaugeType][tSum];
+        for (uint256 i = 0; i < 500; i++) {
+            tSum += WEEK;
+            if (tSum > t) break;
+            if (pt.bias > pt.slope) {
+                pt.bias -= pt.slope;
+                pt.slope -= changesSum[gaugeType][tSum];
+            } else {
+                pt.bias = 0;
+                pt.slope = 0;
+            }
+        }
+        return pt.bias;
+    }
+    
+    /**
+     * @notice View function for a type's weight: stored history, then the latest value carried forward
+     * @dev changeTypeWeight checkpoints first, so a scheduled change is always at timeTypeWeight
+     */
+    function _getTypeWeightView(uint256 gaugeType, uint256 t) internal view returns (uint256) {
+        uint256 tWeight = timeTypeWeight[gaugeType];
+        if (t <= tWeight) return pointsTypeWeight[gaugeType][t];
+        return pointsTypeWeight[gaugeType][tWeight];
+    }
+    
+    /**
+     * @notice All registered gauges, in the order they were added
+     */
+    function getGauges() external view returns (address[] memory) {
+        return gauges;
     }
     
     /**
@@ -278,7 +592,7 @@ contract GaugeController is IGaugeController, Ownable {
         require(gaugeType != 0, "Gauge does not exist");
         return gaugeType - 1;
     }
-
+    
     /**
      * @notice Get user's vote power for specific gauge
      */
@@ -293,11 +607,10 @@ contract GaugeController is IGaugeController, Ownable {
             for (uint256 i = 0; i < 500; i++) {
                 if (t > block.timestamp) break;
                 t += WEEK;
-                uint256 dBias = pt.slope * WEEK;
-                if (pt.bias > dBias) {
-                    pt.bias -= dBias;
-                    uint256 dSlope = changesWeight[gaugeAddr][t];
-                    pt.slope -= dSlope;
+                // Slope is weight lost per week
+                if (pt.bias > pt.slope) {
+                    pt.bias -= pt.slope;
+                    pt.slope -= changesWeight[gaugeAddr][t];
                 } else {
                     pt.bias = 0;
                     pt.slope = 0;
@@ -310,38 +623,49 @@ contract GaugeController is IGaugeController, Ownable {
         return 0;
     }
     
-    function _getTotal() internal returns (uint256) {
-        uint256 t = timeSum;
-        if (t > block.timestamp) t = (block.timestamp / WEEK) * WEEK;
-        Point memory pt = pointsSum[t];
-        
-        for (uint256 gaugeType = 0; gaugeType < 500; gaugeType++) {
-            if (gaugeType == nGaugeTypes) break;
-            
-            for (uint256 i = 0; i < 500; i++) {
-                if (t > block.timestamp) break;
-                t += WEEK;
-                uint256 dBias = pt.slope * WEEK;
-                if (pt.bias > dBias) {
-                    pt.bias -= dBias;
-                    uint256 dSlope = changesSum[gaugeType][t];
-                    pt.slope -= dSlope;
-                } else {
-                    pt.bias = 0;
-                    pt.slope = 0;
-                }
-                pointsSum[t] = pt;
-                if (t > block.timestamp) {
-                    timeSum = t;
-                }
+    function _getSum(uint256 gaugeType) internal returns (uint256) {
+        uint256 t = timeSum[gaugeType];
+        Point memory pt = pointsSum[gaugeType][t];
+        
+        for (uint256 i = 0; i < 500; i++) {
+            if (t > block.timestamp) break;
+            t += WEEK;
+            if (pt.bias > pt.slope) {
+                pt.bias -= pt.slope;
+                pt.slope -= changesSum[gaugeType][t];
+            } else {
+                pt.bias = 0;
+                pt.slope = 0;
             }
+            pointsSum[gaugeType][t] = pt;
+            if (t > block.timestamp) timeSum[gaugeType] = t;
         }
         return pt.bias;
     }
     
+    function _getTypeWeight(uint256 gaugeType) internal returns (uint256) {
+        uint256 t = timeTypeWeight[gaugeType];
+        uint256 weight = pointsTypeWeight[gaugeType][t];
+        
+        for (uint256 i = 0; i < 500; i++) {
+            if (t > block.timestamp) break;
+            t += WEEK;
+            pointsTypeWeight[gaugeType][t] = weight;
+            if (t > block.timestamp) timeTypeWeight[gaugeType] = t;
+        }
+        return weight;
+    }
+    
+    function _getTotal() internal {
+        for (uint256 gaugeType = 0; gaugeType < nGaugeTypes; gaugeType++) {
+            _getSum(gaugeType);
+            _getTypeWeight(gaugeType);
+        }
+    }
+    
     function _updateAllGauges() internal {
         for (uint256 i = 0; i < nGauges; i++) {
-            // In production, maintain array of gauge addresses
+            _getWeight(gauges[i]);
         }
     }
 }
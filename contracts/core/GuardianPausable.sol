@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Pausable.sol";
+
+/**
+ * @title GuardianPausable
+ * @notice Emergency pause shared by the core contracts
+ * @dev The owner or a guardian can pause; only the owner can unpause, so a guardian
+ *      (e.g. a small multisig that can act fast) can stop new activity but not restart it.
+ *      Each contract decides which functions stop; exits are never paused.
+ */
+abstract contract GuardianPausable is Ownable, Pausable {
+    address public guardian;
+    
+    event GuardianUpdated(address guardian);
+    
+    /**
+     * @notice Set the address that can pause alongside the owner (zero to remove)
+     */
+    function setGuardian(address _guardian) external onlyOwner {
+        guardian = _guardian;
+        emit GuardianUpdated(_guardian);
+    }
+    
+    /**
+     * @notice Stop new activity (owner or guardian)
+     */
+    function pause() external {
+        require(msg.sender == owner() || msg.sender == guardian, "Not owner or guardian");
+        _pause();
+    }
+    
+    /**
+     * @notice Resume after a pause (owner only)
+     */
+    function unpause() external onlyOwner {
+        _unpause();
+    }
+}
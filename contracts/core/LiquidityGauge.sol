@@ -6,40 +6,169 @@ import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "../interfaces/ILiquidityGauge.sol";
 import "../interfaces/IMinter.sol";
+import "../interfaces/IVotingEscrow.sol";
+import "./GuardianPausable.sol";
 
 /**
  * @title LiquidityGauge
  * @notice Staking gauge for LP tokens with reward distribution
+ * @dev Rewards follow working balances: a staker without veTokens earns on 1/maxBoost of
+ *      their stake, and veTokens raise that up to the full stake (Curve-style boost).
+ *      Pausing stops deposits only; LP withdrawals and claims always stay open, and so does
+ *      everything else when the Minter cannot pay: a failed mint is skipped, not propagated.
  */
-contract LiquidityGauge is ILiquidityGauge, ReentrancyGuard {
+contract LiquidityGauge is ILiquidityGauge, ReentrancyGuard, GuardianPausable {
     using SafeERC20 for IERC20;
     
     uint256 public constant PRECISION = 1e18;
+    uint256 public constant MAX_BOOST_LIMIT = 10e18;
+    uint256 public constant MAX_REWARDS = 8;
+    uint256 public constant REWARD_DURATION = 7 days;
+    
+    struct RewardData {
+        address distributor;
+        uint256 periodFinish;
+        uint256 rate;
+        uint256 lastUpdate;
+        uint256 integral;
+    }
     
     IERC20 public immutable lpToken;
     IMinter public immutable minter;
+    IERC20 public immutable rewardToken;
+    IVotingEscrow public immutable votingEscrow;
     
     uint256 public totalSupply;
     mapping(address => uint256) public balanceOf;
     
+    // Boosted balances that rewards are distributed by
+    uint256 public maxBoost = 2.5e18;
+    uint256 public workingSupply;
+    mapping(address => uint256) public workingBalances;
+    
     uint256 public rewardIntegral;
     mapping(address => uint256) public rewardIntegralFor;
     mapping(address => uint256) public claimableReward;
+    // Minter rewards ever credited to each user; the Minter reports payouts against it
+    mapping(address => uint256) public integrateFraction;
     
     uint256 public lastUpdate;
     
-    constructor(address _lpToken, address _minter) {
+    // Minter.minted(this) already folded into rewardIntegral; what arrives while the
+    // working supply is empty stays unaccounted until someone is staked
+    uint256 public mintedAccounted;
+    
+    // Third-party reward tokens, streamed by their distributor and shared by raw balance
+    address[] public rewardTokens;
+    mapping(address => RewardData) public rewardData;
+    mapping(address => mapping(address => uint256)) public rewardIntegralForToken;
+    mapping(address => mapping(address => uint256)) public claimableTokenReward;
+    // Streamed while nothing was staked, paid to the stakers at the next checkpoint with a supply
+    mapping(address => uint256) public queuedTokenReward;
+    
+    constructor(address _lpToken, address _minter) Ownable(msg.sender) {
         lpToken = IERC20(_lpToken);
         minter = IMinter(_minter);
+        rewardToken = minter.token();
+        votingEscrow = minter.controller().votingEscrow();
         lastUpdate = block.timestamp;
     }
     
     /**
-     * @notice Update reward accounting
+     * @notice Update reward accounting, then the account's working balance
      */
     modifier updateReward(address account) {
         _updateReward(account);
         _;
+        _updateLiquidityLimit(account);
+    }
+    
+    /**
+     * @notice Set the maximum boost (admin only)
+     * @dev Applies to each staker at their next checkpoint or kick
+     * @param _maxBoost Boost for a fully boosted staker (1e18 = 1x)
+     */
+    function setMaxBoost(uint256 _maxBoost) external onlyOwner {
+        require(_maxBoost >= PRECISION && _maxBoost <= MAX_BOOST_LIMIT, "Invalid max boost");
+        maxBoost = _maxBoost;
+        emit MaxBoostUpdated(_maxBoost);
+    }
+    
+    /**
+     * @notice Add a third-party reward token (admin only)
+     * @param token Reward token
+     * @param distributor Address allowed to deposit it
+     */
+    function addReward(address token, address distributor) external onlyOwner {
+        require(rewardTokens.length < MAX_REWARDS, "Too many rewards");
+        require(token != address(rewardToken) && token != address(lpToken), "Invalid reward token");
+        require(rewardData[token].distributor == address(0), "Reward already added");
+        require(distributor != address(0), "Invalid distributor");
+        
+        rewardTokens.push(token);
+        rewardData[token].distributor = distributor;
+        rewardData[token].lastUpdate = block.timestamp;
+        
+        emit RewardTokenAdded(token, distributor);
+    }
+    
+    /**
+     * @notice Change a reward token's distributor (admin or current distributor)
+     */
+    function setRewardDistributor(address token, address distributor) external {
+        address current = rewardData[token].distributor;
+        require(current != address(0), "Reward not added");
+        require(msg.sender == current || msg.sender == owner(), "Not authorized");
+        require(distributor != address(0), "Invalid distributor");
+        
+        rewardData[token].distributor = distributor;
+        
+        emit RewardDistributorUpdated(token, distributor);
+    }
+    
+    /**
+     * @notice Stream `amount` of a reward token to stakers over REWARD_DURATION
+     * @dev Anything still streaming from the previous deposit is rolled into the new period
+     */
+    function depositRewardToken(address token, uint256 amount) external nonReentrant {
+        RewardData storage data = rewardData[token];
+        require(data.distributor != address(0), "Reward not added");
+        require(msg.sender == data.distributor, "Not distributor");
+        require(amount > 0, "Cannot deposit 0");
+        
+        _updateReward(address(0));
+        
+        // Credit what actually arrived so fee-on-transfer tokens cannot overdraw the gauge
+        uint256 balanceBefore = IERC20(token).balanceOf(address(this));
+        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+        amount = IERC20(token).balanceOf(address(this)) - balanceBefore;
+        
+        uint256 total = amount;
+        if (block.timestamp < data.periodFinish) {
+            total += (data.periodFinish - block.timestamp) * data.rate;
+        }
+        data.rate = total / REWARD_DURATION;
+        data.lastUpdate = block.timestamp;
+        data.periodFinish = block.timestamp + REWARD_DURATION;
+        
+        emit RewardDeposited(token, amount, data.rate, data.periodFinish);
+    }
+    
+    /**
+     * @notice Number of third-party reward tokens
+     */
+    function rewardCount() external view returns (uint256) {
+        return rewardTokens.length;
+    }
+    
+    /**
+     * @notice Recompute a staker's working balance once their boost is out of date
+     * @dev Only allowed when it lowers the working balance, e.g. after their lock decayed
+     */
+    function kick(address addr) external nonReentrant {
+        require(workingBalances[addr] > _workingBalance(addr), "Kick not allowed");
+        _updateReward(addr);
+        _updateLiquidityLimit(addr);
     }
     
     /**
@@ -52,7 +181,7 @@ contract LiquidityGauge is ILiquidityGauge, ReentrancyGuard {
     /**
      * @notice Deposit LP tokens for another user
      */
-    function deposit(uint256 amount, address recipient) public nonReentrant updateReward(recipient) {
+    function deposit(uint256 amount, address recipient) public nonReentrant whenNotPaused updateReward(recipient) {
         require(amount > 0, "Cannot deposit 0");
         
         totalSupply += amount;
@@ -79,32 +208,139 @@ contract LiquidityGauge is ILiquidityGauge, ReentrancyGuard {
     }
     
     /**
-     * @notice Claim pending rewards
+     * @notice Claim pending rewards to the caller
      */
-    function claimRewards() external nonReentrant updateReward(msg.sender) {
-        uint256 reward = claimableReward[msg.sender];
+    function claimRewards() external {
+        claimRewards(msg.sender);
+    }
+    
+    /**
+     * @notice Claim pending rewards to another address
+     */
+    function claimRewards(address receiver) public nonReentrant updateReward(msg.sender) {
+        _claim(msg.sender, receiver);
+    }
+    
+    /**
+     * @notice Claim pending rewards on behalf of a user; tokens always go to the user
+     * @dev Callable by the user, the Minter (mintFor and mintMany check the caller there) or an
+     *      operator the user approved with Minter.toggleApproveMint
+     */
+    function claimFor(address user) external nonReentrant updateReward(user) {
+        require(
+            msg.sender == user || msg.sender == address(minter) || minter.allowedToMintFor(msg.sender, user),
+            "Claim not allowed"
+        );
+        _claim(user, user);
+    }
+    
+    function _claim(address user, address receiver) internal {
+        require(receiver != address(0), "Invalid receiver");
+        
+        uint256 reward = claimableReward[user];
         if (reward > 0) {
-            claimableReward[msg.sender] = 0;
-            minter.mint(address(this));
-            // Transfer rewards to user (simplified)
-            emit RewardClaimed(msg.sender, reward);
+            claimableReward[user] = 0;
+            rewardToken.safeTransfer(receiver, reward);
+            emit RewardClaimed(user, receiver, reward);
+        }
+        
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            address token = rewardTokens[i];
+            uint256 amount = claimableTokenReward[user][token];
+            if (amount > 0) {
+                claimableTokenReward[user][token] = 0;
+                IERC20(token).safeTransfer(receiver, amount);
+                emit RewardTokenClaimed(user, receiver, token, amount);
+            }
         }
     }
     
     /**
      * @notice Get claimable rewards for user
      */
-    function claimableRewards(address user) external view returns (uint256) {
+    function claimableRewards(address user) public view returns (uint256) {
         uint256 integral = rewardIntegral;
-        uint256 supply = totalSupply;
+        uint256 supply = workingSupply;
         
         if (supply > 0) {
-            uint256 mintable = minter.mintable(address(this));
-            integral += (mintable * PRECISION) / supply;
+            uint256 pending = minter.minted(address(this)) - mintedAccounted + minter.mintable(address(this));
+            integral += (pending * PRECISION) / supply;
         }
         
         uint256 integralFor = rewardIntegralFor[user];
-        return claimableReward[user] + (balanceOf[user] * (integral - integralFor)) / PRECISION;
+        return claimableReward[user] + (workingBalances[user] * (integral - integralFor)) / PRECISION;
+    }
+    
+    /**
+     * @notice Get claimable amount of any reward token, including the Minter's
+     */
+    function claimable(address user, address token) external view returns (uint256) {
+        if (token == address(rewardToken)) return claimableRewards(user);
+        
+        RewardData memory data = rewardData[token];
+        uint256 integral = data.integral;
+        if (totalSupply > 0) {
+            uint256 pending = queuedTokenReward[token];
+            uint256 lastTime = _min(block.timestamp, data.periodFinish);
+            if (lastTime > data.lastUpdate) {
+                pending += (lastTime - data.lastUpdate) * data.rate;
+            }
+            integral += pending * PRECISION / totalSupply;
+        }
+        
+        return claimableTokenReward[user][token]
+            + balanceOf[user] * (integral - rewardIntegralForToken[user][token]) / PRECISION;
+    }
+    
+    /**
+     * @notice Boost the user has now (1e18 = 1x, maxBoost when fully boosted)
+     */
+    function currentBoost(address user) external view returns (uint256) {
+        return _boost(workingBalances[user], balanceOf[user]);
+    }
+    
+    /**
+     * @notice Boost the user would get if checkpointed now with their current veBalance
+     */
+    function previewBoost(address user) external view returns (uint256) {
+        return _boost(_workingBalance(user), balanceOf[user]);
+    }
+    
+    /**
+     * @notice veBalance the user needs right now for the max boost on their current stake
+     * @dev Full boost needs the same share of veToken supply as of this gauge's deposits
+     */
+    function veForMaxBoost(address user) external view returns (uint256) {
+        if (totalSupply == 0) return 0;
+        return votingEscrow.totalSupply() * balanceOf[user] / totalSupply;
+    }
+    
+    function _boost(uint256 working, uint256 balance) internal view returns (uint256) {
+        if (balance == 0) return 0;
+        return working * maxBoost / balance;
+    }
+    
+    /**
+     * @notice Working balance: stake / maxBoost plus a share of total stake by veBalance, capped at the stake
+     */
+    function _workingBalance(address addr) internal view returns (uint256) {
+        uint256 balance = balanceOf[addr];
+        uint256 tokenless = PRECISION * PRECISION / maxBoost;
+        uint256 limit = balance * tokenless / PRECISION;
+        
+        uint256 veSupply = votingEscrow.totalSupply();
+        if (veSupply > 0) {
+            limit += totalSupply * votingEscrow.balanceOf(addr) * (PRECISION - tokenless) / veSupply / PRECISION;
+        }
+        return limit < balance ? limit : balance;
+    }
+    
+    function _updateLiquidityLimit(address addr) internal {
+        uint256 working = _workingBalance(addr);
+        workingSupply = workingSupply + working - workingBalances[addr];
+        workingBalances[addr] = working;
+        
+        emit UpdateLiquidityLimit(addr, balanceOf[addr], totalSupply, working, workingSupply);
     }
     
     /**
@@ -114,19 +350,26 @@ contract LiquidityGauge is ILiquidityGauge, ReentrancyGuard {
         // Checkpoint is handled by modifier
     }
     
+    function _min(uint256 a, uint256 b) internal pure returns (uint256) {
+        return a < b ? a : b;
+    }
+    
     /**
-     * @notice Internal reward update
+     * @notice Internal reward update for the Minter's token and every third-party token
+     * @dev Minter rewards are whatever the Minter has sent this gauge since the last update,
+     *      so mints triggered directly on the Minter are distributed too. Rewards that arrive
+     *      while nobody is staked are held back for the next stakers rather than dropped
      */
     function _updateReward(address account) internal {
-        // Mint new rewards
-        uint256 mintable = minter.mintable(address(this));
-        if (mintable > 0) {
-            minter.mint(address(this));
-        }
+        _updateTokenRewards(account);
+        
+        _tryMint();
         
         // Update global reward integral
-        if (totalSupply > 0 && mintable > 0) {
-            rewardIntegral += (mintable * PRECISION) / totalSupply;
+        uint256 newlyMinted = minter.minted(address(this)) - mintedAccounted;
+        if (workingSupply > 0 && newlyMinted > 0) {
+            mintedAccounted += newlyMinted;
+            rewardIntegral += (newlyMinted * PRECISION) / workingSupply;
         }
         
         // Update user rewards
@@ -135,11 +378,57 @@ contract LiquidityGauge is ILiquidityGauge, ReentrancyGuard {
             uint256 integralFor = rewardIntegralFor[account];
             
             if (integral > integralFor) {
-                claimableReward[account] += (balanceOf[account] * (integral - integralFor)) / PRECISION;
+                uint256 earned = (workingBalances[account] * (integral - integralFor)) / PRECISION;
+                claimableReward[account] += earned;
+                integrateFraction[account] += earned;
                 rewardIntegralFor[account] = integral;
             }
         }
         
         lastUpdate = block.timestamp;
     }
+    
+    /**
+     * @notice Pull this gauge's emissions from the Minter if it can pay them
+     * @dev A Minter that reverts (underfunded, no longer the token's minter, a broken
+     *      schedule) must not lock stakers in, so the mint is skipped; the emissions stay
+     *      mintable and are distributed by a later checkpoint
+     */
+    function _tryMint() internal {
+        try minter.mintable(address(this)) returns (uint256 amount) {
+            if (amount > 0) {
+                try minter.mint(address(this)) {} catch {}
+            }
+        } catch {}
+    }
+    
+    function _updateTokenRewards(address account) internal {
+        for (uint256 i = 0; i < rewardTokens.length; i++) {
+            address token = rewardTokens[i];
+            RewardData storage data = rewardData[token];
+            
+            uint256 lastTime = _min(block.timestamp, data.periodFinish);
+            uint256 pending = queuedTokenReward[token];
+            if (lastTime > data.lastUpdate) {
+                pending += (lastTime - data.lastUpdate) * data.rate;
+                data.lastUpdate = lastTime;
+            }
+            if (pending > 0) {
+                if (totalSupply > 0) {
+                    data.integral += pending * PRECISION / totalSupply;
+                    queuedTokenReward[token] = 0;
+                } else {
+                    queuedTokenReward[token] = pending;
+                }
+            }
+            
+            if (account != address(0)) {
+                uint256 integralFor = rewardIntegralForToken[account][token];
+                if (data.integral > integralFor) {
+                    claimableTokenReward[account][token] += balanceOf[account] * (data.integral - integralFor) / PRECISION;
+                    rewardIntegralForToken[account][token] = data.integral;
+                }
+            }
+        }
+    }
 }
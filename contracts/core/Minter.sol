@@ -2,104 +2,307 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
 import "../interfaces/IMinter.sol";
+import "../interfaces/IEmissionSchedule.sol";
+import "../interfaces/IMintableToken.sol";
 import "../interfaces/IGaugeController.sol";
+import "../interfaces/ILiquidityGauge.sol";
+import "./GuardianPausable.sol";
 
 /**
  * @title Minter
  * @notice Mints reward tokens based on gauge weights
+ * @dev The emission rate comes from a pluggable IEmissionSchedule, set at construction and
+ *      replaceable by the owner after SCHEDULE_DELAY. A new schedule only applies from the time
+ *      it is applied; earlier time keeps the schedule that was in force.
+ *      Emissions are integrated week by week: each week a gauge gets its relative weight for
+ *      that week times the emissions the schedule releases in it. Relative weights sum to at
+ *      most 1, so the gauges together can never be paid more than the schedule.
+ *      While paused nothing is mintable, so gauges keep working without pulling rewards;
+ *      emissions for the paused time are minted once unpaused.
+ *      Emissions come from a pre-funded balance until the owner enables token minting, after
+ *      which the Minter mints them on the token itself, never past the token's supply cap.
  */
-contract Minter is IMinter, Ownable {
+contract Minter is IMinter, GuardianPausable {
     uint256 public constant WEEK = 7 days;
-    uint256 public constant YEAR = 365 days;
-    uint256 public constant INITIAL_RATE = 274_815_283; // ~22.4M per year / (365*86400)
-    uint256 public constant RATE_REDUCTION_TIME = YEAR;
-    uint256 public constant RATE_REDUCTION_COEFFICIENT = 1189207115002721024; // 2^(1/4) * 1e18
-    uint256 public constant RATE_DENOMINATOR = 1e18;
+    uint256 public constant SCHEDULE_DELAY = 7 days;
+    // Weeks integrated per mint; a gauge left longer catches up over several mints
+    uint256 public constant MAX_MINT_WEEKS = 500;
+    
+    struct ScheduleChange {
+        IEmissionSchedule schedule;
+        uint256 from;
+    }
     
     IERC20 public immutable token;
     IGaugeController public immutable controller;
+    // Nothing is emitted before the Minter is deployed, whatever the schedule says
+    uint256 public immutable emissionStart;
+    
+    // Schedules in force, oldest first; each applies until the next one's `from`
+    ScheduleChange[] public scheduleHistory;
+    address public futureSchedule;
+    uint256 public futureScheduleTime;
     
-    uint256 public rate;
-    uint256 public startEpochTime;
-    uint256 public startEpochSupply;
+    // Whether emissions are minted on the token rather than sent from this contract's balance
+    bool public tokenMinting;
     
-    mapping(address => uint256) public minted;
+    mapping(address => uint256) internal _minted;
     mapping(address => uint256) public lastMintTime;
     
-    constructor(address _token, address _controller) Ownable(msg.sender) {
+    // operator => user => allowed to call mintFor on the user's behalf
+    mapping(address => mapping(address => bool)) public allowedToMintFor;
+    
+    constructor(address _token, address _controller, address _schedule) Ownable(msg.sender) {
+        require(_schedule != address(0), "Invalid schedule");
         token = IERC20(_token);
         controller = IGaugeController(_controller);
-        rate = INITIAL_RATE;
-        startEpochTime = block.timestamp;
+        emissionStart = block.timestamp;
+        scheduleHistory.push(ScheduleChange(IEmissionSchedule(_schedule), block.timestamp));
+    }
+    
+    /**
+     * @notice Propose a new emission schedule (admin only), applicable after SCHEDULE_DELAY
+     * @dev Replaces any schedule committed before and restarts the delay
+     */
+    function commitSchedule(address newSchedule) external onlyOwner {
+        require(newSchedule != address(0), "Invalid schedule");
+        
+        futureSchedule = newSchedule;
+        futureScheduleTime = block.timestamp + SCHEDULE_DELAY;
+        
+        emit CommitSchedule(newSchedule, futureScheduleTime);
+    }
+    
+    /**
+     * @notice Switch to the committed schedule once its delay has passed (admin only)
+     */
+    function applySchedule() external onlyOwner {
+        address newSchedule = futureSchedule;
+        require(newSchedule != address(0), "No schedule committed");
+        require(block.timestamp >= futureScheduleTime, "Schedule timelocked");
+        
+        scheduleHistory.push(ScheduleChange(IEmissionSchedule(newSchedule), block.timestamp));
+        futureSchedule = address(0);
+        futureScheduleTime = 0;
+        
+        emit ApplySchedule(newSchedule);
+    }
+    
+    /**
+     * @notice Emission schedule in force now
+     */
+    function schedule() external view returns (IEmissionSchedule) {
+        return scheduleHistory[scheduleHistory.length - 1].schedule;
+    }
+    
+    /**
+     * @notice Number of schedules applied so far, the initial one included
+     */
+    function scheduleCount() external view returns (uint256) {
+        return scheduleHistory.length;
+    }
+    
+    /**
+     * @notice Current emission rate per second, across all gauges
+     */
+    function rate() external view returns (uint256) {
+        return rateAt(block.timestamp);
+    }
+    
+    /**
+     * @notice Emission rate at any timestamp, past or future
+     * @dev Future rates assume no further schedule change; a committed one is not included
+     */
+    function rateAt(uint256 timestamp) public view returns (uint256) {
+        if (timestamp < emissionStart) return 0;
+        
+        uint256 i = scheduleHistory.length - 1;
+        while (scheduleHistory[i].from > timestamp) i--;
+        return scheduleHistory[i].schedule.rateAt(timestamp);
     }
     
     /**
-     * @notice Update mining rate (can be called once per year)
+     * @notice Start of the current rate epoch, for callers of the pre-schedule epoch API
+     * @dev The time the current rate took effect: a period or step boundary of the schedule,
+     *      or when the schedule was applied if that is later
+     */
+    function startEpochTime() public view returns (uint256) {
+        ScheduleChange memory current = scheduleHistory[scheduleHistory.length - 1];
+        uint256 epochStart = current.schedule.epochStart(block.timestamp);
+        return epochStart > current.from ? epochStart : current.from;
+    }
+    
+    /**
+     * @notice Emissions released before the current rate epoch, across all gauges
+     */
+    function startEpochSupply() external view returns (uint256) {
+        return mintableInTimeframe(emissionStart, startEpochTime());
+    }
+    
+    /**
+     * @notice Report the current rate and epoch, for keepers of the pre-schedule epoch API
+     * @dev Rates follow the schedule without updates, so nothing is stored; the event carries
+     *      what the fixed-epoch Minter would have set
      */
     function updateMiningParameters() external {
-        require(block.timestamp >= startEpochTime + RATE_REDUCTION_TIME, "Too soon");
+        emit UpdateMiningParameters(block.timestamp, rateAt(block.timestamp), startEpochTime());
+    }
+    
+    /**
+     * @notice Switch emissions to minting on the token (admin only, one-way)
+     * @dev The token must already name this contract as its minter
+     */
+    function enableTokenMinting() external onlyOwner {
+        require(!tokenMinting, "Already minting");
+        require(IMintableToken(address(token)).minter() == address(this), "Not token minter");
+        
+        tokenMinting = true;
+        
+        emit TokenMintingEnabled();
+    }
+    
+    /**
+     * @notice Mint rewards for gauge, sending them to the gauge for its stakers
+     */
+    function mint(address gaugeAddr) external whenNotPaused {
+        _mintFor(gaugeAddr, gaugeAddr);
+    }
+    
+    /**
+     * @notice Pay out the caller's rewards from several gauges
+     */
+    function mintMany(address[] calldata gaugeAddrs) external {
+        for (uint256 i = 0; i < gaugeAddrs.length; i++) {
+            _mintForUser(gaugeAddrs[i], msg.sender);
+        }
+    }
+    
+    /**
+     * @notice Pay out a user's rewards from a gauge (the user or an operator they approved)
+     * @dev Rewards always go to the user, never to the caller
+     */
+    function mintFor(address gaugeAddr, address user) external {
+        require(msg.sender == user || allowedToMintFor[msg.sender][user], "Mint not allowed");
+        _mintForUser(gaugeAddr, user);
+    }
+    
+    /**
+     * @notice Allow or disallow an operator to call mintFor for the caller
+     */
+    function toggleApproveMint(address operator) external {
+        bool allowed = !allowedToMintFor[operator][msg.sender];
+        allowedToMintFor[operator][msg.sender] = allowed;
         
-        rate = (rate * RATE_DENOMINATOR) / RATE_REDUCTION_COEFFICIENT;
-        startEpochTime += RATE_REDUCTION_TIME;
-        startEpochSupply = token.totalSupply();
+        emit MintApprovalUpdated(msg.sender, operator, allowed);
     }
     
     /**
-     * @notice Mint rewards for gauge
+     * @notice Total amount minted for a gauge
      */
-    function mint(address gaugeAddr) external {
-        _mintFor(gaugeAddr, msg.sender);
+    function minted(address gaugeAddr) external view returns (uint256) {
+        return _minted[gaugeAddr];
+    }
+    
+    /**
+     * @notice Amount of a gauge's emissions paid out to a user so far
+     * @dev Everything credited to the user by the gauge's integral, minus what they have not claimed yet
+     */
+    function minted(address user, address gaugeAddr) external view returns (uint256) {
+        ILiquidityGauge gauge = ILiquidityGauge(gaugeAddr);
+        return gauge.integrateFraction(user) - gauge.claimableReward(user);
     }
     
     /**
      * @notice Get mintable amount for gauge
      */
     function mintable(address gaugeAddr) external view returns (uint256) {
-        return _mintable(gaugeAddr);
+        (uint256 amount, ) = _mintable(gaugeAddr);
+        return amount;
+    }
+    
+    /**
+     * @notice Emissions released between two timestamps, across all gauges
+     * @dev Each part of the timeframe uses the schedule in force then; time before emissionStart
+     *      releases nothing
+     */
+    function mintableInTimeframe(uint256 start, uint256 end) public view returns (uint256 toMint) {
+        require(start <= end, "Invalid timeframe");
+        if (start < emissionStart) start = emissionStart;
+        if (end <= start) return 0;
+        
+        uint256 n = scheduleHistory.length;
+        for (uint256 i = 0; i < n; i++) {
+            uint256 from = scheduleHistory[i].from > start ? scheduleHistory[i].from : start;
+            uint256 to = i + 1 < n && scheduleHistory[i + 1].from < end ? scheduleHistory[i + 1].from : end;
+            if (to > from) toMint += scheduleHistory[i].schedule.released(from, to);
+        }
+    }
+    
+    /**
+     * @notice Total emissions the schedule has released so far, across all gauges
+     */
+    function availableSupply() external view returns (uint256) {
+        return mintableInTimeframe(emissionStart, block.timestamp);
     }
     
     /**
      * @notice Internal mint function
      */
     function _mintFor(address gaugeAddr, address recipient) internal {
-        uint256 mintableAmount = _mintable(gaugeAddr);
+        require(!controller.isKilled(gaugeAddr), "Gauge is killed");
+        (uint256 mintableAmount, uint256 mintedUntil) = _mintable(gaugeAddr);
+        
+        // Weeks at zero weight are skipped too, so the next mint does not integrate them again
+        lastMintTime[gaugeAddr] = mintedUntil;
         
         if (mintableAmount > 0) {
-            minted[gaugeAddr] += mintableAmount;
-            lastMintTime[gaugeAddr] = block.timestamp;
+            _minted[gaugeAddr] += mintableAmount;
             
-            // In production, call token.mint(recipient, mintableAmount)
-            // For now, assume tokens are pre-minted to this contract
-            require(token.transfer(recipient, mintableAmount), "Transfer failed");
+            if (tokenMinting) {
+                IMintableToken(address(token)).mint(recipient, mintableAmount);
+            } else {
+                require(token.transfer(recipient, mintableAmount), "Transfer failed");
+            }
             
             emit Minted(gaugeAddr, recipient, mintableAmount);
         }
     }
     
+    function _mintForUser(address gaugeAddr, address user) internal {
+        controller.gaugeTypes(gaugeAddr); // reverts for unknown gauges
+        ILiquidityGauge(gaugeAddr).claimFor(user);
+    }
+    
     /**
-     * @notice Calculate mintable amount
+     * @notice Calculate mintable amount and the time it is integrated up to
+     * @dev Sums, week by week since the last mint, the gauge's relative weight in that week times
+     *      that week's emissions, for at most MAX_MINT_WEEKS weeks. When minting, clamped to what
+     *      the supply cap still allows; the excess is never minted.
      */
-    function _mintable(address gaugeAddr) internal view returns (uint256) {
-        uint256 lastMint = lastMintTime[gaugeAddr];
-        if (lastMint == 0) {
-            // First time minting - use start epoch time
-            lastMint = startEpochTime;
+    function _mintable(address gaugeAddr) internal view returns (uint256 amount, uint256 until) {
+        until = lastMintTime[gaugeAddr];
+        if (until == 0) {
+            // First time minting - start from the beginning of emissions
+            until = emissionStart;
         }
+        if (paused() || controller.isKilled(gaugeAddr)) return (0, until);
         
-        uint256 timeElapsed = block.timestamp - lastMint;
-        if (timeElapsed == 0) return 0;
-        
-        // Get gauge relative weight
-        uint256 relativeWeight = controller.gaugeRelativeWeight(gaugeAddr, block.timestamp);
-        
-        // Calculate total mintable based on emission rate
-        uint256 totalMintable = rate * timeElapsed;
-        
-        // Calculate gauge share
-        uint256 gaugeMintable = (totalMintable * relativeWeight) / 1e18;
+        for (uint256 i = 0; i < MAX_MINT_WEEKS && until < block.timestamp; i++) {
+            uint256 weekEnd = (until / WEEK + 1) * WEEK;
+            uint256 segmentEnd = block.timestamp < weekEnd ? block.timestamp : weekEnd;
+            
+            uint256 relativeWeight = controller.gaugeRelativeWeight(gaugeAddr, until);
+            if (relativeWeight > 0) {
+                amount += (mintableInTimeframe(until, segmentEnd) * relativeWeight) / 1e18;
+            }
+            until = segmentEnd;
+        }
         
-        return gaugeMintable;
+        if (tokenMinting) {
+            IMintableToken mintableToken = IMintableToken(address(token));
+            uint256 available = mintableToken.cap() - mintableToken.totalSupply();
+            if (amount > available) amount = available;
+        }
     }
 }
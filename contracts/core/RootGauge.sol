@@ -0,0 +1,85 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "../interfaces/IRootGauge.sol";
+import "../interfaces/IMinter.sol";
+
+/**
+ * @title RootGauge
+ * @notice Gauge for stakers on another chain: collects its emissions and bridges them over
+ * @dev Registered in the GaugeController like any gauge, so veToken holders vote on it as usual.
+ *      It holds no stake; once a week anyone can call transmitEmissions to mint what it has
+ *      earned and send it through the bridge adapter to the ChildGauge that pays stakers.
+ */
+contract RootGauge is IRootGauge, ReentrancyGuard, Ownable {
+    using SafeERC20 for IERC20;
+    
+    uint256 public constant WEEK = 7 days;
+    
+    IMinter public immutable minter;
+    IERC20 public immutable rewardToken;
+    
+    IBridgeAdapter public bridgeAdapter;
+    address public childGauge;
+    
+    uint256 public lastTransmitted;
+    uint256 public totalTransmitted;
+    
+    /**
+     * @param _minter Minter paying this gauge
+     * @param _bridgeAdapter Adapter for the bridge to the child gauge's chain
+     * @param _childGauge Child gauge, or zero to set once it is deployed
+     */
+    constructor(address _minter, address _bridgeAdapter, address _childGauge) Ownable(msg.sender) {
+        require(_bridgeAdapter != address(0), "Invalid bridge adapter");
+        minter = IMinter(_minter);
+        rewardToken = minter.token();
+        bridgeAdapter = IBridgeAdapter(_bridgeAdapter);
+        childGauge = _childGauge;
+    }
+    
+    /**
+     * @notice Point transmissions at another bridge adapter (admin only)
+     */
+    function setBridgeAdapter(address adapter) external onlyOwner {
+        require(adapter != address(0), "Invalid bridge adapter");
+        bridgeAdapter = IBridgeAdapter(adapter);
+        emit BridgeAdapterUpdated(adapter);
+    }
+    
+    /**
+     * @notice Set the child gauge that receives emissions (admin only)
+     */
+    function setChildGauge(address child) external onlyOwner {
+        require(child != address(0), "Invalid child gauge");
+        childGauge = child;
+        emit ChildGaugeUpdated(child);
+    }
+    
+    /**
+     * @notice Mint this gauge's emissions and bridge everything it holds to the child gauge
+     * @dev Once per week; anything minted to this gauge directly on the Minter goes too
+     */
+    function transmitEmissions() external nonReentrant returns (uint256 amount) {
+        require(childGauge != address(0), "Child gauge not set");
+        require(block.timestamp / WEEK > lastTransmitted / WEEK, "Already transmitted this week");
+        lastTransmitted = block.timestamp;
+        
+        if (minter.mintable(address(this)) > 0) {
+            minter.mint(address(this));
+        }
+        
+        amount = rewardToken.balanceOf(address(this));
+        if (amount > 0) {
+            totalTransmitted += amount;
+            rewardToken.forceApprove(address(bridgeAdapter), amount);
+            bridgeAdapter.bridge(address(rewardToken), childGauge, amount);
+        }
+        
+        emit EmissionsTransmitted(childGauge, amount);
+    }
+}
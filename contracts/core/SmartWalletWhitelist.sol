@@ -0,0 +1,69 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "../interfaces/ISmartWalletChecker.sol";
+
+/**
+ * @title SmartWalletWhitelist
+ * @notice Owner-approved list of smart contracts allowed to lock in VotingEscrow
+ * @dev Meant for multisigs, DAO treasuries and vetted integrations, not wrappers that
+ *      would tokenise ve power. A second checker can be chained behind the list through
+ *      commit/apply, e.g. to hand decisions to a newer policy without re-approving wallets.
+ */
+contract SmartWalletWhitelist is ISmartWalletChecker, Ownable {
+    mapping(address => bool) public wallets;
+    
+    // Consulted for wallets not on the list
+    address public checker;
+    address public futureChecker;
+    
+    event ApproveWallet(address indexed wallet);
+    event RevokeWallet(address indexed wallet);
+    event CommitChecker(address checker);
+    event ApplyChecker(address checker);
+    
+    constructor() Ownable(msg.sender) {}
+    
+    /**
+     * @notice Allow a contract to lock (admin only)
+     */
+    function approveWallet(address wallet) external onlyOwner {
+        wallets[wallet] = true;
+        emit ApproveWallet(wallet);
+    }
+    
+    /**
+     * @notice Stop a contract from locking more (admin only)
+     * @dev Existing locks are untouched and can still be withdrawn
+     */
+    function revokeWallet(address wallet) external onlyOwner {
+        wallets[wallet] = false;
+        emit RevokeWallet(wallet);
+    }
+    
+    /**
+     * @notice Stage a checker to consult for wallets not on the list (admin only)
+     */
+    function commitSetChecker(address _checker) external onlyOwner {
+        futureChecker = _checker;
+        emit CommitChecker(_checker);
+    }
+    
+    /**
+     * @notice Activate the staged checker (admin only)
+     */
+    function applySetChecker() external onlyOwner {
+        checker = futureChecker;
+        emit ApplyChecker(checker);
+    }
+    
+    /**
+     * @notice Whether a contract may lock: on the list, or approved by the chained checker
+     */
+    function check(address addr) external view returns (bool) {
+        if (wallets[addr]) return true;
+        if (checker != address(0)) return ISmartWalletChecker(checker).check(addr);
+        return false;
+    }
+}
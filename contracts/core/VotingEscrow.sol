@@ -5,13 +5,23 @@ import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "../interfaces/IVotingEscrow.sol";
+import "../interfaces/IGaugeController.sol";
+import "../interfaces/ISmartWalletChecker.sol";
+import "./GuardianPausable.sol";
 
 /**
  * @title VotingEscrow
  * @notice Vote-escrowed token with time-weighted voting power
- * @dev Locks tokens for up to MAX_TIME, voting power decays linearly to unlock
+ * @dev Locks tokens for up to MAX_TIME, voting power decays linearly to unlock.
+ *      A lock's power can be delegated; delegated balances are checkpointed per
+ *      delegate with their own slope changes, so they decay like the locks behind them.
+ *      Contracts can only lock when the smart wallet checker approves them.
+ *      A permanent lock has no unlock time and holds its full-lock power with zero slope
+ *      until its owner unlocks it, which starts a normal MAX_TIME decay.
+ *      In an emergency new locks can be paused, and unlockAll lets every lock be
+ *      withdrawn at once; withdrawals themselves are never paused.
  */
-contract VotingEscrow is IVotingEscrow, ReentrancyGuard {
+contract VotingEscrow is IVotingEscrow, ReentrancyGuard, GuardianPausable {
     using SafeERC20 for IERC20;
     
     struct Point {
@@ -23,18 +33,22 @@ contract VotingEscrow is IVotingEscrow, ReentrancyGuard {
     
     struct LockedBalance {
         uint256 amount;
-        uint256 end;
+        uint256 end;          // 0 while permanent
+        bool isPermanent;
     }
     
     uint256 public constant WEEK = 7 days;
     uint256 public constant MAX_TIME = 4 * 365 days; // 4 years
     uint256 public constant MULTIPLIER = 1e18;
+    uint256 public constant MAX_EARLY_WITHDRAW_PENALTY = 1e18;
     
     IERC20 public immutable token;
     string public name;
     string public symbol;
     
     mapping(address => LockedBalance) public locked;
+    // Total amount held in permanent locks
+    uint256 public permanentLockBalance;
     
     uint256 public epoch;
     mapping(uint256 => Point) public pointHistory;
@@ -43,11 +57,36 @@ contract VotingEscrow is IVotingEscrow, ReentrancyGuard {
     
     mapping(uint256 => int128) public slopeChanges;
     
+    // Delegation: unset means the lock's power stays with its owner
+    mapping(address => address) internal _delegates;
+    mapping(address => mapping(uint256 => Point)) public delegatedPointHistory;
+    mapping(address => uint256) public delegatedPointEpoch;
+    mapping(address => mapping(uint256 => int128)) public delegatedSlopeChanges;
+    // Non-decaying part of each delegate's balance, from permanent locks
+    mapping(address => uint256) public delegatedPermanentBalance;
     
-    constructor(address _token, string memory _name, string memory _symbol) {
+    // Gauge controller whose votes are cleared when delegated power moves away
+    address public voter;
+    
+    // Early exit: the penalty is this fraction of the amount for a lock with MAX_TIME left,
+    // scaled down linearly with the time remaining
+    uint256 public earlyWithdrawPenalty = 0.75e18;
+    address public penaltyRecipient;
+    
+    // Approves contract lockers; EOAs never need approval
+    address public smartWalletChecker;
+    address public futureSmartWalletChecker;
+    // Escape hatch: lets every contract lock without asking the checker
+    bool public contractsAllowed;
+    
+    // Emergency exit: once set, every lock can be withdrawn regardless of its unlock time
+    bool public unlocked;
+    
+    constructor(address _token, string memory _name, string memory _symbol) Ownable(msg.sender) {
         token = IERC20(_token);
         name = _name;
         symbol = _symbol;
+        penaltyRecipient = msg.sender;
         
         pointHistory[0] = Point({
             bias: 0,
@@ -62,7 +101,8 @@ contract VotingEscrow is IVotingEscrow, ReentrancyGuard {
      * @param amount Amount to lock
      * @param unlockTime Unlock timestamp (rounded down to weeks)
      */
-    function createLock(uint256 amount, uint256 unlockTime) external nonReentrant {
+    function createLock(uint256 amount, uint256 unlockTime) external nonReentrant whenNotPaused {
+        _assertNotContract(msg.sender);
         require(amount > 0, "Amount must be > 0");
         
         LockedBalance memory _locked = locked[msg.sender];
@@ -81,10 +121,11 @@ contract VotingEscrow is IVotingEscrow, ReentrancyGuard {
      * @notice Increase locked amount
      * @param amount Additional amount to lock
      */
-    function increaseAmount(uint256 amount) external nonReentrant {
+    function increaseAmount(uint256 amount) external nonReentrant whenNotPaused {
+        _assertNotContract(msg.sender);
         LockedBalance memory _locked = locked[msg.sender];
         require(_locked.amount > 0, "No existing lock");
-        require(_locked.end > block.timestamp, "Lock expired");
+        require(_locked.end > block.timestamp || _locked.isPermanent, "Lock expired");
         require(amount > 0, "Amount must be > 0");
         
         _depositFor(msg.sender, amount, 0, _locked, 1);
@@ -96,9 +137,11 @@ contract VotingEscrow is IVotingEscrow, ReentrancyGuard {
      * @notice Extend unlock time
      * @param unlockTime New unlock timestamp
      */
-    function increaseUnlockTime(uint256 unlockTime) external nonReentrant {
+    function increaseUnlockTime(uint256 unlockTime) external nonReentrant whenNotPaused {
+        _assertNotContract(msg.sender);
         LockedBalance memory _locked = locked[msg.sender];
         require(_locked.amount > 0, "No existing lock");
+        require(!_locked.isPermanent, "Lock is permanent");
         require(_locked.end > block.timestamp, "Lock expired");
         
         unlockTime = (unlockTime / WEEK) * WEEK;
@@ -109,25 +152,284 @@ contract VotingEscrow is IVotingEscrow, ReentrancyGuard {
     }
     
     /**
-     * @notice Withdraw all tokens after lock expiry
+     * @notice Withdraw all tokens after lock expiry, or at any time once unlockAll was called
+     * @dev A lock withdrawn while still live takes its power with it, so votes cast with
+     *      it are cleared as for a delegation change. A voter that fails to clear them
+     *      does not hold up the withdrawal
      */
     function withdraw() external nonReentrant {
         LockedBalance memory _locked = locked[msg.sender];
-        require(_locked.end <= block.timestamp, "Lock not expired");
+        require(unlocked || !_locked.isPermanent, "Lock is permanent");
+        require(unlocked || _locked.end <= block.timestamp, "Lock not expired");
         uint256 value = _locked.amount;
+        bool live = _locked.isPermanent || _locked.end > block.timestamp;
         
-        LockedBalance memory oldLocked = _locked;
-        _locked.amount = 0;
-        _locked.end = 0;
-        locked[msg.sender] = _locked;
+        LockedBalance memory empty = LockedBalance({amount: 0, end: 0, isPermanent: false});
+        locked[msg.sender] = empty;
         
-        _checkpoint(msg.sender, oldLocked, _locked);
+        _checkpoint(msg.sender, _locked, empty);
+        address delegatee = delegates(msg.sender);
+        _checkpointDelegate(delegatee, _locked, empty);
+        if (live && voter != address(0)) {
+            try IGaugeController(voter).clearVotes(delegatee) {} catch {}
+        }
         
         token.safeTransfer(msg.sender, value);
         
         emit Withdraw(msg.sender, value, block.timestamp);
     }
     
+    /**
+     * @notice Withdraw a lock before it expires, paying a penalty on the principal
+     * @dev The power leaves with the lock, so votes cast with it are cleared as for
+     *      a delegation change. A permanent lock pays the penalty for MAX_TIME left, and
+     *      no lock pays any after unlockAll
+     */
+    function withdrawEarly() external nonReentrant {
+        LockedBalance memory _locked = locked[msg.sender];
+        require(_locked.amount > 0, "No existing lock");
+        require(_locked.end > block.timestamp || _locked.isPermanent, "Lock expired");
+        
+        (uint256 value, uint256 penalty) = _earlyWithdrawAmounts(_locked);
+        
+        LockedBalance memory empty = LockedBalance({amount: 0, end: 0, isPermanent: false});
+        locked[msg.sender] = empty;
+        
+        _checkpoint(msg.sender, _locked, empty);
+        address delegatee = delegates(msg.sender);
+        _checkpointDelegate(delegatee, _locked, empty);
+        if (voter != address(0)) {
+            IGaugeController(voter).clearVotes(delegatee);
+        }
+        
+        token.safeTransfer(msg.sender, value);
+        if (penalty > 0) {
+            token.safeTransfer(penaltyRecipient, penalty);
+        }
+        
+        emit EarlyWithdraw(msg.sender, value, penalty, block.timestamp);
+    }
+    
+    /**
+     * @notice Amount an early withdrawal would return now, and the penalty it would pay
+     */
+    function previewEarlyWithdraw(address addr) external view returns (uint256 value, uint256 penalty) {
+        LockedBalance memory _locked = locked[addr];
+        if (_locked.amount == 0) return (0, 0);
+        if (_locked.end <= block.timestamp && !_locked.isPermanent) return (_locked.amount, 0);
+        return _earlyWithdrawAmounts(_locked);
+    }
+    
+    /**
+     * @notice Set the early withdrawal penalty for a lock with MAX_TIME left (admin only)
+     * @param penalty Fraction of the amount, 1e18 = 100%
+     */
+    function setEarlyWithdrawPenalty(uint256 penalty) external onlyOwner {
+        require(penalty <= MAX_EARLY_WITHDRAW_PENALTY, "Invalid penalty");
+        earlyWithdrawPenalty = penalty;
+        emit EarlyWithdrawPenaltyUpdated(penalty);
+    }
+    
+    /**
+     * @notice Set where early withdrawal penalties go (admin only)
+     * @dev A treasury, or a distributor that shares them with remaining lockers
+     */
+    function setPenaltyRecipient(address recipient) external onlyOwner {
+        require(recipient != address(0), "Invalid recipient");
+        penaltyRecipient = recipient;
+        emit PenaltyRecipientUpdated(recipient);
+    }
+    
+    /**
+     * @dev No penalty once unlockAll was called, since withdraw() returns the whole lock then
+     */
+    function _earlyWithdrawAmounts(LockedBalance memory _locked) internal view returns (uint256 value, uint256 penalty) {
+        if (unlocked) return (_locked.amount, 0);
+        uint256 remaining = _locked.isPermanent ? MAX_TIME : _locked.end - block.timestamp;
+        penalty = _locked.amount * earlyWithdrawPenalty * remaining / MAX_TIME / MULTIPLIER;
+        value = _locked.amount - penalty;
+    }
+    
+    /**
+     * @notice Let every lock be withdrawn now, regardless of its unlock time (owner only)
+     * @dev One-way emergency switch: it cannot be undone, and no new locks can be made
+     *      or extended afterwards
+     */
+    function unlockAll() external onlyOwner {
+        require(!unlocked, "Escrow unlocked");
+        unlocked = true;
+        emit UnlockAll(block.timestamp);
+    }
+    
+    /**
+     * @notice Turn the caller's live lock into a permanent one
+     * @dev Power jumps to the full-lock level (slope × MAX_TIME) and stops decaying,
+     *      so the lock no longer needs weekly increaseUnlockTime calls to stay at max
+     */
+    function lockPermanent() external nonReentrant whenNotPaused {
+        require(!unlocked, "Escrow unlocked");
+        LockedBalance memory _locked = locked[msg.sender];
+        require(_locked.amount > 0, "No existing lock");
+        require(!_locked.isPermanent, "Lock is permanent");
+        require(_locked.end > block.timestamp, "Lock expired");
+        
+        LockedBalance memory newLocked = LockedBalance({amount: _locked.amount, end: 0, isPermanent: true});
+        locked[msg.sender] = newLocked;
+        
+        _checkpoint(msg.sender, _locked, newLocked);
+        _checkpointDelegate(delegates(msg.sender), _locked, newLocked);
+        
+        emit LockPermanent(msg.sender, _locked.amount, block.timestamp);
+    }
+    
+    /**
+     * @notice Turn the caller's permanent lock back into one that unlocks after MAX_TIME
+     * @dev The unlock time rounds down to a week, like createLock. Votes cast with the
+     *      non-decaying power are cleared, as on a delegation change
+     */
+    function unlockPermanent() external nonReentrant {
+        LockedBalance memory _locked = locked[msg.sender];
+        require(_locked.isPermanent, "Lock is not permanent");
+        
+        uint256 unlockTime = ((block.timestamp + MAX_TIME) / WEEK) * WEEK;
+        LockedBalance memory newLocked = LockedBalance({amount: _locked.amount, end: unlockTime, isPermanent: false});
+        locked[msg.sender] = newLocked;
+        
+        _checkpoint(msg.sender, _locked, newLocked);
+        address delegatee = delegates(msg.sender);
+        _checkpointDelegate(delegatee, _locked, newLocked);
+        if (voter != address(0)) {
+            IGaugeController(voter).clearVotes(delegatee);
+        }
+        
+        emit UnlockPermanent(msg.sender, _locked.amount, unlockTime, block.timestamp);
+    }
+    
+    /**
+     * @notice Delegate the caller's lock power to another address
+     * @dev The address losing the power has its gauge votes cleared, since they
+     *      were cast with power it no longer holds
+     * @param delegatee Address to delegate to (the caller's own address undelegates)
+     */
+    function delegate(address delegatee) external nonReentrant {
+        require(delegatee != address(0), "Invalid delegate");
+        _delegate(msg.sender, delegatee);
+    }
+    
+    /**
+     * @notice Take back delegated power
+     */
+    function undelegate() external nonReentrant {
+        _delegate(msg.sender, msg.sender);
+    }
+    
+    /**
+     * @notice Set the gauge controller notified when delegated power moves (admin only)
+     */
+    function setVoter(address _voter) external onlyOwner {
+        voter = _voter;
+        emit VoterUpdated(_voter);
+    }
+    
+    /**
+     * @notice Stage a new smart wallet checker (admin only)
+     */
+    function commitSmartWalletChecker(address checker) external onlyOwner {
+        futureSmartWalletChecker = checker;
+        emit CommitSmartWalletChecker(checker);
+    }
+    
+    /**
+     * @notice Activate the staged smart wallet checker (admin only)
+     * @dev Setting it to zero leaves only EOAs able to lock
+     */
+    function applySmartWalletChecker() external onlyOwner {
+        smartWalletChecker = futureSmartWalletChecker;
+        emit ApplySmartWalletChecker(smartWalletChecker);
+    }
+    
+    /**
+     * @notice Let all contracts lock regardless of the checker, or restore the check (admin only)
+     * @dev Escape hatch for a broken or abandoned checker; takes effect immediately
+     */
+    function setContractsAllowed(bool allowed) external onlyOwner {
+        contractsAllowed = allowed;
+        emit ContractsAllowedUpdated(allowed);
+    }
+    
+    /**
+     * @notice Only EOAs and approved contracts may lock
+     * @dev Withdrawals are never gated, so a revoked contract can still exit
+     */
+    function _assertNotContract(address addr) internal view {
+        // solhint-disable-next-line avoid-tx-origin
+        if (addr == tx.origin || contractsAllowed) return;
+        address checker = smartWalletChecker;
+        require(
+            checker != address(0) && ISmartWalletChecker(checker).check(addr),
+            "Smart contract depositors not allowed"
+        );
+    }
+    
+    function _delegate(address delegator, address delegatee) internal {
+        address current = delegates(delegator);
+        require(delegatee != current, "Already delegated");
+        
+        LockedBalance memory _locked = locked[delegator];
+        LockedBalance memory empty = LockedBalance({amount: 0, end: 0, isPermanent: false});
+        
+        _delegates[delegator] = delegatee;
+        
+        if (_locked.amount > 0 && (_locked.end > block.timestamp || _locked.isPermanent)) {
+            _checkpointDelegate(current, _locked, empty);
+            _checkpointDelegate(delegatee, empty, _locked);
+            if (voter != address(0)) {
+                IGaugeController(voter).clearVotes(current);
+            }
+        }
+        
+        emit DelegateChanged(delegator, current, delegatee);
+    }
+    
+    /**
+     * @notice Address currently holding an address's lock power
+     */
+    function delegates(address addr) public view returns (address) {
+        address delegatee = _delegates[addr];
+        return delegatee == address(0) ? addr : delegatee;
+    }
+    
+    /**
+     * @notice Get current voting power delegated to an address, including its own undelegated lock
+     */
+    function delegatedBalanceOf(address addr) external view returns (uint256) {
+        return delegatedBalanceOf(addr, block.timestamp);
+    }
+    
+    /**
+     * @notice Get voting power delegated to an address at a timestamp
+     */
+    function delegatedBalanceOf(address addr, uint256 timestamp) public view returns (uint256) {
+        Point memory point = _delegatedPointAt(addr, timestamp);
+        if (point.bias < 0) return 0;
+        return uint256(uint128(point.bias));
+    }
+    
+    /**
+     * @notice When an address's decaying delegated power would run out at its current rate
+     * @dev Rounded down to a week. For a single lock this is its unlock time; for several
+     *      it is earlier than the last unlock, since the slope drops as locks expire, so
+     *      power projected from it never exceeds what is actually delegated. Power from
+     *      permanent locks (delegatedPermanentBalance) never runs out and is left out
+     */
+    function delegatedPowerEnd(address addr) external view returns (uint256) {
+        Point memory point = _delegatedPointAt(addr, block.timestamp);
+        int128 decaying = point.bias - int128(int256(delegatedPermanentBalance[addr]));
+        if (decaying <= 0 || point.slope <= 0) return 0;
+        uint256 remaining = uint256(uint128(decaying)) / uint256(uint128(point.slope));
+        return ((block.timestamp + remaining) / WEEK) * WEEK;
+    }
+    
     /**
      * @notice Get current voting power for address
      */
@@ -137,16 +439,39 @@ contract VotingEscrow is IVotingEscrow, ReentrancyGuard {
     
     /**
      * @notice Get voting power at specific timestamp
+     * @dev Uses the last user point at or before `timestamp`, so past lookups are not
+     *      affected by later lock changes
      */
     function balanceOf(address addr, uint256 timestamp) public view returns (uint256) {
-        uint256 _epoch = userPointEpoch[addr];
+        uint256 _epoch = _findTimestampEpoch(userPointHistory[addr], userPointEpoch[addr], timestamp);
         if (_epoch == 0) return 0;
         
         Point memory lastPoint = userPointHistory[addr][_epoch];
-        lastPoint.bias -= lastPoint.slope * int128(int256(timestamp - lastPoint.ts));
-        if (lastPoint.bias < 0) lastPoint.bias = 0;
+        return _biasAt(lastPoint, timestamp);
+    }
+    
+    /**
+     * @notice Get voting power at a past block
+     * @param addr User address
+     * @param blk Block number, at most the current block
+     */
+    function balanceOfAt(address addr, uint256 blk) external view returns (uint256) {
+        require(blk <= block.number, "Future block");
         
-        return uint256(uint128(lastPoint.bias));
+        uint256 _epoch = _findBlockEpoch(userPointHistory[addr], userPointEpoch[addr], blk);
+        if (_epoch == 0) return 0;
+        
+        Point memory lastPoint = userPointHistory[addr][_epoch];
+        return _biasAt(lastPoint, _blockTime(blk));
+    }
+    
+    /**
+     * @notice Get total voting power at a past block
+     * @param blk Block number, at most the current block
+     */
+    function totalSupplyAt(uint256 blk) external view returns (uint256) {
+        require(blk <= block.number, "Future block");
+        return totalSupply(_blockTime(blk));
     }
     
     /**
@@ -160,13 +485,91 @@ contract VotingEscrow is IVotingEscrow, ReentrancyGuard {
      * @notice Get total voting power at timestamp
      */
     function totalSupply(uint256 timestamp) public view returns (uint256) {
-        uint256 _epoch = epoch;
-        if (_epoch == 0) return 0;
+        if (epoch == 0) return 0;
         
+        uint256 _epoch = _findTimestampEpoch(pointHistory, epoch, timestamp);
         Point memory lastPoint = pointHistory[_epoch];
+        if (timestamp < lastPoint.ts) return 0;
+        
         return _supplyAt(lastPoint, timestamp);
     }
     
+    /**
+     * @notice Latest epoch whose point was recorded at or before `timestamp`
+     * @dev Epoch 0 of a user history is empty, so 0 there means no lock yet
+     */
+    function _findTimestampEpoch(
+        mapping(uint256 => Point) storage history,
+        uint256 maxEpoch,
+        uint256 timestamp
+    ) internal view returns (uint256) {
+        uint256 lo = 0;
+        uint256 hi = maxEpoch;
+        while (lo < hi) {
+            uint256 mid = (lo + hi + 1) / 2;
+            if (history[mid].ts <= timestamp) {
+                lo = mid;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        return lo;
+    }
+    
+    /**
+     * @notice Latest epoch whose point was recorded at or before block `blk`
+     */
+    function _findBlockEpoch(
+        mapping(uint256 => Point) storage history,
+        uint256 maxEpoch,
+        uint256 blk
+    ) internal view returns (uint256) {
+        uint256 lo = 0;
+        uint256 hi = maxEpoch;
+        while (lo < hi) {
+            uint256 mid = (lo + hi + 1) / 2;
+            if (history[mid].blk <= blk) {
+                lo = mid;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        return lo;
+    }
+    
+    /**
+     * @notice Timestamp of a past block, from the global points around it
+     * @dev The first global point labelled with a block is the one written by a checkpoint
+     *      in that block (weekly points filled in later carry estimated block numbers and
+     *      later timestamps), so its timestamp is exact. Otherwise the time is interpolated
+     *      between the points either side, or between the last point and the current block
+     */
+    function _blockTime(uint256 blk) internal view returns (uint256) {
+        uint256 _epoch = blk == 0 ? 0 : _findBlockEpoch(pointHistory, epoch, blk - 1);
+        Point memory point0 = pointHistory[_epoch];
+        if (point0.blk >= blk) return point0.ts;
+        
+        uint256 dBlock;
+        uint256 dt;
+        if (_epoch < epoch) {
+            Point memory point1 = pointHistory[_epoch + 1];
+            if (point1.blk == blk) return point1.ts;
+            dBlock = point1.blk - point0.blk;
+            dt = point1.ts - point0.ts;
+        } else {
+            dBlock = block.number - point0.blk;
+            dt = block.timestamp - point0.ts;
+        }
+        
+        return point0.ts + (dt * (blk - point0.blk)) / dBlock;
+    }
+    
+    function _biasAt(Point memory point, uint256 t) internal pure returns (uint256) {
+        if (t < point.ts) return 0;
+        int128 bias = point.bias - point.slope * int128(int256(t - point.ts));
+        return bias > 0 ? uint256(uint128(bias)) : 0;
+    }
+    
     function _supplyAt(Point memory point, uint256 t) internal view returns (uint256) {
         Point memory lastPoint = point;
         uint256 ti = (lastPoint.ts / WEEK) * WEEK;
@@ -189,6 +592,18 @@ contract VotingEscrow is IVotingEscrow, ReentrancyGuard {
         return uint256(uint128(lastPoint.bias));
     }
     
+    /**
+     * @notice A lock's power and decay rate now
+     * @dev Permanent locks hold the power of a lock with exactly MAX_TIME left
+     */
+    function _lockPower(LockedBalance memory _locked) internal view returns (int128 bias, int128 slope) {
+        if (_locked.amount == 0) return (0, 0);
+        int128 lockSlope = int128(int256(_locked.amount / MAX_TIME));
+        if (_locked.isPermanent) return (lockSlope * int128(int256(MAX_TIME)), 0);
+        if (_locked.end <= block.timestamp) return (0, 0);
+        return (lockSlope * int128(int256(_locked.end - block.timestamp)), lockSlope);
+    }
+    
     function _depositFor(
         address addr,
         uint256 value,
@@ -196,14 +611,17 @@ contract VotingEscrow is IVotingEscrow, ReentrancyGuard {
         LockedBalance memory lockedBalance,
         uint256 depositType
     ) internal {
+        require(!unlocked, "Escrow unlocked");
         // Save old locked state BEFORE modifying (must create explicit copy)
         LockedBalance memory oldLocked = LockedBalance({
             amount: lockedBalance.amount,
-            end: lockedBalance.end
+            end: lockedBalance.end,
+            isPermanent: lockedBalance.isPermanent
         });
         LockedBalance memory _locked = LockedBalance({
             amount: lockedBalance.amount,
-            end: lockedBalance.end
+            end: lockedBalance.end,
+            isPermanent: lockedBalance.isPermanent
         });
         
         if (value != 0) {
@@ -215,10 +633,10 @@ contract VotingEscrow is IVotingEscrow, ReentrancyGuard {
         locked[addr] = _locked;
         
         _checkpoint(addr, oldLocked, _locked);
+        _checkpointDelegate(delegates(addr), oldLocked, _locked);
         
-        if (value != 0) {
-            emit Deposit(addr, value, _locked.end, block.timestamp);
-        }
+        // Also emitted with value 0 for extensions, so the new unlock time is observable
+        emit Deposit(addr, value, _locked.end, block.timestamp);
     }
     
     function _checkpoint(
@@ -232,14 +650,10 @@ contract VotingEscrow is IVotingEscrow, ReentrancyGuard {
         int128 newDslope = 0;
         
         if (addr != address(0)) {
-            if (oldLocked.end > block.timestamp && oldLocked.amount > 0) {
-                uOld.slope = int128(int256(oldLocked.amount / MAX_TIME));
-                uOld.bias = uOld.slope * int128(int256(oldLocked.end - block.timestamp));
-            }
-            if (newLocked.end > block.timestamp && newLocked.amount > 0) {
-                uNew.slope = int128(int256(newLocked.amount / MAX_TIME));
-                uNew.bias = uNew.slope * int128(int256(newLocked.end - block.timestamp));
-            }
+            (uOld.bias, uOld.slope) = _lockPower(oldLocked);
+            (uNew.bias, uNew.slope) = _lockPower(newLocked);
+            if (oldLocked.isPermanent) permanentLockBalance -= oldLocked.amount;
+            if (newLocked.isPermanent) permanentLockBalance += newLocked.amount;
             
             oldDslope = slopeChanges[oldLocked.end];
             if (newLocked.end != 0) {
@@ -321,4 +735,77 @@ contract VotingEscrow is IVotingEscrow, ReentrancyGuard {
             userPointHistory[addr][userEpoch] = uNew;
         }
     }
+    
+    /**
+     * @notice Move a lock's contribution within a delegate's checkpointed balance
+     * @dev Mirrors the user side of _checkpoint: an expired lock contributes nothing,
+     *      a live one adds its slope now and removes it again at its unlock time, and a
+     *      permanent one adds constant power
+     */
+    function _checkpointDelegate(
+        address delegatee,
+        LockedBalance memory oldLocked,
+        LockedBalance memory newLocked
+    ) internal {
+        Point memory point = _delegatedPointAt(delegatee, block.timestamp);
+        
+        if (oldLocked.isPermanent) {
+            (int128 oldPower, ) = _lockPower(oldLocked);
+            point.bias -= oldPower;
+            delegatedPermanentBalance[delegatee] -= uint256(uint128(oldPower));
+        }
+        if (newLocked.isPermanent) {
+            (int128 newPower, ) = _lockPower(newLocked);
+            point.bias += newPower;
+            delegatedPermanentBalance[delegatee] += uint256(uint128(newPower));
+        }
+        if (oldLocked.end > block.timestamp && oldLocked.amount > 0) {
+            int128 oldSlope = int128(int256(oldLocked.amount / MAX_TIME));
+            point.slope -= oldSlope;
+            point.bias -= oldSlope * int128(int256(oldLocked.end - block.timestamp));
+            delegatedSlopeChanges[delegatee][oldLocked.end] += oldSlope;
+        }
+        if (newLocked.end > block.timestamp && newLocked.amount > 0) {
+            int128 newSlope = int128(int256(newLocked.amount / MAX_TIME));
+            point.slope += newSlope;
+            point.bias += newSlope * int128(int256(newLocked.end - block.timestamp));
+            delegatedSlopeChanges[delegatee][newLocked.end] -= newSlope;
+        }
+        if (point.slope < 0) point.slope = 0;
+        if (point.bias < 0) point.bias = 0;
+        
+        uint256 _epoch = delegatedPointEpoch[delegatee] + 1;
+        delegatedPointEpoch[delegatee] = _epoch;
+        delegatedPointHistory[delegatee][_epoch] = point;
+    }
+    
+    /**
+     * @notice A delegate's last point at or before `t`, carried forward through its slope changes
+     */
+    function _delegatedPointAt(address delegatee, uint256 t) internal view returns (Point memory) {
+        uint256 _epoch = _findTimestampEpoch(delegatedPointHistory[delegatee], delegatedPointEpoch[delegatee], t);
+        if (_epoch == 0) return Point({bias: 0, slope: 0, ts: t, blk: block.number});
+        
+        Point memory lastPoint = delegatedPointHistory[delegatee][_epoch];
+        uint256 ti = (lastPoint.ts / WEEK) * WEEK;
+        
+        for (uint256 i = 0; i < 255; i++) {
+            ti += WEEK;
+            int128 dSlope = 0;
+            if (ti > t) {
+                ti = t;
+            } else {
+                dSlope = delegatedSlopeChanges[delegatee][ti];
+            }
+            lastPoint.bias -= lastPoint.slope * int128(int256(ti - lastPoint.ts));
+            lastPoint.slope += dSlope;
+            lastPoint.ts = ti;
+            if (ti == t) break;
+        }
+        
+        if (lastPoint.slope < 0) lastPoint.slope = 0;
+        lastPoint.ts = t;
+        lastPoint.blk = block.number;
+        return lastPoint;
+    }
 }
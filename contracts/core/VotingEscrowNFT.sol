@@ -0,0 +1,668 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "../interfaces/IVotingEscrowNFT.sol";
+import "../interfaces/IGaugeController.sol";
+import "../interfaces/ISmartWalletChecker.sol";
+import "./GuardianPausable.sol";
+
+/**
+ * @title VotingEscrowNFT
+ * @notice ERC-721 voting escrow: every lock is a token with its own amount and unlock time
+ * @dev Same time-weighted power as VotingEscrow, checkpointed per token and summed per
+ *      owner. The owner sums carry their own slope changes, like VotingEscrow's delegated
+ *      balances, and are exposed under the names the GaugeController and gauges read
+ *      (`balanceOf(address)`, `delegatedBalanceOf`, `delegatedPowerEnd`), so either escrow
+ *      can back a deployment. Unlike a plain ERC-721, `balanceOf(owner)` is therefore the
+ *      owner's voting power; `tokensOfOwner(owner)` lists the positions. Locking is gated
+ *      like VotingEscrow: a smart wallet checker for contracts, the pause and unlockAll.
+ */
+contract VotingEscrowNFT is IVotingEscrowNFT, ERC721, ReentrancyGuard, GuardianPausable {
+    using SafeERC20 for IERC20;
+    
+    struct Point {
+        int128 bias;      // Voting power
+        int128 slope;     // Decay rate
+        uint256 ts;       // Timestamp
+        uint256 blk;      // Block number
+    }
+    
+    struct LockedBalance {
+        uint256 amount;
+        uint256 end;
+    }
+    
+    uint256 public constant WEEK = 7 days;
+    uint256 public constant MAX_TIME = 4 * 365 days; // 4 years
+    uint256 public constant MULTIPLIER = 1e18;
+    
+    IERC20 public immutable token;
+    
+    // Ids start at 1
+    uint256 public lastTokenId;
+    mapping(uint256 => LockedBalance) public locked;
+    
+    uint256 public epoch;
+    mapping(uint256 => Point) public pointHistory;
+    mapping(uint256 => mapping(uint256 => Point)) public userPointHistory;
+    mapping(uint256 => uint256) public userPointEpoch;
+    
+    mapping(uint256 => int128) public slopeChanges;
+    
+    // Power summed over each owner's positions
+    mapping(address => mapping(uint256 => Point)) public ownerPointHistory;
+    mapping(address => uint256) public ownerPointEpoch;
+    mapping(address => mapping(uint256 => int128)) public ownerSlopeChanges;
+    
+    mapping(address => uint256[]) internal _ownedTokens;
+    mapping(uint256 => uint256) internal _ownedTokensIndex;
+    
+    // Gauge controller whose votes are cleared when a position changes hands
+    address public voter;
+    
+    // Approves contract lockers; EOAs never need approval
+    address public smartWalletChecker;
+    address public futureSmartWalletChecker;
+    // Escape hatch: lets every contract lock without asking the checker
+    bool public contractsAllowed;
+    
+    // Emergency exit: once set, every position can be withdrawn regardless of its unlock time
+    bool public unlocked;
+    
+    constructor(address _token, string memory _name, string memory _symbol)
+        ERC721(_name, _symbol)
+        Ownable(msg.sender)
+    {
+        token = IERC20(_token);
+        
+        pointHistory[0] = Point({
+            bias: 0,
+            slope: 0,
+            ts: block.timestamp,
+            blk: block.number
+        });
+    }
+    
+    /**
+     * @notice Lock tokens in a new position
+     * @param amount Amount to lock
+     * @param unlockTime Unlock timestamp (rounded down to weeks)
+     */
+    function createLock(uint256 amount, uint256 unlockTime) external nonReentrant whenNotPaused returns (uint256 tokenId) {
+        _assertNotContract(msg.sender);
+        require(amount > 0, "Amount must be > 0");
+        
+        unlockTime = (unlockTime / WEEK) * WEEK; // Round down to week
+        require(unlockTime > block.timestamp, "Unlock time must be in future");
+        require(unlockTime <= block.timestamp + MAX_TIME, "Unlock time too far");
+        
+        tokenId = ++lastTokenId;
+        _mint(msg.sender, tokenId);
+        _depositFor(tokenId, amount, unlockTime, locked[tokenId]);
+        
+        token.safeTransferFrom(msg.sender, address(this), amount);
+    }
+    
+    /**
+     * @notice Add tokens to a position
+     * @param tokenId Position owned by, or approved to, the caller
+     * @param amount Additional amount to lock
+     */
+    function increaseAmount(uint256 tokenId, uint256 amount) external nonReentrant whenNotPaused {
+        _assertNotContract(msg.sender);
+        _requireApprovedOrOwner(tokenId);
+        LockedBalance memory _locked = locked[tokenId];
+        require(_locked.end > block.timestamp, "Lock expired");
+        require(amount > 0, "Amount must be > 0");
+        
+        _depositFor(tokenId, amount, 0, _locked);
+        
+        token.safeTransferFrom(msg.sender, address(this), amount);
+    }
+    
+    /**
+     * @notice Extend a position's unlock time
+     * @param tokenId Position owned by, or approved to, the caller
+     * @param unlockTime New unlock timestamp
+     */
+    function increaseUnlockTime(uint256 tokenId, uint256 unlockTime) external nonReentrant whenNotPaused {
+        _assertNotContract(msg.sender);
+        _requireApprovedOrOwner(tokenId);
+        LockedBalance memory _locked = locked[tokenId];
+        require(_locked.end > block.timestamp, "Lock expired");
+        
+        unlockTime = (unlockTime / WEEK) * WEEK;
+        require(unlockTime > _locked.end, "Can only increase lock duration");
+        require(unlockTime <= block.timestamp + MAX_TIME, "Unlock time too far");
+        
+        _depositFor(tokenId, 0, unlockTime, _locked);
+    }
+    
+    /**
+     * @notice Withdraw an expired position to its owner and burn it
+     * @dev Never paused; after unlockAll any position can be withdrawn, and the votes cast
+     *      with a live one are cleared, unless the voter fails to
+     */
+    function withdraw(uint256 tokenId) external nonReentrant {
+        address holder = _requireApprovedOrOwner(tokenId);
+        LockedBalance memory _locked = locked[tokenId];
+        require(unlocked || _locked.end <= block.timestamp, "Lock not expired");
+        
+        _setLocked(tokenId, holder, _locked, LockedBalance({amount: 0, end: 0}));
+        _burn(tokenId);
+        if (_locked.end > block.timestamp && voter != address(0)) {
+            try IGaugeController(voter).clearVotes(holder) {} catch {}
+        }
+        
+        token.safeTransfer(holder, _locked.amount);
+        
+        emit Withdraw(tokenId, holder, _locked.amount, block.timestamp);
+    }
+    
+    /**
+     * @notice Fold `from` into `to`; both must be live and held by the same owner
+     * @dev `to` takes the later unlock time, so `from`'s amount is never unlocked sooner
+     */
+    function merge(uint256 from, uint256 to) external nonReentrant {
+        require(from != to, "Same token");
+        address holder = _requireApprovedOrOwner(from);
+        require(_requireApprovedOrOwner(to) == holder, "Different owners");
+        
+        LockedBalance memory lockedFrom = locked[from];
+        LockedBalance memory lockedTo = locked[to];
+        require(lockedFrom.end > block.timestamp && lockedTo.end > block.timestamp, "Lock expired");
+        
+        _setLocked(from, holder, lockedFrom, LockedBalance({amount: 0, end: 0}));
+        _burn(from);
+        
+        uint256 end = lockedFrom.end > lockedTo.end ? lockedFrom.end : lockedTo.end;
+        _setLocked(to, holder, lockedTo, LockedBalance({amount: lockedFrom.amount + lockedTo.amount, end: end}));
+        
+        emit Merge(from, to);
+    }
+    
+    /**
+     * @notice Split a live position into several with the same unlock time
+     * @dev The original id keeps amounts[0] and its history; the rest are minted to the owner
+     */
+    function split(uint256 tokenId, uint256[] calldata amounts) external nonReentrant returns (uint256[] memory tokenIds) {
+        address holder = _requireApprovedOrOwner(tokenId);
+        require(amounts.length > 1, "Nothing to split");
+        
+        LockedBalance memory _locked = locked[tokenId];
+        require(_locked.end > block.timestamp, "Lock expired");
+        
+        uint256 total = 0;
+        for (uint256 i = 0; i < amounts.length; i++) {
+            require(amounts[i] > 0, "Amount must be > 0");
+            total += amounts[i];
+        }
+        require(total == _locked.amount, "Amounts must sum to locked amount");
+        
+        tokenIds = new uint256[](amounts.length);
+        tokenIds[0] = tokenId;
+        _setLocked(tokenId, holder, _locked, LockedBalance({amount: amounts[0], end: _locked.end}));
+        
+        for (uint256 i = 1; i < amounts.length; i++) {
+            uint256 newId = ++lastTokenId;
+            _mint(holder, newId);
+            _setLocked(newId, holder, locked[newId], LockedBalance({amount: amounts[i], end: _locked.end}));
+            tokenIds[i] = newId;
+        }
+        
+        emit Split(tokenId, tokenIds, amounts);
+    }
+    
+    /**
+     * @notice Set the gauge controller notified when positions change hands (admin only)
+     * @dev It must read its votes from this escrow, or it would reject every vote clearing and
+     *      with it every transfer of a live position. Zero disconnects the controller
+     */
+    function setVoter(address _voter) external onlyOwner {
+        require(
+            _voter == address(0) || address(IGaugeController(_voter).votingEscrow()) == address(this),
+            "Voter not built on this escrow"
+        );
+        voter = _voter;
+        emit VoterUpdated(_voter);
+    }
+    
+    /**
+     * @notice Let every position be withdrawn now, regardless of its unlock time (owner only)
+     * @dev One-way emergency switch: it cannot be undone, and no position can be created,
+     *      topped up or extended afterwards
+     */
+    function unlockAll() external onlyOwner {
+        require(!unlocked, "Escrow unlocked");
+        unlocked = true;
+        emit UnlockAll(block.timestamp);
+    }
+    
+    /**
+     * @notice Stage a new smart wallet checker (admin only)
+     */
+    function commitSmartWalletChecker(address checker) external onlyOwner {
+        futureSmartWalletChecker = checker;
+        emit CommitSmartWalletChecker(checker);
+    }
+    
+    /**
+     * @notice Activate the staged smart wallet checker (admin only)
+     * @dev Setting it to zero leaves only EOAs able to lock
+     */
+    function applySmartWalletChecker() external onlyOwner {
+        smartWalletChecker = futureSmartWalletChecker;
+        emit ApplySmartWalletChecker(smartWalletChecker);
+    }
+    
+    /**
+     * @notice Let all contracts lock regardless of the checker, or restore the check (admin only)
+     */
+    function setContractsAllowed(bool allowed) external onlyOwner {
+        contractsAllowed = allowed;
+        emit ContractsAllowedUpdated(allowed);
+    }
+    
+    /**
+     * @notice Positions held by an address
+     */
+    function tokensOfOwner(address holder) external view returns (uint256[] memory) {
+        return _ownedTokens[holder];
+    }
+    
+    /**
+     * @notice Current voting power of a position
+     */
+    function balanceOfNFT(uint256 tokenId) external view returns (uint256) {
+        return balanceOfNFTAt(tokenId, block.timestamp);
+    }
+    
+    /**
+     * @notice Voting power of a position at a timestamp
+     * @dev Uses the last point at or before `timestamp`, so later changes never rewrite it
+     */
+    function balanceOfNFTAt(uint256 tokenId, uint256 timestamp) public view returns (uint256) {
+        uint256 _epoch = _findTimestampEpoch(userPointHistory[tokenId], userPointEpoch[tokenId], timestamp);
+        if (_epoch == 0) return 0;
+        
+        Point memory lastPoint = userPointHistory[tokenId][_epoch];
+        return _biasAt(lastPoint, timestamp);
+    }
+    
+    /**
+     * @notice Current voting power of all positions held by an address
+     * @dev Overrides the ERC-721 token count; see the contract notes
+     */
+    function balanceOf(address holder) public view override returns (uint256) {
+        return balanceOf(holder, block.timestamp);
+    }
+    
+    /**
+     * @notice Voting power of all positions held by an address at a timestamp
+     */
+    function balanceOf(address holder, uint256 timestamp) public view returns (uint256) {
+        Point memory point = _ownerPointAt(holder, timestamp);
+        if (point.bias < 0) return 0;
+        return uint256(uint128(point.bias));
+    }
+    
+    /**
+     * @notice Same as balanceOf(owner): there is no delegation, power follows the token
+     */
+    function delegatedBalanceOf(address holder) external view returns (uint256) {
+        return balanceOf(holder, block.timestamp);
+    }
+    
+    /**
+     * @notice Same as balanceOf(owner, timestamp)
+     */
+    function delegatedBalanceOf(address holder, uint256 timestamp) external view returns (uint256) {
+        return balanceOf(holder, timestamp);
+    }
+    
+    /**
+     * @notice When an owner's summed power would run out at its current decay rate
+     * @dev Rounded down to a week; conservative for several positions, as in VotingEscrow
+     */
+    function delegatedPowerEnd(address holder) external view returns (uint256) {
+        Point memory point = _ownerPointAt(holder, block.timestamp);
+        if (point.bias <= 0 || point.slope <= 0) return 0;
+        uint256 remaining = uint256(uint128(point.bias)) / uint256(uint128(point.slope));
+        return ((block.timestamp + remaining) / WEEK) * WEEK;
+    }
+    
+    /**
+     * @notice Always 0: positions have no permanent lock mode
+     */
+    function delegatedPermanentBalance(address) external pure returns (uint256) {
+        return 0;
+    }
+    
+    /**
+     * @notice Address holding an account's power: always the account itself
+     */
+    function delegates(address holder) external pure returns (address) {
+        return holder;
+    }
+    
+    /**
+     * @notice Get total voting power
+     */
+    function totalSupply() external view returns (uint256) {
+        return totalSupply(block.timestamp);
+    }
+    
+    /**
+     * @notice Get total voting power at timestamp
+     */
+    function totalSupply(uint256 timestamp) public view returns (uint256) {
+        if (epoch == 0) return 0;
+        
+        uint256 _epoch = _findTimestampEpoch(pointHistory, epoch, timestamp);
+        Point memory lastPoint = pointHistory[_epoch];
+        if (timestamp < lastPoint.ts) return 0;
+        
+        return _supplyAt(lastPoint, timestamp);
+    }
+    
+    /**
+     * @notice Keeps the owner lists and summed power in step with mints, burns and transfers
+     * @dev Locks are only set after minting and cleared before burning, so only transfers
+     *      move power here. Power leaving an owner clears its gauge votes, as a delegation
+     *      change does in VotingEscrow
+     */
+    function _update(address to, uint256 tokenId, address auth) internal override returns (address from) {
+        from = super._update(to, tokenId, auth);
+        if (from == to) return from;
+        
+        if (from != address(0)) _removeOwnedToken(from, tokenId);
+        if (to != address(0)) _addOwnedToken(to, tokenId);
+        
+        LockedBalance memory _locked = locked[tokenId];
+        if (from != address(0) && to != address(0) && _locked.amount > 0 && _locked.end > block.timestamp) {
+            LockedBalance memory empty = LockedBalance({amount: 0, end: 0});
+            _checkpointOwner(from, _locked, empty);
+            _checkpointOwner(to, empty, _locked);
+            if (voter != address(0)) {
+                IGaugeController(voter).clearVotes(from);
+            }
+        }
+    }
+    
+    function _requireApprovedOrOwner(uint256 tokenId) internal view returns (address holder) {
+        holder = _requireOwned(tokenId);
+        require(_isAuthorized(holder, msg.sender, tokenId), "Not approved or owner");
+    }
+    
+    /**
+     * @notice Only EOAs and approved contracts may lock, as in VotingEscrow
+     * @dev Withdrawals, merges and splits are never gated, so a revoked contract can still exit
+     */
+    function _assertNotContract(address addr) internal view {
+        // solhint-disable-next-line avoid-tx-origin
+        if (addr == tx.origin || contractsAllowed) return;
+        address checker = smartWalletChecker;
+        require(
+            checker != address(0) && ISmartWalletChecker(checker).check(addr),
+            "Smart contract depositors not allowed"
+        );
+    }
+    
+    function _addOwnedToken(address holder, uint256 tokenId) internal {
+        _ownedTokensIndex[tokenId] = _ownedTokens[holder].length;
+        _ownedTokens[holder].push(tokenId);
+    }
+    
+    function _removeOwnedToken(address holder, uint256 tokenId) internal {
+        uint256[] storage owned = _ownedTokens[holder];
+        uint256 index = _ownedTokensIndex[tokenId];
+        uint256 lastId = owned[owned.length - 1];
+        owned[index] = lastId;
+        _ownedTokensIndex[lastId] = index;
+        owned.pop();
+        delete _ownedTokensIndex[tokenId];
+    }
+    
+    function _depositFor(
+        uint256 tokenId,
+        uint256 value,
+        uint256 unlockTime,
+        LockedBalance memory lockedBalance
+    ) internal {
+        require(!unlocked, "Escrow unlocked");
+        LockedBalance memory _locked = LockedBalance({
+            amount: lockedBalance.amount + value,
+            end: unlockTime != 0 ? unlockTime : lockedBalance.end
+        });
+        _setLocked(tokenId, _ownerOf(tokenId), lockedBalance, _locked);
+        
+        // Also emitted with value 0 for extensions, so the new unlock time is observable
+        emit Deposit(tokenId, msg.sender, value, _locked.end, block.timestamp);
+    }
+    
+    /**
+     * @notice Store a position's new lock and checkpoint it globally, per token and per owner
+     */
+    function _setLocked(
+        uint256 tokenId,
+        address holder,
+        LockedBalance memory oldLocked,
+        LockedBalance memory newLocked
+    ) internal {
+        locked[tokenId] = newLocked;
+        _checkpoint(tokenId, oldLocked, newLocked);
+        _checkpointOwner(holder, oldLocked, newLocked);
+    }
+    
+    /**
+     * @notice Global and per-token checkpoint, as VotingEscrow._checkpoint keyed by token id
+     */
+    function _checkpoint(
+        uint256 tokenId,
+        LockedBalance memory oldLocked,
+        LockedBalance memory newLocked
+    ) internal {
+        Point memory uOld = Point({bias: 0, slope: 0, ts: 0, blk: 0});
+        Point memory uNew = Point({bias: 0, slope: 0, ts: 0, blk: 0});
+        int128 oldDslope = 0;
+        int128 newDslope = 0;
+        
+        if (oldLocked.end > block.timestamp && oldLocked.amount > 0) {
+            uOld.slope = int128(int256(oldLocked.amount / MAX_TIME));
+            uOld.bias = uOld.slope * int128(int256(oldLocked.end - block.timestamp));
+        }
+        if (newLocked.end > block.timestamp && newLocked.amount > 0) {
+            uNew.slope = int128(int256(newLocked.amount / MAX_TIME));
+            uNew.bias = uNew.slope * int128(int256(newLocked.end - block.timestamp));
+        }
+        
+        oldDslope = slopeChanges[oldLocked.end];
+        if (newLocked.end != 0) {
+            if (newLocked.end == oldLocked.end) {
+                newDslope = oldDslope;
+            } else {
+                newDslope = slopeChanges[newLocked.end];
+            }
+        }
+        
+        Point memory lastPoint = Point({bias: 0, slope: 0, ts: block.timestamp, blk: block.number});
+        if (epoch > 0) {
+            lastPoint = pointHistory[epoch];
+        }
+        uint256 lastCheckpoint = lastPoint.ts;
+        
+        Point memory initialLastPoint = lastPoint;
+        uint256 blockSlope = 0;
+        if (block.timestamp > lastPoint.ts) {
+            blockSlope = (MULTIPLIER * (block.number - lastPoint.blk)) / (block.timestamp - lastPoint.ts);
+        }
+        
+        uint256 ti = (lastCheckpoint / WEEK) * WEEK;
+        for (uint256 i = 0; i < 255; i++) {
+            ti += WEEK;
+            int128 dSlope = 0;
+            if (ti > block.timestamp) {
+                ti = block.timestamp;
+            } else {
+                dSlope = slopeChanges[ti];
+            }
+            lastPoint.bias -= lastPoint.slope * int128(int256(ti - lastCheckpoint));
+            lastPoint.slope += dSlope;
+            if (lastPoint.bias < 0) lastPoint.bias = 0;
+            if (lastPoint.slope < 0) lastPoint.slope = 0;
+            lastCheckpoint = ti;
+            lastPoint.ts = ti;
+            lastPoint.blk = initialLastPoint.blk + (blockSlope * (ti - initialLastPoint.ts)) / MULTIPLIER;
+            epoch += 1;
+            
+            if (ti == block.timestamp) {
+                lastPoint.blk = block.number;
+                pointHistory[epoch] = lastPoint;
+                break;
+            } else {
+                pointHistory[epoch] = lastPoint;
+            }
+        }
+        
+        // Add the position's contribution to the global point
+        lastPoint.slope += (uNew.slope - uOld.slope);
+        lastPoint.bias += (uNew.bias - uOld.bias);
+        if (lastPoint.slope < 0) lastPoint.slope = 0;
+        if (lastPoint.bias < 0) lastPoint.bias = 0;
+        pointHistory[epoch] = lastPoint;
+        
+        if (oldLocked.end > block.timestamp) {
+            oldDslope += uOld.slope;
+            if (newLocked.end == oldLocked.end) {
+                oldDslope -= uNew.slope;
+            }
+            slopeChanges[oldLocked.end] = oldDslope;
+        }
+        if (newLocked.end > block.timestamp) {
+            if (newLocked.end > oldLocked.end) {
+                newDslope -= uNew.slope;
+                slopeChanges[newLocked.end] = newDslope;
+            }
+        }
+        
+        uint256 tokenEpoch = userPointEpoch[tokenId] + 1;
+        userPointEpoch[tokenId] = tokenEpoch;
+        uNew.ts = block.timestamp;
+        uNew.blk = block.number;
+        userPointHistory[tokenId][tokenEpoch] = uNew;
+    }
+    
+    /**
+     * @notice Move a position's contribution within its owner's summed balance
+     * @dev Same bookkeeping as VotingEscrow._checkpointDelegate
+     */
+    function _checkpointOwner(
+        address holder,
+        LockedBalance memory oldLocked,
+        LockedBalance memory newLocked
+    ) internal {
+        Point memory point = _ownerPointAt(holder, block.timestamp);
+        
+        if (oldLocked.end > block.timestamp && oldLocked.amount > 0) {
+            int128 oldSlope = int128(int256(oldLocked.amount / MAX_TIME));
+            point.slope -= oldSlope;
+            point.bias -= oldSlope * int128(int256(oldLocked.end - block.timestamp));
+            ownerSlopeChanges[holder][oldLocked.end] += oldSlope;
+        }
+        if (newLocked.end > block.timestamp && newLocked.amount > 0) {
+            int128 newSlope = int128(int256(newLocked.amount / MAX_TIME));
+            point.slope += newSlope;
+            point.bias += newSlope * int128(int256(newLocked.end - block.timestamp));
+            ownerSlopeChanges[holder][newLocked.end] -= newSlope;
+        }
+        if (point.slope < 0) point.slope = 0;
+        if (point.bias < 0) point.bias = 0;
+        
+        uint256 _epoch = ownerPointEpoch[holder] + 1;
+        ownerPointEpoch[holder] = _epoch;
+        ownerPointHistory[holder][_epoch] = point;
+    }
+    
+    /**
+     * @notice An owner's last point at or before `t`, carried forward through its slope changes
+     */
+    function _ownerPointAt(address holder, uint256 t) internal view returns (Point memory) {
+        uint256 _epoch = _findTimestampEpoch(ownerPointHistory[holder], ownerPointEpoch[holder], t);
+        if (_epoch == 0) return Point({bias: 0, slope: 0, ts: t, blk: block.number});
+        
+        Point memory lastPoint = ownerPointHistory[holder][_epoch];
+        uint256 ti = (lastPoint.ts / WEEK) * WEEK;
+        
+        for (uint256 i = 0; i < 255; i++) {
+            ti += WEEK;
+            int128 dSlope = 0;
+            if (ti > t) {
+                ti = t;
+            } else {
+                dSlope = ownerSlopeChanges[holder][ti];
+            }
+            lastPoint.bias -= lastPoint.slope * int128(int256(ti - lastPoint.ts));
+            lastPoint.slope += dSlope;
+            lastPoint.ts = ti;
+            if (ti == t) break;
+        }
+        
+        if (lastPoint.slope < 0) lastPoint.slope = 0;
+        lastPoint.ts = t;
+        lastPoint.blk = block.number;
+        return lastPoint;
+    }
+    
+    /**
+     * @notice Latest epoch whose point was recorded at or before `timestamp`
+     */
+    function _findTimestampEpoch(
+        mapping(uint256 => Point) storage history,
+        uint256 maxEpoch,
+        uint256 timestamp
+    ) internal view returns (uint256) {
+        uint256 lo = 0;
+        uint256 hi = maxEpoch;
+        while (lo < hi) {
+            uint256 mid = (lo + hi + 1) / 2;
+            if (history[mid].ts <= timestamp) {
+                lo = mid;
+            } else {
+                hi = mid - 1;
+            }
+        }
+        return lo;
+    }
+    
+    function _biasAt(Point memory point, uint256 t) internal pure returns (uint256) {
+        if (t < point.ts) return 0;
+        int128 bias = point.bias - point.slope * int128(int256(t - point.ts));
+        return bias > 0 ? uint256(uint128(bias)) : 0;
+    }
+    
+    function _supplyAt(Point memory point, uint256 t) internal view returns (uint256) {
+        Point memory lastPoint = point;
+        uint256 ti = (lastPoint.ts / WEEK) * WEEK;
+        
+        for (uint256 i = 0; i < 255; i++) {
+            ti += WEEK;
+            int128 dSlope = 0;
+            if (ti > t) {
+                ti = t;
+            } else {
+                dSlope = slopeChanges[ti];
+            }
+            lastPoint.bias -= lastPoint.slope * int128(int256(ti - lastPoint.ts));
+            if (ti == t) break;
+            lastPoint.slope += dSlope;
+            lastPoint.ts = ti;
+        }
+        
+        if (lastPoint.bias < 0) lastPoint.bias = 0;
+        return uint256(uint128(lastPoint.bias));
+    }
+}
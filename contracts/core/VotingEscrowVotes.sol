@@ -0,0 +1,80 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/interfaces/IERC5805.sol";
+import "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import "../interfaces/IVotingEscrow.sol";
+
+/**
+ * @title VotingEscrowVotes
+ * @notice Read-only IVotes / ERC-6372 view of VotingEscrow power for Governor contracts
+ * @dev Votes are delegated ve balances read from the escrow's point history, so they
+ *      decay with the locks behind them. The clock is the block timestamp, matching the
+ *      escrow's own timekeeping. Delegation itself happens on the VotingEscrow, since
+ *      this adapter cannot act for the lock owner.
+ */
+contract VotingEscrowVotes is IERC5805 {
+    IVotingEscrow public immutable votingEscrow;
+    
+    constructor(address _votingEscrow) {
+        votingEscrow = IVotingEscrow(_votingEscrow);
+    }
+    
+    /**
+     * @notice Current timepoint (block timestamp)
+     */
+    function clock() public view returns (uint48) {
+        return SafeCast.toUint48(block.timestamp);
+    }
+    
+    /**
+     * @notice Clock description for ERC-6372
+     */
+    function CLOCK_MODE() external pure returns (string memory) {
+        return "mode=timestamp";
+    }
+    
+    /**
+     * @notice Current voting power held by an account, including power delegated to it
+     */
+    function getVotes(address account) external view returns (uint256) {
+        return votingEscrow.delegatedBalanceOf(account);
+    }
+    
+    /**
+     * @notice Voting power held by an account at a past timestamp
+     */
+    function getPastVotes(address account, uint256 timepoint) external view returns (uint256) {
+        require(timepoint < clock(), "Future lookup");
+        return votingEscrow.delegatedBalanceOf(account, timepoint);
+    }
+    
+    /**
+     * @notice Total voting power at a past timestamp
+     */
+    function getPastTotalSupply(uint256 timepoint) external view returns (uint256) {
+        require(timepoint < clock(), "Future lookup");
+        return votingEscrow.totalSupply(timepoint);
+    }
+    
+    /**
+     * @notice Address holding an account's lock power
+     */
+    function delegates(address account) external view returns (address) {
+        return votingEscrow.delegates(account);
+    }
+    
+    /**
+     * @notice Not supported: delegate on the VotingEscrow
+     */
+    function delegate(address) external pure {
+        revert("Delegate on VotingEscrow");
+    }
+    
+    /**
+     * @notice Not supported: delegate on the VotingEscrow
+     */
+    function delegateBySig(address, uint256, uint256, uint8, bytes32, bytes32) external pure {
+        revert("Delegate on VotingEscrow");
+    }
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/Address.sol";
+
+/**
+ * @title ExampleWallet
+ * @notice Minimal smart wallet that forwards its owner's calls (stand-in for a multisig)
+ */
+contract ExampleWallet is Ownable {
+    constructor() Ownable(msg.sender) {}
+    
+    /**
+     * @notice Call `target` from this wallet
+     */
+    function execute(address target, bytes calldata data) external onlyOwner returns (bytes memory) {
+        return Address.functionCall(target, data);
+    }
+}
@@ -5,6 +5,8 @@ import "../core/VotingEscrow.sol";
 import "../core/GaugeController.sol";
 import "../core/LiquidityGauge.sol";
 import "../core/Minter.sol";
+import "../core/SmartWalletWhitelist.sol";
+import "../schedules/GeometricEmissionSchedule.sol";
 import "./SimpleRewardToken.sol";
 import "./ExampleVault.sol";
 
@@ -20,6 +22,8 @@ contract FullExample {
     GaugeController public controller;
     LiquidityGauge public gauge;
     Minter public minter;
+    GeometricEmissionSchedule public schedule;
+    SmartWalletWhitelist public whitelist;
     
     /**
      * @notice Deploy complete system
@@ -40,9 +44,11 @@ contract FullExample {
         
         // 4. Deploy GaugeController
         controller = new GaugeController(address(votingEscrow));
+        votingEscrow.setVoter(address(controller));
         
-        // 5. Deploy Minter
-        minter = new Minter(address(token), address(controller));
+        // 5. Deploy Minter with Curve's schedule: 2^(1/4) yearly rate reduction
+        schedule = new GeometricEmissionSchedule(0, 274_815_283, 365 days, 1189207115002721024);
+        minter = new Minter(address(token), address(controller), address(schedule));
         
         // 6. Deploy LiquidityGauge
         gauge = new LiquidityGauge(address(lpToken), address(minter));
@@ -52,6 +58,12 @@ contract FullExample {
         
         // 8. Transfer tokens to minter for rewards
         token.transfer(address(minter), 100_000_000 * 1e18);
+        
+        // 9. Whitelist this contract so exampleWorkflow can lock
+        whitelist = new SmartWalletWhitelist();
+        whitelist.approveWallet(address(this));
+        votingEscrow.commitSmartWalletChecker(address(whitelist));
+        votingEscrow.applySmartWalletChecker();
     }
     
     /**
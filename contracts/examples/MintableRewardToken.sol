@@ -0,0 +1,43 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Capped.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "../interfaces/IMintableToken.sol";
+
+/**
+ * @title MintableRewardToken
+ * @notice Example capped reward token whose emissions are minted by the Minter
+ * @dev The initial supply is minted to the deployer and counts towards the cap
+ */
+contract MintableRewardToken is IMintableToken, ERC20Capped, Ownable {
+    address public minter;
+    
+    event MinterUpdated(address minter);
+    
+    constructor(
+        string memory name,
+        string memory symbol,
+        uint256 supplyCap,
+        uint256 initialSupply
+    ) ERC20(name, symbol) ERC20Capped(supplyCap) Ownable(msg.sender) {
+        _mint(msg.sender, initialSupply);
+    }
+    
+    /**
+     * @notice Set the address allowed to mint (admin only)
+     */
+    function setMinter(address _minter) external onlyOwner {
+        minter = _minter;
+        emit MinterUpdated(_minter);
+    }
+    
+    function mint(address to, uint256 amount) external {
+        require(msg.sender == minter, "Only minter");
+        _mint(to, amount);
+    }
+    
+    function cap() public view override(IMintableToken, ERC20Capped) returns (uint256) {
+        return super.cap();
+    }
+}
@@ -0,0 +1,113 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IGaugeController.sol";
+
+/**
+ * @title IBribeMarket
+ * @notice Vote incentives: anyone pays a gauge's voters for a given week
+ * @dev A bribe for week W is shared by the voters whose votes made up the gauge's weight
+ *      at W's checkpoint in the GaugeController, pro-rata to their bias at W. What is left
+ *      unclaimed after a claim window moves on to a later week
+ */
+interface IBribeMarket {
+    /**
+     * @notice Add a bribe for a gauge's voters in a week
+     * @dev A gauge and week take a bounded number of distinct tokens
+     * @param gauge Gauge address
+     * @param token Reward token
+     * @param amount Amount to deposit
+     * @param week Timestamp within the week (rounded down); must not have started
+     */
+    function depositBribe(address gauge, address token, uint256 amount, uint256 week) external;
+    
+    /**
+     * @notice Claim the caller's share of every bribe for a gauge in a week
+     * @dev Claimable once the week has started, from the vote that counted in that week even if
+     *      it has changed since, until the unclaimed rest is rolled over
+     * @param gauge Gauge address
+     * @param week Timestamp within the week (rounded down)
+     */
+    function claim(address gauge, uint256 week) external;
+    
+    /**
+     * @notice Claim the caller's share of chosen bribes for a gauge in a week
+     * @dev Lets a voter leave out a token whose transfers fail; tokens claimed once pay nothing more
+     * @param gauge Gauge address
+     * @param week Timestamp within the week (rounded down)
+     * @param tokens Reward tokens to claim
+     */
+    function claimTokens(address gauge, uint256 week, address[] calldata tokens) external;
+    
+    /**
+     * @notice Move a bribe nobody voted for, or its unclaimed rest once the claim window has
+     *         passed, to the next week that has not started
+     * @param gauge Gauge address
+     * @param token Reward token
+     * @param week Timestamp within the week (rounded down); must have started
+     */
+    function rollOver(address gauge, address token, uint256 week) external;
+    
+    /**
+     * @notice Amount of a bribe a user can claim
+     * @param user User address
+     * @param gauge Gauge address
+     * @param token Reward token
+     * @param week Timestamp within the week (rounded down)
+     * @return Claimable amount
+     */
+    function claimable(address user, address gauge, address token, uint256 week) external view returns (uint256);
+    
+    /**
+     * @notice Bias a user's vote contributes to a gauge's weight in a week
+     * @param user User address
+     * @param gauge Gauge address
+     * @param week Timestamp within the week (rounded down)
+     * @return Bias, or 0 if the user had no vote for the gauge in force that week
+     */
+    function voterBias(address user, address gauge, uint256 week) external view returns (uint256);
+    
+    /**
+     * @notice Reward tokens bribed for a gauge in a week
+     * @param gauge Gauge address
+     * @param week Timestamp within the week (rounded down)
+     * @return Token addresses in deposit order
+     */
+    function getBribeTokens(address gauge, uint256 week) external view returns (address[] memory);
+    
+    /**
+     * @notice Get the GaugeController whose votes are bribed
+     * @return GaugeController contract
+     */
+    function controller() external view returns (IGaugeController);
+    
+    /**
+     * @notice Emitted when a bribe is deposited
+     * @param gauge Gauge address
+     * @param token Reward token
+     * @param week Start of the week
+     * @param depositor Depositor address
+     * @param amount Amount received
+     */
+    event BribeDeposited(address indexed gauge, address indexed token, uint256 week, address indexed depositor, uint256 amount);
+    
+    /**
+     * @notice Emitted when a voter claims a bribe
+     * @param user Voter address
+     * @param gauge Gauge address
+     * @param token Reward token
+     * @param week Start of the week
+     * @param amount Amount claimed
+     */
+    event BribeClaimed(address indexed user, address indexed gauge, address indexed token, uint256 week, uint256 amount);
+    
+    /**
+     * @notice Emitted when an unclaimable bribe moves to a later week
+     * @param gauge Gauge address
+     * @param token Reward token
+     * @param week Start of the week it moved from
+     * @param toWeek Start of the week it moved to
+     * @param amount Amount moved
+     */
+    event BribeRolledOver(address indexed gauge, address indexed token, uint256 week, uint256 toWeek, uint256 amount);
+}
@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IBridgeAdapter
+ * @notice Sends tokens to an address on another chain through a specific bridge
+ * @dev One adapter per bridge; a RootGauge can be pointed at a new adapter without redeploying
+ */
+interface IBridgeAdapter {
+    /**
+     * @notice Pull tokens from the caller and deliver them to `to` on the destination chain
+     * @dev The caller must have approved the adapter for `amount`
+     * @param token Token on this chain
+     * @param to Recipient on the destination chain
+     * @param amount Amount to send
+     */
+    function bridge(address token, address to, uint256 amount) external;
+}
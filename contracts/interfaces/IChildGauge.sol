@@ -0,0 +1,84 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title IChildGauge
+ * @notice Staking gauge on a chain without a Minter, paying out emissions bridged from a RootGauge
+ * @dev Rewards that arrive are streamed to stakers over the following week
+ */
+interface IChildGauge {
+    /**
+     * @notice Deposit LP tokens
+     * @param amount Amount to deposit
+     */
+    function deposit(uint256 amount) external;
+    
+    /**
+     * @notice Withdraw LP tokens
+     * @param amount Amount to withdraw
+     */
+    function withdraw(uint256 amount) external;
+    
+    /**
+     * @notice Claim pending rewards to the caller
+     */
+    function claimRewards() external;
+    
+    /**
+     * @notice Get claimable rewards for user
+     * @dev Includes the user's share of rewards that have arrived or are held back but are not
+     *      streaming yet, which is paid out as it streams
+     * @param user User address
+     * @return Claimable amount
+     */
+    function claimableRewards(address user) external view returns (uint256);
+    
+    /**
+     * @notice Checkpoint a user, starting a new stream if rewards have arrived
+     * @param addr User address (zero for a global checkpoint only)
+     */
+    function userCheckpoint(address addr) external;
+    
+    /**
+     * @notice Get the LP token
+     * @return LP token contract
+     */
+    function lpToken() external view returns (IERC20);
+    
+    /**
+     * @notice Get the reward token bridged in
+     * @return Reward token contract
+     */
+    function rewardToken() external view returns (IERC20);
+    
+    /**
+     * @notice Emitted when LP tokens are deposited
+     * @param user User address
+     * @param amount Amount deposited
+     */
+    event Deposit(address indexed user, uint256 amount);
+    
+    /**
+     * @notice Emitted when LP tokens are withdrawn
+     * @param user User address
+     * @param amount Amount withdrawn
+     */
+    event Withdraw(address indexed user, uint256 amount);
+    
+    /**
+     * @notice Emitted when bridged rewards are picked up and a new stream starts
+     * @param amount Amount received
+     * @param rate New reward rate per second
+     * @param periodFinish End of the stream
+     */
+    event RewardReceived(uint256 amount, uint256 rate, uint256 periodFinish);
+    
+    /**
+     * @notice Emitted when rewards are claimed
+     * @param user User address
+     * @param amount Amount claimed
+     */
+    event RewardClaimed(address indexed user, uint256 amount);
+}
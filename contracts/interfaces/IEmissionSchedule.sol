@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IEmissionSchedule
+ * @notice Emission rate over time, plugged into the Minter
+ * @dev Rates are reward tokens (in wei) per second across all gauges
+ */
+interface IEmissionSchedule {
+    /**
+     * @notice Emission rate in force at a timestamp
+     * @param timestamp Timestamp to query, past or future
+     * @return Tokens per second
+     */
+    function rateAt(uint256 timestamp) external view returns (uint256);
+    
+    /**
+     * @notice Start of the stretch at a single rate that contains a timestamp
+     * @param timestamp Timestamp to query, past or future
+     * @return Time the rate in force at `timestamp` took effect (0 if it always applied)
+     */
+    function epochStart(uint256 timestamp) external view returns (uint256);
+    
+    /**
+     * @notice Emissions released between two timestamps
+     * @param start Start timestamp
+     * @param end End timestamp (not before start)
+     * @return Amount released
+     */
+    function released(uint256 start, uint256 end) external view returns (uint256);
+}
@@ -1,12 +1,20 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "./IVotingEscrow.sol";
+
 /**
  * @title IGaugeController
  * @notice Interface for managing gauge weights through voting
  * @dev Coordinates voting power allocation across multiple gauges
  */
 interface IGaugeController {
+    /**
+     * @notice Get the voting escrow whose balances weight votes
+     * @return Voting escrow contract
+     */
+    function votingEscrow() external view returns (IVotingEscrow);
+    
     /**
      * @notice Add a new gauge
      * @param addr Gauge address
@@ -21,6 +29,20 @@ interface IGaugeController {
      */
     function voteForGaugeWeights(address gaugeAddr, uint256 weight) external;
     
+    /**
+     * @notice Vote for several gauges atomically, applying decreases before increases
+     * @param gaugeAddrs Gauge addresses to vote for
+     * @param weights Weight for each gauge (basis points, 0-10000)
+     */
+    function voteForManyGaugeWeights(address[] calldata gaugeAddrs, uint256[] calldata weights) external;
+    
+    /**
+     * @notice Remove all of a user's votes after their delegated power moved away
+     * @dev Only callable by the VotingEscrow
+     * @param user Address whose votes are removed
+     */
+    function clearVotes(address user) external;
+    
     /**
      * @notice Get relative weight of a gauge at current time
      * @param addr Gauge address
@@ -36,6 +58,97 @@ interface IGaugeController {
      */
     function gaugeRelativeWeight(address addr, uint256 timestamp) external view returns (uint256);
     
+    /**
+     * @notice Get absolute weight of a gauge
+     * @param addr Gauge address
+     * @param time Time to query (rounded down to the week)
+     * @return Gauge weight
+     */
+    function getGaugeWeight(address addr, uint256 time) external view returns (uint256);
+    
+    /**
+     * @notice Get sum of all gauge weights, each scaled by its type weight
+     * @param time Time to query (rounded down to the week)
+     * @return Total weight
+     */
+    function getTotalWeight(uint256 time) external view returns (uint256);
+    
+    /**
+     * @notice Stop a gauge from receiving emissions
+     * @param addr Gauge address
+     */
+    function killGauge(address addr) external;
+    
+    /**
+     * @notice Restore a killed gauge
+     * @param addr Gauge address
+     */
+    function unkillGauge(address addr) external;
+    
+    /**
+     * @notice Whether a gauge is killed
+     * @param addr Gauge address
+     * @return True if killed
+     */
+    function isKilled(address addr) external view returns (bool);
+    
+    /**
+     * @notice Whether a gauge was killed in a given week
+     * @dev Kills apply from the week they happen in, unkills from the following week
+     * @param addr Gauge address
+     * @param time Time to query
+     * @return True if killed in the week containing `time`
+     */
+    function isKilledAt(address addr, uint256 time) external view returns (bool);
+    
+    /**
+     * @notice Add a new gauge type
+     * @param name Type name
+     */
+    function addGaugeType(string memory name) external;
+    
+    /**
+     * @notice Change a type's weight, effective from the next week
+     * @param typeId Gauge type
+     * @param weight New type weight (1e18 = 1x)
+     */
+    function changeTypeWeight(uint256 typeId, uint256 weight) external;
+    
+    /**
+     * @notice Get a type's weight
+     * @param typeId Gauge type
+     * @param time Time to query (rounded down to the week)
+     * @return Type weight (1e18 = 1x)
+     */
+    function getTypeWeight(uint256 typeId, uint256 time) external view returns (uint256);
+    
+    /**
+     * @notice Get the sum of gauge weights of one type, before the type weight is applied
+     * @param typeId Gauge type
+     * @param time Time to query (rounded down to the week)
+     * @return Sum of gauge weights
+     */
+    function getTypeSum(uint256 typeId, uint256 time) external view returns (uint256);
+    
+    /**
+     * @notice Number of registered gauges
+     * @return Gauge count
+     */
+    function nGauges() external view returns (uint256);
+    
+    /**
+     * @notice Registered gauge by index
+     * @param index Position in registration order
+     * @return Gauge address
+     */
+    function gauges(uint256 index) external view returns (address);
+    
+    /**
+     * @notice All registered gauges
+     * @return Gauge addresses in registration order
+     */
+    function getGauges() external view returns (address[] memory);
+    
     /**
      * @notice Get gauge type
      * @param addr Gauge address
@@ -44,7 +157,7 @@ interface IGaugeController {
     function gaugeTypes(address addr) external view returns (uint256);
     
     /**
-     * @notice Checkpoint to update all gauge weights
+     * @notice Checkpoint the total weight and every registered gauge
      */
     function checkpoint() external;
     
@@ -70,6 +183,38 @@ interface IGaugeController {
      */
     function voteUserPower(address user, address gauge) external view returns (uint256);
     
+    /**
+     * @notice Get a user's current vote for a gauge
+     * @dev The vote's bias at a week-aligned time t is slope * (end - t) / WEEK while t < end,
+     *      plus permanent * (MAX_TIME / WEEK)
+     * @param user User address
+     * @param gauge Gauge address
+     * @return slope Decaying voting power applied to the gauge
+     * @return power Vote power allocated to the gauge (basis points)
+     * @return end Unlock time of the power behind the vote
+     * @return permanent Permanent lock power applied to the gauge
+     */
+    function voteUserSlopes(address user, address gauge)
+        external
+        view
+        returns (uint256 slope, uint256 power, uint256 end, uint256 permanent);
+    
+    /**
+     * @notice Get the bias a user's vote added to a gauge's weight in a week
+     * @dev Uses the vote in force that week, however the vote changed since
+     * @param user User address
+     * @param gauge Gauge address
+     * @param time Time to query (rounded down to the week)
+     * @return Bias, 0 if the user had no vote for the gauge that week
+     */
+    function voteUserBiasAt(address user, address gauge, uint256 time) external view returns (uint256);
+    
+    /**
+     * @notice Longest lock, which permanent lock power votes as
+     * @return Maximum lock time in seconds
+     */
+    function MAX_TIME() external view returns (uint256);
+    
     /**
      * @notice Emitted when new gauge is added
      * @param gauge Gauge address
@@ -77,6 +222,34 @@ interface IGaugeController {
      */
     event NewGauge(address indexed gauge, uint256 gaugeType);
     
+    /**
+     * @notice Emitted when a gauge is killed
+     * @param gauge Gauge address
+     */
+    event GaugeKilled(address indexed gauge);
+    
+    /**
+     * @notice Emitted when a killed gauge is restored
+     * @param gauge Gauge address
+     */
+    event GaugeUnkilled(address indexed gauge);
+    
+    /**
+     * @notice Emitted when a gauge type is added
+     * @param name Type name
+     * @param typeId Type identifier
+     */
+    event AddType(string name, uint256 typeId);
+    
+    /**
+     * @notice Emitted when a type weight is set
+     * @param typeId Type identifier
+     * @param time Week from which the weight applies
+     * @param weight Type weight (1e18 = 1x)
+     * @param totalWeight Type-weighted total at that week
+     */
+    event NewTypeWeight(uint256 indexed typeId, uint256 time, uint256 weight, uint256 totalWeight);
+    
     /**
      * @notice Emitted when user votes
      * @param user Voter address
@@ -29,10 +29,29 @@ interface ILiquidityGauge {
     function withdraw(uint256 amount) external;
     
     /**
-     * @notice Claim pending rewards
+     * @notice Claim pending rewards to the caller
      */
     function claimRewards() external;
     
+    /**
+     * @notice Claim pending rewards to a chosen receiver
+     * @param receiver Address that receives the reward tokens
+     */
+    function claimRewards(address receiver) external;
+    
+    /**
+     * @notice Claim pending rewards on behalf of a user, paid to that user
+     * @dev Only the user, the Minter or an operator approved in the Minter's allowedToMintFor
+     * @param user User address
+     */
+    function claimFor(address user) external;
+    
+    /**
+     * @notice Get reward token paid out by the gauge
+     * @return Reward token contract
+     */
+    function rewardToken() external view returns (IERC20);
+    
     /**
      * @notice Get claimable rewards for user
      * @param user User address
@@ -40,6 +59,62 @@ interface ILiquidityGauge {
      */
     function claimableRewards(address user) external view returns (uint256);
     
+    /**
+     * @notice Get a user's Minter rewards credited at their last checkpoint but not yet claimed
+     * @param user User address
+     * @return Unclaimed amount
+     */
+    function claimableReward(address user) external view returns (uint256);
+    
+    /**
+     * @notice Get all Minter rewards ever credited to a user, claimed or not
+     * @param user User address
+     * @return Cumulative amount as of the user's last checkpoint
+     */
+    function integrateFraction(address user) external view returns (uint256);
+    
+    /**
+     * @notice Add a third-party reward token
+     * @param token Reward token
+     * @param distributor Address allowed to deposit it
+     */
+    function addReward(address token, address distributor) external;
+    
+    /**
+     * @notice Change the distributor of a reward token
+     * @param token Reward token
+     * @param distributor New distributor
+     */
+    function setRewardDistributor(address token, address distributor) external;
+    
+    /**
+     * @notice Stream reward tokens to stakers over the reward period
+     * @param token Reward token
+     * @param amount Amount to add
+     */
+    function depositRewardToken(address token, uint256 amount) external;
+    
+    /**
+     * @notice Get a third-party reward token by index
+     * @param index Token index
+     * @return Reward token address
+     */
+    function rewardTokens(uint256 index) external view returns (address);
+    
+    /**
+     * @notice Get the number of third-party reward tokens
+     * @return Reward token count
+     */
+    function rewardCount() external view returns (uint256);
+    
+    /**
+     * @notice Get claimable amount of a reward token for user
+     * @param user User address
+     * @param token Reward token (the Minter's token or a third-party one)
+     * @return Claimable amount
+     */
+    function claimable(address user, address token) external view returns (uint256);
+    
     /**
      * @notice Get user staked balance
      * @param user User address
@@ -65,6 +140,39 @@ interface ILiquidityGauge {
      */
     function userCheckpoint(address addr) external;
     
+    /**
+     * @notice Get a user's boosted balance used for reward distribution
+     * @param user User address
+     * @return Working balance
+     */
+    function workingBalances(address user) external view returns (uint256);
+    
+    /**
+     * @notice Get the sum of working balances
+     * @return Working supply
+     */
+    function workingSupply() external view returns (uint256);
+    
+    /**
+     * @notice Recompute a user's working balance when their boost has decayed
+     * @param addr User address
+     */
+    function kick(address addr) external;
+    
+    /**
+     * @notice Preview the boost a user would get if checkpointed now
+     * @param user User address
+     * @return Boost (1e18 = 1x)
+     */
+    function previewBoost(address user) external view returns (uint256);
+    
+    /**
+     * @notice veBalance needed for the max boost on the user's current stake
+     * @param user User address
+     * @return Required veBalance
+     */
+    function veForMaxBoost(address user) external view returns (uint256);
+    
     /**
      * @notice Emitted on deposit
      * @param user User address
@@ -80,9 +188,64 @@ interface ILiquidityGauge {
     event Withdraw(address indexed user, uint256 amount);
     
     /**
-     * @notice Emitted when rewards are claimed
+     * @notice Emitted when a user's working balance is recomputed
      * @param user User address
+     * @param originalBalance Staked balance
+     * @param originalSupply Total staked
+     * @param workingBalance New working balance
+     * @param workingSupply New working supply
+     */
+    event UpdateLiquidityLimit(
+        address indexed user,
+        uint256 originalBalance,
+        uint256 originalSupply,
+        uint256 workingBalance,
+        uint256 workingSupply
+    );
+    
+    /**
+     * @notice Emitted when the max boost changes
+     * @param maxBoost New max boost (1e18 = 1x)
+     */
+    event MaxBoostUpdated(uint256 maxBoost);
+    
+    /**
+     * @notice Emitted when rewards are claimed
+     * @param user User whose rewards were claimed
+     * @param receiver Address the rewards were sent to
+     * @param amount Amount claimed
+     */
+    event RewardClaimed(address indexed user, address indexed receiver, uint256 amount);
+    
+    /**
+     * @notice Emitted when a third-party reward token is added
+     * @param token Reward token
+     * @param distributor Address allowed to deposit it
+     */
+    event RewardTokenAdded(address indexed token, address distributor);
+    
+    /**
+     * @notice Emitted when a reward token's distributor changes
+     * @param token Reward token
+     * @param distributor New distributor
+     */
+    event RewardDistributorUpdated(address indexed token, address distributor);
+    
+    /**
+     * @notice Emitted when reward tokens are deposited for streaming
+     * @param token Reward token
+     * @param amount Amount received (anything still streaming is rolled into the new rate)
+     * @param rate Tokens per second
+     * @param periodFinish End of the new period
+     */
+    event RewardDeposited(address indexed token, uint256 amount, uint256 rate, uint256 periodFinish);
+    
+    /**
+     * @notice Emitted when a third-party reward token is claimed
+     * @param user User whose rewards were claimed
+     * @param receiver Address the rewards were sent to
+     * @param token Reward token
      * @param amount Amount claimed
      */
-    event RewardClaimed(address indexed user, uint256 amount);
+    event RewardTokenClaimed(address indexed user, address indexed receiver, address indexed token, uint256 amount);
 }
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+
+/**
+ * @title IMintableToken
+ * @notice Reward token the Minter can mint directly, up to a hard supply cap
+ */
+interface IMintableToken is IERC20 {
+    /**
+     * @notice Mint new tokens (minter only)
+     * @param to Recipient
+     * @param amount Amount to mint
+     */
+    function mint(address to, uint256 amount) external;
+    
+    /**
+     * @notice Maximum total supply
+     * @return Supply cap
+     */
+    function cap() external view returns (uint256);
+    
+    /**
+     * @notice Address allowed to mint
+     * @return Minter address
+     */
+    function minter() external view returns (address);
+}
@@ -1,6 +1,10 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./IGaugeController.sol";
+import "./IEmissionSchedule.sol";
+
 /**
  * @title IMinter
  * @notice Interface for reward token minting based on gauge weights
@@ -8,11 +12,61 @@ pragma solidity ^0.8.20;
  */
 interface IMinter {
     /**
-     * @notice Mint rewards for a gauge
+     * @notice Mint rewards for a gauge; tokens are sent to the gauge
      * @param gaugeAddr Gauge to mint for
      */
     function mint(address gaugeAddr) external;
     
+    /**
+     * @notice Pay out the caller's rewards from several gauges
+     * @param gaugeAddrs Gauges to claim from
+     */
+    function mintMany(address[] calldata gaugeAddrs) external;
+    
+    /**
+     * @notice Pay out a user's rewards from a gauge; callable by the user or an approved operator
+     * @param gaugeAddr Gauge to claim from
+     * @param user User whose rewards are paid, always to the user
+     */
+    function mintFor(address gaugeAddr, address user) external;
+    
+    /**
+     * @notice Allow or disallow an operator to call mintFor for the caller
+     * @param operator Operator address
+     */
+    function toggleApproveMint(address operator) external;
+    
+    /**
+     * @notice Check whether an operator may call mintFor for a user
+     * @param operator Operator address
+     * @param user User address
+     * @return Whether the operator is approved
+     */
+    function allowedToMintFor(address operator, address user) external view returns (bool);
+    
+    /**
+     * @notice Switch emissions to minting on the token (one-way)
+     */
+    function enableTokenMinting() external;
+    
+    /**
+     * @notice Whether emissions are minted on the token rather than sent from a pre-funded balance
+     * @return True once token minting is enabled
+     */
+    function tokenMinting() external view returns (bool);
+    
+    /**
+     * @notice Get the reward token
+     * @return Reward token contract
+     */
+    function token() external view returns (IERC20);
+    
+    /**
+     * @notice Get the gauge controller
+     * @return Gauge controller contract
+     */
+    function controller() external view returns (IGaugeController);
+    
     /**
      * @notice Get mintable amount for gauge
      * @param gaugeAddr Gauge address
@@ -21,23 +75,85 @@ interface IMinter {
     function mintable(address gaugeAddr) external view returns (uint256);
     
     /**
-     * @notice Get minted amount for gauge in current period
+     * @notice Get the emissions the schedule releases between two timestamps, across all gauges
+     * @param start Start timestamp
+     * @param end End timestamp
+     * @return Amount released
+     */
+    function mintableInTimeframe(uint256 start, uint256 end) external view returns (uint256);
+    
+    /**
+     * @notice Get the total emissions the schedule has released so far, across all gauges
+     * @return Amount released
+     */
+    function availableSupply() external view returns (uint256);
+    
+    /**
+     * @notice Get total amount minted for a gauge
      * @param gaugeAddr Gauge address
      * @return Minted amount
      */
     function minted(address gaugeAddr) external view returns (uint256);
     
     /**
-     * @notice Get emission rate per second
+     * @notice Get the amount of a gauge's emissions paid out to a user
+     * @param user User address
+     * @param gaugeAddr Gauge address
+     * @return Amount paid out
+     */
+    function minted(address user, address gaugeAddr) external view returns (uint256);
+    
+    /**
+     * @notice Get the current emission rate per second
      * @return Emission rate
      */
     function rate() external view returns (uint256);
     
     /**
-     * @notice Update mining parameters (emission rate)
+     * @notice Get the emission rate at a timestamp, assuming no further schedule change
+     * @param timestamp Timestamp to query, past or future
+     * @return Emission rate
+     */
+    function rateAt(uint256 timestamp) external view returns (uint256);
+    
+    /**
+     * @notice Get the time the current emission rate took effect
+     * @dev Compatibility view for the fixed-epoch API, backed by the schedule
+     * @return Start of the current rate epoch
+     */
+    function startEpochTime() external view returns (uint256);
+    
+    /**
+     * @notice Get the emissions released before the current rate epoch
+     * @dev Compatibility view for the fixed-epoch API, backed by the schedule
+     * @return Amount released across all gauges
+     */
+    function startEpochSupply() external view returns (uint256);
+    
+    /**
+     * @notice Report the current rate and rate epoch
+     * @dev Kept for keepers of the fixed-epoch API: rates follow the schedule without updates,
+     *      so this only emits UpdateMiningParameters and never reverts
      */
     function updateMiningParameters() external;
     
+    /**
+     * @notice Get the emission schedule in force
+     * @return Schedule contract
+     */
+    function schedule() external view returns (IEmissionSchedule);
+    
+    /**
+     * @notice Propose a new emission schedule, applicable after a delay
+     * @param newSchedule Schedule contract
+     */
+    function commitSchedule(address newSchedule) external;
+    
+    /**
+     * @notice Switch to the committed schedule once its delay has passed
+     */
+    function applySchedule() external;
+    
     /**
      * @notice Emitted when rewards are minted
      * @param gauge Gauge address
@@ -45,4 +161,38 @@ interface IMinter {
      * @param amount Amount minted
      */
     event Minted(address indexed gauge, address indexed recipient, uint256 amount);
+    
+    /**
+     * @notice Emitted when a new emission schedule is proposed
+     * @param schedule Schedule contract
+     * @param applicableFrom Earliest time it can be applied
+     */
+    event CommitSchedule(address schedule, uint256 applicableFrom);
+    
+    /**
+     * @notice Emitted when a new emission schedule takes effect
+     * @param schedule Schedule contract
+     */
+    event ApplySchedule(address schedule);
+    
+    /**
+     * @notice Emitted when emissions switch to minting on the token
+     */
+    event TokenMintingEnabled();
+    
+    /**
+     * @notice Emitted by updateMiningParameters
+     * @param time Block timestamp
+     * @param rate Current emission rate per second
+     * @param startEpochTime Time the current rate took effect
+     */
+    event UpdateMiningParameters(uint256 time, uint256 rate, uint256 startEpochTime);
+    
+    /**
+     * @notice Emitted when a user changes an operator's mintFor approval
+     * @param user User address
+     * @param operator Operator address
+     * @param allowed Whether the operator is now approved
+     */
+    event MintApprovalUpdated(address indexed user, address indexed operator, bool allowed);
 }
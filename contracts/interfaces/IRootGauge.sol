@@ -0,0 +1,61 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./IBridgeAdapter.sol";
+
+/**
+ * @title IRootGauge
+ * @notice Gauge registered in the GaugeController that forwards its emissions to another chain
+ * @dev Pairs with an IChildGauge on the destination chain, which streams them to stakers
+ */
+interface IRootGauge {
+    /**
+     * @notice Mint this gauge's emissions and bridge everything it holds to the child gauge
+     * @dev At most once per week
+     * @return amount Amount bridged
+     */
+    function transmitEmissions() external returns (uint256 amount);
+    
+    /**
+     * @notice Set the bridge adapter used for transmissions (admin only)
+     * @param adapter Bridge adapter
+     */
+    function setBridgeAdapter(address adapter) external;
+    
+    /**
+     * @notice Set the child gauge on the destination chain (admin only)
+     * @param child Child gauge address
+     */
+    function setChildGauge(address child) external;
+    
+    /**
+     * @notice Get the bridge adapter
+     * @return Bridge adapter
+     */
+    function bridgeAdapter() external view returns (IBridgeAdapter);
+    
+    /**
+     * @notice Get the child gauge on the destination chain
+     * @return Child gauge address
+     */
+    function childGauge() external view returns (address);
+    
+    /**
+     * @notice Emitted when emissions are bridged to the child gauge
+     * @param childGauge Recipient on the destination chain
+     * @param amount Amount bridged
+     */
+    event EmissionsTransmitted(address indexed childGauge, uint256 amount);
+    
+    /**
+     * @notice Emitted when the bridge adapter changes
+     * @param adapter New adapter
+     */
+    event BridgeAdapterUpdated(address adapter);
+    
+    /**
+     * @notice Emitted when the child gauge changes
+     * @param childGauge New child gauge
+     */
+    event ChildGaugeUpdated(address childGauge);
+}
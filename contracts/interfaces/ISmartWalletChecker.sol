@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ISmartWalletChecker
+ * @notice Decides which smart contracts may hold VotingEscrow locks
+ * @dev EOAs never reach the checker; it is only asked about contract callers
+ */
+interface ISmartWalletChecker {
+    /**
+     * @notice Whether a contract may create or add to a lock
+     * @param addr Contract address
+     * @return True if approved
+     */
+    function check(address addr) external view returns (bool);
+}
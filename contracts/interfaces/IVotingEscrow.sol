@@ -31,6 +31,20 @@ interface IVotingEscrow {
      */
     function withdraw() external;
     
+    /**
+     * @notice Withdraw before the lock expires, paying a penalty proportional to the time left
+     * @dev No penalty is taken once unlockAll was called
+     */
+    function withdrawEarly() external;
+    
+    /**
+     * @notice Preview an early withdrawal at the current time
+     * @param addr Lock owner
+     * @return value Amount returned to the owner
+     * @return penalty Amount sent to the penalty recipient
+     */
+    function previewEarlyWithdraw(address addr) external view returns (uint256 value, uint256 penalty);
+    
     /**
      * @notice Get voting power at a specific timestamp
      * @param addr User address
@@ -46,6 +60,21 @@ interface IVotingEscrow {
      */
     function balanceOf(address addr) external view returns (uint256);
     
+    /**
+     * @notice Get voting power at a past block
+     * @param addr User address
+     * @param blk Block number (at most the current block)
+     * @return Voting power at that block
+     */
+    function balanceOfAt(address addr, uint256 blk) external view returns (uint256);
+    
+    /**
+     * @notice Get total voting power at a past block
+     * @param blk Block number (at most the current block)
+     * @return Total voting power at that block
+     */
+    function totalSupplyAt(uint256 blk) external view returns (uint256);
+    
     /**
      * @notice Get total voting power at timestamp
      * @param timestamp Timestamp to query
@@ -63,15 +92,83 @@ interface IVotingEscrow {
      * @notice Get locked balance info for user
      * @param addr User address
      * @return amount Locked amount
-     * @return end Unlock timestamp
+     * @return end Unlock timestamp (0 for a permanent lock)
+     * @return isPermanent Whether the lock is permanent
+     */
+    function locked(address addr) external view returns (uint256 amount, uint256 end, bool isPermanent);
+    
+    /**
+     * @notice Let every lock be withdrawn regardless of its unlock time (one-way, owner only)
+     */
+    function unlockAll() external;
+    
+    /**
+     * @notice Whether unlockAll has been called
+     */
+    function unlocked() external view returns (bool);
+    
+    /**
+     * @notice Make the caller's lock permanent: full-lock power that does not decay
+     */
+    function lockPermanent() external;
+    
+    /**
+     * @notice End the caller's permanent lock, starting a MAX_TIME decay
+     */
+    function unlockPermanent() external;
+    
+    /**
+     * @notice Delegate the caller's lock power
+     * @param delegatee Address to delegate to
+     */
+    function delegate(address delegatee) external;
+    
+    /**
+     * @notice Return delegated lock power to the caller
+     */
+    function undelegate() external;
+    
+    /**
+     * @notice Get the address holding a lock's power
+     * @param addr Lock owner
+     * @return Delegate (the owner itself when not delegated)
+     */
+    function delegates(address addr) external view returns (address);
+    
+    /**
+     * @notice Get voting power held by an address through delegation, including its own lock
+     * @param addr Delegate address
+     * @param timestamp Timestamp to query
+     * @return Delegated voting power
+     */
+    function delegatedBalanceOf(address addr, uint256 timestamp) external view returns (uint256);
+    
+    /**
+     * @notice Get current voting power held by an address through delegation
+     * @param addr Delegate address
+     * @return Delegated voting power
+     */
+    function delegatedBalanceOf(address addr) external view returns (uint256);
+    
+    /**
+     * @notice Get when an address's delegated power runs out at its current decay rate
+     * @param addr Delegate address
+     * @return Timestamp rounded down to a week, or 0 if it holds no decaying power
      */
-    function locked(address addr) external view returns (uint256 amount, uint256 end);
+    function delegatedPowerEnd(address addr) external view returns (uint256);
     
     /**
-     * @notice Emitted when tokens are locked
+     * @notice Get the part of an address's delegated power that comes from permanent locks
+     * @param addr Delegate address
+     * @return Non-decaying delegated voting power
+     */
+    function delegatedPermanentBalance(address addr) external view returns (uint256);
+    
+    /**
+     * @notice Emitted when tokens are locked or a lock is extended
      * @param provider User address
-     * @param value Amount locked
-     * @param unlockTime Unlock timestamp
+     * @param value Amount locked (0 for an extension)
+     * @param unlockTime Unlock timestamp after the change
      * @param timestamp Block timestamp
      */
     event Deposit(address indexed provider, uint256 value, uint256 unlockTime, uint256 timestamp);
@@ -83,4 +180,80 @@ interface IVotingEscrow {
      * @param timestamp Block timestamp
      */
     event Withdraw(address indexed provider, uint256 value, uint256 timestamp);
+    
+    /**
+     * @notice Emitted when a lock's power changes hands
+     * @param delegator Lock owner
+     * @param fromDelegate Previous holder of the power
+     * @param toDelegate New holder of the power
+     */
+    event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate);
+    
+    /**
+     * @notice Emitted when the gauge controller notified of delegation changes is set
+     * @param voter Gauge controller address
+     */
+    event VoterUpdated(address voter);
+    
+    /**
+     * @notice Emitted when a lock is withdrawn before it expires
+     * @param provider User address
+     * @param value Amount returned to the user
+     * @param penalty Amount sent to the penalty recipient
+     * @param timestamp Block timestamp
+     */
+    event EarlyWithdraw(address indexed provider, uint256 value, uint256 penalty, uint256 timestamp);
+    
+    /**
+     * @notice Emitted when the early withdrawal penalty changes
+     * @param penalty Penalty for a lock with MAX_TIME left (1e18 = 100%)
+     */
+    event EarlyWithdrawPenaltyUpdated(uint256 penalty);
+    
+    /**
+     * @notice Emitted when the penalty recipient changes
+     * @param recipient New recipient
+     */
+    event PenaltyRecipientUpdated(address recipient);
+    
+    /**
+     * @notice Emitted when a new smart wallet checker is staged
+     * @param checker Staged checker
+     */
+    event CommitSmartWalletChecker(address checker);
+    
+    /**
+     * @notice Emitted when the staged smart wallet checker becomes active
+     * @param checker Active checker
+     */
+    event ApplySmartWalletChecker(address checker);
+    
+    /**
+     * @notice Emitted when the escape hatch letting all contracts lock is toggled
+     * @param allowed Whether every contract may lock
+     */
+    event ContractsAllowedUpdated(bool allowed);
+    
+    /**
+     * @notice Emitted when a lock becomes permanent
+     * @param provider User address
+     * @param value Locked amount
+     * @param timestamp Block timestamp
+     */
+    event LockPermanent(address indexed provider, uint256 value, uint256 timestamp);
+    
+    /**
+     * @notice Emitted when a permanent lock starts decaying again
+     * @param provider User address
+     * @param value Locked amount
+     * @param unlockTime New unlock timestamp
+     * @param timestamp Block timestamp
+     */
+    event UnlockPermanent(address indexed provider, uint256 value, uint256 unlockTime, uint256 timestamp);
+    
+    /**
+     * @notice Emitted when every lock is released for withdrawal
+     * @param timestamp Block timestamp
+     */
+    event UnlockAll(uint256 timestamp);
 }
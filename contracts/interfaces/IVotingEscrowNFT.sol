@@ -0,0 +1,181 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IVotingEscrowNFT
+ * @notice Interface for the ERC-721 lock mode of the voting escrow
+ * @dev Each lock is a token with its own amount and unlock time, so an address can hold
+ *      several positions. Voting power is read per token or summed per owner; the owner
+ *      sums use the same function names as IVotingEscrow so the GaugeController and
+ *      gauges work with either escrow.
+ */
+interface IVotingEscrowNFT {
+    /**
+     * @notice Lock tokens in a new position
+     * @param amount Amount of tokens to lock
+     * @param unlockTime Timestamp when tokens can be withdrawn (rounded down to weeks)
+     * @return tokenId The new position
+     */
+    function createLock(uint256 amount, uint256 unlockTime) external returns (uint256 tokenId);
+    
+    /**
+     * @notice Add tokens to a position
+     * @param tokenId Position to add to
+     * @param amount Additional amount to lock
+     */
+    function increaseAmount(uint256 tokenId, uint256 amount) external;
+    
+    /**
+     * @notice Extend a position's lock
+     * @param tokenId Position to extend
+     * @param unlockTime New unlock timestamp (must be later than the current one)
+     */
+    function increaseUnlockTime(uint256 tokenId, uint256 unlockTime) external;
+    
+    /**
+     * @notice Withdraw an expired position to its owner and burn it
+     * @param tokenId Position to withdraw
+     */
+    function withdraw(uint256 tokenId) external;
+    
+    /**
+     * @notice Fold one position into another of the same owner
+     * @dev `to` keeps the later of the two unlock times; `from` is burned
+     * @param from Position to merge away
+     * @param to Position that receives the amount
+     */
+    function merge(uint256 from, uint256 to) external;
+    
+    /**
+     * @notice Split a position into several with the same unlock time
+     * @param tokenId Position to split; it keeps amounts[0]
+     * @param amounts Amounts of the resulting positions, summing to the locked amount
+     * @return tokenIds Resulting positions, in the order of `amounts`
+     */
+    function split(uint256 tokenId, uint256[] calldata amounts) external returns (uint256[] memory tokenIds);
+    
+    /**
+     * @notice Locked amount and unlock time of a position
+     * @param tokenId Position
+     * @return amount Locked amount
+     * @return end Unlock timestamp
+     */
+    function locked(uint256 tokenId) external view returns (uint256 amount, uint256 end);
+    
+    /**
+     * @notice Current voting power of a position
+     * @param tokenId Position
+     * @return Voting power
+     */
+    function balanceOfNFT(uint256 tokenId) external view returns (uint256);
+    
+    /**
+     * @notice Voting power of a position at a timestamp
+     * @param tokenId Position
+     * @param timestamp Timestamp to query
+     * @return Voting power
+     */
+    function balanceOfNFTAt(uint256 tokenId, uint256 timestamp) external view returns (uint256);
+    
+    /**
+     * @notice Positions held by an address
+     * @param holder Holder
+     * @return Token ids
+     */
+    function tokensOfOwner(address holder) external view returns (uint256[] memory);
+    
+    /**
+     * @notice Voting power of all positions held by an address at a timestamp
+     * @param holder Holder
+     * @param timestamp Timestamp to query
+     * @return Voting power
+     */
+    function balanceOf(address holder, uint256 timestamp) external view returns (uint256);
+    
+    /**
+     * @notice Get total voting power at timestamp
+     * @param timestamp Timestamp to query
+     * @return Total voting power
+     */
+    function totalSupply(uint256 timestamp) external view returns (uint256);
+    
+    /**
+     * @notice Get total current voting power
+     * @return Total voting power
+     */
+    function totalSupply() external view returns (uint256);
+    
+    /**
+     * @notice Let every position be withdrawn regardless of its unlock time (one-way, owner only)
+     */
+    function unlockAll() external;
+    
+    /**
+     * @notice Whether unlockAll has been called
+     */
+    function unlocked() external view returns (bool);
+    
+    /**
+     * @notice Emitted when tokens are added to a position or it is extended
+     * @param tokenId Position
+     * @param provider Caller
+     * @param value Amount added (0 for an extension)
+     * @param unlockTime Unlock timestamp of the position
+     * @param timestamp Block timestamp
+     */
+    event Deposit(uint256 indexed tokenId, address indexed provider, uint256 value, uint256 unlockTime, uint256 timestamp);
+    
+    /**
+     * @notice Emitted when a position is withdrawn
+     * @param tokenId Position
+     * @param provider Owner receiving the tokens
+     * @param value Amount withdrawn
+     * @param timestamp Block timestamp
+     */
+    event Withdraw(uint256 indexed tokenId, address indexed provider, uint256 value, uint256 timestamp);
+    
+    /**
+     * @notice Emitted when one position is merged into another
+     * @param from Burned position
+     * @param to Position that received the amount
+     */
+    event Merge(uint256 indexed from, uint256 indexed to);
+    
+    /**
+     * @notice Emitted when a position is split
+     * @param tokenId Split position
+     * @param tokenIds Resulting positions
+     * @param amounts Their amounts
+     */
+    event Split(uint256 indexed tokenId, uint256[] tokenIds, uint256[] amounts);
+    
+    /**
+     * @notice Emitted when the gauge controller notified of power moves changes
+     * @param voter New gauge controller
+     */
+    event VoterUpdated(address voter);
+    
+    /**
+     * @notice Emitted when a new smart wallet checker is staged
+     * @param checker Staged checker
+     */
+    event CommitSmartWalletChecker(address checker);
+    
+    /**
+     * @notice Emitted when the staged smart wallet checker becomes active
+     * @param checker Active checker
+     */
+    event ApplySmartWalletChecker(address checker);
+    
+    /**
+     * @notice Emitted when the escape hatch letting all contracts lock is toggled
+     * @param allowed Whether every contract may lock
+     */
+    event ContractsAllowedUpdated(bool allowed);
+    
+    /**
+     * @notice Emitted when every position is released for withdrawal
+     * @param timestamp Block timestamp
+     */
+    event UnlockAll(uint256 timestamp);
+}
@@ -0,0 +1,29 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/IEmissionSchedule.sol";
+
+/**
+ * @title ConstantEmissionSchedule
+ * @notice Emits at the same rate forever
+ */
+contract ConstantEmissionSchedule is IEmissionSchedule {
+    uint256 public immutable rate;
+    
+    constructor(uint256 _rate) {
+        rate = _rate;
+    }
+    
+    function rateAt(uint256) external view returns (uint256) {
+        return rate;
+    }
+    
+    function epochStart(uint256) external pure returns (uint256) {
+        return 0;
+    }
+    
+    function released(uint256 start, uint256 end) external view returns (uint256) {
+        require(start <= end, "Invalid timeframe");
+        return rate * (end - start);
+    }
+}
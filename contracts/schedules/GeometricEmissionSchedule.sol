@@ -0,0 +1,73 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/IEmissionSchedule.sol";
+
+/**
+ * @title GeometricEmissionSchedule
+ * @notice Emits at a rate divided by a fixed coefficient at the start of every period
+ * @dev Curve's schedule is a period of 365 days and a coefficient of 2^(1/4).
+ *      Nothing is released before `start`.
+ */
+contract GeometricEmissionSchedule is IEmissionSchedule {
+    uint256 public constant COEFFICIENT_DENOMINATOR = 1e18;
+    
+    uint256 public immutable start;
+    uint256 public immutable initialRate;
+    uint256 public immutable period;
+    uint256 public immutable coefficient;
+    
+    /**
+     * @param _start First period start; zero for the deployment time
+     * @param _initialRate Rate of the first period
+     * @param _period Length of a period in seconds
+     * @param _coefficient Rate divisor between periods (1e18 = 1x, keeps the rate constant)
+     */
+    constructor(uint256 _start, uint256 _initialRate, uint256 _period, uint256 _coefficient) {
+        require(_period > 0, "Invalid period");
+        require(_coefficient >= COEFFICIENT_DENOMINATOR, "Invalid coefficient");
+        
+        start = _start == 0 ? block.timestamp : _start;
+        initialRate = _initialRate;
+        period = _period;
+        coefficient = _coefficient;
+    }
+    
+    function rateAt(uint256 timestamp) external view returns (uint256) {
+        if (timestamp < start) return 0;
+        return _periodRate((timestamp - start) / period);
+    }
+    
+    function epochStart(uint256 timestamp) external view returns (uint256) {
+        if (timestamp < start) return 0;
+        return timestamp - (timestamp - start) % period;
+    }
+    
+    function released(uint256 from, uint256 to) external view returns (uint256 amount) {
+        require(from <= to, "Invalid timeframe");
+        if (from < start) from = start;
+        if (to <= from) return 0;
+        
+        uint256 index = (from - start) / period;
+        uint256 rate = _periodRate(index);
+        while (from < to) {
+            uint256 periodEnd = start + (index + 1) * period;
+            uint256 segmentEnd = to < periodEnd ? to : periodEnd;
+            amount += rate * (segmentEnd - from);
+            
+            from = segmentEnd;
+            index++;
+            rate = (rate * COEFFICIENT_DENOMINATOR) / coefficient;
+        }
+    }
+    
+    /**
+     * @notice Rate of a period, counting from the first
+     */
+    function _periodRate(uint256 index) internal view returns (uint256 rate) {
+        rate = initialRate;
+        for (uint256 i = 0; i < index && rate > 0; i++) {
+            rate = (rate * COEFFICIENT_DENOMINATOR) / coefficient;
+        }
+    }
+}
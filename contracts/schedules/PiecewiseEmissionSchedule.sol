@@ -0,0 +1,64 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../interfaces/IEmissionSchedule.sol";
+
+/**
+ * @title PiecewiseEmissionSchedule
+ * @notice Emits at rates from an explicit table of (start, rate) steps
+ * @dev Each rate applies from its start until the next step's; the last one applies forever.
+ *      Nothing is released before the first step.
+ */
+contract PiecewiseEmissionSchedule is IEmissionSchedule {
+    uint256[] public starts;
+    uint256[] public rates;
+    
+    /**
+     * @param _starts Step start timestamps, strictly increasing
+     * @param _rates Rate from each start
+     */
+    constructor(uint256[] memory _starts, uint256[] memory _rates) {
+        require(_starts.length > 0, "No steps");
+        require(_starts.length == _rates.length, "Length mismatch");
+        for (uint256 i = 1; i < _starts.length; i++) {
+            require(_starts[i] > _starts[i - 1], "Steps not increasing");
+        }
+        
+        starts = _starts;
+        rates = _rates;
+    }
+    
+    /**
+     * @notice Number of steps
+     */
+    function stepCount() external view returns (uint256) {
+        return starts.length;
+    }
+    
+    function rateAt(uint256 timestamp) external view returns (uint256) {
+        uint256 rate = 0;
+        for (uint256 i = 0; i < starts.length && starts[i] <= timestamp; i++) {
+            rate = rates[i];
+        }
+        return rate;
+    }
+    
+    function epochStart(uint256 timestamp) external view returns (uint256) {
+        uint256 from = 0;
+        for (uint256 i = 0; i < starts.length && starts[i] <= timestamp; i++) {
+            from = starts[i];
+        }
+        return from;
+    }
+    
+    function released(uint256 start, uint256 end) external view returns (uint256 amount) {
+        require(start <= end, "Invalid timeframe");
+        
+        uint256 n = starts.length;
+        for (uint256 i = 0; i < n; i++) {
+            uint256 stepStart = starts[i] > start ? starts[i] : start;
+            uint256 stepEnd = i + 1 < n && starts[i + 1] < end ? starts[i + 1] : end;
+            if (stepEnd > stepStart) amount += rates[i] * (stepEnd - stepStart);
+        }
+    }
+}
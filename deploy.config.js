@@ -0,0 +1,52 @@
+/**
+ * Deployment config for scripts/deploy.js
+ *
+ * Point DEPLOY_CONFIG at another .js/.json file to deploy a different setup.
+ */
+module.exports = {
+  // "deploy" to deploy a SimpleRewardToken, "mintable" to deploy a capped
+  // MintableRewardToken that the Minter mints emissions on, or the address of an existing ERC20
+  rewardToken: "deploy",
+
+  // Used when rewardToken is "mintable" (whole tokens); the initial supply goes to the deployer
+  mintableToken: {
+    cap: "2000000000",
+    initialSupply: "1000000000",
+  },
+
+  votingEscrow: {
+    name: "Vote-Escrowed Reward Token",
+    symbol: "veRWD",
+    // Receives early withdrawal penalties; null sends them to the owner (or deployer)
+    penaltyRecipient: null,
+    // Contracts (e.g. a treasury multisig) approved to lock; EOAs can always lock
+    allowedContracts: [],
+  },
+
+  // Extra gauge types, added after the built-in type 0 ("Default") so the first
+  // entry is type 1. Either a name or { name, weight } with weight as a multiplier
+  // of the default type (e.g. "0.5").
+  gaugeTypes: [],
+
+  // lpToken: "deploy" for an ExampleVault, or the address of an existing LP token
+  gauges: [
+    { name: "example", lpToken: "deploy", gaugeType: 0 },
+  ],
+
+  // Minter emission schedule, by name or as { type, ...params }; rates are in wei per second.
+  //   "geometric": { initialRate, period (seconds), coefficient (rate divisor per period, 1e18 = 1x) },
+  //                defaults to Curve's 2^(1/4) yearly reduction
+  //   "constant":  { rate }
+  //   "piecewise": { steps: [{ offset (seconds after deployment), rate }, ...] }
+  emissionSchedule: "geometric",
+
+  // Reward tokens transferred from the deployer to the Minter (whole tokens);
+  // ignored for a mintable token
+  minterFunding: "100000000",
+
+  // Address that receives ownership of the controller, minter and token; null keeps the deployer
+  owner: null,
+
+  // Address that can pause new locks, votes, mints and gauge deposits alongside the owner
+  guardian: null,
+};
@@ -0,0 +1,171 @@
+const { Interface } = require("ethers");
+const abi = require("../sdk/abi");
+
+const INTERFACES = {
+  votingEscrow: new Interface(abi.VotingEscrow),
+  gaugeController: new Interface(abi.GaugeController),
+  minter: new Interface(abi.Minter),
+  liquidityGauge: new Interface(abi.LiquidityGauge),
+};
+
+/**
+ * Follows a JSON-RPC endpoint and feeds protocol events into a store.
+ *
+ * Logs are fetched in block ranges. Before each range the indexer checks that
+ * the last indexed block is still canonical; if not, it walks back through the
+ * recorded block hashes to the newest common ancestor and rolls the store back
+ * to it before continuing.
+ */
+class Indexer {
+  /**
+   * @param {object} options
+   * @param {import("ethers").Provider} options.provider
+   * @param {object} options.manifest Deployment manifest (see scripts/deploy.js)
+   * @param {import("./JsonStore").JsonStore} options.store
+   * @param {number} [options.startBlock] First block to index (defaults to 0)
+   * @param {number} [options.batchSize] Max blocks per eth_getLogs call
+   * @param {number} [options.confirmations] Stay this many blocks behind head
+   */
+  constructor({ provider, manifest, store, startBlock = 0, batchSize = 2000, confirmations = 0 }) {
+    this.provider = provider;
+    this.store = store;
+    this.startBlock = startBlock;
+    this.batchSize = batchSize;
+    this.confirmations = confirmations;
+
+    const { contracts } = manifest;
+    this.core = {
+      [contracts.votingEscrow.address.toLowerCase()]: "votingEscrow",
+      [contracts.gaugeController.address.toLowerCase()]: "gaugeController",
+      [contracts.minter.address.toLowerCase()]: "minter",
+    };
+    this.manifestGauges = Object.entries(contracts)
+      .filter(([id]) => id.startsWith("gauges/"))
+      .map(([, record]) => record.address.toLowerCase());
+    this._timer = null;
+  }
+
+  /**
+   * Gauges to fetch logs for: everything in the manifest plus NewGauge events seen so far
+   */
+  _gaugeAddresses() {
+    return [...this.manifestGauges, ...this.store.gauges().map((g) => g.address.toLowerCase())];
+  }
+
+  /**
+   * Index up to the current head (minus confirmations)
+   * @return {Promise<number>} Number of events added
+   */
+  async sync() {
+    await this._handleReorg();
+
+    const head = (await this.provider.getBlockNumber()) - this.confirmations;
+    let from = this.store.cursor ? this.store.cursor.number + 1 : this.startBlock;
+    let added = 0;
+
+    while (from <= head) {
+      const to = Math.min(from + this.batchSize - 1, head);
+      added += await this._indexRange(from, to);
+      from = to + 1;
+    }
+    return added;
+  }
+
+  async _indexRange(from, to) {
+    const coreLogs = await this.provider.getLogs({ address: Object.keys(this.core), fromBlock: from, toBlock: to });
+    const coreEvents = coreLogs.map((log) => this._decode(log, this.core[log.address.toLowerCase()])).filter(Boolean);
+
+    // Gauges added in this range must be included when fetching gauge logs
+    const gauges = new Set(this._gaugeAddresses());
+    for (const ev of coreEvents) {
+      if (ev.contract === "gaugeController" && ev.event === "NewGauge") gauges.add(ev.args.gauge.toLowerCase());
+    }
+
+    let gaugeEvents = [];
+    if (gauges.size > 0) {
+      const gaugeLogs = await this.provider.getLogs({ address: [...gauges], fromBlock: from, toBlock: to });
+      gaugeEvents = gaugeLogs.map((log) => this._decode(log, "liquidityGauge")).filter(Boolean);
+    }
+
+    const events = [...coreEvents, ...gaugeEvents].sort((a, b) => a.block - b.block || a.logIndex - b.logIndex);
+    const block = await this.provider.getBlock(to);
+    this.store.append(events, { number: to, hash: block.hash });
+    return events.length;
+  }
+
+  _decode(log, contract) {
+    let parsed;
+    try {
+      parsed = INTERFACES[contract].parseLog(log);
+    } catch (e) {
+      return null;
+    }
+    if (!parsed) return null;
+
+    const args = {};
+    parsed.fragment.inputs.forEach((input, i) => {
+      const value = parsed.args[i];
+      args[input.name] = typeof value === "bigint" ? value.toString() : value;
+    });
+
+    return {
+      contract,
+      event: parsed.name,
+      address: log.address,
+      block: log.blockNumber,
+      blockHash: log.blockHash,
+      txHash: log.transactionHash,
+      logIndex: log.index,
+      args,
+    };
+  }
+
+  /**
+   * Roll the store back to the newest recorded block that is still canonical
+   * @return {Promise<boolean>} Whether a reorg was detected
+   */
+  async _handleReorg() {
+    const cursor = this.store.cursor;
+    if (!cursor) return false;
+
+    const current = await this.provider.getBlock(cursor.number);
+    if (current && current.hash === cursor.hash) return false;
+
+    for (const { number, hash } of this.store.recentBlocks()) {
+      const block = await this.provider.getBlock(number);
+      if (block && block.hash === hash) {
+        this.store.rollback(number);
+        return true;
+      }
+    }
+
+    // Reorg deeper than the recorded history: start over
+    this.store.rollback(this.startBlock - 1);
+    return true;
+  }
+
+  /**
+   * Keep syncing on an interval until stop() is called
+   * @param {object} [options]
+   * @param {number} [options.intervalMs]
+   * @param {function} [options.onError]
+   */
+  follow({ intervalMs = 4000, onError = console.error } = {}) {
+    const tick = async () => {
+      try {
+        await this.sync();
+      } catch (e) {
+        onError(e);
+      }
+      if (this._timer !== null) this._timer = setTimeout(tick, intervalMs);
+    };
+    this._timer = setTimeout(tick, 0);
+  }
+
+  stop() {
+    clearTimeout(this._timer);
+    this._timer = null;
+  }
+}
+
+module.exports = { Indexer };
@@ -0,0 +1,176 @@
+const fs = require("fs");
+const path = require("path");
+const { emptyState, applyEvent } = require("./state");
+
+const FILE = "index.json";
+
+/**
+ * Event store persisted as a JSON file, with derived state and query helpers.
+ *
+ * Raw events are the source of truth; derived state is rebuilt from them after
+ * a rollback so reorg handling never has to undo individual updates.
+ */
+class JsonStore {
+  /**
+   * @param {string|null} dir Directory to persist to, or null for an in-memory store
+   * @param {object} [options]
+   * @param {number} [options.hashHistory] Number of recent block hashes kept for reorg detection
+   */
+  constructor(dir, options = {}) {
+    this.dir = dir;
+    this.hashHistory = options.hashHistory || 128;
+    this.data = { cursor: null, blockHashes: {}, events: [] };
+    this.state = emptyState();
+
+    if (dir && fs.existsSync(path.join(dir, FILE))) {
+      this.data = JSON.parse(fs.readFileSync(path.join(dir, FILE), "utf8"));
+      this._rebuild();
+    }
+  }
+
+  /**
+   * Last indexed block ({ number, hash }) or null
+   */
+  get cursor() {
+    return this.data.cursor;
+  }
+
+  /**
+   * Recorded hashes of recent blocks, newest first
+   * @return {Array<{number: number, hash: string}>}
+   */
+  recentBlocks() {
+    return Object.entries(this.data.blockHashes)
+      .map(([number, hash]) => ({ number: Number(number), hash }))
+      .sort((a, b) => b.number - a.number);
+  }
+
+  /**
+   * Append events for a fully indexed block range and advance the cursor
+   * @param {object[]} events Normalised events, in chain order
+   * @param {{number: number, hash: string}} head Last block of the range
+   */
+  append(events, head) {
+    for (const ev of events) {
+      this.data.events.push(ev);
+      this.data.blockHashes[ev.block] = ev.blockHash;
+      applyEvent(this.state, ev);
+    }
+    this.data.blockHashes[head.number] = head.hash;
+    this.data.cursor = head;
+    this._pruneHashes();
+    this._save();
+  }
+
+  /**
+   * Drop everything after `blockNumber` and rebuild derived state
+   * @param {number} blockNumber Last block to keep (-1 drops everything)
+   */
+  rollback(blockNumber) {
+    this.data.events = this.data.events.filter((ev) => ev.block <= blockNumber);
+    for (const number of Object.keys(this.data.blockHashes)) {
+      if (Number(number) > blockNumber) delete this.data.blockHashes[number];
+    }
+    this.data.cursor = blockNumber < 0 ? null : { number: blockNumber, hash: this.data.blockHashes[blockNumber] };
+    this._rebuild();
+    this._save();
+  }
+
+  _rebuild() {
+    this.state = emptyState();
+    for (const ev of this.data.events) applyEvent(this.state, ev);
+  }
+
+  _pruneHashes() {
+    const blocks = this.recentBlocks();
+    for (const { number } of blocks.slice(this.hashHistory)) delete this.data.blockHashes[number];
+  }
+
+  _save() {
+    if (!this.dir) return;
+    fs.mkdirSync(this.dir, { recursive: true });
+    const file = path.join(this.dir, FILE);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(this.data));
+    fs.renameSync(`${file}.tmp`, file);
+  }
+
+  // ============ Queries ============
+
+  status() {
+    return { cursor: this.data.cursor, events: this.data.events.length };
+  }
+
+  users() {
+    return Object.values(this.state.users);
+  }
+
+  user(address) {
+    return this.state.users[address.toLowerCase()] || null;
+  }
+
+  /**
+   * Active locks (non-zero amount)
+   */
+  locks() {
+    return this.users()
+      .filter((u) => u.lock.amount !== "0")
+      .map((u) => ({ user: u.address, ...u.lock }));
+  }
+
+  gauges() {
+    return Object.values(this.state.gauges);
+  }
+
+  gauge(address) {
+    return this.state.gauges[address.toLowerCase()] || null;
+  }
+
+  /**
+   * Gauge types with their weight history
+   */
+  types() {
+    return Object.values(this.state.types);
+  }
+
+  /**
+   * Vote history, optionally filtered
+   * @param {object} [filter]
+   * @param {string} [filter.user]
+   * @param {string} [filter.gauge]
+   */
+  votes(filter = {}) {
+    return this.state.votes.filter((v) => matches(v.user, filter.user) && matches(v.gauge, filter.gauge));
+  }
+
+  /**
+   * Mint history, optionally filtered by gauge and block range
+   */
+  mints(filter = {}) {
+    return this.state.mints.filter((m) => matches(m.gauge, filter.gauge) && inRange(m.block, filter));
+  }
+
+  /**
+   * Reward claim history, optionally filtered by gauge and user
+   */
+  claims(filter = {}) {
+    return this.state.claims.filter((c) => matches(c.gauge, filter.gauge) && matches(c.user, filter.user));
+  }
+
+  /**
+   * Raw events, optionally filtered by contract, event name and block range
+   */
+  events(filter = {}) {
+    return this.data.events.filter(
+      (ev) =>
+        (!filter.contract || ev.contract === filter.contract) &&
+        (!filter.event || ev.event === filter.event) &&
+        inRange(ev.block, filter)
+    );
+  }
+}
+
+const matches = (value, wanted) => !wanted || value.toLowerCase() === wanted.toLowerCase();
+const inRange = (block, { fromBlock, toBlock }) =>
+  (fromBlock === undefined || block >= Number(fromBlock)) && (toBlock === undefined || block <= Number(toBlock));
+
+module.exports = { JsonStore };
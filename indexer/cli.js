@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+/**
+ * Follow a node and serve the indexed data over HTTP.
+ *
+ *   node indexer/cli.js --manifest deployments/localhost.json \
+ *     [--rpc http://127.0.0.1:8545] [--data indexer-data] [--port 4000] \
+ *     [--confirmations 0] [--interval 4000]
+ */
+const fs = require("fs");
+const { JsonRpcProvider } = require("ethers");
+const { Indexer, JsonStore, createServer } = require(".");
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i += 2) {
+    if (!argv[i].startsWith("--")) throw new Error(`Unexpected argument: ${argv[i]}`);
+    args[argv[i].slice(2)] = argv[i + 1];
+  }
+  return args;
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  if (!args.manifest) throw new Error("--manifest is required");
+
+  const manifest = JSON.parse(fs.readFileSync(args.manifest, "utf8"));
+  const provider = new JsonRpcProvider(args.rpc || "http://127.0.0.1:8545");
+  const store = new JsonStore(args.data || "indexer-data");
+  const indexer = new Indexer({
+    provider,
+    manifest,
+    store,
+    confirmations: Number(args.confirmations || 0),
+  });
+
+  const port = Number(args.port || 4000);
+  createServer(store).listen(port, () => console.log(`Indexer API listening on http://localhost:${port}`));
+
+  indexer.follow({ intervalMs: Number(args.interval || 4000) });
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,9 @@
+const { Indexer } = require("./Indexer");
+const { JsonStore } = require("./JsonStore");
+const { createServer } = require("./server");
+
+module.exports = {
+  Indexer,
+  JsonStore,
+  createServer,
+};
@@ -0,0 +1,49 @@
+const http = require("http");
+
+/**
+ * Minimal read-only HTTP API over a store.
+ *
+ *   GET /status
+ *   GET /users             GET /users/:address
+ *   GET /locks
+ *   GET /gauges            GET /gauges/:address
+ *   GET /types
+ *   GET /votes?user=&gauge=
+ *   GET /mints?gauge=&fromBlock=&toBlock=
+ *   GET /claims?gauge=&user=
+ *   GET /events?contract=&event=&fromBlock=&toBlock=
+ *
+ * @param {import("./JsonStore").JsonStore} store
+ * @return {http.Server}
+ */
+function createServer(store) {
+  const routes = {
+    status: () => store.status(),
+    users: (id) => (id ? store.user(id) : store.users()),
+    locks: () => store.locks(),
+    gauges: (id) => (id ? store.gauge(id) : store.gauges()),
+    types: () => store.types(),
+    votes: (_, q) => store.votes(q),
+    mints: (_, q) => store.mints(q),
+    claims: (_, q) => store.claims(q),
+    events: (_, q) => store.events(q),
+  };
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const [resource, id] = url.pathname.split("/").filter(Boolean);
+    const query = Object.fromEntries(url.searchParams);
+
+    const send = (status, body) => {
+      res.writeHead(status, { "Content-Type": "application/json" });
+      res.end(JSON.stringify(body));
+    };
+
+    if (req.method !== "GET" || !routes[resource]) return send(404, { error: "Not found" });
+    const result = routes[resource](id, query);
+    if (result === null) return send(404, { error: "Not found" });
+    send(200, result);
+  });
+}
+
+module.exports = { createServer };
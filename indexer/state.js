@@ -0,0 +1,200 @@
+/**
+ * Reducer that folds decoded protocol events into query-friendly state.
+ * Amounts are kept as decimal strings so the state serialises to JSON as-is.
+ */
+
+function emptyState() {
+  return {
+    users: {},
+    gauges: {},
+    types: {},
+    votes: [],
+    mints: [],
+    claims: [],
+  };
+}
+
+const add = (a, b) => (BigInt(a) + BigInt(b)).toString();
+const sub = (a, b) => (BigInt(a) - BigInt(b)).toString();
+
+function user(state, address) {
+  const key = address.toLowerCase();
+  if (!state.users[key]) {
+    state.users[key] = {
+      address,
+      lock: { amount: "0", end: "0", permanent: false },
+      delegate: null,
+      penaltiesPaid: "0",
+      votes: {},
+      stakes: {},
+      working: {},
+      claimed: {},
+    };
+  }
+  return state.users[key];
+}
+
+function gauge(state, address) {
+  const key = address.toLowerCase();
+  if (!state.gauges[key]) {
+    state.gauges[key] = {
+      address,
+      gaugeType: null,
+      addedAtBlock: null,
+      killed: false,
+      totalStaked: "0",
+      workingSupply: "0",
+      minted: "0",
+      claimed: "0",
+      rewardTokens: {},
+      votes: {},
+    };
+  }
+  return state.gauges[key];
+}
+
+function gaugeType(state, id) {
+  if (!state.types[id]) {
+    state.types[id] = { id, name: null, weight: null, weights: [] };
+  }
+  return state.types[id];
+}
+
+/**
+ * Apply one decoded event to the state (mutates and returns it)
+ * @param {object} state
+ * @param {object} ev Normalised event ({ contract, event, address, block, txHash, args })
+ */
+function applyEvent(state, ev) {
+  const { args } = ev;
+  const where = { block: ev.block, txHash: ev.txHash };
+
+  switch (`${ev.contract}.${ev.event}`) {
+    case "votingEscrow.Deposit": {
+      const u = user(state, args.provider);
+      u.lock = { ...u.lock, amount: add(u.lock.amount, args.value), end: args.unlockTime };
+      break;
+    }
+    case "votingEscrow.Withdraw":
+      user(state, args.provider).lock = { amount: "0", end: "0", permanent: false };
+      break;
+    case "votingEscrow.EarlyWithdraw": {
+      const u = user(state, args.provider);
+      u.lock = { amount: "0", end: "0", permanent: false };
+      u.penaltiesPaid = add(u.penaltiesPaid, args.penalty);
+      break;
+    }
+    case "votingEscrow.LockPermanent": {
+      const u = user(state, args.provider);
+      u.lock = { ...u.lock, end: "0", permanent: true };
+      break;
+    }
+    case "votingEscrow.UnlockPermanent": {
+      const u = user(state, args.provider);
+      u.lock = { ...u.lock, end: args.unlockTime, permanent: false };
+      break;
+    }
+    case "votingEscrow.DelegateChanged":
+      // null while the power stays with the lock owner
+      user(state, args.delegator).delegate =
+        args.toDelegate.toLowerCase() === args.delegator.toLowerCase() ? null : args.toDelegate;
+      break;
+    case "gaugeController.NewGauge": {
+      const g = gauge(state, args.gauge);
+      g.gaugeType = args.gaugeType;
+      g.addedAtBlock = ev.block;
+      break;
+    }
+    case "gaugeController.GaugeKilled":
+      gauge(state, args.gauge).killed = true;
+      break;
+    case "gaugeController.GaugeUnkilled":
+      gauge(state, args.gauge).killed = false;
+      break;
+    case "gaugeController.AddType":
+      gaugeType(state, args.typeId).name = args.name;
+      break;
+    case "gaugeController.NewTypeWeight": {
+      const t = gaugeType(state, args.typeId);
+      t.weight = args.weight;
+      t.weights.push({ time: args.time, weight: args.weight, ...where });
+      break;
+    }
+    case "gaugeController.VoteForGauge": {
+      const key = args.gauge.toLowerCase();
+      user(state, args.user).votes[key] = args.weight;
+      gauge(state, args.gauge).votes[args.user.toLowerCase()] = args.weight;
+      state.votes.push({ user: args.user, gauge: args.gauge, weight: args.weight, timestamp: args.timestamp, ...where });
+      break;
+    }
+    case "minter.Minted": {
+      const g = gauge(state, args.gauge);
+      g.minted = add(g.minted, args.amount);
+      state.mints.push({ gauge: args.gauge, recipient: args.recipient, amount: args.amount, ...where });
+      break;
+    }
+    case "liquidityGauge.Deposit": {
+      const key = ev.address.toLowerCase();
+      const u = user(state, args.user);
+      u.stakes[key] = add(u.stakes[key] || "0", args.amount);
+      const g = gauge(state, ev.address);
+      g.totalStaked = add(g.totalStaked, args.amount);
+      break;
+    }
+    case "liquidityGauge.Withdraw": {
+      const key = ev.address.toLowerCase();
+      const u = user(state, args.user);
+      u.stakes[key] = sub(u.stakes[key] || "0", args.amount);
+      const g = gauge(state, ev.address);
+      g.totalStaked = sub(g.totalStaked, args.amount);
+      break;
+    }
+    case "liquidityGauge.UpdateLiquidityLimit":
+      user(state, args.user).working[ev.address.toLowerCase()] = args.workingBalance;
+      gauge(state, ev.address).workingSupply = args.workingSupply;
+      break;
+    case "liquidityGauge.RewardClaimed": {
+      const key = ev.address.toLowerCase();
+      const u = user(state, args.user);
+      u.claimed[key] = add(u.claimed[key] || "0", args.amount);
+      const g = gauge(state, ev.address);
+      g.claimed = add(g.claimed, args.amount);
+      state.claims.push({ gauge: ev.address, user: args.user, receiver: args.receiver, amount: args.amount, ...where });
+      break;
+    }
+    case "liquidityGauge.RewardTokenAdded":
+      gauge(state, ev.address).rewardTokens[args.token.toLowerCase()] = {
+        token: args.token,
+        distributor: args.distributor,
+        deposited: "0",
+        claimed: "0",
+      };
+      break;
+    case "liquidityGauge.RewardDistributorUpdated":
+      gauge(state, ev.address).rewardTokens[args.token.toLowerCase()].distributor = args.distributor;
+      break;
+    case "liquidityGauge.RewardDeposited": {
+      const reward = gauge(state, ev.address).rewardTokens[args.token.toLowerCase()];
+      reward.deposited = add(reward.deposited, args.amount);
+      reward.rate = args.rate;
+      reward.periodFinish = args.periodFinish;
+      break;
+    }
+    case "liquidityGauge.RewardTokenClaimed": {
+      const reward = gauge(state, ev.address).rewardTokens[args.token.toLowerCase()];
+      reward.claimed = add(reward.claimed, args.amount);
+      state.claims.push({
+        gauge: ev.address,
+        user: args.user,
+        receiver: args.receiver,
+        token: args.token,
+        amount: args.amount,
+        ...where,
+      });
+      break;
+    }
+  }
+  return state;
+}
+
+module.exports = { emptyState, applyEvent };
@@ -0,0 +1,444 @@
+const fs = require("fs");
+const path = require("path");
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, "..", "..", "deploy.config.js");
+const DEFAULT_DEPLOYMENTS_DIR = path.join(__dirname, "..", "..", "deployments");
+const WEEK = 7 * 24 * 60 * 60;
+
+/**
+ * Load and normalise a deployment config (.js or .json)
+ * @param {string} [configPath] Path to the config file
+ */
+function loadConfig(configPath = DEFAULT_CONFIG_PATH) {
+  const resolved = path.resolve(configPath);
+  if (!fs.existsSync(resolved)) {
+    throw new Error(`Deploy config not found: ${resolved}`);
+  }
+
+  delete require.cache[resolved];
+  return normalizeConfig(require(resolved));
+}
+
+/**
+ * Fill in defaults and validate a raw config object
+ */
+function normalizeConfig(raw) {
+  const config = {
+    rewardToken: raw.rewardToken || "deploy",
+    mintableToken: {
+      cap: "2000000000",
+      initialSupply: "1000000000",
+      ...(raw.mintableToken || {}),
+    },
+    votingEscrow: {
+      name: "Vote-Escrowed Reward Token",
+      symbol: "veRWD",
+      penaltyRecipient: null,
+      allowedContracts: [],
+      ...(raw.votingEscrow || {}),
+    },
+    gaugeTypes: raw.gaugeTypes || [],
+    gauges: raw.gauges || [],
+    minterFunding: raw.minterFunding === undefined ? "0" : String(raw.minterFunding),
+    emissionSchedule: normalizeSchedule(raw.emissionSchedule || "geometric"),
+    owner: raw.owner || null,
+    guardian: raw.guardian || null,
+  };
+
+  if (!["deploy", "mintable"].includes(config.rewardToken) && !isAddress(config.rewardToken)) {
+    throw new Error(`rewardToken must be "deploy", "mintable" or an address, got ${config.rewardToken}`);
+  }
+  config.mintableToken.cap = String(config.mintableToken.cap);
+  config.mintableToken.initialSupply = String(config.mintableToken.initialSupply);
+  if (config.owner !== null && !isAddress(config.owner)) {
+    throw new Error(`owner must be an address, got ${config.owner}`);
+  }
+  if (config.guardian !== null && !isAddress(config.guardian)) {
+    throw new Error(`guardian must be an address, got ${config.guardian}`);
+  }
+  const { penaltyRecipient } = config.votingEscrow;
+  if (penaltyRecipient !== null && !isAddress(penaltyRecipient)) {
+    throw new Error(`votingEscrow.penaltyRecipient must be an address, got ${penaltyRecipient}`);
+  }
+  for (const wallet of config.votingEscrow.allowedContracts) {
+    if (!isAddress(wallet)) throw new Error(`votingEscrow.allowedContracts must be addresses, got ${wallet}`);
+  }
+
+  // Type 0 ("Default") is created by the GaugeController; configured types start at 1
+  config.gaugeTypes = config.gaugeTypes.map((gaugeType, i) => {
+    const { name, weight = "1" } = typeof gaugeType === "string" ? { name: gaugeType } : gaugeType;
+    if (!name) throw new Error(`gaugeTypes[${i}] is missing a name`);
+    if (!/^\d+(\.\d+)?$/.test(String(weight))) throw new Error(`gaugeTypes[${i}].weight must be a number`);
+    return { name, weight: String(weight) };
+  });
+
+  const names = new Set();
+  config.gauges = config.gauges.map((gauge, i) => {
+    if (!gauge.name) throw new Error(`gauges[${i}] is missing a name`);
+    if (names.has(gauge.name)) throw new Error(`Duplicate gauge name: ${gauge.name}`);
+    names.add(gauge.name);
+
+    const lpToken = gauge.lpToken || "deploy";
+    if (lpToken !== "deploy" && !isAddress(lpToken)) {
+      throw new Error(`gauges[${i}].lpToken must be "deploy" or an address`);
+    }
+    const gaugeType = Number(gauge.gaugeType || 0);
+    if (gaugeType > config.gaugeTypes.length) throw new Error(`gauges[${i}].gaugeType ${gaugeType} is not configured`);
+    return { name: gauge.name, lpToken, gaugeType };
+  });
+
+  return config;
+}
+
+// Curve's schedule: ~0.27 gwei per second, divided by 2^(1/4) every 365 days
+const SCHEDULE_DEFAULTS = {
+  constant: { rate: "274815283" },
+  geometric: { initialRate: "274815283", period: 365 * 24 * 60 * 60, coefficient: "1189207115002721024" },
+  piecewise: { steps: [] },
+};
+
+/**
+ * Resolve an emission schedule given by name or as { type, ...params }; rates are wei per second
+ */
+function normalizeSchedule(raw) {
+  const { type, ...params } = typeof raw === "string" ? { type: raw } : raw;
+  if (!SCHEDULE_DEFAULTS[type]) {
+    throw new Error(`emissionSchedule must be one of ${Object.keys(SCHEDULE_DEFAULTS).join(", ")}, got ${type}`);
+  }
+  const schedule = { type, ...SCHEDULE_DEFAULTS[type], ...params };
+
+  const isUint = (value) => /^\d+$/.test(String(value));
+  if (type === "piecewise") {
+    if (schedule.steps.length === 0) throw new Error("emissionSchedule.steps must list at least one step");
+    schedule.steps = schedule.steps.map(({ offset, rate }, i) => {
+      if (!isUint(offset) || !isUint(rate)) throw new Error(`emissionSchedule.steps[${i}] needs a numeric offset and rate`);
+      if (i > 0 && Number(offset) <= Number(schedule.steps[i - 1].offset)) {
+        throw new Error("emissionSchedule.steps must have increasing offsets");
+      }
+      return { offset: Number(offset), rate: String(rate) };
+    });
+  } else {
+    for (const key of Object.keys(SCHEDULE_DEFAULTS[type])) {
+      if (!isUint(schedule[key])) throw new Error(`emissionSchedule.${key} must be a whole number, got ${schedule[key]}`);
+      schedule[key] = String(schedule[key]);
+    }
+  }
+  return schedule;
+}
+
+/**
+ * Contract and constructor arguments for a normalised emission schedule
+ * @param {object} schedule Normalised schedule
+ * @param {number} now Timestamp piecewise offsets count from
+ */
+function scheduleDeployment(schedule, now) {
+  switch (schedule.type) {
+    case "constant":
+      return ["ConstantEmissionSchedule", [schedule.rate]];
+    case "geometric":
+      return ["GeometricEmissionSchedule", [0, schedule.initialRate, schedule.period, schedule.coefficient]];
+    default:
+      return [
+        "PiecewiseEmissionSchedule",
+        [schedule.steps.map((step) => now + step.offset), schedule.steps.map((step) => step.rate)],
+      ];
+  }
+}
+
+function isAddress(value) {
+  return typeof value === "string" && /^0x[0-9a-fA-F]{40}$/.test(value);
+}
+
+/**
+ * Path of the manifest for a network
+ */
+function manifestPath(network, dir = DEFAULT_DEPLOYMENTS_DIR) {
+  return path.join(dir, `${network}.json`);
+}
+
+/**
+ * Read a manifest, or return null if none has been written yet
+ */
+function readManifest(file) {
+  if (!fs.existsSync(file)) return null;
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function writeManifest(file, manifest) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  manifest.updatedAt = new Date().toISOString();
+  fs.writeFileSync(file, JSON.stringify(manifest, null, 2) + "\n");
+}
+
+/**
+ * Deploy (or resume deploying) the full system described by `config`.
+ *
+ * Every contract and configuration transaction is recorded in the manifest as
+ * soon as it succeeds, so a run that fails halfway can simply be repeated:
+ * recorded contracts are reused and completed steps are skipped.
+ *
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} config Normalised config (see loadConfig)
+ * @param {object} [options]
+ * @param {string} [options.manifestFile] Manifest location (defaults to deployments/<network>.json)
+ * @param {function} [options.log] Logger (defaults to console.log)
+ * @return {Promise<object>} The final manifest
+ */
+async function deploySystem(hre, config, options = {}) {
+  const { ethers } = hre;
+  const log = options.log || console.log;
+  const file = options.manifestFile || manifestPath(hre.network.name);
+
+  const [deployer] = await ethers.getSigners();
+  const { chainId } = await ethers.provider.getNetwork();
+  const genesisHash = (await ethers.provider.getBlock(0)).hash;
+
+  let manifest = readManifest(file);
+  if (manifest && manifest.genesisHash !== genesisHash) {
+    log(`Manifest ${file} belongs to a different chain, starting fresh`);
+    manifest = null;
+  }
+  if (!manifest) {
+    manifest = { network: hre.network.name, chainId: Number(chainId), genesisHash, contracts: {}, steps: {} };
+  }
+  const save = () => writeManifest(file, manifest);
+
+  async function deployOnce(id, contractName, args, meta = {}) {
+    const record = manifest.contracts[id];
+    if (record) {
+      if ((await ethers.provider.getCode(record.address)) === "0x") {
+        throw new Error(`${id} is recorded at ${record.address} but has no code; delete ${file} to redeploy`);
+      }
+      log(`   ${id}: reusing ${record.address}`);
+      return ethers.getContractAt(contractName, record.address);
+    }
+
+    const factory = await ethers.getContractFactory(contractName);
+    const contract = await factory.deploy(...args);
+    await contract.waitForDeployment();
+
+    manifest.contracts[id] = {
+      contract: contractName,
+      address: await contract.getAddress(),
+      txHash: contract.deploymentTransaction().hash,
+      args: args.map(String),
+      ...meta,
+    };
+    save();
+    log(`   ${id}: deployed ${contractName} to ${manifest.contracts[id].address}`);
+    return contract;
+  }
+
+  async function stepOnce(id, fn) {
+    if (manifest.steps[id]) {
+      log(`   ${id}: already done`);
+      return;
+    }
+    const tx = await fn();
+    const receipt = tx ? await tx.wait() : null;
+    manifest.steps[id] = { txHash: receipt ? receipt.hash : null };
+    save();
+    log(`   ${id}: done`);
+  }
+
+  log(`Deploying to ${hre.network.name} (chainId ${chainId}) with ${deployer.address}`);
+
+  // 1. Reward token
+  log("\n1. Reward token");
+  let token;
+  if (config.rewardToken === "deploy") {
+    token = await deployOnce("rewardToken", "SimpleRewardToken", []);
+  } else if (config.rewardToken === "mintable") {
+    token = await deployOnce("rewardToken", "MintableRewardToken", [
+      "Reward Token",
+      "RWD",
+      ethers.parseEther(config.mintableToken.cap),
+      ethers.parseEther(config.mintableToken.initialSupply),
+    ]);
+  } else {
+    manifest.contracts.rewardToken = { contract: "IERC20", address: config.rewardToken, external: true };
+    save();
+    log(`   rewardToken: using existing ${config.rewardToken}`);
+    token = await ethers.getContractAt("IERC20", config.rewardToken);
+  }
+  const tokenAddress = await token.getAddress();
+
+  // 2. Core contracts
+  log("\n2. Core contracts");
+  const votingEscrow = await deployOnce("votingEscrow", "VotingEscrow", [
+    tokenAddress,
+    config.votingEscrow.name,
+    config.votingEscrow.symbol,
+  ]);
+  const controller = await deployOnce("gaugeController", "GaugeController", [await votingEscrow.getAddress()]);
+  const { timestamp: now } = await ethers.provider.getBlock("latest");
+  const [scheduleContract, scheduleArgs] = scheduleDeployment(config.emissionSchedule, now);
+  const schedule = await deployOnce("emissionSchedule", scheduleContract, scheduleArgs, {
+    schedule: config.emissionSchedule.type,
+  });
+  const minter = await deployOnce("minter", "Minter", [
+    tokenAddress,
+    await controller.getAddress(),
+    await schedule.getAddress(),
+  ]);
+  const bribeMarket = await deployOnce("bribeMarket", "BribeMarket", [await controller.getAddress()]);
+  // Delegation changes clear the controller votes cast with the moved power
+  await stepOnce("setVoter", async () => {
+    if ((await votingEscrow.voter()) === (await controller.getAddress())) return null;
+    return votingEscrow.setVoter(await controller.getAddress());
+  });
+  // Early withdrawal penalties go to the configured recipient, else the final owner
+  const penaltyRecipient = config.votingEscrow.penaltyRecipient || config.owner;
+  if (penaltyRecipient) {
+    await stepOnce("setPenaltyRecipient", async () => {
+      if ((await votingEscrow.penaltyRecipient()).toLowerCase() === penaltyRecipient.toLowerCase()) return null;
+      return votingEscrow.setPenaltyRecipient(penaltyRecipient);
+    });
+  }
+  // Contracts may only lock once approved on the whitelist
+  const whitelist = await deployOnce("smartWalletWhitelist", "SmartWalletWhitelist", []);
+  const whitelistAddress = await whitelist.getAddress();
+  await stepOnce("commitSmartWalletChecker", async () => {
+    if ((await votingEscrow.futureSmartWalletChecker()) === whitelistAddress) return null;
+    return votingEscrow.commitSmartWalletChecker(whitelistAddress);
+  });
+  await stepOnce("applySmartWalletChecker", async () => {
+    if ((await votingEscrow.smartWalletChecker()) === whitelistAddress) return null;
+    return votingEscrow.applySmartWalletChecker();
+  });
+  for (const wallet of config.votingEscrow.allowedContracts) {
+    await stepOnce(`approveWallet:${wallet}`, async () => {
+      if (await whitelist.wallets(wallet)) return null;
+      return whitelist.approveWallet(wallet);
+    });
+  }
+
+  // 3. Gauge types
+  log("\n3. Gauge types");
+  for (let i = 0; i < config.gaugeTypes.length; i++) {
+    const typeId = i + 1;
+    const { name, weight } = config.gaugeTypes[i];
+    await stepOnce(`addGaugeType:${typeId}`, async () => {
+      if ((await controller.nGaugeTypes()) > BigInt(typeId)) return null;
+      return controller.addGaugeType(name);
+    });
+    await stepOnce(`typeWeight:${typeId}`, async () => {
+      const target = ethers.parseEther(weight);
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      // Weight changes apply from next week; the view carries the latest value forward
+      if ((await controller.getTypeWeight(typeId, timestamp + WEEK)) === target) return null;
+      return controller.changeTypeWeight(typeId, target);
+    });
+  }
+
+  // 4. Gauges
+  log("\n4. Gauges");
+  for (const gaugeConfig of config.gauges) {
+    let lpTokenAddress = gaugeConfig.lpToken;
+    if (lpTokenAddress === "deploy") {
+      const lpToken = await deployOnce(`lpTokens/${gaugeConfig.name}`, "ExampleVault", []);
+      lpTokenAddress = await lpToken.getAddress();
+    }
+
+    const gauge = await deployOnce(
+      `gauges/${gaugeConfig.name}`,
+      "LiquidityGauge",
+      [lpTokenAddress, await minter.getAddress()],
+      { lpToken: lpTokenAddress, gaugeType: gaugeConfig.gaugeType }
+    );
+    const gaugeAddress = await gauge.getAddress();
+
+    await stepOnce(`addGauge:${gaugeConfig.name}`, async () => {
+      if ((await controller.gaugeTypes_(gaugeAddress)) !== 0n) return null;
+      return controller.addGauge(gaugeAddress, gaugeConfig.gaugeType);
+    });
+  }
+
+  // 5. Minter funding
+  log("\n5. Minter funding");
+  const funding = ethers.parseEther(config.minterFunding);
+  if (config.rewardToken === "mintable") {
+    // The Minter mints emissions itself, so there is nothing to fund
+    const minterAddress = await minter.getAddress();
+    await stepOnce("setTokenMinter", async () => {
+      if ((await token.minter()) === minterAddress) return null;
+      return token.setMinter(minterAddress);
+    });
+    await stepOnce("enableTokenMinting", async () => {
+      if (await minter.tokenMinting()) return null;
+      return minter.enableTokenMinting();
+    });
+  } else if (funding > 0n) {
+    // Top up to the configured amount, so a run that died after the transfer landed
+    // but before the manifest recorded it does not fund the Minter twice
+    await stepOnce("fundMinter", async () => {
+      const balance = await token.balanceOf(await minter.getAddress());
+      if (balance >= funding) return null;
+      return token.transfer(await minter.getAddress(), funding - balance);
+    });
+  } else {
+    log("   fundMinter: skipped (no funding configured)");
+  }
+
+  // 6. Guardian and ownership handoff
+  log("\n6. Guardian and ownership");
+  const pausable = [
+    ["votingEscrow", votingEscrow],
+    ["gaugeController", controller],
+    ["minter", minter],
+    ["bribeMarket", bribeMarket],
+  ];
+  for (const gaugeConfig of config.gauges) {
+    const id = `gauges/${gaugeConfig.name}`;
+    pausable.push([id, await ethers.getContractAt("LiquidityGauge", manifest.contracts[id].address)]);
+  }
+  if (config.guardian) {
+    // Set before the handoff, while the deployer still owns everything
+    for (const [id, contract] of pausable) {
+      await stepOnce(`setGuardian:${id}`, async () => {
+        if ((await contract.guardian()).toLowerCase() === config.guardian.toLowerCase()) return null;
+        return contract.setGuardian(config.guardian);
+      });
+    }
+  } else {
+    log("   guardian: none (only the owner can pause)");
+  }
+
+  if (config.owner) {
+    const owned = [
+      ["votingEscrow", votingEscrow],
+      ["smartWalletWhitelist", whitelist],
+      ["gaugeController", controller],
+      ["minter", minter],
+      ["bribeMarket", bribeMarket],
+    ];
+    if (!manifest.contracts.rewardToken.external) owned.push(["rewardToken", token]);
+    for (const gaugeConfig of config.gauges) {
+      const id = `gauges/${gaugeConfig.name}`;
+      owned.push([id, await ethers.getContractAt("LiquidityGauge", manifest.contracts[id].address)]);
+    }
+
+    for (const [id, contract] of owned) {
+      await stepOnce(`transferOwnership:${id}`, async () => {
+        if ((await contract.owner()).toLowerCase() === config.owner.toLowerCase()) return null;
+        return contract.transferOwnership(config.owner);
+      });
+    }
+  } else {
+    log("   ownership: kept by deployer");
+  }
+
+  return manifest;
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  DEFAULT_DEPLOYMENTS_DIR,
+  loadConfig,
+  normalizeConfig,
+  normalizeSchedule,
+  manifestPath,
+  readManifest,
+  writeManifest,
+  deploySystem,
+};
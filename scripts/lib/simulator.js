@@ -0,0 +1,230 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { formatEther } = require("ethers");
+const { normalizeConfig, normalizeSchedule, deploySystem } = require("./deployments");
+const { VeGaugeClient } = require("../../sdk");
+
+const WEEK = 7 * 24 * 60 * 60;
+
+const ACTIONS = ["lock", "increaseLock", "extendLock", "withdrawLock", "vote", "stake", "unstake", "claim"];
+
+/**
+ * Load and validate a scenario file
+ * @param {string} file Path to a .json or .js scenario
+ */
+function loadScenario(file) {
+  const resolved = path.resolve(file);
+  if (!fs.existsSync(resolved)) throw new Error(`Scenario not found: ${resolved}`);
+  delete require.cache[resolved];
+  return normalizeScenario(require(resolved));
+}
+
+/**
+ * Fill in defaults and validate a raw scenario object
+ */
+function normalizeScenario(raw) {
+  const scenario = {
+    weeks: Number(raw.weeks || 0),
+    gauges: raw.gauges || [],
+    users: raw.users || {},
+    minterFunding: raw.minterFunding === undefined ? "100000000" : String(raw.minterFunding),
+    emissionSchedule: normalizeSchedule(raw.emissionSchedule || "geometric"),
+    events: (raw.events || []).map((e) => ({ ...e, week: Number(e.week || 0) })),
+  };
+
+  if (scenario.weeks <= 0) throw new Error("Scenario must run for at least one week");
+  if (scenario.gauges.length === 0) throw new Error("Scenario needs at least one gauge");
+
+  scenario.events.forEach((event, i) => {
+    if (!ACTIONS.includes(event.action)) throw new Error(`events[${i}]: unknown action ${event.action}`);
+    if (!scenario.users[event.user]) throw new Error(`events[${i}]: unknown user ${event.user}`);
+    if (event.week < 0 || event.week >= scenario.weeks) throw new Error(`events[${i}]: week out of range`);
+    if (event.gauge && !scenario.gauges.includes(event.gauge)) throw new Error(`events[${i}]: unknown gauge ${event.gauge}`);
+  });
+
+  return scenario;
+}
+
+/**
+ * Run a scenario against freshly deployed contracts on the current network.
+ *
+ * Each week, that week's events are applied, time is advanced to the next week
+ * boundary with evm_setNextBlockTimestamp, and a snapshot row is recorded.
+ *
+ * @param {object} hre Hardhat runtime environment
+ * @param {object} scenario Normalised scenario (see loadScenario)
+ * @param {object} [options]
+ * @param {function} [options.log] Progress logger
+ * @return {Promise<object[]>} One row per simulated week
+ */
+async function runScenario(hre, scenario, options = {}) {
+  const { ethers } = hre;
+  const log = options.log || (() => {});
+  const send = (method, params = []) => hre.network.provider.send(method, params);
+
+  const signers = await ethers.getSigners();
+  const userNames = Object.keys(scenario.users);
+  if (userNames.length > signers.length - 1) {
+    throw new Error(`Scenario has ${userNames.length} users but only ${signers.length - 1} spare accounts`);
+  }
+
+  // Deploy with a throwaway manifest so simulations never touch deployments/
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ve-sim-"));
+  let manifest;
+  try {
+    const config = normalizeConfig({
+      gauges: scenario.gauges.map((name) => ({ name })),
+      minterFunding: scenario.minterFunding,
+      emissionSchedule: scenario.emissionSchedule,
+    });
+    manifest = await deploySystem(hre, config, { manifestFile: path.join(dir, "manifest.json"), log: () => {} });
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+
+  const token = await ethers.getContractAt("SimpleRewardToken", manifest.contracts.rewardToken.address);
+  const minter = await ethers.getContractAt("Minter", manifest.contracts.minter.address);
+
+  const users = {};
+  for (const [i, name] of userNames.entries()) {
+    const signer = signers[i + 1];
+    const spec = scenario.users[name];
+    if (spec.tokens) await token.transfer(signer.address, ethers.parseEther(String(spec.tokens)));
+    for (const [gaugeName, amount] of Object.entries(spec.lp || {})) {
+      const lpToken = await ethers.getContractAt("ExampleVault", manifest.contracts[`lpTokens/${gaugeName}`].address);
+      await lpToken.mint(signer.address, ethers.parseEther(String(amount)));
+    }
+    users[name] = { address: signer.address, client: VeGaugeClient.fromManifest(manifest, signer) };
+  }
+  const reader = VeGaugeClient.fromManifest(manifest, ethers.provider);
+
+  // Start just after a week boundary so every simulated week is a full epoch
+  const latest = (await ethers.provider.getBlock("latest")).timestamp;
+  const start = (Math.floor(latest / WEEK) + 1) * WEEK + 60;
+  await send("evm_setNextBlockTimestamp", [start]);
+  await send("evm_mine");
+
+  const stakers = {};
+  for (const gauge of scenario.gauges) stakers[gauge] = new Set();
+  for (const event of scenario.events) {
+    if (event.action === "stake") stakers[event.gauge].add(event.user);
+  }
+
+  const rows = [];
+  for (let week = 0; week < scenario.weeks; week++) {
+    for (const event of scenario.events.filter((e) => e.week === week)) {
+      log(`week ${week}: ${event.user} ${event.action}`);
+      try {
+        await applyEvent(ethers, users[event.user].client, event);
+      } catch (e) {
+        throw new Error(`week ${week}: ${event.user} ${event.action} failed: ${e.shortMessage || e.message}`);
+      }
+    }
+
+    // An absolute timestamp, so wall-clock time passing between blocks cannot shift the row
+    await send("evm_setNextBlockTimestamp", [start + (week + 1) * WEEK]);
+    await send("evm_mine");
+
+    rows.push(await snapshot(reader, minter, week, users, stakers));
+  }
+  return rows;
+}
+
+async function applyEvent(ethers, client, event) {
+  const amount = () => ethers.parseEther(String(event.amount));
+  switch (event.action) {
+    case "lock":
+      return client.lock(amount(), BigInt(event.weeks) * BigInt(WEEK));
+    case "increaseLock":
+      return client.increaseLock(amount());
+    case "extendLock":
+      return client.extendLock(BigInt(event.weeks) * BigInt(WEEK));
+    case "withdrawLock":
+      return client.withdrawLock();
+    case "vote":
+      return client.vote(event.allocations);
+    case "stake":
+      return client.stake(event.gauge, amount());
+    case "unstake":
+      return client.unstake(event.gauge, amount());
+    case "claim":
+      return client.claim(event.gauge);
+  }
+}
+
+async function snapshot(reader, minter, week, users, stakers) {
+  const timestamp = await reader.now();
+  const row = { week, timestamp: Number(timestamp), rate: await minter.rate(), veBalances: {}, gauges: {} };
+
+  for (const [name, { address }] of Object.entries(users)) {
+    row.veBalances[name] = await reader.votingPower(address, timestamp);
+  }
+  for (const { name, weight } of await reader.gaugeWeights(timestamp)) {
+    const claimable = {};
+    for (const user of stakers[name]) {
+      claimable[user] = await reader.claimable(name, users[user].address);
+    }
+    row.gauges[name] = { relativeWeight: weight, mintable: await reader.mintable(name), claimable };
+  }
+  return row;
+}
+
+const fmt = (value) => formatEther(value);
+
+/**
+ * Rows as JSON with 18-decimal values formatted as decimal strings
+ */
+function toJson(rows) {
+  const format = (row) => ({
+    week: row.week,
+    timestamp: row.timestamp,
+    rate: row.rate.toString(),
+    veBalances: Object.fromEntries(Object.entries(row.veBalances).map(([k, v]) => [k, fmt(v)])),
+    gauges: Object.fromEntries(
+      Object.entries(row.gauges).map(([name, g]) => [
+        name,
+        {
+          relativeWeight: fmt(g.relativeWeight),
+          mintable: fmt(g.mintable),
+          claimable: Object.fromEntries(Object.entries(g.claimable).map(([k, v]) => [k, fmt(v)])),
+        },
+      ])
+    ),
+  });
+  return JSON.stringify(rows.map(format), null, 2) + "\n";
+}
+
+/**
+ * Rows as a flat CSV table, one column per user/gauge metric
+ */
+function toCsv(rows) {
+  if (rows.length === 0) return "";
+  const first = rows[0];
+  const header = ["week", "timestamp", "rate"];
+  for (const user of Object.keys(first.veBalances)) header.push(`ve:${user}`);
+  for (const [name, g] of Object.entries(first.gauges)) {
+    header.push(`weight:${name}`, `mintable:${name}`);
+    for (const user of Object.keys(g.claimable)) header.push(`claimable:${name}:${user}`);
+  }
+
+  const lines = [header.join(",")];
+  for (const row of rows) {
+    const cells = [row.week, row.timestamp, row.rate.toString()];
+    for (const value of Object.values(row.veBalances)) cells.push(fmt(value));
+    for (const g of Object.values(row.gauges)) {
+      cells.push(fmt(g.relativeWeight), fmt(g.mintable));
+      for (const value of Object.values(g.claimable)) cells.push(fmt(value));
+    }
+    lines.push(cells.join(","));
+  }
+  return lines.join("\n") + "\n";
+}
+
+module.exports = {
+  loadScenario,
+  normalizeScenario,
+  runScenario,
+  toJson,
+  toCsv,
+};
@@ -0,0 +1,708 @@
+const fs = require("fs");
+const { Contract } = require("ethers");
+const abi = require("./abi");
+
+const MAX_WEIGHT = 10000n;
+const WEEK = 7n * 24n * 60n * 60n;
+
+/**
+ * @typedef {Object} GaugeInfo
+ * @property {string} name Name from the deployment manifest (or the address when unknown)
+ * @property {string} address Gauge address
+ * @property {string} [lpToken] LP token accepted by the gauge
+ * @property {number} [gaugeType] Gauge type id
+ * @property {boolean} [killed] Whether the controller has killed the gauge (set by discoverGauges)
+ */
+
+/**
+ * @typedef {Object} LockInfo
+ * @property {bigint} amount Locked token amount
+ * @property {bigint} end Unlock timestamp (0 when there is no lock or it is permanent)
+ * @property {boolean} isPermanent Whether the lock is permanent and does not decay
+ */
+
+/**
+ * @typedef {Object} GaugeWeight
+ * @property {string} name Gauge name
+ * @property {string} address Gauge address
+ * @property {bigint} weight Relative weight (1e18 = 100%)
+ */
+
+/**
+ * @typedef {Object} BribeInfo
+ * @property {string} gauge Gauge name
+ * @property {string} address Gauge address
+ * @property {bigint} week Start of the week the bribe pays voters for
+ * @property {string} token Reward token
+ * @property {bigint} amount Amount deposited (or claimable, for claimableBribes)
+ */
+
+/**
+ * @typedef {Object<string, number|bigint>} VoteAllocation
+ * Map of gauge name or address to weight in basis points (10000 = 100%)
+ */
+
+/**
+ * High-level client for a deployed vote-escrowed gauge system.
+ *
+ * Write methods need a Signer as runner; read methods work with any Provider.
+ * Amounts are bigints in token base units, times are unix seconds.
+ */
+class VeGaugeClient {
+  /**
+   * @param {Object} addresses
+   * @param {string} addresses.votingEscrow
+   * @param {string} addresses.gaugeController
+   * @param {string} addresses.minter
+   * @param {string} addresses.rewardToken
+   * @param {string} [addresses.bribeMarket]
+   * @param {GaugeInfo[]} [addresses.gauges]
+   * @param {import("ethers").ContractRunner} runner Signer or Provider
+   */
+  constructor(addresses, runner) {
+    this.runner = runner;
+    this.votingEscrow = new Contract(addresses.votingEscrow, abi.VotingEscrow, runner);
+    this.controller = new Contract(addresses.gaugeController, abi.GaugeController, runner);
+    this.minter = new Contract(addresses.minter, abi.Minter, runner);
+    this.rewardToken = new Contract(addresses.rewardToken, abi.ERC20, runner);
+    this.bribeMarket = addresses.bribeMarket ? new Contract(addresses.bribeMarket, abi.BribeMarket, runner) : null;
+    this.gauges = (addresses.gauges || []).map((g) => ({ ...g }));
+  }
+
+  /**
+   * Build a client from a manifest written by scripts/deploy.js
+   * @param {Object|string} manifest Manifest object or path to the JSON file
+   * @param {import("ethers").ContractRunner} runner Signer or Provider
+   * @return {VeGaugeClient}
+   */
+  static fromManifest(manifest, runner) {
+    if (typeof manifest === "string") {
+      manifest = JSON.parse(fs.readFileSync(manifest, "utf8"));
+    }
+    const { contracts } = manifest;
+    for (const id of ["votingEscrow", "gaugeController", "minter", "rewardToken"]) {
+      if (!contracts[id]) throw new Error(`Manifest is missing ${id}`);
+    }
+
+    const gauges = Object.entries(contracts)
+      .filter(([id]) => id.startsWith("gauges/"))
+      .map(([id, record]) => ({
+        name: id.slice("gauges/".length),
+        address: record.address,
+        lpToken: record.lpToken,
+        gaugeType: record.gaugeType,
+      }));
+
+    return new VeGaugeClient(
+      {
+        votingEscrow: contracts.votingEscrow.address,
+        gaugeController: contracts.gaugeController.address,
+        minter: contracts.minter.address,
+        rewardToken: contracts.rewardToken.address,
+        bribeMarket: contracts.bribeMarket && contracts.bribeMarket.address,
+        gauges,
+      },
+      runner
+    );
+  }
+
+  /**
+   * Build a client that reads its gauge list from the controller instead of a manifest
+   * @param {Object} addresses votingEscrow, gaugeController, minter, rewardToken and optional bribeMarket addresses
+   * @param {import("ethers").ContractRunner} runner Signer or Provider
+   * @return {Promise<VeGaugeClient>}
+   */
+  static async fromController(addresses, runner) {
+    const client = new VeGaugeClient({ ...addresses, gauges: [] }, runner);
+    await client.discoverGauges();
+    return client;
+  }
+
+  /**
+   * Refresh the gauge list from the controller's on-chain registry.
+   * Names already known (e.g. from a manifest) are kept; new gauges are named by address.
+   * @return {Promise<GaugeInfo[]>}
+   */
+  async discoverGauges() {
+    const addresses = await this.controller.getGauges();
+    this.gauges = await Promise.all(
+      addresses.map(async (address) => {
+        const known = this.gauges.find((g) => g.address.toLowerCase() === address.toLowerCase());
+        const gaugeType = Number(await this.controller.gaugeTypes(address));
+        const killed = await this.controller.isKilled(address);
+        return { ...known, name: known ? known.name : address, address, gaugeType, killed };
+      })
+    );
+    return this.gauges;
+  }
+
+  // ============ Helpers ============
+
+  /**
+   * Resolve a gauge name or address to its address
+   * @param {string} gauge Gauge name or address
+   * @return {string}
+   */
+  resolveGauge(gauge) {
+    const known = this.gauges.find(
+      (g) => g.name === gauge || g.address.toLowerCase() === String(gauge).toLowerCase()
+    );
+    if (known) return known.address;
+    if (/^0x[0-9a-fA-F]{40}$/.test(gauge)) return gauge;
+    throw new Error(`Unknown gauge: ${gauge}`);
+  }
+
+  /**
+   * Gauge contract for a name or address
+   * @param {string} gauge Gauge name or address
+   * @return {Contract}
+   */
+  gauge(gauge) {
+    return new Contract(this.resolveGauge(gauge), abi.LiquidityGauge, this.runner);
+  }
+
+  /**
+   * Address of the connected signer
+   * @return {Promise<string>}
+   */
+  async account() {
+    if (!this.runner || typeof this.runner.getAddress !== "function") {
+      throw new Error("A Signer is required for this call");
+    }
+    return this.runner.getAddress();
+  }
+
+  /**
+   * Timestamp of the latest block
+   * @return {Promise<bigint>}
+   */
+  async now() {
+    const provider = this.runner.provider || this.runner;
+    const block = await provider.getBlock("latest");
+    return BigInt(block.timestamp);
+  }
+
+  _gaugeInfo(gauge) {
+    const address = this.resolveGauge(gauge);
+    const known = this.gauges.find((g) => g.address.toLowerCase() === address.toLowerCase());
+    return known || { name: address, address };
+  }
+
+  _requireBribeMarket() {
+    if (!this.bribeMarket) throw new Error("No bribe market configured");
+    return this.bribeMarket;
+  }
+
+  async _ensureAllowance(token, spender, amount) {
+    const owner = await this.account();
+    if ((await token.allowance(owner, spender)) < amount) {
+      await (await token.approve(spender, amount)).wait();
+    }
+  }
+
+  // ============ VotingEscrow ============
+
+  /**
+   * Lock tokens for `duration` seconds from now, approving the escrow if needed
+   * @param {bigint} amount Amount to lock
+   * @param {bigint|number} duration Lock duration in seconds (rounded down to whole weeks on-chain)
+   * @return {Promise<import("ethers").TransactionReceipt>}
+   */
+  async lock(amount, duration) {
+    await this._ensureAllowance(this.rewardToken, await this.votingEscrow.getAddress(), amount);
+    const unlockTime = (await this.now()) + BigInt(duration);
+    return (await this.votingEscrow.createLock(amount, unlockTime)).wait();
+  }
+
+  /**
+   * Add tokens to the existing lock
+   * @param {bigint} amount Additional amount
+   * @return {Promise<import("ethers").TransactionReceipt>}
+   */
+  async increaseLock(amount) {
+    await this._ensureAllowance(this.rewardToken, await this.votingEscrow.getAddress(), amount);
+    return (await this.votingEscrow.increaseAmount(amount)).wait();
+  }
+
+  /**
+   * Move the unlock time to `duration` seconds from now
+   * @param {bigint|number} duration New lock duration in seconds
+   * @return {Promise<import("ethers").TransactionReceipt>}
+   */
+  async extendLock(duration) {
+    const unlockTime = (await this.now()) + BigInt(duration);
+    return (await this.votingEscrow.increaseUnlockTime(unlockTime)).wait();
+  }
+
+  /**
+   * Withdraw an expired lock
+   * @return {Promise<import("ethers").TransactionReceipt>}
+   */
+  async withdrawLock() {
+    return (await this.votingEscrow.withdraw()).wait();
+  }
+
+  /**
+   * Withdraw a lock before it expires, paying the early withdrawal penalty
+   * @return {Promise<import("ethers").TransactionReceipt>}
+   */
+  async withdrawLockEarly() {
+    return (await this.votingEscrow.withdrawEarly()).wait();
+  }
+
+  /**
+   * Make the signer's lock permanent, holding max-lock power without decay
+   * @return {Promise<import("ethers").TransactionReceipt>}
+   */
+  async lockPermanent() {
+    return (await this.votingEscrow.lockPermanent()).wait();
+  }
+
+  /**
+   * End the signer's permanent lock; it then unlocks after MAX_TIME
+   * @return {Promise<import("ethers").TransactionReceipt>}
+   */
+  async unlockPermanent() {
+    return (await this.votingEscrow.unlockPermanent()).wait();
+  }
+
+  /**
+   * What an early withdrawal of `addr`'s lock would return now
+   * @param {string} addr
+   * @return {Promise<{value: bigint, penalty: bigint}>}
+   */
+  async previewEarlyWithdraw(addr) {
+    const [value, penalty] = await this.votingEscrow.previewEarlyWithdraw(addr);
+    return { value, penalty };
+  }
+
+  /**
+   * Locked balance of an address
+   * @param {string} addr
+   * @return {Promise<LockInfo>}
+   */
+  async lockOf(addr) {
+    const [amount, end, isPermanent] = await this.votingEscrow.locked(addr);
+    return { amount, end, isPermanent };
+  }
+
+  /**
+   * Voting power of an address
+   * @param {string} addr
+   * @param {bigint|number} [at] Timestamp, defaults to now
+   * @return {Promise<bigint>}
+   */
+  async votingPower(addr, at) {
+    if (at === undefined) return this.votingEscrow["balanceOf(address)"](addr);
+    return this.votingEscrow["balanceOf(address,uint256)"](addr, at);
+  }
+
+  /**
+   * Voting power of an address at a past block
+   * @param {string} addr
+   * @param {bigint|number} blockNumber At most the current block
+   * @return {Promise<bigint>}
+   */
+  async votingPowerAtBlock(addr, blockNumber) {
+    return this.votingEscrow.balanceOfAt(addr, blockNumber);
+  }
+
+  /**
+   * Total voting power at a past block
+   * @param {bigint|number} blockNumber At most the current block
+   * @return {Promise<bigint>}
+   */
+  async totalVotingPowerAtBlock(blockNumber) {
+    return this.votingEscrow.totalSupplyAt(blockNumber);
+  }
+
+  /**
+   * Delegate the signer's lock power to another address
+   * @param {string} delegatee
+   * @return {Promise<import("ethers").TransactionReceipt>}
+   */
+  async delegate(delegatee) {
+    return (await this.votingEscrow.delegate(delegatee)).wait();
+  }
+
+  /**
+   * Take back the signer's delegated lock power
+   * @return {Promise<import("ethers").TransactionReceipt>}
+   */
+  async undelegate() {
+    return (await this.votingEscrow.undelegate()).wait();
+  }
+
+  /**
+   * Address holding the lock power of `addr` (itself when not delegated)
+   * @param {string} addr
+   * @return {Promise<string>}
+   */
+  async delegateOf(addr) {
+    return this.votingEscrow.delegates(addr);
+  }
+
+  /**
+   * Gauge-voting power held by an address: its own undelegated lock plus power delegated to it
+   * @param {string} addr
+   * @param {bigint|number} [at] Timestamp, defaults to now
+   * @return {Promise<bigint>}
+   */
+  async delegatedPower(addr, at) {
+    if (at === undefined) return this.votingEscrow["delegatedBalanceOf(address)"](addr);
+    return this.votingEscrow["delegatedBalanceOf(address,uint256)"](addr, at);
+  }
+
+  /**
+   * Total voting power
+   * @param {bigint|number} [at] Timestamp, defaults to now
+   * @return {Promise<bigint>}
+   */
+  async totalVotingPower(at) {
+    if (at === undefined) return this.votingEscrow["totalSupply()"]();
+    return this.votingEscrow["totalSupply(uint256)"](at);
+  }
+
+  // ============ GaugeController ============
+
+  /**
+   * Order the vote changes needed to reach a target allocation.
+   *
+   * Gauges whose weight is unchanged are dropped, and decreases come before
+   * increases so the 10000 bps power cap is never exceeded part way through.
+   * Gauges not listed keep their current vote.
+   *
+   * @param {VoteAllocation} allocations Gauge name/address to weight in bps
+   * @param {string} [user] Voter, defaults to the signer
+   * @return {Promise<{gauges: string[], weights: bigint[]}>} Arguments for voteForManyGaugeWeights
+   */
+  async planVotes(allocations, user) {
+    user = user || (await this.account());
+    const changes = [];
+    let used = await this.controller.userPowerUsed(user);
+
+    for (const [gauge, weight] of Object.entries(allocations)) {
+      const address = this.resolveGauge(gauge);
+      const target = BigInt(weight);
+      if (target > MAX_WEIGHT) throw new Error(`Weight for ${gauge} exceeds 10000 bps`);
+
+      const current = await this.controller.voteUserPower(user, address);
+      if (current === target) continue;
+      used += target - current;
+      changes.push({ address, target, delta: target - current });
+    }
+    if (used > MAX_WEIGHT) throw new Error(`Allocation uses ${used} bps of voting power, max is 10000`);
+
+    changes.sort((a, b) => (a.delta < b.delta ? -1 : a.delta > b.delta ? 1 : 0));
+    return { gauges: changes.map((c) => c.address), weights: changes.map((c) => c.target) };
+  }
+
+  /**
+   * Set vote weights for several gauges in one transaction.
+   *
+   * The changes from planVotes are sent together through voteForManyGaugeWeights,
+   * so either all of them apply or none do. The per-gauge `WEIGHT_VOTE_DELAY`
+   * still applies to every gauge whose weight changes.
+   *
+   * @param {VoteAllocation} allocations Gauge name/address to weight in bps
+   * @return {Promise<import("ethers").TransactionReceipt|null>} null when nothing changes
+   */
+  async vote(allocations) {
+    const { gauges, weights } = await this.planVotes(allocations);
+    if (gauges.length === 0) return null;
+    return (await this.controller.voteForManyGaugeWeights(gauges, weights)).wait();
+  }
+
+  /**
+   * Vote allocation of a user across the known gauges (bps)
+   * @param {string} addr
+   * @return {Promise<Object<string, bigint>>} Gauge name to weight
+   */
+  async votesOf(addr) {
+    const votes = {};
+    for (const g of this.gauges) {
+      votes[g.name] = await this.controller.voteUserPower(addr, g.address);
+    }
+    return votes;
+  }
+
+  /**
+   * Relative weights of the known gauges
+   * @param {bigint|number} [at] Timestamp, defaults to now
+   * @return {Promise<GaugeWeight[]>}
+   */
+  async gaugeWeights(at) {
+    const time = at === undefined ? await this.now() : BigInt(at);
+    return Promise.all(
+      this.gauges.map(async (g) => ({
+        name: g.name,
+        address: g.address,
+        weight: await this.controller["gaugeRelativeWeight(address,uint256)"](g.address, time),
+      }))
+    );
+  }
+
+  // ============ LiquidityGauge ============
+
+  /**
+   * Stake LP tokens in a gauge, approving it if needed
+   * @param {string} gauge Gauge name or address
+   * @param {bigint} amount Amount of LP tokens
+   * @return {Promise<import("ethers").TransactionReceipt>}
+   */
+  async stake(gauge, amount) {
+    const contract = this.gauge(gauge);
+    const lpToken = new Contract(await contract.lpToken(), abi.ERC20, this.runner);
+    await this._ensureAllowance(lpToken, await contract.getAddress(), amount);
+    return (await contract["deposit(uint256)"](amount)).wait();
+  }
+
+  /**
+   * Withdraw staked LP tokens from a gauge
+   * @param {string} gauge Gauge name or address
+   * @param {bigint} amount Amount of LP tokens
+   * @return {Promise<import("ethers").TransactionReceipt>}
+   */
+  async unstake(gauge, amount) {
+    return (await this.gauge(gauge).withdraw(amount)).wait();
+  }
+
+  /**
+   * Claim rewards from a gauge
+   * @param {string} gauge Gauge name or address
+   * @param {string} [receiver] Address to send the rewards to, defaults to the signer
+   * @return {Promise<import("ethers").TransactionReceipt>}
+   */
+  async claim(gauge, receiver) {
+    if (receiver === undefined) return (await this.gauge(gauge)["claimRewards()"]()).wait();
+    return (await this.gauge(gauge)["claimRewards(address)"](receiver)).wait();
+  }
+
+  /**
+   * Claim another user's rewards from a gauge; they are paid to that user.
+   * The user must have approved the signer with the Minter's toggleApproveMint
+   * @param {string} gauge Gauge name or address
+   * @param {string} user
+   * @return {Promise<import("ethers").TransactionReceipt>}
+   */
+  async claimFor(gauge, user) {
+    return (await this.gauge(gauge).claimFor(user)).wait();
+  }
+
+  /**
+   * Staked balance of an address in a gauge
+   * @param {string} gauge Gauge name or address
+   * @param {string} addr
+   * @return {Promise<bigint>}
+   */
+  async stakedBalance(gauge, addr) {
+    return this.gauge(gauge).balanceOf(addr);
+  }
+
+  /**
+   * Rewards claimable by an address from a gauge
+   * @param {string} gauge Gauge name or address
+   * @param {string} addr
+   * @param {string} [token] Third-party reward token, defaults to the Minter's token
+   * @return {Promise<bigint>}
+   */
+  async claimable(gauge, addr, token) {
+    if (token === undefined) return this.gauge(gauge).claimableRewards(addr);
+    return this.gauge(gauge).claimable(addr, token);
+  }
+
+  /**
+   * Third-party reward tokens of a gauge, with their distributor and current stream
+   * @param {string} gauge Gauge name or address
+   * @return {Promise<Array<{token: string, distributor: string, rate: bigint, periodFinish: bigint}>>}
+   */
+  async rewardTokens(gauge) {
+    const contract = this.gauge(gauge);
+    const count = Number(await contract.rewardCount());
+    return Promise.all(
+      Array.from({ length: count }, async (_, i) => {
+        const token = await contract.rewardTokens(i);
+        const { distributor, rate, periodFinish } = await contract.rewardData(token);
+        return { token, distributor, rate, periodFinish };
+      })
+    );
+  }
+
+  /**
+   * Stream a third-party reward token to a gauge's stakers, approving it if needed.
+   * The signer must be the token's distributor.
+   * @param {string} gauge Gauge name or address
+   * @param {string} token Reward token address
+   * @param {bigint} amount Amount to add to the stream
+   * @return {Promise<import("ethers").TransactionReceipt>}
+   */
+  async depositReward(gauge, token, amount) {
+    const contract = this.gauge(gauge);
+    const erc20 = new Contract(token, abi.ERC20, this.runner);
+    await this._ensureAllowance(erc20, await contract.getAddress(), amount);
+    return (await contract.depositRewardToken(token, amount)).wait();
+  }
+
+  /**
+   * Boost of an address in a gauge (1e18 = 1x)
+   * @param {string} gauge Gauge name or address
+   * @param {string} addr
+   * @param {Object} [options]
+   * @param {boolean} [options.preview] Boost they would get if checkpointed now, instead of the applied one
+   * @return {Promise<bigint>}
+   */
+  async boost(gauge, addr, { preview = false } = {}) {
+    const contract = this.gauge(gauge);
+    return preview ? contract.previewBoost(addr) : contract.currentBoost(addr);
+  }
+
+  /**
+   * veBalance an address needs for the max boost on its current stake
+   * @param {string} gauge Gauge name or address
+   * @param {string} addr
+   * @return {Promise<bigint>}
+   */
+  async veForMaxBoost(gauge, addr) {
+    return this.gauge(gauge).veForMaxBoost(addr);
+  }
+
+  /**
+   * Re-apply the boost of an address whose veBalance has decayed
+   * @param {string} gauge Gauge name or address
+   * @param {string} addr
+   * @return {Promise<import("ethers").TransactionReceipt>}
+   */
+  async kick(gauge, addr) {
+    return (await this.gauge(gauge).kick(addr)).wait();
+  }
+
+  // ============ Minter ============
+
+  /**
+   * Amount the Minter would currently release to a gauge
+   * @param {string} gauge Gauge name or address
+   * @return {Promise<bigint>}
+   */
+  async mintable(gauge) {
+    return this.minter.mintable(this.resolveGauge(gauge));
+  }
+
+  /**
+   * Claim the signer's rewards from several gauges in one transaction
+   * @param {string[]} gauges Gauge names or addresses
+   * @return {Promise<import("ethers").TransactionReceipt>}
+   */
+  async claimMany(gauges) {
+    return (await this.minter.mintMany(gauges.map((g) => this.resolveGauge(g)))).wait();
+  }
+
+  /**
+   * Minter rewards an address has been paid from a gauge so far
+   * @param {string} gauge Gauge name or address
+   * @param {string} addr
+   * @return {Promise<bigint>}
+   */
+  async claimed(gauge, addr) {
+    return this.minter["minted(address,address)"](addr, this.resolveGauge(gauge));
+  }
+
+  // ============ BribeMarket ============
+
+  /**
+   * Pay a gauge's voters for a week, approving the bribe market if needed
+   * @param {string} gauge Gauge name or address
+   * @param {string} token Reward token address
+   * @param {bigint} amount Amount to deposit
+   * @param {bigint|number} [week] Timestamp within the week, defaults to next week (the first one a vote cast now counts in)
+   * @return {Promise<import("ethers").TransactionReceipt>}
+   */
+  async depositBribe(gauge, token, amount, week) {
+    const market = this._requireBribeMarket();
+    if (week === undefined) week = (await this.now()) + WEEK;
+    const erc20 = new Contract(token, abi.ERC20, this.runner);
+    await this._ensureAllowance(erc20, await market.getAddress(), amount);
+    return (await market.depositBribe(this.resolveGauge(gauge), token, amount, week)).wait();
+  }
+
+  /**
+   * Bribes voters can still earn by voting now: those for the weeks that have not started yet
+   * @param {Object} [options]
+   * @param {string} [options.gauge] Only this gauge (name or address), defaults to all known gauges
+   * @param {number} [options.weeks] How many weeks ahead to look, defaults to 4
+   * @return {Promise<BribeInfo[]>}
+   */
+  async openBribes({ gauge, weeks = 4 } = {}) {
+    const market = this._requireBribeMarket();
+    const nextWeek = ((await this.now()) / WEEK + 1n) * WEEK;
+    const gauges = gauge === undefined ? this.gauges : [this._gaugeInfo(gauge)];
+
+    const open = [];
+    for (const g of gauges) {
+      for (let i = 0n; i < BigInt(weeks); i++) {
+        const week = nextWeek + i * WEEK;
+        for (const token of await market.getBribeTokens(g.address, week)) {
+          const { amount } = await market.bribes(g.address, week, token);
+          open.push({ gauge: g.name, address: g.address, week, token, amount });
+        }
+      }
+    }
+    return open;
+  }
+
+  /**
+   * Bribes an address can claim for a week across the known gauges
+   * @param {string} addr
+   * @param {bigint|number} week Timestamp within the week
+   * @return {Promise<BribeInfo[]>}
+   */
+  async claimableBribes(addr, week) {
+    const market = this._requireBribeMarket();
+    const start = (BigInt(week) / WEEK) * WEEK;
+
+    const claimable = [];
+    for (const g of this.gauges) {
+      for (const token of await market.getBribeTokens(g.address, start)) {
+        const amount = await market.claimable(addr, g.address, token, start);
+        if (amount > 0n) claimable.push({ gauge: g.name, address: g.address, week: start, token, amount });
+      }
+    }
+    return claimable;
+  }
+
+  /**
+   * Claim the signer's share of a gauge's bribes for a week, token by token so that one
+   * token whose transfers fail does not hold up the others.
+   * The share comes from the vote in force that week, even if it has changed since.
+   * @param {string} gauge Gauge name or address
+   * @param {bigint|number} week Timestamp within the week
+   * @param {string[]} [tokens] Tokens to claim, defaults to those with something claimable
+   * @return {Promise<import("ethers").TransactionReceipt|null>} null if there was nothing to claim
+   */
+  async claimBribes(gauge, week, tokens) {
+    const market = this._requireBribeMarket();
+    const address = this.resolveGauge(gauge);
+    if (tokens === undefined) {
+      const account = await this.account();
+      tokens = [];
+      for (const token of await market.getBribeTokens(address, week)) {
+        if ((await market.claimable(account, address, token, week)) > 0n) tokens.push(token);
+      }
+    }
+    if (tokens.length === 0) return null;
+    return (await market.claimTokens(address, week, tokens)).wait();
+  }
+
+  /**
+   * Move a bribe from a week the gauge got no votes in, or its unclaimed rest once the
+   * claim window is over, to the next week that has not started
+   * @param {string} gauge Gauge name or address
+   * @param {string} token Reward token address
+   * @param {bigint|number} week Timestamp within the week
+   * @return {Promise<import("ethers").TransactionReceipt>}
+   */
+  async rollOverBribe(gauge, token, week) {
+    return (await this._requireBribeMarket().rollOver(this.resolveGauge(gauge), token, week)).wait();
+  }
+}
+
+module.exports = { VeGaugeClient };
@@ -0,0 +1,188 @@
+/**
+ * Human-readable ABIs for the contracts the SDK talks to.
+ * Kept in sync with contracts/interfaces and contracts/core by hand so the SDK
+ * works without compiled Hardhat artifacts.
+ */
+
+const ERC20 = [
+  "function balanceOf(address) view returns (uint256)",
+  "function allowance(address owner, address spender) view returns (uint256)",
+  "function approve(address spender, uint256 amount) returns (bool)",
+  "function transfer(address to, uint256 amount) returns (bool)",
+  "function symbol() view returns (string)",
+  "function decimals() view returns (uint8)",
+];
+
+const VotingEscrow = [
+  "function token() view returns (address)",
+  "function createLock(uint256 amount, uint256 unlockTime)",
+  "function increaseAmount(uint256 amount)",
+  "function increaseUnlockTime(uint256 unlockTime)",
+  "function withdraw()",
+  "function withdrawEarly()",
+  "function previewEarlyWithdraw(address addr) view returns (uint256 value, uint256 penalty)",
+  "function earlyWithdrawPenalty() view returns (uint256)",
+  "function penaltyRecipient() view returns (address)",
+  "function locked(address) view returns (uint256 amount, uint256 end, bool isPermanent)",
+  "function lockPermanent()",
+  "function unlockPermanent()",
+  "function permanentLockBalance() view returns (uint256)",
+  "function unlocked() view returns (bool)",
+  "function balanceOf(address addr) view returns (uint256)",
+  "function balanceOf(address addr, uint256 timestamp) view returns (uint256)",
+  "function totalSupply() view returns (uint256)",
+  "function totalSupply(uint256 timestamp) view returns (uint256)",
+  "function balanceOfAt(address addr, uint256 blk) view returns (uint256)",
+  "function totalSupplyAt(uint256 blk) view returns (uint256)",
+  "function MAX_TIME() view returns (uint256)",
+  "function delegate(address delegatee)",
+  "function undelegate()",
+  "function delegates(address addr) view returns (address)",
+  "function delegatedBalanceOf(address addr) view returns (uint256)",
+  "function delegatedBalanceOf(address addr, uint256 timestamp) view returns (uint256)",
+  "function delegatedPowerEnd(address addr) view returns (uint256)",
+  "function delegatedPermanentBalance(address addr) view returns (uint256)",
+  "function paused() view returns (bool)",
+  "event Deposit(address indexed provider, uint256 value, uint256 unlockTime, uint256 timestamp)",
+  "event Withdraw(address indexed provider, uint256 value, uint256 timestamp)",
+  "event EarlyWithdraw(address indexed provider, uint256 value, uint256 penalty, uint256 timestamp)",
+  "event LockPermanent(address indexed provider, uint256 value, uint256 timestamp)",
+  "event UnlockPermanent(address indexed provider, uint256 value, uint256 unlockTime, uint256 timestamp)",
+  "event UnlockAll(uint256 timestamp)",
+  "event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate)",
+];
+
+const GaugeController = [
+  "function votingEscrow() view returns (address)",
+  "function nGauges() view returns (uint256)",
+  "function gauges(uint256 index) view returns (address)",
+  "function getGauges() view returns (address[])",
+  "function nGaugeTypes() view returns (uint256)",
+  "function gaugeTypeNames(uint256 typeId) view returns (string)",
+  "function isKilled(address addr) view returns (bool)",
+  "function killGauge(address addr)",
+  "function unkillGauge(address addr)",
+  "function getTypeWeight(uint256 typeId, uint256 time) view returns (uint256)",
+  "function getTypeSum(uint256 typeId, uint256 time) view returns (uint256)",
+  "function gaugeTypes(address addr) view returns (uint256)",
+  "function voteForGaugeWeights(address gaugeAddr, uint256 userWeight)",
+  "function voteForManyGaugeWeights(address[] gaugeAddrs, uint256[] userWeights)",
+  "function voteUserPower(address user, address gauge) view returns (uint256)",
+  "function userPowerUsed(address user) view returns (uint256)",
+  "function lastUserVote(address user, address gauge) view returns (uint256)",
+  "function voteUserBiasAt(address user, address gauge, uint256 time) view returns (uint256)",
+  "function gaugeRelativeWeight(address addr) view returns (uint256)",
+  "function gaugeRelativeWeight(address addr, uint256 time) view returns (uint256)",
+  "function getGaugeWeight(address addr, uint256 time) view returns (uint256)",
+  "function getTotalWeight(uint256 time) view returns (uint256)",
+  "function checkpoint()",
+  "function checkpointGauge(address addr)",
+  "function WEIGHT_VOTE_DELAY() view returns (uint256)",
+  "function paused() view returns (bool)",
+  "event NewGauge(address indexed gauge, uint256 gaugeType)",
+  "event GaugeKilled(address indexed gauge)",
+  "event GaugeUnkilled(address indexed gauge)",
+  "event AddType(string name, uint256 typeId)",
+  "event NewTypeWeight(uint256 indexed typeId, uint256 time, uint256 weight, uint256 totalWeight)",
+  "event VoteForGauge(address indexed user, address indexed gauge, uint256 weight, uint256 timestamp)",
+];
+
+const Minter = [
+  "function token() view returns (address)",
+  "function controller() view returns (address)",
+  "function rate() view returns (uint256)",
+  "function mint(address gaugeAddr)",
+  "function mintable(address gaugeAddr) view returns (uint256)",
+  "function mintableInTimeframe(uint256 start, uint256 end) view returns (uint256)",
+  "function availableSupply() view returns (uint256)",
+  "function emissionStart() view returns (uint256)",
+  "function minted(address gaugeAddr) view returns (uint256)",
+  "function minted(address user, address gaugeAddr) view returns (uint256)",
+  "function mintFor(address gaugeAddr, address user)",
+  "function mintMany(address[] gaugeAddrs)",
+  "function toggleApproveMint(address operator)",
+  "function allowedToMintFor(address operator, address user) view returns (bool)",
+  "function tokenMinting() view returns (bool)",
+  "function rateAt(uint256 timestamp) view returns (uint256)",
+  "function startEpochTime() view returns (uint256)",
+  "function startEpochSupply() view returns (uint256)",
+  "function schedule() view returns (address)",
+  "function futureSchedule() view returns (address)",
+  "function futureScheduleTime() view returns (uint256)",
+  "function paused() view returns (bool)",
+  "event Minted(address indexed gauge, address indexed recipient, uint256 amount)",
+  "event TokenMintingEnabled()",
+  "event UpdateMiningParameters(uint256 time, uint256 rate, uint256 startEpochTime)",
+  "event CommitSchedule(address schedule, uint256 applicableFrom)",
+  "event ApplySchedule(address schedule)",
+  "event MintApprovalUpdated(address indexed user, address indexed operator, bool allowed)",
+];
+
+const LiquidityGauge = [
+  "function lpToken() view returns (address)",
+  "function minter() view returns (address)",
+  "function rewardToken() view returns (address)",
+  "function deposit(uint256 amount)",
+  "function deposit(uint256 amount, address recipient)",
+  "function withdraw(uint256 amount)",
+  "function claimRewards()",
+  "function claimRewards(address receiver)",
+  "function claimFor(address user)",
+  "function claimableRewards(address user) view returns (uint256)",
+  "function claimableReward(address user) view returns (uint256)",
+  "function integrateFraction(address user) view returns (uint256)",
+  "function balanceOf(address user) view returns (uint256)",
+  "function totalSupply() view returns (uint256)",
+  "function userCheckpoint(address addr)",
+  "function workingBalances(address user) view returns (uint256)",
+  "function workingSupply() view returns (uint256)",
+  "function maxBoost() view returns (uint256)",
+  "function currentBoost(address user) view returns (uint256)",
+  "function previewBoost(address user) view returns (uint256)",
+  "function veForMaxBoost(address user) view returns (uint256)",
+  "function kick(address addr)",
+  "function rewardCount() view returns (uint256)",
+  "function rewardTokens(uint256 index) view returns (address)",
+  "function rewardData(address token) view returns (address distributor, uint256 periodFinish, uint256 rate, uint256 lastUpdate, uint256 integral)",
+  "function claimable(address user, address token) view returns (uint256)",
+  "function addReward(address token, address distributor)",
+  "function setRewardDistributor(address token, address distributor)",
+  "function depositRewardToken(address token, uint256 amount)",
+  "function paused() view returns (bool)",
+  "event UpdateLiquidityLimit(address indexed user, uint256 originalBalance, uint256 originalSupply, uint256 workingBalance, uint256 workingSupply)",
+  "event Deposit(address indexed user, uint256 amount)",
+  "event Withdraw(address indexed user, uint256 amount)",
+  "event RewardClaimed(address indexed user, address indexed receiver, uint256 amount)",
+  "event RewardTokenAdded(address indexed token, address distributor)",
+  "event RewardDistributorUpdated(address indexed token, address distributor)",
+  "event RewardDeposited(address indexed token, uint256 amount, uint256 rate, uint256 periodFinish)",
+  "event RewardTokenClaimed(address indexed user, address indexed receiver, address indexed token, uint256 amount)",
+];
+
+const BribeMarket = [
+  "function controller() view returns (address)",
+  "function depositBribe(address gauge, address token, uint256 amount, uint256 week)",
+  "function claim(address gauge, uint256 week)",
+  "function claimTokens(address gauge, uint256 week, address[] tokens)",
+  "function rollOver(address gauge, address token, uint256 week)",
+  "function claimable(address user, address gauge, address token, uint256 week) view returns (uint256)",
+  "function voterBias(address user, address gauge, uint256 week) view returns (uint256)",
+  "function CLAIM_WINDOW() view returns (uint256)",
+  "function MAX_BRIBE_TOKENS() view returns (uint256)",
+  "function getBribeTokens(address gauge, uint256 week) view returns (address[])",
+  "function bribes(address gauge, uint256 week, address token) view returns (uint256 amount, uint256 claimed)",
+  "function hasClaimed(address user, address gauge, uint256 week, address token) view returns (bool)",
+  "function paused() view returns (bool)",
+  "event BribeDeposited(address indexed gauge, address indexed token, uint256 week, address indexed depositor, uint256 amount)",
+  "event BribeClaimed(address indexed user, address indexed gauge, address indexed token, uint256 week, uint256 amount)",
+  "event BribeRolledOver(address indexed gauge, address indexed token, uint256 week, uint256 toWeek, uint256 amount)",
+];
+
+module.exports = {
+  ERC20,
+  VotingEscrow,
+  GaugeController,
+  Minter,
+  LiquidityGauge,
+  BribeMarket,
+};
@@ -0,0 +1,7 @@
+const { VeGaugeClient } = require("./VeGaugeClient");
+const abi = require("./abi");
+
+module.exports = {
+  VeGaugeClient,
+  abi,
+};
@@ -0,0 +1,23 @@
+const fs = require("fs");
+const { task } = require("hardhat/config");
+
+task("simulate", "Run an emissions / gauge-weight scenario against fresh contracts")
+  .addParam("scenario", "Path to the scenario file (.json or .js)")
+  .addOptionalParam("out", "Write the table to this file instead of stdout")
+  .addOptionalParam("format", "Output format: csv or json", "csv")
+  .setAction(async ({ scenario: scenarioPath, out, format }, hre) => {
+    const { loadScenario, runScenario, toCsv, toJson } = require("../scripts/lib/simulator");
+
+    if (!["csv", "json"].includes(format)) throw new Error(`Unknown format: ${format}`);
+
+    const scenario = loadScenario(scenarioPath);
+    const rows = await runScenario(hre, scenario, { log: (msg) => console.error(msg) });
+    const output = format === "json" ? toJson(rows) : toCsv(rows);
+
+    if (out) {
+      fs.writeFileSync(out, output);
+      console.error(`Wrote ${rows.length} weeks to ${out}`);
+    } else {
+      process.stdout.write(output);
+    }
+  });
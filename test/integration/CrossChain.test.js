@@ -0,0 +1,178 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+// Both "chains" run on the local network: the Minter side holds the RootGauge, the
+// other side the ChildGauge, and MockBridgeAdapter stands in for the bridge between them.
+describe("Cross-Chain Gauges", function () {
+  let token;
+  let votingEscrow;
+  let controller;
+  let minter;
+  let bridge;
+  let rootGauge;
+  let childGauge;
+  let lpToken;
+  let owner;
+  let voter;
+  let alice;
+  let bob;
+
+  const WEEK = 7 * 24 * 60 * 60;
+  const YEAR = 365 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [owner, voter, alice, bob] = await ethers.getSigners();
+
+    // Minter chain
+    const Token = await ethers.getContractFactory("SimpleRewardToken");
+    token = await Token.deploy();
+    const VotingEscrow = await ethers.getContractFactory("VotingEscrow");
+    votingEscrow = await VotingEscrow.deploy(await token.getAddress(), "Vote-Escrowed Token", "veToken");
+    const GaugeController = await ethers.getContractFactory("GaugeController");
+    controller = await GaugeController.deploy(await votingEscrow.getAddress());
+    await votingEscrow.setVoter(await controller.getAddress());
+    const Schedule = await ethers.getContractFactory("GeometricEmissionSchedule");
+    const schedule = await Schedule.deploy(0, 274815283, YEAR, "1189207115002721024");
+    const Minter = await ethers.getContractFactory("Minter");
+    minter = await Minter.deploy(await token.getAddress(), await controller.getAddress(), await schedule.getAddress());
+    await token.transfer(await minter.getAddress(), ethers.parseEther("10000000"));
+
+    // Staking chain
+    const ExampleVault = await ethers.getContractFactory("ExampleVault");
+    lpToken = await ExampleVault.deploy();
+    const ChildGauge = await ethers.getContractFactory("ChildGauge");
+    childGauge = await ChildGauge.deploy(await lpToken.getAddress(), await token.getAddress());
+
+    // The root gauge is deployed first in practice, so the child is set afterwards
+    const MockBridgeAdapter = await ethers.getContractFactory("MockBridgeAdapter");
+    bridge = await MockBridgeAdapter.deploy();
+    const RootGauge = await ethers.getContractFactory("RootGauge");
+    rootGauge = await RootGauge.deploy(await minter.getAddress(), await bridge.getAddress(), ethers.ZeroAddress);
+    await expect(rootGauge.transmitEmissions()).to.be.revertedWith("Child gauge not set");
+    await expect(rootGauge.setChildGauge(await childGauge.getAddress()))
+      .to.emit(rootGauge, "ChildGaugeUpdated")
+      .withArgs(await childGauge.getAddress());
+    await controller.addGauge(await rootGauge.getAddress(), 0);
+
+    await token.transfer(voter.address, ethers.parseEther("1000"));
+    await token.connect(voter).approve(await votingEscrow.getAddress(), ethers.parseEther("1000"));
+    await votingEscrow.connect(voter).createLock(ethers.parseEther("1000"), (await time.latest()) + YEAR);
+    await controller.connect(voter).voteForGaugeWeights(await rootGauge.getAddress(), 10000);
+
+    for (const [staker, amount] of [[alice, "100"], [bob, "300"]]) {
+      await lpToken.mint(staker.address, ethers.parseEther(amount));
+      await lpToken.connect(staker).approve(await childGauge.getAddress(), ethers.parseEther(amount));
+      await childGauge.connect(staker).deposit(ethers.parseEther(amount));
+    }
+  });
+
+  it("Should bridge weekly emissions to the child gauge and stream them to stakers", async function () {
+    const rootAddr = await rootGauge.getAddress();
+    const childAddr = await childGauge.getAddress();
+
+    let total = 0n;
+    for (let week = 0; week < 3; week++) {
+      await time.increase(WEEK);
+      const before = await token.balanceOf(childAddr);
+      await expect(rootGauge.transmitEmissions()).to.emit(rootGauge, "EmissionsTransmitted");
+      await expect(rootGauge.transmitEmissions()).to.be.revertedWith("Already transmitted this week");
+
+      const arrived = (await token.balanceOf(childAddr)) - before;
+      total += arrived;
+      if (week > 0) expect(arrived).to.be.gt(0);
+
+      // The next checkpoint picks up what arrived and streams it over the week
+      if (arrived > 0n) await expect(childGauge.userCheckpoint(ethers.ZeroAddress)).to.emit(childGauge, "RewardReceived");
+    }
+
+    // Everything the Minter paid the root gauge crossed the bridge
+    expect(await minter["minted(address)"](rootAddr)).to.equal(total);
+    expect(await rootGauge.totalTransmitted()).to.equal(total);
+    expect(await token.balanceOf(rootAddr)).to.equal(0);
+
+    // Once the last stream has run out, stakers share it all by stake (1:3)
+    await time.increase(WEEK);
+    for (const staker of [alice, bob]) await childGauge.connect(staker).claimRewards();
+    const aliceReward = await token.balanceOf(alice.address);
+    const bobReward = await token.balanceOf(bob.address);
+    expect(aliceReward + bobReward).to.be.closeTo(total, 3n * BigInt(WEEK));
+    expect(bobReward).to.be.closeTo(aliceReward * 3n, 10n);
+    expect(await childGauge.claimableRewards(alice.address)).to.equal(0);
+  });
+
+  it("Should carry what does not divide into the reward rate into the next stream", async function () {
+    const childAddr = await childGauge.getAddress();
+    const amount = BigInt(WEEK) * 1000n + BigInt(WEEK) - 1n;
+
+    // The bridge just delivers tokens
+    await token.transfer(childAddr, amount);
+    await childGauge.userCheckpoint(ethers.ZeroAddress);
+    expect(await childGauge.rewardRate()).to.equal(1000n);
+    expect(await childGauge.rewardRemainder()).to.equal(BigInt(WEEK) - 1n);
+
+    await time.increase(WEEK);
+    await token.transfer(childAddr, amount);
+    await childGauge.userCheckpoint(ethers.ZeroAddress);
+    expect(await childGauge.rewardRate()).to.equal(1001n);
+    expect(await childGauge.rewardRemainder()).to.equal(BigInt(WEEK) - 2n);
+
+    // Stakers are paid everything but the dust still waiting for the next stream
+    await time.increase(WEEK);
+    for (const staker of [alice, bob]) await childGauge.connect(staker).claimRewards();
+    const paid = (await token.balanceOf(alice.address)) + (await token.balanceOf(bob.address));
+    expect(paid + (await childGauge.rewardRemainder())).to.be.closeTo(amount * 2n, 2n);
+  });
+
+  it("Should hold back rewards streamed while nothing is staked for the first stakers", async function () {
+    const ChildGauge = await ethers.getContractFactory("ChildGauge");
+    const empty = await ChildGauge.deploy(await lpToken.getAddress(), await token.getAddress());
+    const emptyAddr = await empty.getAddress();
+    const amount = BigInt(WEEK) * 1000n;
+
+    // Rewards arrive and start streaming before anybody stakes
+    await token.transfer(emptyAddr, amount);
+    await empty.userCheckpoint(ethers.ZeroAddress);
+    await time.increase(3 * 24 * 60 * 60);
+
+    await lpToken.mint(alice.address, ethers.parseEther("100"));
+    await lpToken.connect(alice).approve(emptyAddr, ethers.parseEther("100"));
+    await empty.connect(alice).deposit(ethers.parseEther("100"));
+    const queued = await empty.queuedReward();
+    expect(queued).to.be.closeTo(amount * 3n / 7n, 1000n * 60n);
+
+    // Held back and newly arrived rewards are in the view before any checkpoint streams them
+    const before = await empty.claimableRewards(alice.address);
+    expect(before).to.be.gte(queued);
+    await token.transfer(emptyAddr, 500n);
+    // One more second of the stream also passes with the transfer
+    expect(await empty.claimableRewards(alice.address)).to.equal(before + 500n + 1000n);
+
+    // The first checkpoint with stake streams them again
+    await expect(empty.userCheckpoint(ethers.ZeroAddress)).to.emit(empty, "RewardReceived");
+    expect(await empty.queuedReward()).to.equal(0);
+
+    await time.increase(2 * WEEK);
+    await empty.connect(alice).claimRewards();
+    const paid = await token.balanceOf(alice.address);
+    expect(paid + (await empty.rewardRemainder())).to.be.closeTo(amount + 500n, 2n);
+  });
+
+  it("Should let only the owner switch bridge adapters", async function () {
+    const MockBridgeAdapter = await ethers.getContractFactory("MockBridgeAdapter");
+    const replacement = await MockBridgeAdapter.deploy();
+
+    await expect(rootGauge.connect(alice).setBridgeAdapter(await replacement.getAddress()))
+      .to.be.revertedWithCustomError(rootGauge, "OwnableUnauthorizedAccount");
+    await expect(rootGauge.setBridgeAdapter(ethers.ZeroAddress)).to.be.revertedWith("Invalid bridge adapter");
+    await expect(rootGauge.setBridgeAdapter(await replacement.getAddress()))
+      .to.emit(rootGauge, "BridgeAdapterUpdated")
+      .withArgs(await replacement.getAddress());
+
+    await time.increase(2 * WEEK);
+    const tx = await rootGauge.transmitEmissions();
+    await expect(tx)
+      .to.emit(replacement, "Bridged")
+      .withArgs(await token.getAddress(), await childGauge.getAddress(), await rootGauge.totalTransmitted());
+  });
+});
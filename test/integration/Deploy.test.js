@@ -0,0 +1,161 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { normalizeConfig, readManifest, deploySystem } = require("../../scripts/lib/deployments");
+
+describe("Deployment Pipeline", function () {
+  const { ethers } = hre;
+  const silent = () => {};
+
+  let dir;
+  let manifestFile;
+
+  const baseConfig = {
+    rewardToken: "deploy",
+    gaugeTypes: [{ name: "Integrations", weight: "0.5" }],
+    gauges: [
+      { name: "pool-a", lpToken: "deploy", gaugeType: 0 },
+      { name: "pool-b", lpToken: "deploy", gaugeType: 1 },
+    ],
+    minterFunding: "1000000",
+  };
+
+  beforeEach(function () {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ve-deploy-"));
+    manifestFile = path.join(dir, "hardhat.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should deploy the configured system and write a manifest", async function () {
+    const manifest = await deploySystem(hre, normalizeConfig(baseConfig), { manifestFile, log: silent });
+
+    expect(readManifest(manifestFile)).to.deep.equal(manifest);
+    for (const id of ["rewardToken", "votingEscrow", "gaugeController", "minter", "gauges/pool-a", "gauges/pool-b"]) {
+      expect(manifest.contracts[id].address).to.be.properAddress;
+    }
+
+    const controller = await ethers.getContractAt("GaugeController", manifest.contracts.gaugeController.address);
+    expect(await controller.gaugeTypes(manifest.contracts["gauges/pool-b"].address)).to.equal(1);
+    expect(await controller.gaugeTypeNames(1)).to.equal("Integrations");
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    expect(await controller.getTypeWeight(1, timestamp + 7 * 24 * 60 * 60)).to.equal(ethers.parseEther("0.5"));
+
+    const token = await ethers.getContractAt("SimpleRewardToken", manifest.contracts.rewardToken.address);
+    expect(await token.balanceOf(manifest.contracts.minter.address)).to.equal(ethers.parseEther("1000000"));
+  });
+
+  it("Should skip everything already recorded on a second run", async function () {
+    const config = normalizeConfig(baseConfig);
+    const first = await deploySystem(hre, config, { manifestFile, log: silent });
+    const blockBefore = await ethers.provider.getBlockNumber();
+
+    const second = await deploySystem(hre, config, { manifestFile, log: silent });
+
+    expect(await ethers.provider.getBlockNumber()).to.equal(blockBefore);
+    expect(second.contracts).to.deep.equal(first.contracts);
+    expect(second.steps).to.deep.equal(first.steps);
+  });
+
+  it("Should let the Minter mint a mintable token instead of funding it", async function () {
+    const config = normalizeConfig({ ...baseConfig, rewardToken: "mintable", mintableToken: { cap: "3000000", initialSupply: "2000000" } });
+    const manifest = await deploySystem(hre, config, { manifestFile, log: silent });
+
+    const token = await ethers.getContractAt("MintableRewardToken", manifest.contracts.rewardToken.address);
+    const minter = await ethers.getContractAt("Minter", manifest.contracts.minter.address);
+    expect(await token.cap()).to.equal(ethers.parseEther("3000000"));
+    expect(await token.minter()).to.equal(await minter.getAddress());
+    expect(await minter.tokenMinting()).to.equal(true);
+    expect(await token.balanceOf(await minter.getAddress())).to.equal(0);
+    expect(manifest.steps.fundMinter).to.equal(undefined);
+  });
+
+  it("Should deploy the emission schedule selected by name", async function () {
+    const config = normalizeConfig({ ...baseConfig, emissionSchedule: { type: "constant", rate: "5000" } });
+    const manifest = await deploySystem(hre, config, { manifestFile, log: silent });
+
+    expect(manifest.contracts.emissionSchedule.contract).to.equal("ConstantEmissionSchedule");
+    const minter = await ethers.getContractAt("Minter", manifest.contracts.minter.address);
+    expect(await minter.schedule()).to.equal(manifest.contracts.emissionSchedule.address);
+    expect(await minter.rate()).to.equal(5000);
+  });
+
+  it("Should resume a partially failed run", async function () {
+    const [deployer] = await ethers.getSigners();
+    const Token = await ethers.getContractFactory("SimpleRewardToken");
+    const external = await Token.deploy();
+    const tooMuch = ethers.formatEther((await external.balanceOf(deployer.address)) + 1n);
+
+    const failing = normalizeConfig({ ...baseConfig, rewardToken: await external.getAddress(), minterFunding: tooMuch });
+    await expect(deploySystem(hre, failing, { manifestFile, log: silent })).to.be.reverted;
+
+    const partial = readManifest(manifestFile);
+    expect(partial.contracts["gauges/pool-b"]).to.not.equal(undefined);
+    expect(partial.steps.fundMinter).to.equal(undefined);
+
+    const fixed = normalizeConfig({ ...baseConfig, rewardToken: await external.getAddress() });
+    const manifest = await deploySystem(hre, fixed, { manifestFile, log: silent });
+
+    expect(manifest.contracts.minter.address).to.equal(partial.contracts.minter.address);
+    expect(manifest.contracts["gauges/pool-a"].address).to.equal(partial.contracts["gauges/pool-a"].address);
+    expect(manifest.steps.fundMinter).to.not.equal(undefined);
+  });
+
+  it("Should not fund the Minter twice when the funding was sent but not recorded", async function () {
+    const config = normalizeConfig(baseConfig);
+    const first = await deploySystem(hre, config, { manifestFile, log: silent });
+
+    // As if the run died between the transfer and the manifest write
+    delete first.steps.fundMinter;
+    fs.writeFileSync(manifestFile, JSON.stringify(first));
+    const manifest = await deploySystem(hre, config, { manifestFile, log: silent });
+
+    const token = await ethers.getContractAt("SimpleRewardToken", manifest.contracts.rewardToken.address);
+    expect(await token.balanceOf(manifest.contracts.minter.address)).to.equal(ethers.parseEther("1000000"));
+    expect(manifest.steps.fundMinter).to.deep.equal({ txHash: null });
+  });
+
+  it("Should hand ownership to the configured owner", async function () {
+    const [, multisig, guardian] = await ethers.getSigners();
+    const config = normalizeConfig({
+      ...baseConfig,
+      owner: multisig.address,
+      guardian: guardian.address,
+      votingEscrow: { allowedContracts: [multisig.address] },
+    });
+    const manifest = await deploySystem(hre, config, { manifestFile, log: silent });
+
+    const owned = ["votingEscrow", "smartWalletWhitelist", "gaugeController", "minter", "bribeMarket", "rewardToken"];
+    for (const id of [...owned, "gauges/pool-a", "gauges/pool-b"]) {
+      const contract = await ethers.getContractAt("Ownable", manifest.contracts[id].address);
+      expect(await contract.owner()).to.equal(multisig.address);
+    }
+    for (const id of ["votingEscrow", "gaugeController", "minter", "bribeMarket", "gauges/pool-a", "gauges/pool-b"]) {
+      const contract = await ethers.getContractAt("GuardianPausable", manifest.contracts[id].address);
+      expect(await contract.guardian()).to.equal(guardian.address);
+    }
+    const votingEscrow = await ethers.getContractAt("VotingEscrow", manifest.contracts.votingEscrow.address);
+    expect(await votingEscrow.penaltyRecipient()).to.equal(multisig.address);
+
+    const whitelist = await ethers.getContractAt("SmartWalletWhitelist", manifest.contracts.smartWalletWhitelist.address);
+    expect(await votingEscrow.smartWalletChecker()).to.equal(await whitelist.getAddress());
+    expect(await whitelist.wallets(multisig.address)).to.equal(true);
+  });
+
+  it("Should reject malformed configs", function () {
+    expect(() => normalizeConfig({ rewardToken: "0x1234" })).to.throw("rewardToken");
+    expect(() => normalizeConfig({ gauges: [{ name: "a" }, { name: "a" }] })).to.throw("Duplicate gauge name");
+    expect(() => normalizeConfig({ gauges: [{ name: "a", gaugeType: 1 }] })).to.throw("not configured");
+    expect(() => normalizeConfig({ gaugeTypes: [{ name: "x", weight: "half" }] })).to.throw("weight");
+    expect(() => normalizeConfig({ votingEscrow: { penaltyRecipient: "treasury" } })).to.throw("penaltyRecipient");
+    expect(() => normalizeConfig({ votingEscrow: { allowedContracts: ["multisig"] } })).to.throw("allowedContracts");
+    expect(() => normalizeConfig({ guardian: "ops" })).to.throw("guardian");
+    expect(() => normalizeConfig({ emissionSchedule: "linear" })).to.throw("emissionSchedule");
+    expect(() => normalizeConfig({ emissionSchedule: { type: "constant", rate: "fast" } })).to.throw("rate");
+    expect(() => normalizeConfig({ emissionSchedule: "piecewise" })).to.throw("at least one step");
+  });
+});
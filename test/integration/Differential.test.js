@@ -0,0 +1,208 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+  WEEK,
+  MAX_TIME,
+  ModelRevert,
+  VotingEscrowModel,
+  GaugeControllerModel,
+} = require("../model/ReferenceModel");
+
+/**
+ * Runs random operation sequences against the contracts and the reference
+ * model and fails on the first step where any observed value differs.
+ * Set DIFF_SEED / DIFF_STEPS to reproduce or lengthen a run.
+ */
+describe("Differential: contracts vs reference model", function () {
+  this.timeout(300000);
+
+  const SEEDS = process.env.DIFF_SEED ? [Number(process.env.DIFF_SEED)] : [1, 2, 3];
+  const STEPS = Number(process.env.DIFF_STEPS || 40);
+  const NUM_USERS = 3;
+  const NUM_GAUGES = 3;
+  const GAS = { gasLimit: 3_000_000 };
+
+  // mulberry32: small deterministic PRNG so failures can be replayed by seed
+  function prng(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6d2b79f5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  async function deploySystem() {
+    const signers = (await ethers.getSigners()).slice(1, 1 + NUM_USERS);
+
+    const Token = await ethers.getContractFactory("SimpleRewardToken");
+    const token = await Token.deploy();
+    const VotingEscrow = await ethers.getContractFactory("VotingEscrow");
+    const votingEscrow = await VotingEscrow.deploy(await token.getAddress(), "Vote-Escrowed Token", "veToken");
+    const GaugeController = await ethers.getContractFactory("GaugeController");
+    const controller = await GaugeController.deploy(await votingEscrow.getAddress());
+    const Schedule = await ethers.getContractFactory("GeometricEmissionSchedule");
+    const schedule = await Schedule.deploy(0, 274815283, 365 * 24 * 60 * 60, "1189207115002721024");
+    const Minter = await ethers.getContractFactory("Minter");
+    const minter = await Minter.deploy(await token.getAddress(), await controller.getAddress(), await schedule.getAddress());
+
+    const LPToken = await ethers.getContractFactory("ExampleVault");
+    const LiquidityGauge = await ethers.getContractFactory("LiquidityGauge");
+    const gauges = [];
+    for (let i = 0; i < NUM_GAUGES; i++) {
+      const lpToken = await LPToken.deploy();
+      const gauge = await LiquidityGauge.deploy(await lpToken.getAddress(), await minter.getAddress());
+      await controller.addGauge(await gauge.getAddress(), 0);
+      gauges.push(await gauge.getAddress());
+    }
+
+    for (const signer of signers) {
+      await token.transfer(signer.address, ethers.parseEther("1000000"));
+      await token.connect(signer).approve(await votingEscrow.getAddress(), ethers.MaxUint256);
+    }
+
+    return { signers, votingEscrow, controller, gauges };
+  }
+
+  function randomOp(rand, users, gauges) {
+    const pick = (list) => list[Math.floor(rand() * list.length)];
+    const amount = () => ethers.parseEther(String(1 + Math.floor(rand() * 1000)));
+    // Mostly short locks so expiry, withdrawal and re-locking all get exercised
+    const weeks = () => BigInt(rand() < 0.7 ? 1 + Math.floor(rand() * 12) : 1 + Math.floor(rand() * 208));
+
+    const r = rand();
+    if (r < 0.2) return { type: "createLock", user: pick(users), amount: amount(), weeks: weeks() };
+    if (r < 0.3) return { type: "increaseAmount", user: pick(users), amount: amount() };
+    if (r < 0.4) return { type: "increaseUnlockTime", user: pick(users), weeks: weeks() };
+    if (r < 0.5) return { type: "withdraw", user: pick(users) };
+    if (r < 0.75) {
+      const weight = BigInt(rand() < 0.2 ? 0 : 1000 * (1 + Math.floor(rand() * 10)));
+      return { type: "vote", user: pick(users), gauge: pick(gauges), weight };
+    }
+    return { type: "advance", seconds: BigInt(3600 + Math.floor(rand() * 3 * Number(WEEK))) };
+  }
+
+  function describeOp(op) {
+    return JSON.stringify(op, (_, v) => (typeof v === "bigint" ? v.toString() : v));
+  }
+
+  async function runSequence(seed) {
+    const rand = prng(seed);
+    const { signers, votingEscrow, controller, gauges } = await deploySystem();
+    const users = signers.map((s) => s.address);
+    const byAddress = Object.fromEntries(signers.map((s) => [s.address, s]));
+
+    const ve = new VotingEscrowModel();
+    const gc = new GaugeControllerModel(ve);
+    gauges.forEach((g) => gc.addGauge(g));
+
+    for (let step = 0; step < STEPS; step++) {
+      const op = randomOp(rand, users, gauges);
+      const where = `seed ${seed}, step ${step}, op ${describeOp(op)}`;
+
+      if (op.type === "advance") {
+        await time.increase(op.seconds);
+      } else {
+        const now = BigInt(await time.latest()) + 1n;
+        await time.setNextBlockTimestamp(now);
+
+        const { apply, send } = prepare(op, now);
+        let expectedRevert = null;
+        try {
+          apply();
+        } catch (e) {
+          if (!(e instanceof ModelRevert)) throw e;
+          expectedRevert = e.reason;
+        }
+
+        if (expectedRevert) {
+          await expect(send(), `${where}: contract should revert`).to.be.revertedWith(expectedRevert);
+        } else {
+          await send().catch((e) => {
+            throw new Error(`${where}: contract reverted but model accepted (${e.message})`);
+          });
+        }
+      }
+
+      await compareState(where);
+    }
+
+    // Pair each operation's model update with the matching transaction
+    function prepare(op, now) {
+      const signer = byAddress[op.user];
+      switch (op.type) {
+        case "createLock": {
+          const unlockTime = now + op.weeks * WEEK;
+          return {
+            apply: () => ve.createLock(op.user, op.amount, unlockTime, now),
+            send: () => votingEscrow.connect(signer).createLock(op.amount, unlockTime, GAS),
+          };
+        }
+        case "increaseAmount":
+          return {
+            apply: () => ve.increaseAmount(op.user, op.amount, now),
+            send: () => votingEscrow.connect(signer).increaseAmount(op.amount, GAS),
+          };
+        case "increaseUnlockTime": {
+          const current = ve.locked(op.user).end;
+          const target = (current > now ? current : now) + op.weeks * WEEK;
+          const unlockTime = target > now + MAX_TIME ? now + MAX_TIME : target;
+          return {
+            apply: () => ve.increaseUnlockTime(op.user, unlockTime, now),
+            send: () => votingEscrow.connect(signer).increaseUnlockTime(unlockTime, GAS),
+          };
+        }
+        case "withdraw":
+          return {
+            apply: () => ve.withdraw(op.user, now),
+            send: () => votingEscrow.connect(signer).withdraw(GAS),
+          };
+        case "vote":
+          return {
+            apply: () => gc.vote(op.user, op.gauge, op.weight, now),
+            send: () => controller.connect(signer).voteForGaugeWeights(op.gauge, op.weight, GAS),
+          };
+      }
+    }
+
+    async function compareState(where) {
+      const now = BigInt(await time.latest());
+
+      const check = (label, actual, expected) => {
+        if (actual !== expected) {
+          throw new Error(`First divergence at ${where}: ${label} contract=${actual} model=${expected}`);
+        }
+      };
+
+      for (const t of [now, now + WEEK]) {
+        let sum = 0n;
+        for (const user of users) {
+          const balance = await votingEscrow["balanceOf(address,uint256)"](user, t);
+          check(`balanceOf(${user}, ${t})`, balance, ve.balanceOf(user, t));
+          sum += balance;
+        }
+        check(`totalSupply(${t})`, await votingEscrow["totalSupply(uint256)"](t), ve.totalSupply(t));
+        check(`sum of balances (${t})`, sum, ve.totalSupply(t));
+
+        check(`getTotalWeight(${t})`, await controller.getTotalWeight(t), gc.totalWeight(t));
+        for (const gauge of gauges) {
+          check(`getGaugeWeight(${gauge}, ${t})`, await controller.getGaugeWeight(gauge, t), gc.gaugeWeight(gauge, t));
+          check(
+            `gaugeRelativeWeight(${gauge}, ${t})`,
+            await controller["gaugeRelativeWeight(address,uint256)"](gauge, t),
+            gc.gaugeRelativeWeight(gauge, t)
+          );
+        }
+      }
+    }
+  }
+
+  for (const seed of SEEDS) {
+    it(`Should match the model for random sequence (seed ${seed})`, async function () {
+      await runSequence(seed);
+    });
+  }
+});
@@ -38,8 +38,10 @@ describe("End-to-End Integration", function () {
     const GaugeController = await ethers.getContractFactory("GaugeController");
     controller = await GaugeController.deploy(await votingEscrow.getAddress());
     
+    const Schedule = await ethers.getContractFactory("GeometricEmissionSchedule");
+    const schedule = await Schedule.deploy(0, 274815283, 365 * 24 * 60 * 60, "1189207115002721024");
     const Minter = await ethers.getContractFactory("Minter");
-    minter = await Minter.deploy(await token.getAddress(), await controller.getAddress());
+    minter = await Minter.deploy(await token.getAddress(), await controller.getAddress(), await schedule.getAddress());
     
     const LiquidityGauge = await ethers.getContractFactory("LiquidityGauge");
     gauge1 = await LiquidityGauge.deploy(await lpToken1.getAddress(), await minter.getAddress());
@@ -91,7 +93,9 @@ describe("End-to-End Integration", function () {
       expect(claimable).to.be.gte(0);
       
       // Step 5: Claim rewards
-      await gauge1.connect(alice).claimRewards();
+      const balanceBefore = await token.balanceOf(alice.address);
+      await gauge1.connect(alice)["claimRewards()"]();
+      expect(await token.balanceOf(alice.address)).to.be.gt(balanceBefore);
     });
   });
   
@@ -210,11 +214,12 @@ describe("End-to-End Integration", function () {
       const currentTime = await time.latest();
       const unlockTime = currentTime + 365 * 24 * 60 * 60;
       
-      await token.connect(alice).approve(await votingEscrow.getAddress(), lockAmount);
-      await votingEscrow.connect(alice).createLock(lockAmount, unlockTime);
+      // The voter does not stake, so neither staker is boosted
+      await token.connect(owner).approve(await votingEscrow.getAddress(), lockAmount);
+      await votingEscrow.connect(owner).createLock(lockAmount, unlockTime);
       
       await time.increase(WEEK);
-      await controller.connect(alice).voteForGaugeWeights(await gauge1.getAddress(), 10000);
+      await controller.connect(owner).voteForGaugeWeights(await gauge1.getAddress(), 10000);
       await time.increase(WEEK);
       
       // Alice stakes 750, Bob stakes 250 (3:1 ratio)
@@ -227,10 +232,14 @@ describe("End-to-End Integration", function () {
       await lpToken1.connect(bob).approve(await gauge1.getAddress(), bobStake);
       await gauge1.connect(bob)["deposit(uint256)"](bobStake);
       
+      // Emissions held while nobody was staked go to the first staker, so compare what accrues from here
+      const aliceBefore = await gauge1.claimableRewards(alice.address);
+      const bobBefore = await gauge1.claimableRewards(bob.address);
+      
       await time.increase(WEEK * 2);
       
-      const aliceRewards = await gauge1.claimableRewards(alice.address);
-      const bobRewards = await gauge1.claimableRewards(bob.address);
+      const aliceRewards = (await gauge1.claimableRewards(alice.address)) - aliceBefore;
+      const bobRewards = (await gauge1.claimableRewards(bob.address)) - bobBefore;
       
       // Alice should have roughly 3x rewards
       if (aliceRewards > 0n && bobRewards > 0n) {
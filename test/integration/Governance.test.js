@@ -0,0 +1,168 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("Governance with ve power", function () {
+  let token;
+  let votingEscrow;
+  let votes;
+  let controller;
+  let timelock;
+  let governor;
+  let owner;
+  let alice;
+  let bob;
+  let carol;
+
+  const DAY = 24 * 60 * 60;
+  const WEEK = 7 * DAY;
+  const YEAR = 365 * DAY;
+  const VOTING_DELAY = DAY;
+  const VOTING_PERIOD = WEEK;
+  const TIMELOCK_DELAY = 2 * DAY;
+
+  const Pending = 0n;
+  const Active = 1n;
+  const Succeeded = 4n;
+  const Queued = 5n;
+  const Executed = 7n;
+
+  beforeEach(async function () {
+    [owner, alice, bob, carol] = await ethers.getSigners();
+
+    const Token = await ethers.getContractFactory("SimpleRewardToken");
+    token = await Token.deploy();
+
+    const VotingEscrow = await ethers.getContractFactory("VotingEscrow");
+    votingEscrow = await VotingEscrow.deploy(await token.getAddress(), "Vote-Escrowed Token", "veToken");
+
+    const GaugeController = await ethers.getContractFactory("GaugeController");
+    controller = await GaugeController.deploy(await votingEscrow.getAddress());
+    await votingEscrow.setVoter(await controller.getAddress());
+
+    const VotingEscrowVotes = await ethers.getContractFactory("VotingEscrowVotes");
+    votes = await VotingEscrowVotes.deploy(await votingEscrow.getAddress());
+
+    // Anyone may execute a queued proposal; only the governor proposes and cancels
+    const TimelockController = await ethers.getContractFactory("TimelockController");
+    timelock = await TimelockController.deploy(TIMELOCK_DELAY, [], [ethers.ZeroAddress], owner.address);
+
+    const ExampleGovernor = await ethers.getContractFactory("ExampleGovernor");
+    governor = await ExampleGovernor.deploy(
+      await votes.getAddress(),
+      await timelock.getAddress(),
+      VOTING_DELAY,
+      VOTING_PERIOD,
+      4
+    );
+    await timelock.grantRole(await timelock.PROPOSER_ROLE(), await governor.getAddress());
+    await timelock.grantRole(await timelock.CANCELLER_ROLE(), await governor.getAddress());
+    await timelock.renounceRole(await timelock.DEFAULT_ADMIN_ROLE(), owner.address);
+    await controller.transferOwnership(await timelock.getAddress());
+
+    for (const [user, amount, duration] of [[alice, "1000", 4 * YEAR], [bob, "3000", YEAR]]) {
+      await token.transfer(user.address, ethers.parseEther(amount));
+      await token.connect(user).approve(await votingEscrow.getAddress(), ethers.parseEther(amount));
+      await votingEscrow.connect(user).createLock(ethers.parseEther(amount), (await time.latest()) + duration);
+    }
+  });
+
+  async function proposeAddType(name) {
+    const targets = [await controller.getAddress()];
+    const values = [0];
+    const calldatas = [controller.interface.encodeFunctionData("addGaugeType", [name])];
+    const description = `Add gauge type ${name}`;
+
+    await governor.connect(alice).propose(targets, values, calldatas, description);
+    const proposalId = await governor.hashProposal(targets, values, calldatas, ethers.id(description));
+    return { proposalId, targets, values, calldatas, descriptionHash: ethers.id(description) };
+  }
+
+  it("Should expose an ERC-6372 timestamp clock", async function () {
+    expect(await votes.CLOCK_MODE()).to.equal("mode=timestamp");
+    expect(await votes.clock()).to.equal(await time.latest());
+
+    const now = await time.latest();
+    await expect(votes.getPastVotes(alice.address, now + 1)).to.be.revertedWith("Future lookup");
+    await expect(votes.delegate(bob.address)).to.be.revertedWith("Delegate on VotingEscrow");
+  });
+
+  it("Should report decaying and delegated votes", async function () {
+    const start = await time.latest();
+    await time.increase(10 * WEEK);
+
+    const before = await votes.getPastVotes(alice.address, start);
+    const later = await votes.getVotes(alice.address);
+    expect(later).to.be.lt(before);
+    expect(await votes.getPastTotalSupply(start)).to.equal(await votingEscrow["totalSupply(uint256)"](start));
+
+    await votingEscrow.connect(bob).delegate(alice.address);
+    expect(await votes.delegates(bob.address)).to.equal(alice.address);
+    expect(await votes.getVotes(alice.address)).to.equal(
+      (await votingEscrow["balanceOf(address)"](alice.address)) + (await votingEscrow["balanceOf(address)"](bob.address))
+    );
+    // History is not rewritten by the delegation
+    expect(await votes.getPastVotes(alice.address, start)).to.equal(before);
+  });
+
+  it("Should follow the governor's ERC-6372 timestamp clock", async function () {
+    expect(await governor.CLOCK_MODE()).to.equal("mode=timestamp");
+    expect(await governor.clock()).to.equal(await time.latest());
+    expect(await governor.token()).to.equal(await votes.getAddress());
+    expect(await governor.timelock()).to.equal(await timelock.getAddress());
+  });
+
+  it("Should propose, vote with decaying ve power, queue and execute through the timelock", async function () {
+    const { proposalId, targets, values, calldatas, descriptionHash } = await proposeAddType("Governed");
+    expect(await governor.state(proposalId)).to.equal(Pending);
+
+    const snapshot = await governor.proposalSnapshot(proposalId);
+    await time.increaseTo(snapshot + 1n);
+    expect(await governor.state(proposalId)).to.equal(Active);
+
+    // Locking after the snapshot does not count
+    await token.transfer(carol.address, ethers.parseEther("10000"));
+    await token.connect(carol).approve(await votingEscrow.getAddress(), ethers.parseEther("10000"));
+    await votingEscrow.connect(carol).createLock(ethers.parseEther("10000"), (await time.latest()) + 4 * YEAR);
+    await expect(governor.connect(carol).castVote(proposalId, 0))
+      .to.emit(governor, "VoteCast")
+      .withArgs(carol.address, proposalId, 0, 0, "");
+
+    // Votes are the power held at the snapshot, already below the power at lock time
+    const aliceWeight = await votingEscrow["balanceOf(address,uint256)"](alice.address, snapshot);
+    await expect(governor.connect(alice).castVote(proposalId, 1))
+      .to.emit(governor, "VoteCast")
+      .withArgs(alice.address, proposalId, 1, aliceWeight, "");
+    await governor.connect(bob).castVote(proposalId, 0);
+    await expect(governor.connect(alice).castVote(proposalId, 1))
+      .to.be.revertedWithCustomError(governor, "GovernorAlreadyCastVote")
+      .withArgs(alice.address);
+
+    // Alice locked less but for 4x longer, so she outvotes Bob
+    const { againstVotes, forVotes } = await governor.proposalVotes(proposalId);
+    expect(forVotes).to.equal(aliceWeight);
+    expect(forVotes).to.be.gt(againstVotes);
+
+    await expect(governor.queue(targets, values, calldatas, descriptionHash))
+      .to.be.revertedWithCustomError(governor, "GovernorUnexpectedProposalState");
+    await time.increaseTo((await governor.proposalDeadline(proposalId)) + 1n);
+    expect(await governor.state(proposalId)).to.equal(Succeeded);
+
+    // Only the timelock can change the controller, and only once queued for its delay
+    await expect(governor.execute(targets, values, calldatas, descriptionHash))
+      .to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+    await expect(governor.queue(targets, values, calldatas, descriptionHash))
+      .to.emit(governor, "ProposalQueued");
+    expect(await governor.state(proposalId)).to.equal(Queued);
+    await expect(governor.execute(targets, values, calldatas, descriptionHash))
+      .to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+
+    await time.increaseTo(await governor.proposalEta(proposalId));
+    await expect(governor.execute(targets, values, calldatas, descriptionHash))
+      .to.emit(governor, "ProposalExecuted")
+      .withArgs(proposalId);
+    expect(await governor.state(proposalId)).to.equal(Executed);
+    expect(await controller.nGaugeTypes()).to.equal(2);
+    expect(await controller.gaugeTypeNames(1)).to.equal("Governed");
+  });
+});
@@ -0,0 +1,198 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { normalizeConfig, deploySystem } = require("../../scripts/lib/deployments");
+const { VeGaugeClient } = require("../../sdk");
+const { Indexer, JsonStore, createServer } = require("../../indexer");
+
+describe("Indexer", function () {
+  const { ethers } = hre;
+  const WEEK = 7 * 24 * 60 * 60;
+  const YEAR = 365 * 24 * 60 * 60;
+
+  let dir;
+  let manifest;
+  let startBlock;
+  let alice;
+  let bob;
+  let clients;
+
+  beforeEach(async function () {
+    [, alice, bob] = await ethers.getSigners();
+    startBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ve-indexer-"));
+    const config = normalizeConfig({
+      gauges: [{ name: "alpha" }, { name: "beta" }],
+      minterFunding: "1000000",
+    });
+    manifest = await deploySystem(hre, config, { manifestFile: path.join(dir, "hardhat.json"), log: () => {} });
+
+    const token = await ethers.getContractAt("SimpleRewardToken", manifest.contracts.rewardToken.address);
+    const lpToken = await ethers.getContractAt("ExampleVault", manifest.contracts["lpTokens/alpha"].address);
+    for (const signer of [alice, bob]) {
+      await token.transfer(signer.address, ethers.parseEther("10000"));
+      await lpToken.mint(signer.address, ethers.parseEther("1000"));
+    }
+
+    clients = {
+      alice: VeGaugeClient.fromManifest(manifest, alice),
+      bob: VeGaugeClient.fromManifest(manifest, bob),
+    };
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function newIndexer(store) {
+    return new Indexer({ provider: ethers.provider, manifest, store, startBlock, batchSize: 10 });
+  }
+
+  it("Should index locks, votes, stakes, mints and claims", async function () {
+    await clients.alice.lock(ethers.parseEther("1000"), YEAR);
+    await time.increase(WEEK);
+    await clients.alice.vote({ alpha: 10000 });
+    await time.increase(WEEK);
+    await clients.alice.stake("alpha", ethers.parseEther("500"));
+    await time.increase(WEEK);
+    await clients.alice.claim("alpha");
+
+    const store = new JsonStore(null);
+    expect(await newIndexer(store).sync()).to.be.gt(0);
+
+    const alpha = manifest.contracts["gauges/alpha"].address;
+    expect(store.gauges()).to.have.length(2);
+    expect(store.types().map((t) => t.name)).to.deep.equal(["Default"]);
+    expect(store.locks()).to.have.length(1);
+    expect(store.locks()[0].amount).to.equal(ethers.parseEther("1000").toString());
+
+    const user = store.user(alice.address);
+    expect(user.votes[alpha.toLowerCase()]).to.equal("10000");
+    expect(user.stakes[alpha.toLowerCase()]).to.equal(ethers.parseEther("500").toString());
+    expect(store.votes({ gauge: alpha })).to.have.length(1);
+    expect(store.gauge(alpha).totalStaked).to.equal(ethers.parseEther("500").toString());
+
+    // The gauge mints on every reward checkpoint (stake and claim)
+    const mints = store.mints({ gauge: alpha });
+    expect(mints).to.have.length.gte(1);
+    const minted = mints.reduce((sum, m) => sum + BigInt(m.amount), 0n);
+    expect(store.gauge(alpha).minted).to.equal(minted.toString());
+    expect(store.claims({ user: alice.address })).to.have.length(1);
+    expect(store.status().cursor.number).to.equal(await ethers.provider.getBlockNumber());
+  });
+
+  it("Should only fetch new blocks on later syncs", async function () {
+    const store = new JsonStore(null);
+    const indexer = newIndexer(store);
+    await indexer.sync();
+    expect(await indexer.sync()).to.equal(0);
+
+    await clients.bob.lock(ethers.parseEther("200"), YEAR);
+    expect(await indexer.sync()).to.equal(1);
+    expect(store.events({ contract: "votingEscrow", event: "Deposit" })).to.have.length(1);
+
+    // An extension moves the indexed unlock time without changing the amount
+    await clients.bob.extendLock(2 * YEAR);
+    await indexer.sync();
+    const extended = await clients.bob.lockOf(bob.address);
+    expect(store.user(bob.address).lock.end).to.equal(extended.end.toString());
+    expect(store.user(bob.address).lock.amount).to.equal(ethers.parseEther("200").toString());
+
+    await clients.bob.delegate(alice.address);
+    await indexer.sync();
+    expect(store.user(bob.address).delegate).to.equal(alice.address);
+    await clients.bob.undelegate();
+    await indexer.sync();
+    expect(store.user(bob.address).delegate).to.equal(null);
+
+    await clients.bob.lockPermanent();
+    await indexer.sync();
+    expect(store.user(bob.address).lock.permanent).to.equal(true);
+    expect(store.user(bob.address).lock.end).to.equal("0");
+
+    await clients.bob.withdrawLockEarly();
+    await indexer.sync();
+    const [withdrawal] = store.events({ contract: "votingEscrow", event: "EarlyWithdraw" });
+    expect(store.user(bob.address).lock.amount).to.equal("0");
+    expect(store.user(bob.address).lock.permanent).to.equal(false);
+    expect(store.user(bob.address).penaltiesPaid).to.equal(withdrawal.args.penalty);
+  });
+
+  it("Should roll back orphaned blocks after a reorg", async function () {
+    const store = new JsonStore(null);
+    const indexer = newIndexer(store);
+    await clients.alice.lock(ethers.parseEther("1000"), YEAR);
+    await indexer.sync();
+    const forkPoint = store.cursor;
+
+    const snapshot = await ethers.provider.send("evm_snapshot", []);
+    await clients.bob.lock(ethers.parseEther("300"), YEAR);
+    await clients.bob.stake("alpha", ethers.parseEther("100"));
+    await indexer.sync();
+    expect(store.locks()).to.have.length(2);
+
+    // Replace the two orphaned blocks with a longer, different branch
+    await ethers.provider.send("evm_revert", [snapshot]);
+    await clients.alice.stake("alpha", ethers.parseEther("50"));
+    await ethers.provider.send("hardhat_mine", ["0x3"]);
+    await indexer.sync();
+
+    expect(store.user(bob.address)).to.equal(null);
+    expect(store.locks()).to.have.length(1);
+    expect(store.gauge(manifest.contracts["gauges/alpha"].address).totalStaked).to.equal(
+      ethers.parseEther("50").toString()
+    );
+    expect(store.events({ fromBlock: forkPoint.number + 1, event: "Deposit" })).to.have.length(1);
+    expect(store.user(alice.address).working[manifest.contracts["gauges/alpha"].address.toLowerCase()]).to.not.equal(
+      undefined
+    );
+    expect(store.cursor.hash).to.equal((await ethers.provider.getBlock("latest")).hash);
+  });
+
+  it("Should persist to disk and resume", async function () {
+    const dataDir = path.join(dir, "data");
+    await clients.alice.lock(ethers.parseEther("1000"), YEAR);
+    await newIndexer(new JsonStore(dataDir)).sync();
+
+    const reloaded = new JsonStore(dataDir);
+    expect(reloaded.locks()).to.have.length(1);
+
+    await clients.bob.lock(ethers.parseEther("300"), YEAR);
+    expect(await newIndexer(reloaded).sync()).to.equal(1);
+    expect(new JsonStore(dataDir).locks()).to.have.length(2);
+  });
+
+  it("Should serve queries over HTTP", async function () {
+    await clients.alice.lock(ethers.parseEther("1000"), YEAR);
+    const store = new JsonStore(null);
+    await newIndexer(store).sync();
+
+    const server = createServer(store);
+    await new Promise((resolve) => server.listen(0, resolve));
+    const get = (route) =>
+      new Promise((resolve, reject) => {
+        http
+          .get(`http://127.0.0.1:${server.address().port}${route}`, (res) => {
+            let body = "";
+            res.on("data", (chunk) => (body += chunk));
+            res.on("end", () => resolve({ status: res.statusCode, body: JSON.parse(body) }));
+          })
+          .on("error", reject);
+      });
+
+    try {
+      expect((await get("/locks")).body).to.have.length(1);
+      expect((await get(`/users/${alice.address}`)).body.lock.amount).to.equal(ethers.parseEther("1000").toString());
+      expect((await get(`/users/${bob.address}`)).status).to.equal(404);
+      expect((await get("/events?contract=gaugeController&event=NewGauge")).body).to.have.length(2);
+      expect((await get("/nope")).status).to.equal(404);
+    } finally {
+      await new Promise((resolve) => server.close(resolve));
+    }
+  });
+});
@@ -36,8 +36,10 @@ describe("Multi-Gauge Integration", function () {
     controller = await GaugeController.deploy(await votingEscrow.getAddress());
     
     // Deploy Minter
+    const Schedule = await ethers.getContractFactory("GeometricEmissionSchedule");
+    const schedule = await Schedule.deploy(0, 274815283, 365 * 24 * 60 * 60, "1189207115002721024");
     const Minter = await ethers.getContractFactory("Minter");
-    minter = await Minter.deploy(await token.getAddress(), await controller.getAddress());
+    minter = await Minter.deploy(await token.getAddress(), await controller.getAddress(), await schedule.getAddress());
     
     // Deploy multiple gauges
     gauges = [];
@@ -70,6 +72,54 @@ describe("Multi-Gauge Integration", function () {
     }
   });
   
+  describe("Gauge Registry", function () {
+    it("Should enumerate gauges in the order they were added", async function () {
+      expect(await controller.nGauges()).to.equal(NUM_GAUGES);
+      for (let i = 0; i < NUM_GAUGES; i++) {
+        expect(await controller.gauges(i)).to.equal(await gauges[i].getAddress());
+      }
+      expect(await controller.getGauges()).to.deep.equal(
+        await Promise.all(gauges.map((g) => g.getAddress()))
+      );
+    });
+    
+    it("Should advance every gauge and the total on a global checkpoint", async function () {
+      const lockAmount = ethers.parseEther("1000");
+      const unlockTime = (await time.latest()) + 365 * 24 * 60 * 60;
+      
+      await token.connect(users[0]).approve(await votingEscrow.getAddress(), lockAmount);
+      await votingEscrow.connect(users[0]).createLock(lockAmount, unlockTime);
+      await time.increase(WEEK);
+      await controller.connect(users[0]).voteForGaugeWeights(await gauges[0].getAddress(), 10000);
+      
+      await time.increase(WEEK * 3);
+      
+      const timeSumBefore = await controller.timeSum(0);
+      const timeWeightsBefore = [];
+      for (const gauge of gauges) {
+        timeWeightsBefore.push(await controller.timeWeight(await gauge.getAddress()));
+      }
+      
+      await controller.checkpoint();
+      
+      const nextWeek = BigInt(Math.floor((await time.latest()) / WEEK) * WEEK + WEEK);
+      expect(timeSumBefore).to.be.lt(nextWeek);
+      expect(await controller.timeSum(0)).to.equal(nextWeek);
+      for (let i = 0; i < NUM_GAUGES; i++) {
+        const gaugeAddr = await gauges[i].getAddress();
+        expect(timeWeightsBefore[i]).to.be.lt(nextWeek);
+        expect(await controller.timeWeight(gaugeAddr)).to.equal(nextWeek);
+      }
+      
+      // Stored points now hold the decayed weight the views were extrapolating
+      const gauge0 = await gauges[0].getAddress();
+      const stored = await controller.pointsWeight(gauge0, nextWeek);
+      expect(stored.bias).to.be.gt(0);
+      expect(stored.bias).to.equal(await controller.getGaugeWeight(gauge0, nextWeek));
+      expect((await controller.pointsSum(0, nextWeek)).bias).to.equal(stored.bias);
+    });
+  });
+  
   describe("Complex Voting Patterns", function () {
     it("Should handle split votes across multiple gauges", async function () {
       const lockAmount = ethers.parseEther("1000");
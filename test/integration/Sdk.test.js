@@ -0,0 +1,265 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { normalizeConfig, deploySystem } = require("../../scripts/lib/deployments");
+const { VeGaugeClient } = require("../../sdk");
+
+describe("VeGaugeClient", function () {
+  const { ethers } = hre;
+  const WEEK = 7 * 24 * 60 * 60;
+  const YEAR = 365 * 24 * 60 * 60;
+  const WEIGHT_VOTE_DELAY = 10 * 24 * 60 * 60;
+
+  let dir;
+  let manifest;
+  let alice;
+  let client;
+
+  beforeEach(async function () {
+    [, alice] = await ethers.getSigners();
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "ve-sdk-"));
+    const config = normalizeConfig({
+      gauges: [{ name: "alpha" }, { name: "beta" }],
+      minterFunding: "1000000",
+    });
+    manifest = await deploySystem(hre, config, { manifestFile: path.join(dir, "hardhat.json"), log: () => {} });
+
+    const token = await ethers.getContractAt("SimpleRewardToken", manifest.contracts.rewardToken.address);
+    await token.transfer(alice.address, ethers.parseEther("10000"));
+    for (const name of ["alpha", "beta"]) {
+      const lpToken = await ethers.getContractAt("ExampleVault", manifest.contracts[`lpTokens/${name}`].address);
+      await lpToken.mint(alice.address, ethers.parseEther("1000"));
+    }
+
+    client = VeGaugeClient.fromManifest(manifest, alice);
+  });
+
+  afterEach(function () {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("Should load gauges from the manifest", async function () {
+    expect(client.gauges.map((g) => g.name)).to.deep.equal(["alpha", "beta"]);
+    expect(client.resolveGauge("beta")).to.equal(manifest.contracts["gauges/beta"].address);
+    expect(() => client.resolveGauge("gamma")).to.throw("Unknown gauge");
+  });
+
+  it("Should discover gauges registered on-chain", async function () {
+    const [deployer] = await ethers.getSigners();
+    const LiquidityGauge = await ethers.getContractFactory("LiquidityGauge");
+    const extra = await LiquidityGauge.deploy(manifest.contracts["lpTokens/alpha"].address, manifest.contracts.minter.address);
+    const controller = await ethers.getContractAt("GaugeController", manifest.contracts.gaugeController.address);
+    await controller.connect(deployer).addGauge(await extra.getAddress(), 0);
+
+    const gauges = await client.discoverGauges();
+    expect(gauges.map((g) => g.name)).to.deep.equal(["alpha", "beta", await extra.getAddress()]);
+
+    const fromChain = await VeGaugeClient.fromController(
+      {
+        votingEscrow: manifest.contracts.votingEscrow.address,
+        gaugeController: manifest.contracts.gaugeController.address,
+        minter: manifest.contracts.minter.address,
+        rewardToken: manifest.contracts.rewardToken.address,
+      },
+      ethers.provider
+    );
+    expect(fromChain.gauges.map((g) => g.address)).to.deep.equal(gauges.map((g) => g.address));
+  });
+
+  it("Should lock and extend", async function () {
+    await client.lock(ethers.parseEther("1000"), YEAR);
+
+    const lock = await client.lockOf(alice.address);
+    expect(lock.amount).to.equal(ethers.parseEther("1000"));
+
+    const powerBefore = await client.votingPower(alice.address);
+    await client.extendLock(2 * YEAR);
+    expect(await client.votingPower(alice.address)).to.be.gt(powerBefore);
+    expect((await client.lockOf(alice.address)).end).to.be.gt(lock.end);
+  });
+
+  it("Should preview and take an early withdrawal", async function () {
+    await client.lock(ethers.parseEther("1000"), YEAR);
+    await time.increase(WEEK);
+
+    const { value, penalty } = await client.previewEarlyWithdraw(alice.address);
+    expect(value + penalty).to.equal(ethers.parseEther("1000"));
+    expect(penalty).to.be.gt(0n);
+
+    await client.withdrawLockEarly();
+    expect((await client.lockOf(alice.address)).amount).to.equal(0n);
+  });
+
+  it("Should make a lock permanent and unlock it again", async function () {
+    await client.lock(ethers.parseEther("1000"), YEAR);
+    await client.lockPermanent();
+    expect(await client.lockOf(alice.address)).to.deep.equal({
+      amount: ethers.parseEther("1000"),
+      end: 0n,
+      isPermanent: true,
+    });
+
+    const power = await client.votingPower(alice.address);
+    await time.increase(WEEK);
+    expect(await client.votingPower(alice.address)).to.equal(power);
+
+    await client.unlockPermanent();
+    const lock = await client.lockOf(alice.address);
+    expect(lock.isPermanent).to.equal(false);
+    expect(lock.end).to.be.gt(await client.now());
+  });
+
+  it("Should read historical voting power", async function () {
+    await client.lock(ethers.parseEther("1000"), YEAR);
+    const now = await client.now();
+
+    expect(await client.votingPower(alice.address, now + BigInt(WEEK))).to.be.lt(
+      await client.votingPower(alice.address, now)
+    );
+    expect(await client.totalVotingPower(now)).to.equal(await client.votingPower(alice.address, now));
+
+    const snapshotBlock = await ethers.provider.getBlockNumber();
+    const atSnapshot = await client.votingPower(alice.address);
+    await time.increase(WEEK);
+    await client.increaseLock(ethers.parseEther("500"));
+    expect(await client.votingPowerAtBlock(alice.address, snapshotBlock)).to.equal(atSnapshot);
+    expect(await client.totalVotingPowerAtBlock(snapshotBlock)).to.equal(atSnapshot);
+  });
+
+  it("Should vote, then rebalance without exceeding the power cap", async function () {
+    await client.lock(ethers.parseEther("1000"), YEAR);
+    await time.increase(WEEK);
+
+    await client.vote({ alpha: 10000 });
+    expect(await client.votesOf(alice.address)).to.deep.equal({ alpha: 10000n, beta: 0n });
+
+    await time.increase(WEIGHT_VOTE_DELAY + 1);
+    // beta is listed first, but the alpha decrease must be ordered first
+    const plan = await client.planVotes({ beta: 6000, alpha: 4000 });
+    expect(plan).to.deep.equal({ gauges: [client.resolveGauge("alpha"), client.resolveGauge("beta")], weights: [4000n, 6000n] });
+    const receipt = await client.vote({ beta: 6000, alpha: 4000 });
+    const votes = receipt.logs.filter((log) => log.address === client.controller.target);
+    expect(votes).to.have.length(2);
+    expect(await client.votesOf(alice.address)).to.deep.equal({ alpha: 4000n, beta: 6000n });
+    expect(await client.vote({ alpha: 4000 })).to.equal(null);
+
+    await expect(client.vote({ beta: 7000 })).to.be.rejectedWith("max is 10000");
+  });
+
+  it("Should delegate voting power and clear the old holder's votes", async function () {
+    const [, , bob] = await ethers.getSigners();
+    await client.lock(ethers.parseEther("1000"), YEAR);
+    await time.increase(WEEK);
+    await client.vote({ alpha: 10000 });
+
+    await client.delegate(bob.address);
+    expect(await client.delegateOf(alice.address)).to.equal(bob.address);
+    expect(await client.delegatedPower(alice.address)).to.equal(0n);
+    expect(await client.delegatedPower(bob.address)).to.equal(await client.votingPower(alice.address));
+    expect(await client.votesOf(alice.address)).to.deep.equal({ alpha: 0n, beta: 0n });
+
+    const bobClient = VeGaugeClient.fromManifest(manifest, bob);
+    await bobClient.vote({ beta: 10000 });
+    expect(await client.votesOf(bob.address)).to.deep.equal({ alpha: 0n, beta: 10000n });
+
+    await client.undelegate();
+    expect(await client.delegateOf(alice.address)).to.equal(alice.address);
+    expect(await client.votesOf(bob.address)).to.deep.equal({ alpha: 0n, beta: 0n });
+  });
+
+  it("Should report gauge weights", async function () {
+    await client.lock(ethers.parseEther("1000"), YEAR);
+    await time.increase(WEEK);
+    await client.vote({ alpha: 10000 });
+    await time.increase(WEEK);
+
+    const weights = await client.gaugeWeights();
+    expect(weights.map((w) => w.name)).to.deep.equal(["alpha", "beta"]);
+    expect(weights[0].weight).to.be.gt(0);
+    expect(weights[1].weight).to.equal(0);
+  });
+
+  it("Should stake and claim", async function () {
+    await client.lock(ethers.parseEther("1000"), YEAR);
+    await time.increase(WEEK);
+    await client.vote({ alpha: 10000 });
+    await time.increase(WEEK);
+
+    await client.stake("alpha", ethers.parseEther("500"));
+    expect(await client.stakedBalance("alpha", alice.address)).to.equal(ethers.parseEther("500"));
+
+    await time.increase(WEEK);
+    expect(await client.claimable("alpha", alice.address)).to.be.gt(0);
+    await client.claim("alpha");
+    const paid = await client.claimed("alpha", alice.address);
+    expect(paid).to.be.gt(0);
+
+    await time.increase(WEEK);
+    await client.claimMany(["alpha", "beta"]);
+    expect(await client.claimed("alpha", alice.address)).to.be.gt(paid);
+
+    await client.unstake("alpha", ethers.parseEther("500"));
+    expect(await client.stakedBalance("alpha", alice.address)).to.equal(0);
+  });
+
+  it("Should list open bribes, claim them and roll over unvoted ones", async function () {
+    const [deployer] = await ethers.getSigners();
+    const briber = VeGaugeClient.fromManifest(manifest, deployer);
+    const token = manifest.contracts.rewardToken.address;
+    const bribeToken = await ethers.getContractAt("SimpleRewardToken", token);
+
+    await client.lock(ethers.parseEther("1000"), YEAR);
+    await time.increase(WEEK);
+    await client.vote({ alpha: 10000 });
+
+    const nextWeek = BigInt((Math.floor((await time.latest()) / WEEK) + 1) * WEEK);
+    await briber.depositBribe("alpha", token, ethers.parseEther("300"));
+    await briber.depositBribe("beta", token, ethers.parseEther("100"), nextWeek + BigInt(WEEK));
+
+    const open = await client.openBribes();
+    expect(open.map((b) => [b.gauge, b.week, b.amount])).to.deep.equal([
+      ["alpha", nextWeek, ethers.parseEther("300")],
+      ["beta", nextWeek + BigInt(WEEK), ethers.parseEther("100")],
+    ]);
+    expect(await client.openBribes({ gauge: "beta", weeks: 1 })).to.deep.equal([]);
+
+    // Alice is alpha's only voter, so the whole bribe is hers once the week starts
+    await time.increaseTo(nextWeek);
+    expect((await client.openBribes()).map((b) => b.gauge)).to.deep.equal(["beta"]);
+    const claimable = await client.claimableBribes(alice.address, nextWeek);
+    expect(claimable.map((b) => [b.gauge, b.token, b.amount])).to.deep.equal([["alpha", token, ethers.parseEther("300")]]);
+
+    const before = await bribeToken.balanceOf(alice.address);
+    await client.claimBribes("alpha", nextWeek);
+    expect(await bribeToken.balanceOf(alice.address) - before).to.equal(ethers.parseEther("300"));
+    expect(await client.claimableBribes(alice.address, nextWeek)).to.deep.equal([]);
+
+    // Nobody voted for beta, so its bribe moves on to the next open week
+    const betaWeek = nextWeek + BigInt(WEEK);
+    await time.increaseTo(betaWeek);
+    await client.rollOverBribe("beta", token, betaWeek);
+    const rolled = await client.openBribes({ gauge: "beta" });
+    expect(rolled.map((b) => [b.week, b.amount])).to.deep.equal([[betaWeek + BigInt(WEEK), ethers.parseEther("100")]]);
+
+    const noMarket = new VeGaugeClient(
+      {
+        votingEscrow: manifest.contracts.votingEscrow.address,
+        gaugeController: manifest.contracts.gaugeController.address,
+        minter: manifest.contracts.minter.address,
+        rewardToken: token,
+      },
+      alice
+    );
+    await expect(noMarket.openBribes()).to.be.rejectedWith("No bribe market configured");
+  });
+
+  it("Should allow reads through a provider", async function () {
+    const readOnly = VeGaugeClient.fromManifest(manifest, ethers.provider);
+    expect(await readOnly.votingPower(alice.address)).to.equal(0);
+    await expect(readOnly.lock(1n, YEAR)).to.be.rejectedWith("Signer is required");
+  });
+});
@@ -0,0 +1,80 @@
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { normalizeScenario, runScenario, toCsv, toJson } = require("../../scripts/lib/simulator");
+
+describe("Emissions Simulator", function () {
+  this.timeout(120000);
+
+  const baseScenario = {
+    weeks: 4,
+    gauges: ["pool-a", "pool-b"],
+    users: {
+      whale: { tokens: "100000" },
+      lp: { lp: { "pool-a": "1000" } },
+    },
+    events: [
+      { week: 0, user: "whale", action: "lock", amount: "100000", weeks: 104 },
+      { week: 0, user: "whale", action: "vote", allocations: { "pool-a": 10000 } },
+      { week: 0, user: "lp", action: "stake", gauge: "pool-a", amount: "1000" },
+      { week: 2, user: "whale", action: "vote", allocations: { "pool-a": 6000, "pool-b": 4000 } },
+    ],
+  };
+
+  it("Should produce one row per week reflecting vote shifts", async function () {
+    const rows = await runScenario(hre, normalizeScenario(baseScenario));
+
+    expect(rows).to.have.length(4);
+    expect(rows[1].timestamp - rows[0].timestamp).to.equal(7 * 24 * 60 * 60);
+
+    // Whale's power decays week over week
+    expect(rows[1].veBalances.whale).to.be.lt(rows[0].veBalances.whale);
+
+    // All weight on pool-a until the shift takes effect
+    expect(rows[1].gauges["pool-a"].relativeWeight).to.equal(hre.ethers.parseEther("1"));
+    expect(rows[1].gauges["pool-b"].relativeWeight).to.equal(0);
+    expect(rows[2].gauges["pool-b"].relativeWeight).to.be.gt(0);
+    expect(rows[2].gauges["pool-a"].relativeWeight).to.be.gt(rows[2].gauges["pool-b"].relativeWeight);
+
+    // Only the staker in pool-a is tracked, and their rewards accrue
+    expect(Object.keys(rows[0].gauges["pool-a"].claimable)).to.deep.equal(["lp"]);
+    expect(rows[3].gauges["pool-a"].claimable.lp).to.be.gt(rows[0].gauges["pool-a"].claimable.lp);
+  });
+
+  it("Should apply the yearly emission reduction", async function () {
+    const rows = await runScenario(hre, normalizeScenario({ ...baseScenario, weeks: 54, events: [] }));
+
+    expect(rows[53].rate).to.be.lt(rows[0].rate);
+  });
+
+  it("Should run with a schedule selected by name", async function () {
+    const emissionSchedule = { type: "piecewise", steps: [{ offset: 0, rate: "1000" }, { offset: 3 * 7 * 24 * 60 * 60, rate: "500" }] };
+    const rows = await runScenario(hre, normalizeScenario({ ...baseScenario, weeks: 4, events: [], emissionSchedule }));
+
+    expect(rows[0].rate).to.equal(1000n);
+    expect(rows[3].rate).to.equal(500n);
+  });
+
+  it("Should format rows as CSV and JSON", async function () {
+    const rows = await runScenario(hre, normalizeScenario({ ...baseScenario, weeks: 2, events: baseScenario.events.slice(0, 3) }));
+
+    const [header, ...lines] = toCsv(rows).trim().split("\n");
+    expect(header).to.equal(
+      "week,timestamp,rate,ve:whale,ve:lp,weight:pool-a,mintable:pool-a,claimable:pool-a:lp,weight:pool-b,mintable:pool-b"
+    );
+    expect(lines).to.have.length(2);
+
+    const json = JSON.parse(toJson(rows));
+    expect(json[1].gauges["pool-a"].relativeWeight).to.equal("1.0");
+  });
+
+  it("Should reject invalid scenarios", function () {
+    expect(() => normalizeScenario({ ...baseScenario, weeks: 0 })).to.throw("at least one week");
+    expect(() =>
+      normalizeScenario({ ...baseScenario, events: [{ week: 0, user: "nobody", action: "lock" }] })
+    ).to.throw("unknown user");
+    expect(() =>
+      normalizeScenario({ ...baseScenario, events: [{ week: 9, user: "whale", action: "claim", gauge: "pool-a" }] })
+    ).to.throw("week out of range");
+    expect(() => normalizeScenario({ ...baseScenario, emissionSchedule: "linear" })).to.throw("emissionSchedule");
+  });
+});
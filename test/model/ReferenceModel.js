@@ -0,0 +1,173 @@
+/**
+ * Off-chain reference model of VotingEscrow and GaugeController math.
+ *
+ * The model deliberately does not copy the contracts' checkpoint machinery.
+ * It keeps every lock and vote explicitly and computes balances and weights
+ * from first principles, so any drift in the on-chain point/slope bookkeeping
+ * shows up as a divergence. All arithmetic is BigInt and mirrors the
+ * contracts' integer rounding.
+ */
+
+const WEEK = 7n * 24n * 3600n;
+const MAX_TIME = 4n * 365n * 24n * 3600n;
+const WEIGHT_VOTE_DELAY = 10n * 24n * 3600n;
+const MAX_WEIGHT = 10000n;
+const MULTIPLIER = 10n ** 18n;
+
+const floorWeek = (t) => (BigInt(t) / WEEK) * WEEK;
+
+/**
+ * Error carrying the revert reason the contract is expected to produce
+ */
+class ModelRevert extends Error {
+  constructor(reason) {
+    super(reason);
+    this.reason = reason;
+  }
+}
+
+function require_(condition, reason) {
+  if (!condition) throw new ModelRevert(reason);
+}
+
+class VotingEscrowModel {
+  constructor() {
+    this.locks = new Map();
+  }
+
+  locked(user) {
+    return this.locks.get(user) || { amount: 0n, end: 0n };
+  }
+
+  createLock(user, amount, unlockTime, now) {
+    require_(amount > 0n, "Amount must be > 0");
+    require_(this.locked(user).amount === 0n, "Lock already exists");
+
+    const end = floorWeek(unlockTime);
+    require_(end > now, "Unlock time must be in future");
+    require_(end <= now + MAX_TIME, "Unlock time too far");
+
+    this.locks.set(user, { amount, end });
+  }
+
+  increaseAmount(user, amount, now) {
+    const lock = this.locked(user);
+    require_(lock.amount > 0n, "No existing lock");
+    require_(lock.end > now, "Lock expired");
+    require_(amount > 0n, "Amount must be > 0");
+
+    this.locks.set(user, { amount: lock.amount + amount, end: lock.end });
+  }
+
+  increaseUnlockTime(user, unlockTime, now) {
+    const lock = this.locked(user);
+    require_(lock.amount > 0n, "No existing lock");
+    require_(lock.end > now, "Lock expired");
+
+    const end = floorWeek(unlockTime);
+    require_(end > lock.end, "Can only increase lock duration");
+    require_(end <= now + MAX_TIME, "Unlock time too far");
+
+    this.locks.set(user, { amount: lock.amount, end });
+  }
+
+  withdraw(user, now) {
+    require_(this.locked(user).end <= now, "Lock not expired");
+    this.locks.delete(user);
+  }
+
+  /**
+   * Voting power: slope * time left, where slope = amount / MAX_TIME
+   */
+  balanceOf(user, t) {
+    const { amount, end } = this.locked(user);
+    if (end <= t) return 0n;
+    return (amount / MAX_TIME) * (end - t);
+  }
+
+  totalSupply(t) {
+    let total = 0n;
+    for (const user of this.locks.keys()) total += this.balanceOf(user, t);
+    return total;
+  }
+}
+
+class GaugeControllerModel {
+  /**
+   * @param {VotingEscrowModel} votingEscrow
+   */
+  constructor(votingEscrow) {
+    this.votingEscrow = votingEscrow;
+    this.gauges = [];
+    this.votes = new Map(); // `${user}/${gauge}` -> { slope, power, end }
+    this.lastVote = new Map();
+    this.powerUsed = new Map();
+    // Every vote ever cast, active on [from, to) and until its lock ends
+    this.segments = [];
+  }
+
+  addGauge(gauge) {
+    require_(!this.gauges.includes(gauge), "Gauge already exists");
+    this.gauges.push(gauge);
+  }
+
+  vote(user, gauge, weight, now) {
+    const key = `${user}/${gauge}`;
+    require_(this.gauges.includes(gauge), "Gauge does not exist");
+    require_(weight <= MAX_WEIGHT, "Weight > 100%");
+    require_(now >= (this.lastVote.get(key) || 0n) + WEIGHT_VOTE_DELAY, "Vote too soon");
+
+    const slope = (this.votingEscrow.balanceOf(user, now) * weight) / MAX_WEIGHT;
+    if (weight > 0n) require_(slope > 0n, "No voting power");
+
+    const { end } = this.votingEscrow.locked(user);
+    require_(end > now, "Lock expired");
+    const nextTime = floorWeek(now + WEEK);
+    require_(end > nextTime, "Lock expires too soon");
+
+    const old = this.votes.get(key) || { slope: 0n, power: 0n, end: 0n };
+    const used = (this.powerUsed.get(user) || 0n) - old.power + weight;
+    require_(used <= MAX_WEIGHT, "Used too much power");
+
+    for (const segment of this.segments) {
+      if (segment.key === key && segment.to === null) segment.to = nextTime;
+    }
+    this.segments.push({ key, gauge, slope, end, from: nextTime, to: null });
+
+    this.votes.set(key, { slope, power: weight, end });
+    this.powerUsed.set(user, used);
+    this.lastVote.set(key, now);
+  }
+
+  /**
+   * Absolute gauge weight: sum of slope * weeks left over votes active at t
+   */
+  gaugeWeight(gauge, t) {
+    const week = floorWeek(t);
+    let weight = 0n;
+    for (const s of this.segments) {
+      if (s.gauge !== gauge || week < s.from || (s.to !== null && week >= s.to) || week >= s.end) continue;
+      weight += (s.slope * (s.end - week)) / WEEK;
+    }
+    return weight;
+  }
+
+  totalWeight(t) {
+    return this.gauges.reduce((sum, gauge) => sum + this.gaugeWeight(gauge, t), 0n);
+  }
+
+  gaugeRelativeWeight(gauge, t) {
+    const total = this.totalWeight(t);
+    if (total === 0n) return 0n;
+    return (MULTIPLIER * this.gaugeWeight(gauge, t)) / total;
+  }
+}
+
+module.exports = {
+  WEEK,
+  MAX_TIME,
+  WEIGHT_VOTE_DELAY,
+  ModelRevert,
+  VotingEscrowModel,
+  GaugeControllerModel,
+};
@@ -0,0 +1,258 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, setCode } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("BribeMarket", function () {
+  let market;
+  let controller;
+  let votingEscrow;
+  let token;
+  let bribeA;
+  let bribeB;
+  let gauge;
+  let quietGauge;
+  let owner;
+  let alice;
+  let bob;
+  let carol;
+  let week;
+
+  const WEEK = 7 * 24 * 60 * 60;
+  const YEAR = 365 * 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [owner, alice, bob, carol] = await ethers.getSigners();
+
+    const Token = await ethers.getContractFactory("SimpleRewardToken");
+    token = await Token.deploy();
+    bribeA = await Token.deploy();
+    bribeB = await Token.deploy();
+
+    const VotingEscrow = await ethers.getContractFactory("VotingEscrow");
+    votingEscrow = await VotingEscrow.deploy(await token.getAddress(), "Vote-Escrowed Token", "veToken");
+
+    const GaugeController = await ethers.getContractFactory("GaugeController");
+    controller = await GaugeController.deploy(await votingEscrow.getAddress());
+    await votingEscrow.setVoter(await controller.getAddress());
+
+    const ExampleVault = await ethers.getContractFactory("ExampleVault");
+    gauge = await (await ExampleVault.deploy()).getAddress();
+    quietGauge = await (await ExampleVault.deploy()).getAddress();
+    await controller.addGauge(gauge, 0);
+    await controller.addGauge(quietGauge, 0);
+
+    const BribeMarket = await ethers.getContractFactory("BribeMarket");
+    market = await BribeMarket.deploy(await controller.getAddress());
+    for (const bribeToken of [bribeA, bribeB]) {
+      await bribeToken.approve(await market.getAddress(), ethers.MaxUint256);
+    }
+
+    for (const [user, amount] of [[alice, "1000"], [bob, "3000"], [carol, "1000"]]) {
+      await token.transfer(user.address, ethers.parseEther(amount));
+      await token.connect(user).approve(await votingEscrow.getAddress(), ethers.parseEther(amount));
+      await votingEscrow.connect(user).createLock(ethers.parseEther(amount), (await time.latest()) + 4 * YEAR);
+    }
+    await controller.connect(alice).voteForGaugeWeights(gauge, 10000);
+    await controller.connect(bob).voteForGaugeWeights(gauge, 10000);
+
+    // The first week these votes count in
+    week = (Math.floor((await time.latest()) / WEEK) + 1) * WEEK;
+  });
+
+  describe("Claims", function () {
+    it("Should split each token's bribe pro-rata to voter bias at the week", async function () {
+      await expect(market.depositBribe(gauge, await bribeA.getAddress(), ethers.parseEther("1000"), week + 3 * 24 * 60 * 60))
+        .to.emit(market, "BribeDeposited")
+        .withArgs(gauge, await bribeA.getAddress(), week, owner.address, ethers.parseEther("1000"));
+      await market.depositBribe(gauge, await bribeB.getAddress(), ethers.parseEther("400"), week);
+      await market.depositBribe(gauge, await bribeA.getAddress(), ethers.parseEther("500"), week);
+      expect(await market.getBribeTokens(gauge, week)).to.deep.equal([await bribeA.getAddress(), await bribeB.getAddress()]);
+      expect((await market.bribes(gauge, week, await bribeA.getAddress())).amount).to.equal(ethers.parseEther("1500"));
+
+      await expect(market.connect(alice).claim(gauge, week)).to.be.revertedWith("Week not started");
+      await time.increaseTo(week);
+      await expect(market.depositBribe(gauge, await bribeA.getAddress(), 1, week)).to.be.revertedWith("Week already started");
+
+      // The voters' biases make up the gauge weight; Bob locked three times as much
+      const weight = await controller.getGaugeWeight(gauge, week);
+      const aliceBias = await market.voterBias(alice.address, gauge, week);
+      const bobBias = await market.voterBias(bob.address, gauge, week);
+      expect(aliceBias + bobBias).to.equal(weight);
+      expect(bobBias).to.be.closeTo(aliceBias * 3n, bobBias / 1000n);
+
+      const aliceA = await market.claimable(alice.address, gauge, await bribeA.getAddress(), week);
+      const aliceB = await market.claimable(alice.address, gauge, await bribeB.getAddress(), week);
+      expect(aliceA).to.equal(ethers.parseEther("1500") * aliceBias / weight);
+      expect(aliceB).to.equal(ethers.parseEther("400") * aliceBias / weight);
+
+      await expect(market.connect(alice).claim(gauge, week))
+        .to.emit(market, "BribeClaimed")
+        .withArgs(alice.address, gauge, await bribeA.getAddress(), week, aliceA);
+      expect(await bribeA.balanceOf(alice.address)).to.equal(aliceA);
+      expect(await bribeB.balanceOf(alice.address)).to.equal(aliceB);
+      expect(await market.claimable(alice.address, gauge, await bribeA.getAddress(), week)).to.equal(0);
+
+      // A second claim pays nothing more
+      await market.connect(alice).claim(gauge, week);
+      expect(await bribeA.balanceOf(alice.address)).to.equal(aliceA);
+
+      await market.connect(bob).claim(gauge, week);
+      const paid = (await bribeA.balanceOf(alice.address)) + (await bribeA.balanceOf(bob.address));
+      expect(paid).to.be.lte(ethers.parseEther("1500"));
+      expect(paid).to.be.closeTo(ethers.parseEther("1500"), 1);
+    });
+
+    it("Should not pay votes cast after the week's checkpoint", async function () {
+      await market.depositBribe(gauge, await bribeA.getAddress(), ethers.parseEther("1000"), week);
+      await time.increaseTo(week);
+
+      // Carol's vote only counts from next week
+      await controller.connect(carol).voteForGaugeWeights(gauge, 10000);
+      expect(await market.voterBias(carol.address, gauge, week)).to.equal(0);
+      expect(await market.voterBias(carol.address, gauge, week + WEEK)).to.be.gt(0);
+      await expect(market.connect(carol).claim(gauge, week)).to.be.revertedWith("No vote in week");
+    });
+
+    it("Should keep paying a vote that was changed after the week started", async function () {
+      await market.depositBribe(gauge, await bribeA.getAddress(), ethers.parseEther("1000"), week);
+      await time.increaseTo(week + 10 * 24 * 60 * 60);
+
+      const bias = await market.voterBias(alice.address, gauge, week);
+      const owed = await market.claimable(alice.address, gauge, await bribeA.getAddress(), week);
+      expect(owed).to.be.gt(0);
+
+      // Halving the vote only changes later weeks
+      await controller.connect(alice).voteForGaugeWeights(gauge, 5000);
+      expect(await market.voterBias(alice.address, gauge, week)).to.equal(bias);
+      expect(await market.voterBias(alice.address, gauge, week + 2 * WEEK)).to.be.lt(bias);
+
+      await market.connect(alice).claim(gauge, week);
+      expect(await bribeA.balanceOf(alice.address)).to.equal(owed);
+    });
+
+    it("Should keep paying a vote cleared by a delegation before the claim", async function () {
+      await market.depositBribe(gauge, await bribeA.getAddress(), ethers.parseEther("1000"), week);
+      await time.increaseTo(week);
+      const owed = await market.claimable(bob.address, gauge, await bribeA.getAddress(), week);
+
+      // Delegating away clears Bob's votes from next week on
+      await votingEscrow.connect(bob).delegate(carol.address);
+      expect((await controller.voteUserSlopes(bob.address, gauge)).power).to.equal(0);
+      expect(await market.voterBias(bob.address, gauge, week + WEEK)).to.equal(0);
+
+      await market.connect(bob).claim(gauge, week);
+      expect(await bribeA.balanceOf(bob.address)).to.equal(owed);
+
+      // Nothing is owed for the weeks after the clear
+      await market.depositBribe(gauge, await bribeA.getAddress(), ethers.parseEther("1000"), week + WEEK);
+      await time.increaseTo(week + WEEK);
+      await expect(market.connect(bob).claim(gauge, week + WEEK)).to.be.revertedWith("No vote in week");
+    });
+  });
+
+  describe("Failing Tokens", function () {
+    it("Should claim chosen tokens when another token's transfers revert", async function () {
+      await market.depositBribe(gauge, await bribeA.getAddress(), ethers.parseEther("1000"), week);
+      await market.depositBribe(gauge, await bribeB.getAddress(), ethers.parseEther("1000"), week);
+      await time.increaseTo(week);
+      const owed = await market.claimable(alice.address, gauge, await bribeA.getAddress(), week);
+
+      // bribeB starts reverting on every call after the deposit
+      await setCode(await bribeB.getAddress(), "0x60006000fd");
+      await expect(market.connect(alice).claim(gauge, week)).to.be.reverted;
+
+      await expect(market.connect(alice).claimTokens(gauge, week, [await bribeA.getAddress()]))
+        .to.emit(market, "BribeClaimed")
+        .withArgs(alice.address, gauge, await bribeA.getAddress(), week, owed);
+      expect(await bribeA.balanceOf(alice.address)).to.equal(owed);
+      expect(await market.hasClaimed(alice.address, gauge, week, await bribeB.getAddress())).to.equal(false);
+
+      // Claiming a token again or one that was never bribed pays nothing
+      await market.connect(alice).claimTokens(gauge, week, [await bribeA.getAddress(), await token.getAddress()]);
+      expect(await bribeA.balanceOf(alice.address)).to.equal(owed);
+    });
+
+    it("Should cap the distinct tokens bribed for a gauge in a week", async function () {
+      const Token = await ethers.getContractFactory("SimpleRewardToken");
+      const max = Number(await market.MAX_BRIBE_TOKENS());
+      for (let i = 0; i < max; i++) {
+        const dust = await Token.deploy();
+        await dust.approve(await market.getAddress(), 1);
+        await market.depositBribe(gauge, await dust.getAddress(), 1, week);
+      }
+      await expect(market.depositBribe(gauge, await bribeA.getAddress(), 1, week)).to.be.revertedWith("Too many bribe tokens");
+
+      // Other weeks and tokens already listed still take deposits
+      await market.depositBribe(gauge, await bribeA.getAddress(), 1, week + WEEK);
+      const listed = (await market.getBribeTokens(gauge, week))[0];
+      await (await ethers.getContractAt("SimpleRewardToken", listed)).approve(await market.getAddress(), 1);
+      await market.depositBribe(gauge, listed, 1, week);
+    });
+  });
+
+  describe("Rollover", function () {
+    it("Should roll a bribe nobody voted for into the next week that has not started", async function () {
+      const amount = ethers.parseEther("600");
+      await market.depositBribe(quietGauge, await bribeA.getAddress(), amount, week);
+      await market.depositBribe(gauge, await bribeA.getAddress(), amount, week);
+
+      await expect(market.rollOver(quietGauge, await bribeA.getAddress(), week)).to.be.revertedWith("Week not started");
+      await time.increaseTo(week + 2 * 24 * 60 * 60);
+      await expect(market.rollOver(gauge, await bribeA.getAddress(), week)).to.be.revertedWith("Gauge has votes");
+
+      await expect(market.rollOver(quietGauge, await bribeA.getAddress(), week))
+        .to.emit(market, "BribeRolledOver")
+        .withArgs(quietGauge, await bribeA.getAddress(), week, week + WEEK, amount);
+      expect((await market.bribes(quietGauge, week + WEEK, await bribeA.getAddress())).amount).to.equal(amount);
+      expect(await market.getBribeTokens(quietGauge, week + WEEK)).to.deep.equal([await bribeA.getAddress()]);
+      await expect(market.rollOver(quietGauge, await bribeA.getAddress(), week)).to.be.revertedWith("Nothing to roll over");
+
+      // Carol votes in time for the next week and takes all of it
+      await controller.connect(carol).voteForGaugeWeights(quietGauge, 10000);
+      await time.increaseTo(week + WEEK);
+      await market.connect(carol).claim(quietGauge, week + WEEK);
+      expect(await bribeA.balanceOf(carol.address)).to.equal(amount);
+    });
+
+    it("Should roll over what voters left unclaimed once the claim window has passed", async function () {
+      const amount = ethers.parseEther("1000");
+      await market.depositBribe(gauge, await bribeA.getAddress(), amount, week);
+      await time.increaseTo(week);
+      await market.connect(alice).claim(gauge, week);
+      const left = amount - (await bribeA.balanceOf(alice.address));
+
+      const window = Number(await market.CLAIM_WINDOW());
+      await time.increaseTo(week + window - 60);
+      await expect(market.rollOver(gauge, await bribeA.getAddress(), week)).to.be.revertedWith("Gauge has votes");
+
+      // Bob never claimed, so his share moves on to the voters of the next open week
+      await time.increaseTo(week + window);
+      const nextWeek = week + window + WEEK;
+      await expect(market.rollOver(gauge, await bribeA.getAddress(), week))
+        .to.emit(market, "BribeRolledOver")
+        .withArgs(gauge, await bribeA.getAddress(), week, nextWeek, left);
+      expect((await market.bribes(gauge, nextWeek, await bribeA.getAddress())).amount).to.equal(left);
+
+      // Claims for the week are over
+      expect(await market.claimable(bob.address, gauge, await bribeA.getAddress(), week)).to.equal(0);
+      await market.connect(bob).claim(gauge, week);
+      expect(await bribeA.balanceOf(bob.address)).to.equal(0);
+    });
+  });
+
+  describe("Deposits", function () {
+    it("Should reject unknown or killed gauges and deposits while paused", async function () {
+      await expect(market.depositBribe(alice.address, await bribeA.getAddress(), 1, week))
+        .to.be.revertedWith("Gauge does not exist");
+      await expect(market.depositBribe(gauge, await bribeA.getAddress(), 0, week)).to.be.revertedWith("Cannot deposit 0");
+
+      await controller.killGauge(quietGauge);
+      await expect(market.depositBribe(quietGauge, await bribeA.getAddress(), 1, week)).to.be.revertedWith("Gauge killed");
+
+      await market.setGuardian(carol.address);
+      await market.connect(carol).pause();
+      await expect(market.depositBribe(gauge, await bribeA.getAddress(), 1, week))
+        .to.be.revertedWithCustomError(market, "EnforcedPause");
+    });
+  });
+});
@@ -39,8 +39,10 @@ describe("GaugeController", function () {
     const lpToken1 = await LPToken.deploy();
     const lpToken2 = await LPToken.deploy();
     
+    const Schedule = await ethers.getContractFactory("GeometricEmissionSchedule");
+    const schedule = await Schedule.deploy(0, 274815283, 365 * 24 * 60 * 60, "1189207115002721024");
     const Minter = await ethers.getContractFactory("Minter");
-    const minter = await Minter.deploy(await token.getAddress(), await controller.getAddress());
+    const minter = await Minter.deploy(await token.getAddress(), await controller.getAddress(), await schedule.getAddress());
     
     const LiquidityGauge = await ethers.getContractFactory("LiquidityGauge");
     gauge1 = await LiquidityGauge.deploy(await lpToken1.getAddress(), await minter.getAddress());
@@ -182,6 +184,216 @@ describe("GaugeController", function () {
     });
   });
   
+  describe("Gauge Types", function () {
+    it("Should start with a default type", async function () {
+      expect(await controller.nGaugeTypes()).to.equal(1);
+      expect(await controller.gaugeTypeNames(0)).to.equal("Default");
+      expect(await controller.getTypeWeight(0, await time.latest())).to.equal(ethers.parseEther("1"));
+    });
+    
+    it("Should store type names and emit AddType", async function () {
+      await expect(controller.addGaugeType("Integrations"))
+        .to.emit(controller, "AddType")
+        .withArgs("Integrations", 1);
+      
+      expect(await controller.gaugeTypeNames(1)).to.equal("Integrations");
+      expect(await controller.nGaugeTypes()).to.equal(2);
+    });
+    
+    it("Should reject gauges of unknown types", async function () {
+      await expect(
+        controller.addGauge(await gauge1.getAddress(), 1)
+      ).to.be.revertedWith("Invalid gauge type");
+    });
+    
+    it("Should only let the owner change type weights", async function () {
+      await expect(controller.connect(user1).changeTypeWeight(0, 0)).to.be.reverted;
+      await expect(controller.changeTypeWeight(1, 0)).to.be.revertedWith("Invalid gauge type");
+    });
+    
+    it("Should apply type weights to relative weights from the next week", async function () {
+      await controller.addGaugeType("Integrations");
+      await controller.addGauge(await gauge1.getAddress(), 0);
+      await controller.addGauge(await gauge2.getAddress(), 1);
+      
+      const amount = ethers.parseEther("1000");
+      const unlockTime = (await time.latest()) + 365 * 24 * 60 * 60;
+      for (const user of [user1, user2]) {
+        await token.connect(user).approve(await votingEscrow.getAddress(), amount);
+        await votingEscrow.connect(user).createLock(amount, unlockTime);
+      }
+      await time.increase(WEEK);
+      await controller.connect(user1).voteForGaugeWeights(await gauge1.getAddress(), 10000);
+      await controller.connect(user2).voteForGaugeWeights(await gauge2.getAddress(), 10000);
+      await time.increase(WEEK);
+      
+      const now = BigInt(await time.latest());
+      const relative = (gauge, t) => controller["gaugeRelativeWeight(address,uint256)"](gauge, t);
+      const g1 = await gauge1.getAddress();
+      const g2 = await gauge2.getAddress();
+      // Votes a block apart differ by a second of decay
+      const tolerance = ethers.parseEther("0.0001");
+      expect(await relative(g1, now)).to.be.closeTo(ethers.parseEther("0.5"), tolerance);
+      
+      const tx = controller.changeTypeWeight(1, ethers.parseEther("3"));
+      const nextWeek = (now / BigInt(WEEK) + 1n) * BigInt(WEEK);
+      await expect(tx).to.emit(controller, "NewTypeWeight");
+      
+      // The current week keeps the old weight
+      expect(await controller.getTypeWeight(1, now)).to.equal(ethers.parseEther("1"));
+      expect(await relative(g1, now)).to.be.closeTo(ethers.parseEther("0.5"), tolerance);
+      
+      // From next week type 1 counts three times as much
+      expect(await controller.getTypeWeight(1, nextWeek)).to.equal(ethers.parseEther("3"));
+      const w1 = await controller.getGaugeWeight(g1, nextWeek);
+      const w2 = await controller.getGaugeWeight(g2, nextWeek);
+      expect(await controller.getTotalWeight(nextWeek)).to.equal(w1 + w2 * 3n);
+      expect(await relative(g2, nextWeek)).to.be.closeTo(ethers.parseEther("0.75"), tolerance);
+      
+      // The change survives checkpoints and is kept as history
+      await time.increase(3 * WEEK);
+      await controller.checkpoint();
+      expect(await controller.getTypeWeight(1, nextWeek + BigInt(2 * WEEK))).to.equal(ethers.parseEther("3"));
+      expect(await controller.getTypeWeight(1, now)).to.equal(ethers.parseEther("1"));
+    });
+    
+    it("Should give gauges of a zero-weight type no share", async function () {
+      await controller.addGauge(await gauge1.getAddress(), 0);
+      
+      const amount = ethers.parseEther("1000");
+      await token.connect(user1).approve(await votingEscrow.getAddress(), amount);
+      await votingEscrow.connect(user1).createLock(amount, (await time.latest()) + 365 * 24 * 60 * 60);
+      await time.increase(WEEK);
+      await controller.connect(user1).voteForGaugeWeights(await gauge1.getAddress(), 10000);
+      await controller.changeTypeWeight(0, 0);
+      await time.increase(WEEK);
+      
+      expect(await controller.getGaugeWeight(await gauge1.getAddress(), await time.latest())).to.be.gt(0);
+      expect(await controller["gaugeRelativeWeight(address)"](await gauge1.getAddress())).to.equal(0);
+    });
+  });
+  
+  describe("Killing Gauges", function () {
+    let g1;
+    let g2;
+    
+    beforeEach(async function () {
+      g1 = await gauge1.getAddress();
+      g2 = await gauge2.getAddress();
+      await controller.addGauge(g1, 0);
+      await controller.addGauge(g2, 0);
+      
+      const amount = ethers.parseEther("1000");
+      const unlockTime = (await time.latest()) + 365 * 24 * 60 * 60;
+      for (const user of [user1, user2]) {
+        await token.connect(user).approve(await votingEscrow.getAddress(), amount);
+        await votingEscrow.connect(user).createLock(amount, unlockTime);
+      }
+      await time.increase(WEEK);
+      await controller.connect(user1).voteForGaugeWeights(g1, 10000);
+      await controller.connect(user2).voteForGaugeWeights(g2, 10000);
+      await time.increase(WEEK);
+    });
+    
+    it("Should only let the owner kill and unkill", async function () {
+      await expect(controller.connect(user1).killGauge(g1)).to.be.reverted;
+      await expect(controller.unkillGauge(g1)).to.be.revertedWith("Gauge not killed");
+      
+      await expect(controller.killGauge(g1)).to.emit(controller, "GaugeKilled").withArgs(g1);
+      await expect(controller.killGauge(g1)).to.be.revertedWith("Gauge already killed");
+      await expect(controller.connect(user1).unkillGauge(g1)).to.be.reverted;
+      await expect(controller.unkillGauge(g1)).to.emit(controller, "GaugeUnkilled").withArgs(g1);
+    });
+    
+    it("Should zero a killed gauge and hand its share to the others from next week", async function () {
+      await controller.killGauge(g1);
+      expect(await controller.isKilled(g1)).to.equal(true);
+      expect(await controller["gaugeRelativeWeight(address)"](g1)).to.equal(0);
+      
+      await time.increase(WEEK);
+      expect(await controller["gaugeRelativeWeight(address)"](g2)).to.equal(ethers.parseEther("1"));
+      expect(await controller.getTotalWeight(await time.latest())).to.equal(
+        await controller.getGaugeWeight(g2, await time.latest())
+      );
+    });
+    
+    it("Should reject new votes but let voters reclaim power", async function () {
+      await controller.killGauge(g1);
+      await time.increase(WEIGHT_VOTE_DELAY + 1);
+      
+      await expect(
+        controller.connect(user2).voteForGaugeWeights(g1, 0)
+      ).to.not.be.reverted;
+      await expect(
+        controller.connect(user1).voteForGaugeWeights(g1, 5000)
+      ).to.be.revertedWith("Gauge is killed");
+      
+      await controller.connect(user1).voteForGaugeWeights(g1, 0);
+      expect(await controller.userPowerUsed(user1.address)).to.equal(0);
+      await controller.connect(user1).voteForGaugeWeights(g2, 10000);
+      
+      // The killed gauge's weight never re-enters the sum
+      await time.increase(WEEK);
+      await controller.checkpoint();
+      const now = await time.latest();
+      expect(await controller.getGaugeWeight(g1, now)).to.equal(0);
+      expect(await controller.getTotalWeight(now)).to.equal(await controller.getGaugeWeight(g2, now));
+    });
+    
+    it("Should answer past weeks with the kill state of that week", async function () {
+      await time.increase(WEEK);
+      const before = (Math.floor((await time.latest()) / WEEK) - 1) * WEEK;
+      const weightBefore = await controller["gaugeRelativeWeight(address,uint256)"](g1, before);
+      expect(weightBefore).to.be.gt(0);
+
+      // Killing zeroes the current week on, not the weeks before it
+      await controller.killGauge(g1);
+      const killedWeek = Math.floor((await time.latest()) / WEEK) * WEEK;
+      expect(await controller["gaugeRelativeWeight(address,uint256)"](g1, before)).to.equal(weightBefore);
+      expect(await controller["gaugeRelativeWeight(address,uint256)"](g1, killedWeek)).to.equal(0);
+      expect(await controller.isKilledAt(g1, before)).to.equal(false);
+      expect(await controller.isKilledAt(g1, killedWeek)).to.equal(true);
+
+      // Unkilling applies from next week; the killed weeks stay at 0
+      await time.increase(3 * WEEK);
+      await controller.unkillGauge(g1);
+      const unkillWeek = Math.floor((await time.latest()) / WEEK) * WEEK;
+      expect(await controller.isKilledAt(g1, unkillWeek)).to.equal(true);
+      for (let t = killedWeek; t <= unkillWeek; t += WEEK) {
+        expect(await controller["gaugeRelativeWeight(address,uint256)"](g1, t)).to.equal(0);
+      }
+
+      const next = unkillWeek + WEEK;
+      expect(await controller.isKilledAt(g1, next)).to.equal(false);
+      const shares = await controller["gaugeRelativeWeight(address,uint256)"](g1, next) +
+        await controller["gaugeRelativeWeight(address,uint256)"](g2, next);
+      expect(shares).to.be.closeTo(ethers.parseEther("1"), 1);
+
+      // Killing again before the unkill applied leaves no alive gap
+      await controller.killGauge(g1);
+      expect(await controller.isKilledAt(g1, next)).to.equal(true);
+      expect(await controller["gaugeRelativeWeight(address,uint256)"](g2, next)).to.equal(ethers.parseEther("1"));
+    });
+
+    it("Should restore the gauge's current weight on unkill", async function () {
+      await controller.killGauge(g1);
+      await time.increase(3 * WEEK);
+      await controller.unkillGauge(g1);
+      await time.increase(WEEK);
+      
+      const now = await time.latest();
+      const w1 = await controller.getGaugeWeight(g1, now);
+      const w2 = await controller.getGaugeWeight(g2, now);
+      expect(w1).to.be.gt(0);
+      expect(await controller.getTotalWeight(now)).to.equal(w1 + w2);
+      
+      // Slope changes were moved back too, so the total still decays to zero cleanly
+      await time.increase(60 * WEEK);
+      await controller.checkpoint();
+      expect(await controller.getTotalWeight(await time.latest())).to.equal(0);
+    });
+  });
+  
   describe("Checkpointing", function () {
     it("Should checkpoint successfully", async function () {
       await controller.addGauge(await gauge1.getAddress(), 0);
@@ -310,5 +522,189 @@ describe("GaugeController", function () {
       expect(weight1).to.be.gt(0);
       expect(weight2).to.be.gt(0);
     });
+    
+    it("Should keep each week's vote bias after the vote changes", async function () {
+      const gaugeAddr = await gauge1.getAddress();
+      await controller.connect(user1).voteForGaugeWeights(gaugeAddr, 10000);
+      const week = Math.floor((await time.latest()) / WEEK) * WEEK + WEEK;
+      expect(await controller.voteUserBiasAt(user1.address, gaugeAddr, week - 1)).to.equal(0);
+      
+      // The only voter's bias is the gauge's weight
+      const bias = await controller.voteUserBiasAt(user1.address, gaugeAddr, week);
+      expect(bias).to.equal(await controller.getGaugeWeight(gaugeAddr, week));
+      
+      await time.increase(WEIGHT_VOTE_DELAY + 1);
+      await controller.connect(user1).voteForGaugeWeights(gaugeAddr, 0);
+      const cleared = Math.floor((await time.latest()) / WEEK) * WEEK + WEEK;
+      expect(await controller.voteUserBiasAt(user1.address, gaugeAddr, week)).to.equal(bias);
+      expect(await controller.voteUserBiasAt(user1.address, gaugeAddr, cleared - WEEK)).to.be.gt(0);
+      expect(await controller.voteUserBiasAt(user1.address, gaugeAddr, cleared)).to.equal(0);
+    });
+  });
+  
+  describe("Batch Voting", function () {
+    let g1;
+    let g2;
+    let g3;
+    
+    beforeEach(async function () {
+      const LPToken = await ethers.getContractFactory("ExampleVault");
+      const vault = await LPToken.deploy();
+      g1 = await gauge1.getAddress();
+      g2 = await gauge2.getAddress();
+      // Any address can be registered; a third gauge only needs to receive votes here
+      g3 = await vault.getAddress();
+      for (const g of [g1, g2, g3]) await controller.addGauge(g, 0);
+      
+      const amount = ethers.parseEther("1000");
+      await token.connect(user1).approve(await votingEscrow.getAddress(), amount);
+      await votingEscrow.connect(user1).createLock(amount, (await time.latest()) + 365 * 24 * 60 * 60);
+      await time.increase(WEEK);
+    });
+    
+    it("Should rebalance several gauges in one transaction, lowering weights first", async function () {
+      await controller.connect(user1).voteForManyGaugeWeights([g1, g2], [7000, 3000]);
+      expect(await controller.userPowerUsed(user1.address)).to.equal(10000);
+      
+      await time.increase(WEIGHT_VOTE_DELAY + 1);
+      // The raises are listed first, but would only fit after the cut to g1
+      const tx = controller.connect(user1).voteForManyGaugeWeights([g3, g2, g1], [2000, 5000, 3000]);
+      await expect(tx).to.emit(controller, "VoteForGauge").withArgs(user1.address, g1, 3000, (await time.latest()) + 1);
+      
+      expect(await controller.voteUserPower(user1.address, g1)).to.equal(3000);
+      expect(await controller.voteUserPower(user1.address, g2)).to.equal(5000);
+      expect(await controller.voteUserPower(user1.address, g3)).to.equal(2000);
+      expect(await controller.userPowerUsed(user1.address)).to.equal(10000);
+      
+      await time.increase(WEEK);
+      const now = await time.latest();
+      const total = await controller.getTotalWeight(now);
+      expect(await controller.getGaugeWeight(g2, now) * 10n / total).to.equal(5n);
+    });
+    
+    it("Should apply nothing when any vote in the batch fails", async function () {
+      await expect(controller.connect(user1).voteForManyGaugeWeights([g1, g2], [5000]))
+        .to.be.revertedWith("Length mismatch");
+      await expect(controller.connect(user1).voteForManyGaugeWeights([g1, g2], [6000, 6000]))
+        .to.be.revertedWith("Used too much power");
+      await expect(controller.connect(user1).voteForManyGaugeWeights([g1, g1], [2000, 3000]))
+        .to.be.revertedWith("Vote too soon");
+      await controller.killGauge(g3);
+      await expect(controller.connect(user1).voteForManyGaugeWeights([g1, g3], [2000, 3000]))
+        .to.be.revertedWith("Gauge is killed");
+      
+      expect(await controller.userPowerUsed(user1.address)).to.equal(0);
+      expect(await controller.lastUserVote(user1.address, g1)).to.equal(0);
+    });
+  });
+  
+  describe("Delegated Votes", function () {
+    let g1;
+    let g2;
+    
+    beforeEach(async function () {
+      g1 = await gauge1.getAddress();
+      g2 = await gauge2.getAddress();
+      await controller.addGauge(g1, 0);
+      await controller.addGauge(g2, 0);
+      await votingEscrow.setVoter(await controller.getAddress());
+      
+      const amount = ethers.parseEther("1000");
+      await token.connect(user1).approve(await votingEscrow.getAddress(), amount);
+      await votingEscrow.connect(user1).createLock(amount, (await time.latest()) + 365 * 24 * 60 * 60);
+      await time.increase(WEEK);
+    });
+    
+    it("Should let a delegate vote with delegated power", async function () {
+      await votingEscrow.connect(user1).delegate(user2.address);
+      
+      await expect(controller.connect(user1).voteForGaugeWeights(g1, 10000))
+        .to.be.revertedWith("No voting power");
+      await controller.connect(user2).voteForGaugeWeights(g1, 10000);
+      
+      const { end } = await votingEscrow.locked(user1.address);
+      const vote = await controller.voteUserSlopes(user2.address, g1);
+      expect(vote.end).to.equal(end);
+      expect(vote.slope).to.be.gt(0);
+      
+      await time.increase(WEEK);
+      expect(await controller["gaugeRelativeWeight(address)"](g1)).to.equal(ethers.parseEther("1"));
+    });
+    
+    it("Should clear the old holder's votes when power moves away", async function () {
+      await controller.connect(user1).voteForGaugeWeights(g1, 6000);
+      await controller.connect(user1).voteForGaugeWeights(g2, 4000);
+      
+      await votingEscrow.connect(user1).delegate(user2.address);
+      expect(await controller.userPowerUsed(user1.address)).to.equal(0);
+      expect(await controller.voteUserPower(user1.address, g1)).to.equal(0);
+      expect(await controller.voteUserPower(user1.address, g2)).to.equal(0);
+      
+      // The power is only counted once, through the delegate
+      await controller.connect(user2).voteForGaugeWeights(g1, 10000);
+      await time.increase(WEEK);
+      expect(await controller["gaugeRelativeWeight(address)"](g1)).to.equal(ethers.parseEther("1"));
+      
+      // Taking it back clears the delegate's votes, and the owner can vote again at once
+      await votingEscrow.connect(user1).undelegate();
+      expect(await controller.userPowerUsed(user2.address)).to.equal(0);
+      await controller.connect(user1).voteForGaugeWeights(g2, 10000);
+      await time.increase(WEEK);
+      expect(await controller["gaugeRelativeWeight(address)"](g2)).to.equal(ethers.parseEther("1"));
+    });
+    
+    it("Should clear votes backed by a lock withdrawn early", async function () {
+      await controller.connect(user1).voteForGaugeWeights(g1, 10000);
+      await time.increase(WEEK);
+      expect(await controller.getGaugeWeight(g1, await time.latest())).to.be.gt(0);
+      
+      await votingEscrow.connect(user1).withdrawEarly();
+      expect(await controller.userPowerUsed(user1.address)).to.equal(0);
+      await time.increase(WEEK);
+      expect(await controller.getGaugeWeight(g1, await time.latest())).to.equal(0);
+    });
+    
+    it("Should keep a permanent lock's vote weight from decaying", async function () {
+      await votingEscrow.connect(user1).lockPermanent();
+      await controller.connect(user1).voteForGaugeWeights(g1, 10000);
+      
+      const vote = await controller.voteUserSlopes(user1.address, g1);
+      expect(vote.slope).to.equal(0);
+      expect(vote.end).to.equal(0);
+      expect(vote.permanent).to.equal(await votingEscrow.delegatedPermanentBalance(user1.address));
+      
+      await time.increase(WEEK);
+      const weight = await controller.getGaugeWeight(g1, await time.latest());
+      expect(weight).to.equal(vote.permanent * (await controller.MAX_TIME() / BigInt(WEEK)));
+      await time.increase(20 * WEEK);
+      await controller.checkpointGauge(g1);
+      expect(await controller.getGaugeWeight(g1, await time.latest())).to.equal(weight);
+      
+      // Unlocking turns the power back into a decaying lock, so the vote is cleared
+      await votingEscrow.connect(user1).unlockPermanent();
+      expect(await controller.userPowerUsed(user1.address)).to.equal(0);
+      await time.increase(WEEK);
+      expect(await controller.getGaugeWeight(g1, await time.latest())).to.equal(0);
+    });
+    
+    it("Should reject votes while paused and clear them on an emergency withdrawal", async function () {
+      await controller.connect(user1).voteForGaugeWeights(g1, 10000);
+      await controller.pause();
+      await expect(controller.connect(user1).voteForGaugeWeights(g2, 0))
+        .to.be.revertedWithCustomError(controller, "EnforcedPause");
+      await time.increase(WEEK);
+      expect(await controller.getGaugeWeight(g1, await time.latest())).to.be.gt(0);
+      
+      // Vote clearing is not paused, so exits still take their power out of the weights
+      await votingEscrow.unlockAll();
+      await votingEscrow.connect(user1).withdraw();
+      expect(await controller.userPowerUsed(user1.address)).to.equal(0);
+      await time.increase(WEEK);
+      expect(await controller.getGaugeWeight(g1, await time.latest())).to.equal(0);
+    });
+    
+    it("Should only accept vote clearing from the voting escrow", async function () {
+      await expect(controller.clearVotes(user1.address)).to.be.revertedWith("Only voting escrow");
+    });
   });
 });
@@ -0,0 +1,422 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("LiquidityGauge", function () {
+  let token;
+  let lpToken;
+  let votingEscrow;
+  let controller;
+  let minter;
+  let gauge;
+  let owner;
+  let user1;
+  let user2;
+  
+  const WEEK = 7 * 24 * 60 * 60;
+  
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+    
+    const Token = await ethers.getContractFactory("SimpleRewardToken");
+    token = await Token.deploy();
+    
+    const LPToken = await ethers.getContractFactory("ExampleVault");
+    lpToken = await LPToken.deploy();
+    
+    const VotingEscrow = await ethers.getContractFactory("VotingEscrow");
+    votingEscrow = await VotingEscrow.deploy(
+      await token.getAddress(),
+      "Vote-Escrowed Token",
+      "veToken"
+    );
+    
+    const GaugeController = await ethers.getContractFactory("GaugeController");
+    controller = await GaugeController.deploy(await votingEscrow.getAddress());
+    
+    const Schedule = await ethers.getContractFactory("GeometricEmissionSchedule");
+    const schedule = await Schedule.deploy(0, 274815283, 365 * 24 * 60 * 60, "1189207115002721024");
+    const Minter = await ethers.getContractFactory("Minter");
+    minter = await Minter.deploy(await token.getAddress(), await controller.getAddress(), await schedule.getAddress());
+    
+    const LiquidityGauge = await ethers.getContractFactory("LiquidityGauge");
+    gauge = await LiquidityGauge.deploy(await lpToken.getAddress(), await minter.getAddress());
+    await controller.addGauge(await gauge.getAddress(), 0);
+    
+    await token.transfer(await minter.getAddress(), ethers.parseEther("10000000"));
+    
+    // Give the gauge all emissions
+    const lockAmount = ethers.parseEther("1000");
+    await token.approve(await votingEscrow.getAddress(), lockAmount);
+    await votingEscrow.createLock(lockAmount, (await time.latest()) + 365 * 24 * 60 * 60);
+    await time.increase(WEEK);
+    await controller.voteForGaugeWeights(await gauge.getAddress(), 10000);
+    await time.increase(WEEK);
+    
+    for (const user of [owner, user1, user2]) {
+      await lpToken.mint(user.address, ethers.parseEther("1000"));
+      await lpToken.connect(user).approve(await gauge.getAddress(), ethers.MaxUint256);
+    }
+  });
+  
+  describe("Initialization", function () {
+    it("Should take the reward token from the minter", async function () {
+      expect(await gauge.rewardToken()).to.equal(await token.getAddress());
+    });
+  });
+  
+  describe("Boost", function () {
+    const stake = ethers.parseEther("100");
+    
+    it("Should count an unboosted stake at 1 / maxBoost", async function () {
+      await gauge.connect(user1)["deposit(uint256)"](stake);
+      
+      expect(await gauge.workingBalances(user1.address)).to.equal(ethers.parseEther("40"));
+      expect(await gauge.workingSupply()).to.equal(ethers.parseEther("40"));
+      expect(await gauge.currentBoost(user1.address)).to.equal(ethers.parseEther("1"));
+    });
+    
+    it("Should give the max boost to a staker with enough veBalance", async function () {
+      // The owner holds all veTokens
+      await gauge.connect(owner)["deposit(uint256)"](stake);
+      await gauge.connect(user1)["deposit(uint256)"](stake);
+      
+      expect(await gauge.workingBalances(owner.address)).to.equal(stake);
+      expect(await gauge.currentBoost(owner.address)).to.equal(ethers.parseEther("2.5"));
+      expect(await gauge.workingSupply()).to.equal(stake + ethers.parseEther("40"));
+    });
+    
+    it("Should pay boosted stakers more for the same stake", async function () {
+      await gauge.connect(owner)["deposit(uint256)"](stake);
+      await gauge.connect(user1)["deposit(uint256)"](stake);
+      // Only compare what accrues from here; the owner staked first and gets what was held back
+      const boostedBefore = await gauge.claimableRewards(owner.address);
+      const plainBefore = await gauge.claimableRewards(user1.address);
+      await time.increase(WEEK);
+      
+      const boosted = (await gauge.claimableRewards(owner.address)) - boostedBefore;
+      const plain = (await gauge.claimableRewards(user1.address)) - plainBefore;
+      expect(boosted * 10n / plain).to.be.closeTo(25n, 1n);
+    });
+    
+    it("Should preview the boost and the veBalance needed for max boost", async function () {
+      await gauge.connect(user1)["deposit(uint256)"](stake);
+      await gauge.connect(user2)["deposit(uint256)"](stake);
+      
+      const veSupply = await votingEscrow["totalSupply()"]();
+      expect(await gauge.veForMaxBoost(user1.address)).to.equal(veSupply / 2n);
+      expect(await gauge.previewBoost(user1.address)).to.equal(ethers.parseEther("1"));
+      
+      await gauge.connect(owner)["deposit(uint256)"](stake);
+      expect(await gauge.previewBoost(owner.address)).to.equal(ethers.parseEther("2.5"));
+    });
+    
+    it("Should only allow kicking once the boost has decayed", async function () {
+      await gauge.connect(owner)["deposit(uint256)"](stake);
+      await expect(gauge.kick(owner.address)).to.be.revertedWith("Kick not allowed");
+      
+      // The owner's one-year lock runs out
+      await time.increase(53 * WEEK);
+      expect(await gauge.previewBoost(owner.address)).to.equal(ethers.parseEther("1"));
+      
+      await expect(gauge.connect(user1).kick(owner.address))
+        .to.emit(gauge, "UpdateLiquidityLimit")
+        .withArgs(owner.address, stake, stake, ethers.parseEther("40"), ethers.parseEther("40"));
+      expect(await gauge.currentBoost(owner.address)).to.equal(ethers.parseEther("1"));
+    });
+    
+    it("Should let the owner configure the max boost", async function () {
+      await expect(gauge.connect(user1).setMaxBoost(ethers.parseEther("2"))).to.be.reverted;
+      await expect(gauge.setMaxBoost(ethers.parseEther("0.5"))).to.be.revertedWith("Invalid max boost");
+      await expect(gauge.setMaxBoost(ethers.parseEther("11"))).to.be.revertedWith("Invalid max boost");
+      
+      await expect(gauge.setMaxBoost(ethers.parseEther("2")))
+        .to.emit(gauge, "MaxBoostUpdated")
+        .withArgs(ethers.parseEther("2"));
+      
+      await gauge.connect(user1)["deposit(uint256)"](stake);
+      expect(await gauge.workingBalances(user1.address)).to.equal(ethers.parseEther("50"));
+    });
+  });
+  
+  describe("Emergency Pause", function () {
+    it("Should stop deposits but keep withdrawals and claims open", async function () {
+      const stake = ethers.parseEther("100");
+      await gauge.connect(user1)["deposit(uint256)"](stake);
+      await time.increase(WEEK);
+      await gauge.userCheckpoint(user1.address);
+      const earned = await gauge.claimableReward(user1.address);
+      expect(earned).to.be.gt(0);
+      
+      await expect(gauge.connect(user1).pause()).to.be.revertedWith("Not owner or guardian");
+      await gauge.pause();
+      await minter.pause();
+      await expect(gauge.connect(user2)["deposit(uint256)"](stake))
+        .to.be.revertedWithCustomError(gauge, "EnforcedPause");
+      
+      // A paused minter has nothing to mint, so the gauge does not call it
+      await time.increase(WEEK);
+      const lpBefore = await lpToken.balanceOf(user1.address);
+      await gauge.connect(user1).withdraw(stake);
+      expect(await lpToken.balanceOf(user1.address) - lpBefore).to.equal(stake);
+      
+      const before = await token.balanceOf(user1.address);
+      await gauge.connect(user1)["claimRewards()"]();
+      expect(await token.balanceOf(user1.address) - before).to.equal(earned);
+    });
+  });
+  
+  describe("Failing Minter", function () {
+    it("Should keep withdrawals open when the Minter cannot pay", async function () {
+      // A gauge on an unfunded Minter, voted for by user1
+      const Minter = await ethers.getContractFactory("Minter");
+      const broke = await Minter.deploy(await token.getAddress(), await controller.getAddress(), await minter.schedule());
+      const LiquidityGauge = await ethers.getContractFactory("LiquidityGauge");
+      const stranded = await LiquidityGauge.deploy(await lpToken.getAddress(), await broke.getAddress());
+      await controller.addGauge(await stranded.getAddress(), 0);
+      
+      await token.transfer(user1.address, ethers.parseEther("1000"));
+      await token.connect(user1).approve(await votingEscrow.getAddress(), ethers.parseEther("1000"));
+      await votingEscrow.connect(user1).createLock(ethers.parseEther("1000"), (await time.latest()) + 365 * 24 * 60 * 60);
+      await controller.connect(user1).voteForGaugeWeights(await stranded.getAddress(), 10000);
+      
+      const stake = ethers.parseEther("100");
+      await lpToken.connect(user2).approve(await stranded.getAddress(), stake);
+      await stranded.connect(user2)["deposit(uint256)"](stake);
+      await time.increase(2 * WEEK);
+      
+      const mintable = await broke.mintable(await stranded.getAddress());
+      expect(mintable).to.be.gt(0);
+      await expect(broke.mint(await stranded.getAddress())).to.be.reverted;
+      
+      const lpBefore = await lpToken.balanceOf(user2.address);
+      await stranded.connect(user2).withdraw(stake / 2n);
+      expect(await lpToken.balanceOf(user2.address) - lpBefore).to.equal(stake / 2n);
+      
+      // The skipped emissions stay mintable and are paid once the Minter is funded
+      expect(await broke.mintable(await stranded.getAddress())).to.be.gte(mintable);
+      await token.transfer(await broke.getAddress(), ethers.parseEther("1000000"));
+      await stranded.connect(user2)["claimRewards()"]();
+      expect(await token.balanceOf(user2.address)).to.be.gte(mintable);
+    });
+  });
+  
+  describe("Claiming", function () {
+    // Emissions minted before anyone staked are held for the first stakers
+    let unallocated;
+    
+    beforeEach(async function () {
+      await gauge.connect(user1)["deposit(uint256)"](ethers.parseEther("100"));
+      unallocated = await token.balanceOf(await gauge.getAddress());
+      await time.increase(WEEK);
+    });
+    
+    it("Should pay emissions minted while nobody was staked to the next stakers", async function () {
+      expect(unallocated).to.be.gt(0);
+      expect(await gauge.mintedAccounted()).to.equal(0);
+      expect(await gauge.claimableRewards(user1.address)).to.be.gt(unallocated);
+      
+      await gauge.connect(user1)["claimRewards()"]();
+      expect(await token.balanceOf(user1.address)).to.be.closeTo(await minter["minted(address)"](await gauge.getAddress()), 1000n);
+    });
+    
+    it("Should transfer rewards to the claimer", async function () {
+      await gauge.userCheckpoint(user1.address);
+      const expected = await gauge.claimableReward(user1.address);
+      expect(expected).to.be.gt(0);
+      
+      const before = await token.balanceOf(user1.address);
+      const tx = gauge.connect(user1)["claimRewards()"]();
+      await expect(tx).to.emit(gauge, "RewardClaimed");
+      
+      const received = (await token.balanceOf(user1.address)) - before;
+      expect(received).to.be.gte(expected);
+      expect(await gauge.claimableReward(user1.address)).to.equal(0);
+      expect(await gauge.claimableRewards(user1.address)).to.equal(0);
+    });
+    
+    it("Should send rewards to a chosen receiver", async function () {
+      const tx = gauge.connect(user1)["claimRewards(address)"](user2.address);
+      await expect(tx).to.emit(gauge, "RewardClaimed");
+      
+      expect(await token.balanceOf(user2.address)).to.be.gt(0);
+      expect(await token.balanceOf(user1.address)).to.equal(0);
+    });
+    
+    it("Should reject the zero receiver", async function () {
+      await expect(
+        gauge.connect(user1)["claimRewards(address)"](ethers.ZeroAddress)
+      ).to.be.revertedWith("Invalid receiver");
+    });
+    
+    it("Should only let an operator approved in the minter claim for a user, paying the user", async function () {
+      await expect(gauge.connect(user2).claimFor(user1.address)).to.be.revertedWith("Claim not allowed");
+      await expect(minter.connect(user2).mintFor(await gauge.getAddress(), user1.address))
+        .to.be.revertedWith("Mint not allowed");
+      expect(await token.balanceOf(user1.address)).to.equal(0);
+      
+      await minter.connect(user1).toggleApproveMint(user2.address);
+      await expect(gauge.connect(user2).claimFor(user1.address))
+        .to.emit(gauge, "RewardClaimed");
+      
+      expect(await token.balanceOf(user1.address)).to.be.gt(0);
+      expect(await token.balanceOf(user2.address)).to.equal(0);
+      
+      // The user and the Minter acting for them need no approval
+      await minter.connect(user1).toggleApproveMint(user2.address);
+      await expect(gauge.connect(user2).claimFor(user1.address)).to.be.revertedWith("Claim not allowed");
+      await gauge.connect(user1).claimFor(user1.address);
+      await minter.connect(user1).mintMany([await gauge.getAddress()]);
+    });
+    
+    it("Should distribute tokens minted directly through the minter", async function () {
+      const gaugeAddr = await gauge.getAddress();
+      const claimableBefore = await gauge.claimableRewards(user1.address);
+      const heldBefore = await token.balanceOf(gaugeAddr);
+      
+      await minter.mint(gaugeAddr);
+      const received = (await token.balanceOf(gaugeAddr)) - heldBefore;
+      expect(received).to.be.gt(0);
+      expect(await gauge.claimableRewards(user1.address)).to.be.gte(claimableBefore);
+      
+      await gauge.connect(user1)["claimRewards()"]();
+      expect(await token.balanceOf(user1.address)).to.be.gte(received);
+    });
+    
+    it("Should split rewards between stakers", async function () {
+      await gauge.connect(user2)["deposit(uint256)"](ethers.parseEther("100"));
+      await time.increase(WEEK);
+      
+      await gauge.connect(user1)["claimRewards()"]();
+      await gauge.connect(user2)["claimRewards()"]();
+      
+      const paid1 = await token.balanceOf(user1.address);
+      const paid2 = await token.balanceOf(user2.address);
+      expect(paid1).to.be.gt(paid2);
+      expect(paid2).to.be.gt(0);
+      
+      // Everything minted is paid or owed, up to rounding dust
+      const gaugeAddr = await gauge.getAddress();
+      const owed = await gauge.claimableRewards(user1.address);
+      expect(paid1 + paid2 + owed).to.be.closeTo(await minter["minted(address)"](gaugeAddr), 1000n);
+      expect(await token.balanceOf(gaugeAddr)).to.be.closeTo(owed, 1000n);
+    });
+  });
+  
+  describe("Extra Rewards", function () {
+    const DURATION = 7 * 24 * 60 * 60;
+    const amount = ethers.parseEther("7000");
+    let bonus;
+    let bonusAddr;
+    
+    beforeEach(async function () {
+      const Token = await ethers.getContractFactory("SimpleRewardToken");
+      bonus = await Token.deploy();
+      bonusAddr = await bonus.getAddress();
+      await bonus.approve(await gauge.getAddress(), ethers.MaxUint256);
+    });
+    
+    it("Should only let the owner add reward tokens", async function () {
+      await expect(gauge.connect(user1).addReward(bonusAddr, owner.address))
+        .to.be.revertedWithCustomError(gauge, "OwnableUnauthorizedAccount");
+      await expect(gauge.addReward(await token.getAddress(), owner.address))
+        .to.be.revertedWith("Invalid reward token");
+      
+      await expect(gauge.addReward(bonusAddr, owner.address))
+        .to.emit(gauge, "RewardTokenAdded")
+        .withArgs(bonusAddr, owner.address);
+      expect(await gauge.rewardCount()).to.equal(1);
+      expect(await gauge.rewardTokens(0)).to.equal(bonusAddr);
+      
+      await expect(gauge.addReward(bonusAddr, owner.address))
+        .to.be.revertedWith("Reward already added");
+    });
+    
+    it("Should only accept deposits from the distributor", async function () {
+      await gauge.addReward(bonusAddr, user1.address);
+      await expect(gauge.depositRewardToken(bonusAddr, amount))
+        .to.be.revertedWith("Not distributor");
+      
+      // The owner can hand the role over
+      await expect(gauge.setRewardDistributor(bonusAddr, owner.address))
+        .to.emit(gauge, "RewardDistributorUpdated")
+        .withArgs(bonusAddr, owner.address);
+      await expect(gauge.connect(user1).setRewardDistributor(bonusAddr, user1.address))
+        .to.be.revertedWith("Not authorized");
+      await expect(gauge.depositRewardToken(bonusAddr, amount))
+        .to.emit(gauge, "RewardDeposited");
+    });
+    
+    it("Should stream deposits to stakers by raw balance", async function () {
+      await gauge.addReward(bonusAddr, owner.address);
+      // user1 is unboosted, so this also checks extra rewards ignore working balances
+      await gauge.connect(owner)["deposit(uint256)"](ethers.parseEther("300"));
+      await gauge.connect(user1)["deposit(uint256)"](ethers.parseEther("100"));
+      await gauge.depositRewardToken(bonusAddr, amount);
+      
+      await time.increase(DURATION / 2);
+      const half = await gauge.claimable(user1.address, bonusAddr);
+      expect(half).to.be.closeTo(amount / 8n, ethers.parseEther("0.01"));
+      
+      await time.increase(DURATION);
+      const full = await gauge.claimable(user1.address, bonusAddr);
+      expect(full).to.be.closeTo(amount / 4n, ethers.parseEther("0.01"));
+      expect(await gauge.claimable(owner.address, bonusAddr)).to.be.closeTo(amount * 3n / 4n, ethers.parseEther("0.01"));
+      
+      // Nothing accrues once the period is over
+      await time.increase(WEEK);
+      expect(await gauge.claimable(user1.address, bonusAddr)).to.equal(full);
+    });
+    
+    it("Should hold rewards streamed while nothing is staked for the next stakers", async function () {
+      await gauge.addReward(bonusAddr, owner.address);
+      await gauge.depositRewardToken(bonusAddr, amount);
+      
+      await time.increase(DURATION / 2);
+      await gauge.userCheckpoint(user2.address);
+      expect(await gauge.queuedTokenReward(bonusAddr)).to.be.closeTo(amount / 2n, ethers.parseEther("0.1"));
+      
+      // The first staker takes what was held back, then earns the rest of the stream
+      await gauge.connect(user1)["deposit(uint256)"](ethers.parseEther("100"));
+      expect(await gauge.claimable(user1.address, bonusAddr)).to.be.closeTo(amount / 2n, ethers.parseEther("0.1"));
+      
+      await time.increase(DURATION);
+      expect(await gauge.claimable(user1.address, bonusAddr)).to.be.closeTo(amount, ethers.parseEther("0.01"));
+      await gauge.connect(user1)["claimRewards()"]();
+      expect(await bonus.balanceOf(user1.address)).to.be.closeTo(amount, ethers.parseEther("0.01"));
+      expect(await gauge.queuedTokenReward(bonusAddr)).to.equal(0);
+    });
+    
+    it("Should roll the unstreamed remainder into a new deposit", async function () {
+      await gauge.addReward(bonusAddr, owner.address);
+      await gauge.connect(user1)["deposit(uint256)"](ethers.parseEther("100"));
+      await gauge.depositRewardToken(bonusAddr, amount);
+      
+      await time.increase(DURATION / 2);
+      await gauge.depositRewardToken(bonusAddr, amount);
+      const data = await gauge.rewardData(bonusAddr);
+      expect(data.periodFinish).to.equal(BigInt(await time.latest()) + BigInt(DURATION));
+      expect(data.rate).to.be.closeTo(amount * 3n / 2n / BigInt(DURATION), 1n * 10n ** 15n);
+      
+      await time.increase(DURATION);
+      expect(await gauge.claimable(user1.address, bonusAddr)).to.be.closeTo(amount * 2n, ethers.parseEther("0.01"));
+    });
+    
+    it("Should pay every reward token in one claim", async function () {
+      await gauge.addReward(bonusAddr, owner.address);
+      await gauge.connect(user1)["deposit(uint256)"](ethers.parseEther("100"));
+      await gauge.depositRewardToken(bonusAddr, amount);
+      await time.increase(DURATION);
+      
+      const owed = await gauge.claimable(user1.address, bonusAddr);
+      const tx = gauge.connect(user1)["claimRewards(address)"](user2.address);
+      await expect(tx).to.emit(gauge, "RewardClaimed");
+      await expect(tx).to.emit(gauge, "RewardTokenClaimed");
+      
+      expect(await token.balanceOf(user2.address)).to.be.gt(0);
+      expect(await bonus.balanceOf(user2.address)).to.be.gte(owed);
+      expect(await gauge.claimable(user1.address, bonusAddr)).to.equal(0);
+      expect(await gauge.claimable(user1.address, await token.getAddress())).to.equal(0);
+    });
+  });
+});
@@ -4,6 +4,7 @@ const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("Minter", function () {
   let minter;
+  let schedule;
   let token;
   let votingEscrow;
   let controller;
@@ -14,6 +15,8 @@ describe("Minter", function () {
   
   const WEEK = 7 * 24 * 60 * 60;
   const YEAR = 365 * 24 * 60 * 60;
+  const INITIAL_RATE = 274815283n;
+  const COEFFICIENT = 1189207115002721024n; // 2^(1/4) * 1e18
   
   beforeEach(async function () {
     [owner, user1] = await ethers.getSigners();
@@ -39,8 +42,10 @@ describe("Minter", function () {
     controller = await GaugeController.deploy(await votingEscrow.getAddress());
     
     // Deploy Minter
+    const Schedule = await ethers.getContractFactory("GeometricEmissionSchedule");
+    schedule = await Schedule.deploy(0, INITIAL_RATE, YEAR, COEFFICIENT);
     const Minter = await ethers.getContractFactory("Minter");
-    minter = await Minter.deploy(await token.getAddress(), await controller.getAddress());
+    minter = await Minter.deploy(await token.getAddress(), await controller.getAddress(), await schedule.getAddress());
     
     // Deploy LiquidityGauge
     const LiquidityGauge = await ethers.getContractFactory("LiquidityGauge");
@@ -58,35 +63,129 @@ describe("Minter", function () {
   
   describe("Initialization", function () {
     it("Should set initial rate correctly", async function () {
-      const rate = await minter.rate();
-      expect(rate).to.be.gt(0);
+      expect(await minter.rate()).to.equal(INITIAL_RATE);
+      expect(await minter.schedule()).to.equal(await schedule.getAddress());
     });
     
-    it("Should set correct start epoch time", async function () {
-      const startTime = await minter.startEpochTime();
-      expect(startTime).to.be.gt(0);
+    it("Should start emissions at deployment", async function () {
+      const start = await minter.emissionStart();
+      expect(start).to.be.gt(0);
+      expect(await minter.rateAt(start - 1n)).to.equal(0);
+    });
+    
+    it("Should require a schedule", async function () {
+      const Minter = await ethers.getContractFactory("Minter");
+      await expect(Minter.deploy(await token.getAddress(), await controller.getAddress(), ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid schedule");
     });
   });
   
   describe("Rate Updates", function () {
-    it("Should fail to update rate too soon", async function () {
-      await expect(
-        minter.updateMiningParameters()
-      ).to.be.revertedWith("Too soon");
+    it("Should report the rate and epoch at any time", async function () {
+      const at = (await time.latest()) + 1;
+      await time.setNextBlockTimestamp(at);
+      await expect(minter.updateMiningParameters())
+        .to.emit(minter, "UpdateMiningParameters")
+        .withArgs(at, INITIAL_RATE, await minter.emissionStart());
     });
     
     it("Should update rate after one year", async function () {
       const initialRate = await minter.rate();
+      const initialEpoch = await minter.startEpochTime();
       
       // Move forward 1 year
       await time.increase(YEAR + 1);
       
-      await minter.updateMiningParameters();
+      const at = (await time.latest()) + 1;
+      await time.setNextBlockTimestamp(at);
+      const epoch = (await schedule.start()) + BigInt(YEAR);
+      await expect(minter.connect(user1).updateMiningParameters())
+        .to.emit(minter, "UpdateMiningParameters")
+        .withArgs(at, INITIAL_RATE * 10n ** 18n / COEFFICIENT, epoch);
       
       const newRate = await minter.rate();
       
       // New rate should be lower (decay)
       expect(newRate).to.be.lt(initialRate);
+      expect(await minter.startEpochTime()).to.be.gt(initialEpoch);
+    });
+  });
+  
+  describe("Emission Schedules", function () {
+    it("Should reduce the rate after one year", async function () {
+      const start = await minter.emissionStart();
+      const reduced = await minter.rateAt(start + BigInt(YEAR) + 1n);
+      expect(reduced).to.equal(INITIAL_RATE * 10n ** 18n / COEFFICIENT);
+      
+      await time.increase(YEAR + 1);
+      expect(await minter.rate()).to.equal(reduced);
+    });
+    
+    it("Should keep the epoch views of the fixed-epoch API", async function () {
+      const start = await minter.emissionStart();
+      expect(await minter.startEpochTime()).to.equal(start);
+      expect(await minter.startEpochSupply()).to.equal(0);
+      
+      await time.increase(YEAR + 1);
+      const epoch = (await schedule.start()) + BigInt(YEAR);
+      expect(await minter.startEpochTime()).to.equal(epoch);
+      expect(await minter.startEpochSupply()).to.equal(INITIAL_RATE * (epoch - start));
+      expect(await minter.rate()).to.equal(INITIAL_RATE * 10n ** 18n / COEFFICIENT);
+      
+      // A replacement schedule's rate starts when it is applied
+      const ConstantSchedule = await ethers.getContractFactory("ConstantEmissionSchedule");
+      const constant = await ConstantSchedule.deploy(1000);
+      await minter.commitSchedule(await constant.getAddress());
+      await time.increase(WEEK);
+      await minter.applySchedule();
+      expect(await minter.startEpochTime()).to.equal(await time.latest());
+    });
+    
+    it("Should report constant and piecewise rates at any timestamp", async function () {
+      const ConstantSchedule = await ethers.getContractFactory("ConstantEmissionSchedule");
+      const constant = await ConstantSchedule.deploy(1000);
+      expect(await constant.rateAt(0)).to.equal(1000);
+      expect(await constant.released(100, 200)).to.equal(100000);
+      
+      const now = await time.latest();
+      const PiecewiseSchedule = await ethers.getContractFactory("PiecewiseEmissionSchedule");
+      await expect(PiecewiseSchedule.deploy([now, now], [1, 2])).to.be.revertedWith("Steps not increasing");
+      await expect(PiecewiseSchedule.deploy([now], [1, 2])).to.be.revertedWith("Length mismatch");
+      
+      const piecewise = await PiecewiseSchedule.deploy([now + 100, now + 200, now + 400], [30, 20, 10]);
+      expect(await piecewise.rateAt(now)).to.equal(0);
+      expect(await piecewise.rateAt(now + 150)).to.equal(30);
+      expect(await piecewise.rateAt(now + 200)).to.equal(20);
+      expect(await piecewise.rateAt(now + 10 * YEAR)).to.equal(10);
+      // 50s at 30, 200s at 20, 100s at 10
+      expect(await piecewise.released(now + 150, now + 500)).to.equal(1500 + 4000 + 1000);
+      expect(await piecewise.epochStart(now + 300)).to.equal(now + 200);
+      expect(await piecewise.epochStart(now)).to.equal(0);
+    });
+    
+    it("Should switch schedules only after the delay and never rewrite the past", async function () {
+      const ConstantSchedule = await ethers.getContractFactory("ConstantEmissionSchedule");
+      const constant = await ConstantSchedule.deploy(1000);
+      const constantAddr = await constant.getAddress();
+      
+      await expect(minter.connect(user1).commitSchedule(constantAddr))
+        .to.be.revertedWithCustomError(minter, "OwnableUnauthorizedAccount");
+      await expect(minter.applySchedule()).to.be.revertedWith("No schedule committed");
+      await expect(minter.commitSchedule(constantAddr)).to.emit(minter, "CommitSchedule");
+      await expect(minter.applySchedule()).to.be.revertedWith("Schedule timelocked");
+      
+      await time.increase(WEEK);
+      const before = await time.latest();
+      const releasedBefore = await minter.mintableInTimeframe(0, before);
+      await expect(minter.applySchedule()).to.emit(minter, "ApplySchedule").withArgs(constantAddr);
+      const switched = BigInt(await time.latest());
+      
+      expect(await minter.schedule()).to.equal(constantAddr);
+      expect(await minter.scheduleCount()).to.equal(2);
+      expect(await minter.rate()).to.equal(1000);
+      expect(await minter.rateAt(before)).to.equal(INITIAL_RATE);
+      expect(await minter.mintableInTimeframe(0, before)).to.equal(releasedBefore);
+      expect(await minter.mintableInTimeframe(switched - 10n, switched + 10n)).to.equal(INITIAL_RATE * 10n + 10000n);
     });
   });
   
@@ -149,6 +248,251 @@ describe("Minter", function () {
       const mintable = await minter.mintable(await gauge.getAddress());
       expect(mintable).to.equal(0);
     });
+    
+    it("Should refuse to mint for a killed gauge", async function () {
+      await time.increase(WEEK);
+      await controller.killGauge(await gauge.getAddress());
+      
+      expect(await minter.mintable(await gauge.getAddress())).to.equal(0);
+      await expect(minter.mint(await gauge.getAddress())).to.be.revertedWith("Gauge is killed");
+      
+      await controller.unkillGauge(await gauge.getAddress());
+      await expect(minter.mint(await gauge.getAddress())).to.emit(minter, "Minted");
+    });
+  });
+  
+  describe("Weekly Integration", function () {
+    let gauge2;
+    
+    beforeEach(async function () {
+      const LiquidityGauge = await ethers.getContractFactory("LiquidityGauge");
+      gauge2 = await LiquidityGauge.deploy(await lpToken.getAddress(), await minter.getAddress());
+      await controller.addGauge(await gauge2.getAddress(), 0);
+      
+      const lockAmount = ethers.parseEther("1000");
+      await token.connect(user1).approve(await votingEscrow.getAddress(), lockAmount);
+      await votingEscrow.connect(user1).createLock(lockAmount, (await time.latest()) + 4 * YEAR);
+      await time.increase(WEEK);
+      await controller.connect(user1).voteForGaugeWeights(await gauge.getAddress(), 10000);
+    });
+    
+    it("Should step the rate down at each epoch boundary", async function () {
+      const start = await schedule.start();
+      const boundary = start + BigInt(YEAR);
+      const initialRate = INITIAL_RATE;
+      const reducedRate = INITIAL_RATE * 10n ** 18n / COEFFICIENT;
+      
+      expect(await minter.mintableInTimeframe(start - 100n, start)).to.equal(0);
+      expect(await minter.mintableInTimeframe(boundary - 100n, boundary + 50n))
+        .to.equal(initialRate * 100n + reducedRate * 50n);
+      await expect(minter.mintableInTimeframe(boundary, start)).to.be.revertedWith("Invalid timeframe");
+      
+      await time.increase(WEEK);
+      expect(await minter.availableSupply())
+        .to.equal(await minter.mintableInTimeframe(start, await time.latest()));
+    });
+    
+    it("Should pay a gauge that waited at the weight of each week, not today's", async function () {
+      const gaugeAddr = await gauge.getAddress();
+      
+      // A couple of weeks at full weight, then the vote moves to the other gauge
+      await time.increaseTo(Math.floor((await time.latest()) / WEEK) * WEEK + 3 * WEEK);
+      await controller.connect(user1).voteForManyGaugeWeights(
+        [gaugeAddr, await gauge2.getAddress()],
+        [0, 10000]
+      );
+      await time.increase(WEEK);
+      const earned = await minter.mintable(gaugeAddr);
+      expect(earned).to.be.gt(0);
+      
+      // The weeks at zero weight add nothing, however long the gauge waits
+      await time.increase(4 * WEEK);
+      expect(await minter.mintable(gaugeAddr)).to.equal(earned);
+      await minter.mint(gaugeAddr);
+      expect(await minter["minted(address)"](gaugeAddr)).to.equal(earned);
+    });
+    
+    it("Should never mint more than the schedule across gauges and rate epochs", async function () {
+      const gauges = [await gauge.getAddress(), await gauge2.getAddress()];
+      const split = [[10000, 0], [3000, 7000], [8000, 2000], [0, 10000]];
+      
+      for (let round = 0; round < 8; round++) {
+        await time.increase(11 * WEEK + round * 86400);
+        await controller.connect(user1).voteForManyGaugeWeights(gauges, split[round % split.length]);
+        await minter.mint(gauges[round % 2]);
+      }
+      await time.increase(WEEK);
+      for (const g of gauges) await minter.mint(g);
+      
+      // Well past the first rate reduction
+      const now = BigInt(await time.latest());
+      expect(now).to.be.gt((await minter.emissionStart()) + BigInt(YEAR));
+      
+      const total = (await minter["minted(address)"](gauges[0])) + (await minter["minted(address)"](gauges[1]));
+      const schedule = await minter.mintableInTimeframe(await minter.emissionStart(), now);
+      expect(total).to.be.lte(schedule);
+      // Only the weeks before the first vote took effect went unallocated
+      expect(total).to.be.gte(schedule - await minter.mintableInTimeframe(await minter.emissionStart(), now - BigInt(90 * WEEK)));
+    });
+    it("Should not pay a gauge for the weeks it was killed once it is unkilled", async function () {
+      const gauges = [await gauge.getAddress(), await gauge2.getAddress()];
+      await time.increase(2 * WEEK);
+      await controller.connect(user1).voteForManyGaugeWeights(gauges, [5000, 5000]);
+      await time.increase(2 * WEEK);
+      
+      await controller.killGauge(gauges[0]);
+      await time.increase(3 * WEEK);
+      await minter.mint(gauges[1]);
+      await controller.unkillGauge(gauges[0]);
+      await time.increase(2 * WEEK);
+      for (const g of gauges) await minter.mint(g);
+      
+      // The killed weeks add nothing to the gauge's backlog
+      const killedWeek = BigInt(Math.floor((await time.latest()) / WEEK) * WEEK - 3 * WEEK);
+      expect(await controller["gaugeRelativeWeight(address,uint256)"](gauges[0], killedWeek)).to.equal(0);
+      
+      const total = (await minter["minted(address)"](gauges[0])) + (await minter["minted(address)"](gauges[1]));
+      expect(total).to.be.lte(await minter.availableSupply());
+    });
+  });
+  
+  describe("Emergency Pause", function () {
+    beforeEach(async function () {
+      const lockAmount = ethers.parseEther("1000");
+      await token.connect(user1).approve(await votingEscrow.getAddress(), lockAmount);
+      await votingEscrow.connect(user1).createLock(lockAmount, (await time.latest()) + YEAR);
+      await time.increase(WEEK);
+      await controller.connect(user1).voteForGaugeWeights(await gauge.getAddress(), 10000);
+      await time.increase(2 * WEEK);
+    });
+    
+    it("Should mint nothing while paused and catch up once unpaused", async function () {
+      await expect(minter.connect(user1).pause()).to.be.revertedWith("Not owner or guardian");
+      await minter.setGuardian(user1.address);
+      await expect(minter.connect(user1).pause()).to.emit(minter, "Paused");
+      
+      expect(await minter.mintable(await gauge.getAddress())).to.equal(0);
+      await expect(minter.mint(await gauge.getAddress()))
+        .to.be.revertedWithCustomError(minter, "EnforcedPause");
+      
+      await expect(minter.connect(user1).unpause())
+        .to.be.revertedWithCustomError(minter, "OwnableUnauthorizedAccount");
+      await minter.unpause();
+      expect(await minter.mintable(await gauge.getAddress())).to.be.gt(0);
+      await expect(minter.mint(await gauge.getAddress())).to.emit(minter, "Minted");
+    });
+  });
+  
+  describe("Token Minting", function () {
+    let capped;
+    let cappedMinter;
+    let cappedGauge;
+    let user2;
+    
+    const initialSupply = ethers.parseEther("1000000");
+    
+    async function deployCapped(headroom) {
+      [, , user2] = await ethers.getSigners();
+      
+      const MintableRewardToken = await ethers.getContractFactory("MintableRewardToken");
+      capped = await MintableRewardToken.deploy("Capped Reward", "CRWD", initialSupply + headroom, initialSupply);
+      
+      const VotingEscrow = await ethers.getContractFactory("VotingEscrow");
+      const escrow = await VotingEscrow.deploy(await capped.getAddress(), "Vote-Escrowed Token", "veToken");
+      const GaugeController = await ethers.getContractFactory("GaugeController");
+      const cappedController = await GaugeController.deploy(await escrow.getAddress());
+      await escrow.setVoter(await cappedController.getAddress());
+      
+      const Minter = await ethers.getContractFactory("Minter");
+      cappedMinter = await Minter.deploy(
+        await capped.getAddress(),
+        await cappedController.getAddress(),
+        await schedule.getAddress()
+      );
+      const LiquidityGauge = await ethers.getContractFactory("LiquidityGauge");
+      cappedGauge = await LiquidityGauge.deploy(await lpToken.getAddress(), await cappedMinter.getAddress());
+      await cappedController.addGauge(await cappedGauge.getAddress(), 0);
+      
+      const lockAmount = ethers.parseEther("1000");
+      await capped.transfer(user1.address, lockAmount);
+      await capped.connect(user1).approve(await escrow.getAddress(), lockAmount);
+      await escrow.connect(user1).createLock(lockAmount, (await time.latest()) + YEAR);
+      
+      await lpToken.mint(user1.address, ethers.parseEther("100"));
+      await lpToken.connect(user1).approve(await cappedGauge.getAddress(), ethers.parseEther("100"));
+      await cappedGauge.connect(user1).deposit(ethers.parseEther("100"));
+      
+      await time.increase(WEEK);
+      await cappedController.connect(user1).voteForGaugeWeights(await cappedGauge.getAddress(), 10000);
+    }
+    
+    it("Should mint emissions on the token and stop at its cap", async function () {
+      await deployCapped(ethers.parseEther("0.0001"));
+      await expect(cappedMinter.enableTokenMinting()).to.be.revertedWith("Not token minter");
+      await expect(capped.connect(user1).setMinter(user1.address))
+        .to.be.revertedWithCustomError(capped, "OwnableUnauthorizedAccount");
+      await capped.setMinter(await cappedMinter.getAddress());
+      await expect(cappedMinter.connect(user1).enableTokenMinting())
+        .to.be.revertedWithCustomError(cappedMinter, "OwnableUnauthorizedAccount");
+      await expect(cappedMinter.enableTokenMinting()).to.emit(cappedMinter, "TokenMintingEnabled");
+      await expect(cappedMinter.enableTokenMinting()).to.be.revertedWith("Already minting");
+      await expect(capped.mint(owner.address, 1)).to.be.revertedWith("Only minter");
+      
+      // Two weeks at full weight is more than the headroom left under the cap
+      await time.increase(2 * WEEK);
+      const headroom = (await capped.cap()) - (await capped.totalSupply());
+      expect(await cappedMinter.mintable(await cappedGauge.getAddress())).to.equal(headroom);
+      
+      await expect(cappedMinter.mint(await cappedGauge.getAddress()))
+        .to.emit(cappedMinter, "Minted")
+        .withArgs(await cappedGauge.getAddress(), await cappedGauge.getAddress(), headroom);
+      expect(await capped.totalSupply()).to.equal(await capped.cap());
+      expect(await capped.balanceOf(await cappedGauge.getAddress())).to.equal(headroom);
+      
+      // Once capped, gauges keep working and simply receive nothing more
+      await time.increase(WEEK);
+      expect(await cappedMinter.mintable(await cappedGauge.getAddress())).to.equal(0);
+      await cappedGauge.connect(user1).withdraw(ethers.parseEther("100"));
+    });
+    
+    it("Should pay users through mintFor and mintMany and report what they were paid", async function () {
+      await deployCapped(ethers.parseEther("1000"));
+      await capped.setMinter(await cappedMinter.getAddress());
+      await cappedMinter.enableTokenMinting();
+      await time.increase(WEEK);
+      
+      const gaugeAddr = await cappedGauge.getAddress();
+      await expect(cappedMinter.connect(user2).mintFor(gaugeAddr, user1.address))
+        .to.be.revertedWith("Mint not allowed");
+      await expect(cappedMinter.connect(user1).toggleApproveMint(user2.address))
+        .to.emit(cappedMinter, "MintApprovalUpdated")
+        .withArgs(user1.address, user2.address, true);
+      
+      // The operator triggers the payout but the tokens go to the user
+      const before = await capped.balanceOf(user1.address);
+      await cappedMinter.connect(user2).mintFor(gaugeAddr, user1.address);
+      const paid = (await capped.balanceOf(user1.address)) - before;
+      expect(paid).to.be.gt(0);
+      expect(await capped.balanceOf(user2.address)).to.equal(0);
+      expect(await cappedMinter["minted(address,address)"](user1.address, gaugeAddr)).to.equal(paid);
+      expect(await cappedGauge.integrateFraction(user1.address)).to.equal(paid);
+      
+      await cappedMinter.connect(user1).toggleApproveMint(user2.address);
+      await expect(cappedMinter.connect(user2).mintFor(gaugeAddr, user1.address))
+        .to.be.revertedWith("Mint not allowed");
+      
+      // Credited but unclaimed rewards do not count as minted until paid out
+      await cappedGauge.userCheckpoint(user1.address);
+      const credited = await cappedGauge.integrateFraction(user1.address);
+      expect(credited).to.be.gt(paid);
+      expect(await cappedMinter["minted(address,address)"](user1.address, gaugeAddr)).to.equal(paid);
+      
+      await cappedMinter.connect(user1).mintMany([gaugeAddr]);
+      const total = await cappedMinter["minted(address,address)"](user1.address, gaugeAddr);
+      expect(total).to.equal((await capped.balanceOf(user1.address)) - before);
+      expect(total).to.equal(await cappedGauge.integrateFraction(user1.address));
+      await expect(cappedMinter.connect(user1).mintMany([user2.address])).to.be.revertedWith("Gauge does not exist");
+    });
   });
   
   describe("Multiple Gauges", function () {
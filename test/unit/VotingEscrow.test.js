@@ -198,4 +198,545 @@ describe("VotingEscrow", function () {
       expect(totalSupply).to.be.gt(0);
     });
   });
+  
+  describe("Historical Queries", function () {
+    const amount = ethers.parseEther("1000");
+    
+    beforeEach(async function () {
+      await token.connect(user1).approve(await votingEscrow.getAddress(), ethers.MaxUint256);
+      await token.connect(user2).approve(await votingEscrow.getAddress(), ethers.MaxUint256);
+    });
+    
+    it("Should not let later lock changes rewrite past balances", async function () {
+      await votingEscrow.connect(user1).createLock(amount, (await time.latest()) + 52 * WEEK);
+      const before = await time.latest();
+      const balanceBefore = await votingEscrow["balanceOf(address,uint256)"](user1.address, before);
+      const supplyBefore = await votingEscrow["totalSupply(uint256)"](before);
+      
+      await time.increase(WEEK);
+      await votingEscrow.connect(user1).increaseAmount(amount);
+      await votingEscrow.connect(user2).createLock(amount, (await time.latest()) + 52 * WEEK);
+      
+      expect(await votingEscrow["balanceOf(address,uint256)"](user1.address, before)).to.equal(balanceBefore);
+      expect(await votingEscrow["totalSupply(uint256)"](before)).to.equal(supplyBefore);
+      // Before the lock existed there was no power
+      expect(await votingEscrow["balanceOf(address,uint256)"](user2.address, before)).to.equal(0);
+    });
+    
+    it("Should return balances and supply at past blocks", async function () {
+      await votingEscrow.connect(user1).createLock(amount, (await time.latest()) + 52 * WEEK);
+      const blocks = [];
+      for (let i = 0; i < 3; i++) {
+        await time.increase(WEEK);
+        await votingEscrow.connect(user1).increaseAmount(amount);
+        const block = await ethers.provider.getBlock("latest");
+        blocks.push({
+          number: block.number,
+          balance: await votingEscrow["balanceOf(address)"](user1.address),
+          supply: await votingEscrow["totalSupply()"](),
+        });
+      }
+      await votingEscrow.connect(user2).createLock(amount, (await time.latest()) + 52 * WEEK);
+      
+      for (const { number, balance, supply } of blocks) {
+        expect(await votingEscrow.balanceOfAt(user1.address, number)).to.equal(balance);
+        expect(await votingEscrow.totalSupplyAt(number)).to.equal(supply);
+        expect(await votingEscrow.balanceOfAt(user2.address, number)).to.equal(0);
+      }
+      
+      const latest = await ethers.provider.getBlockNumber();
+      await expect(votingEscrow.totalSupplyAt(latest + 1)).to.be.revertedWith("Future block");
+    });
+    
+    it("Should interpolate block times between checkpoints", async function () {
+      await votingEscrow.connect(user1).createLock(amount, (await time.latest()) + 52 * WEEK);
+      const start = await ethers.provider.getBlock("latest");
+      // Mine blocks 10s apart so the block rate is even
+      for (let i = 0; i < 10; i++) {
+        await time.increase(10);
+      }
+      const middle = await ethers.provider.getBlock("latest");
+      for (let i = 0; i < 10; i++) {
+        await time.increase(10);
+      }
+      await votingEscrow.connect(user2).createLock(amount, (await time.latest()) + 52 * WEEK);
+      
+      expect(middle.number).to.be.gt(start.number);
+      expect(await votingEscrow.balanceOfAt(user1.address, middle.number)).to.be.closeTo(
+        await votingEscrow["balanceOf(address,uint256)"](user1.address, middle.timestamp),
+        ethers.parseEther("0.0001")
+      );
+    });
+    
+    it("Should look up past delegated balances", async function () {
+      await votingEscrow.connect(user1).createLock(amount, (await time.latest()) + 52 * WEEK);
+      const before = await time.latest();
+      const power = await votingEscrow["delegatedBalanceOf(address,uint256)"](user1.address, before);
+      
+      await time.increase(WEEK);
+      await votingEscrow.connect(user1).delegate(user2.address);
+      
+      expect(await votingEscrow["delegatedBalanceOf(address,uint256)"](user1.address, before)).to.equal(power);
+      expect(await votingEscrow["delegatedBalanceOf(address,uint256)"](user2.address, before)).to.equal(0);
+    });
+  });
+  
+  describe("Delegation", function () {
+    const amount = ethers.parseEther("1000");
+    
+    async function lock(user, value, duration) {
+      await token.connect(user).approve(await votingEscrow.getAddress(), value);
+      await votingEscrow.connect(user).createLock(value, (await time.latest()) + duration);
+    }
+    
+    it("Should count a user's own lock as delegated to themselves", async function () {
+      await lock(user1, amount, 365 * 24 * 60 * 60);
+      
+      expect(await votingEscrow.delegates(user1.address)).to.equal(user1.address);
+      expect(await votingEscrow["delegatedBalanceOf(address)"](user1.address))
+        .to.equal(await votingEscrow["balanceOf(address)"](user1.address));
+      
+      const { end } = await votingEscrow.locked(user1.address);
+      expect(await votingEscrow.delegatedPowerEnd(user1.address)).to.equal(end);
+    });
+    
+    it("Should move power to the delegate and back", async function () {
+      await lock(user1, amount, 365 * 24 * 60 * 60);
+      
+      await expect(votingEscrow.connect(user1).delegate(user2.address))
+        .to.emit(votingEscrow, "DelegateChanged")
+        .withArgs(user1.address, user1.address, user2.address);
+      
+      const now = await time.latest();
+      expect(await votingEscrow.delegates(user1.address)).to.equal(user2.address);
+      expect(await votingEscrow["delegatedBalanceOf(address,uint256)"](user1.address, now)).to.equal(0);
+      expect(await votingEscrow["delegatedBalanceOf(address,uint256)"](user2.address, now))
+        .to.equal(await votingEscrow["balanceOf(address,uint256)"](user1.address, now));
+      // The lock itself stays with its owner
+      expect(await votingEscrow["balanceOf(address)"](user2.address)).to.equal(0);
+      
+      await expect(votingEscrow.connect(user1).undelegate())
+        .to.emit(votingEscrow, "DelegateChanged")
+        .withArgs(user1.address, user2.address, user1.address);
+      expect(await votingEscrow["delegatedBalanceOf(address)"](user2.address)).to.equal(0);
+    });
+    
+    it("Should reject no-op and zero-address delegation", async function () {
+      await expect(votingEscrow.connect(user1).undelegate()).to.be.revertedWith("Already delegated");
+      await expect(votingEscrow.connect(user1).delegate(ethers.ZeroAddress)).to.be.revertedWith("Invalid delegate");
+    });
+    
+    it("Should decay delegated power and drop each lock at its unlock time", async function () {
+      await lock(user1, amount, 52 * WEEK);
+      await lock(owner, amount, 104 * WEEK);
+      await votingEscrow.connect(owner).delegate(user2.address);
+      await votingEscrow.connect(user1).delegate(user2.address);
+      
+      for (const weeks of [0, 10, 60, 200]) {
+        const t = (await time.latest()) + weeks * WEEK;
+        const expected =
+          (await votingEscrow["balanceOf(address,uint256)"](user1.address, t)) +
+          (await votingEscrow["balanceOf(address,uint256)"](owner.address, t));
+        expect(await votingEscrow["delegatedBalanceOf(address,uint256)"](user2.address, t)).to.equal(expected);
+      }
+      
+      // Changes to a delegated lock follow it to the delegate
+      await token.connect(user1).approve(await votingEscrow.getAddress(), amount);
+      await votingEscrow.connect(user1).increaseAmount(amount);
+      const now = await time.latest();
+      expect(await votingEscrow["delegatedBalanceOf(address,uint256)"](user2.address, now)).to.equal(
+        (await votingEscrow["balanceOf(address,uint256)"](user1.address, now)) +
+          (await votingEscrow["balanceOf(address,uint256)"](owner.address, now))
+      );
+    });
+    
+    it("Should only let the owner set the voter", async function () {
+      await expect(votingEscrow.connect(user1).setVoter(user1.address))
+        .to.be.revertedWithCustomError(votingEscrow, "OwnableUnauthorizedAccount");
+      await expect(votingEscrow.setVoter(user1.address))
+        .to.emit(votingEscrow, "VoterUpdated")
+        .withArgs(user1.address);
+    });
+  });
+  
+  describe("Early Withdrawal", function () {
+    const amount = ethers.parseEther("1000");
+    
+    async function lock(user, duration) {
+      await token.connect(user).approve(await votingEscrow.getAddress(), amount);
+      await votingEscrow.connect(user).createLock(amount, (await time.latest()) + duration);
+    }
+    
+    it("Should charge a penalty proportional to the time left", async function () {
+      await lock(user1, 2 * 365 * 24 * 60 * 60);
+      await time.increase(10 * WEEK);
+      
+      const { end } = await votingEscrow.locked(user1.address);
+      const penaltyRate = await votingEscrow.earlyWithdrawPenalty();
+      // Penalty is computed at the next block's timestamp
+      const at = (await time.latest()) + 1;
+      await time.setNextBlockTimestamp(at);
+      const expectedPenalty = amount * penaltyRate * (end - BigInt(at)) / BigInt(MAX_TIME) / ethers.parseEther("1");
+      
+      const userBefore = await token.balanceOf(user1.address);
+      const ownerBefore = await token.balanceOf(owner.address);
+      await expect(votingEscrow.connect(user1).withdrawEarly())
+        .to.emit(votingEscrow, "EarlyWithdraw")
+        .withArgs(user1.address, amount - expectedPenalty, expectedPenalty, at);
+      
+      expect(await token.balanceOf(user1.address) - userBefore).to.equal(amount - expectedPenalty);
+      expect(await token.balanceOf(owner.address) - ownerBefore).to.equal(expectedPenalty);
+      expect((await votingEscrow.locked(user1.address)).amount).to.equal(0);
+      expect(await votingEscrow["balanceOf(address)"](user1.address)).to.equal(0);
+      expect(await votingEscrow["totalSupply()"]()).to.equal(0);
+    });
+    
+    it("Should preview the amount out and penalty", async function () {
+      expect(await votingEscrow.previewEarlyWithdraw(user1.address)).to.deep.equal([0n, 0n]);
+      
+      await lock(user1, MAX_TIME);
+      const [longValue, longPenalty] = await votingEscrow.previewEarlyWithdraw(user1.address);
+      expect(longValue + longPenalty).to.equal(amount);
+      
+      await time.increase(MAX_TIME / 2);
+      const [, laterPenalty] = await votingEscrow.previewEarlyWithdraw(user1.address);
+      expect(laterPenalty).to.be.lt(longPenalty);
+      
+      await time.increase(MAX_TIME);
+      expect(await votingEscrow.previewEarlyWithdraw(user1.address)).to.deep.equal([amount, 0n]);
+      await expect(votingEscrow.connect(user1).withdrawEarly()).to.be.revertedWith("Lock expired");
+      await expect(votingEscrow.connect(user2).withdrawEarly()).to.be.revertedWith("No existing lock");
+    });
+    
+    it("Should let the owner configure the penalty and recipient", async function () {
+      await expect(votingEscrow.connect(user1).setEarlyWithdrawPenalty(0))
+        .to.be.revertedWithCustomError(votingEscrow, "OwnableUnauthorizedAccount");
+      await expect(votingEscrow.connect(user1).setPenaltyRecipient(user1.address))
+        .to.be.revertedWithCustomError(votingEscrow, "OwnableUnauthorizedAccount");
+      await expect(votingEscrow.setEarlyWithdrawPenalty(ethers.parseEther("1") + 1n))
+        .to.be.revertedWith("Invalid penalty");
+      await expect(votingEscrow.setPenaltyRecipient(ethers.ZeroAddress))
+        .to.be.revertedWith("Invalid recipient");
+      
+      await expect(votingEscrow.setEarlyWithdrawPenalty(0))
+        .to.emit(votingEscrow, "EarlyWithdrawPenaltyUpdated")
+        .withArgs(0);
+      await expect(votingEscrow.setPenaltyRecipient(user2.address))
+        .to.emit(votingEscrow, "PenaltyRecipientUpdated")
+        .withArgs(user2.address);
+      
+      // With no penalty the whole lock comes back
+      await lock(user1, MAX_TIME);
+      const before = await token.balanceOf(user1.address);
+      await votingEscrow.connect(user1).withdrawEarly();
+      expect(await token.balanceOf(user1.address) - before).to.equal(amount);
+    });
+    
+    it("Should not charge a penalty after unlockAll", async function () {
+      await lock(user1, MAX_TIME);
+      const [, penalty] = await votingEscrow.previewEarlyWithdraw(user1.address);
+      expect(penalty).to.be.gt(0);
+      
+      await votingEscrow.unlockAll();
+      expect(await votingEscrow.previewEarlyWithdraw(user1.address)).to.deep.equal([amount, 0n]);
+      
+      const userBefore = await token.balanceOf(user1.address);
+      const ownerBefore = await token.balanceOf(owner.address);
+      await expect(votingEscrow.connect(user1).withdrawEarly())
+        .to.emit(votingEscrow, "EarlyWithdraw")
+        .withArgs(user1.address, amount, 0, (await time.latest()) + 1);
+      expect(await token.balanceOf(user1.address) - userBefore).to.equal(amount);
+      expect(await token.balanceOf(owner.address)).to.equal(ownerBefore);
+    });
+  });
+  
+  describe("Permanent Locks", function () {
+    const amount = ethers.parseEther("1000");
+    const fullPower = amount / BigInt(MAX_TIME) * BigInt(MAX_TIME);
+    
+    async function lock(user, duration) {
+      await token.connect(user).approve(await votingEscrow.getAddress(), amount * 2n);
+      await votingEscrow.connect(user).createLock(amount, (await time.latest()) + duration);
+    }
+    
+    it("Should hold full-lock power without decay", async function () {
+      await lock(user1, 365 * 24 * 60 * 60);
+      const before = await time.latest();
+      const powerBefore = await votingEscrow["balanceOf(address)"](user1.address);
+      
+      await expect(votingEscrow.connect(user1).lockPermanent())
+        .to.emit(votingEscrow, "LockPermanent")
+        .withArgs(user1.address, amount, (await time.latest()) + 1);
+      const locked = await votingEscrow.locked(user1.address);
+      expect(locked.end).to.equal(0);
+      expect(locked.isPermanent).to.equal(true);
+      expect(await votingEscrow.permanentLockBalance()).to.equal(amount);
+      expect(await votingEscrow.delegatedPermanentBalance(user1.address)).to.equal(fullPower);
+      
+      await time.increase(2 * 365 * 24 * 60 * 60);
+      const now = await time.latest();
+      expect(await votingEscrow["balanceOf(address)"](user1.address)).to.equal(fullPower);
+      expect(await votingEscrow["totalSupply()"]()).to.equal(fullPower);
+      expect(await votingEscrow["totalSupply(uint256)"](now + 10 * WEEK)).to.equal(fullPower);
+      expect(await votingEscrow["balanceOf(address,uint256)"](user1.address, before)).to.equal(powerBefore);
+      
+      // The lock can grow but not be extended or withdrawn while permanent
+      await expect(votingEscrow.connect(user1).increaseUnlockTime(now + MAX_TIME)).to.be.revertedWith("Lock is permanent");
+      await expect(votingEscrow.connect(user1).withdraw()).to.be.revertedWith("Lock is permanent");
+      await expect(votingEscrow.connect(user1).lockPermanent()).to.be.revertedWith("Lock is permanent");
+      await votingEscrow.connect(user1).increaseAmount(amount);
+      expect(await votingEscrow.permanentLockBalance()).to.equal(amount * 2n);
+      expect(await votingEscrow["balanceOf(address)"](user1.address)).to.equal(amount * 2n / BigInt(MAX_TIME) * BigInt(MAX_TIME));
+    });
+    
+    it("Should start a MAX_TIME decay when unlocked", async function () {
+      await expect(votingEscrow.connect(user1).unlockPermanent()).to.be.revertedWith("Lock is not permanent");
+      await lock(user1, 365 * 24 * 60 * 60);
+      await votingEscrow.connect(user1).lockPermanent();
+      await time.increase(10 * WEEK);
+      
+      const at = (await time.latest()) + 1;
+      await time.setNextBlockTimestamp(at);
+      const unlockTime = Math.floor((at + MAX_TIME) / WEEK) * WEEK;
+      await expect(votingEscrow.connect(user1).unlockPermanent())
+        .to.emit(votingEscrow, "UnlockPermanent")
+        .withArgs(user1.address, amount, unlockTime, at);
+      
+      const locked = await votingEscrow.locked(user1.address);
+      expect(locked.end).to.equal(unlockTime);
+      expect(locked.isPermanent).to.equal(false);
+      expect(await votingEscrow.permanentLockBalance()).to.equal(0);
+      expect(await votingEscrow.delegatedPermanentBalance(user1.address)).to.equal(0);
+      expect(await votingEscrow.delegatedPowerEnd(user1.address)).to.equal(unlockTime);
+      
+      const power = await votingEscrow["balanceOf(address)"](user1.address);
+      expect(power).to.be.lte(fullPower);
+      await time.increase(52 * WEEK);
+      expect(await votingEscrow["balanceOf(address)"](user1.address)).to.be.lt(power);
+      expect(await votingEscrow["totalSupply()"]()).to.equal(await votingEscrow["balanceOf(address)"](user1.address));
+    });
+    
+    it("Should delegate permanent power and charge the full early withdrawal penalty", async function () {
+      await lock(user1, 365 * 24 * 60 * 60);
+      await lock(user2, 2 * 365 * 24 * 60 * 60);
+      await votingEscrow.connect(user1).lockPermanent();
+      await votingEscrow.connect(user1).delegate(user2.address);
+      
+      // Only user2's own lock decays, so its end is unchanged by the permanent power
+      const { end } = await votingEscrow.locked(user2.address);
+      expect(await votingEscrow.delegatedPermanentBalance(user2.address)).to.equal(fullPower);
+      expect(await votingEscrow.delegatedPowerEnd(user2.address)).to.equal(end);
+      expect(await votingEscrow["delegatedBalanceOf(address)"](user2.address)).to.equal(
+        fullPower + await votingEscrow["balanceOf(address)"](user2.address)
+      );
+      
+      const rate = await votingEscrow.earlyWithdrawPenalty();
+      const penalty = amount * rate / ethers.parseEther("1");
+      expect(await votingEscrow.previewEarlyWithdraw(user1.address)).to.deep.equal([amount - penalty, penalty]);
+      await votingEscrow.connect(user1).withdrawEarly();
+      expect(await votingEscrow.delegatedPermanentBalance(user2.address)).to.equal(0);
+      expect(await votingEscrow.permanentLockBalance()).to.equal(0);
+      expect(await votingEscrow["delegatedBalanceOf(address)"](user2.address)).to.equal(
+        await votingEscrow["balanceOf(address)"](user2.address)
+      );
+    });
+  });
+  
+  describe("Emergency Controls", function () {
+    const amount = ethers.parseEther("1000");
+    
+    async function lock(user, duration) {
+      await token.connect(user).approve(await votingEscrow.getAddress(), amount * 2n);
+      await votingEscrow.connect(user).createLock(amount, (await time.latest()) + duration);
+    }
+    
+    it("Should let the guardian pause new locks but never withdrawals", async function () {
+      await lock(user1, 2 * WEEK);
+      await expect(votingEscrow.connect(user2).pause()).to.be.revertedWith("Not owner or guardian");
+      await expect(votingEscrow.connect(user2).setGuardian(user2.address))
+        .to.be.revertedWithCustomError(votingEscrow, "OwnableUnauthorizedAccount");
+      await expect(votingEscrow.setGuardian(user2.address))
+        .to.emit(votingEscrow, "GuardianUpdated")
+        .withArgs(user2.address);
+      await expect(votingEscrow.connect(user2).pause()).to.emit(votingEscrow, "Paused");
+      
+      await token.connect(user2).approve(await votingEscrow.getAddress(), amount);
+      await expect(votingEscrow.connect(user2).createLock(amount, (await time.latest()) + WEEK * 10))
+        .to.be.revertedWithCustomError(votingEscrow, "EnforcedPause");
+      await expect(votingEscrow.connect(user1).increaseAmount(amount))
+        .to.be.revertedWithCustomError(votingEscrow, "EnforcedPause");
+      await expect(votingEscrow.connect(user1).lockPermanent())
+        .to.be.revertedWithCustomError(votingEscrow, "EnforcedPause");
+      
+      await time.increase(2 * WEEK);
+      await expect(votingEscrow.connect(user1).withdraw()).to.emit(votingEscrow, "Withdraw");
+      
+      // Only the owner restarts
+      await expect(votingEscrow.connect(user2).unpause())
+        .to.be.revertedWithCustomError(votingEscrow, "OwnableUnauthorizedAccount");
+      await votingEscrow.unpause();
+      await lock(user1, 2 * WEEK);
+    });
+    
+    it("Should let every lock be withdrawn after unlockAll", async function () {
+      await lock(user1, MAX_TIME);
+      await lock(user2, 365 * 24 * 60 * 60);
+      await votingEscrow.connect(user2).lockPermanent();
+      await expect(votingEscrow.connect(user1).withdraw()).to.be.revertedWith("Lock not expired");
+      
+      await expect(votingEscrow.connect(user1).unlockAll())
+        .to.be.revertedWithCustomError(votingEscrow, "OwnableUnauthorizedAccount");
+      await expect(votingEscrow.unlockAll())
+        .to.emit(votingEscrow, "UnlockAll")
+        .withArgs((await time.latest()) + 1);
+      expect(await votingEscrow.unlocked()).to.equal(true);
+      await expect(votingEscrow.unlockAll()).to.be.revertedWith("Escrow unlocked");
+      await expect(votingEscrow.connect(user1).increaseAmount(amount)).to.be.revertedWith("Escrow unlocked");
+      
+      for (const user of [user1, user2]) {
+        const before = await token.balanceOf(user.address);
+        await votingEscrow.connect(user).withdraw();
+        expect(await token.balanceOf(user.address) - before).to.equal(amount);
+        expect(await votingEscrow["balanceOf(address)"](user.address)).to.equal(0);
+      }
+      expect(await votingEscrow.permanentLockBalance()).to.equal(0);
+      expect(await votingEscrow["totalSupply()"]()).to.equal(0);
+      await expect(votingEscrow.connect(user1).createLock(amount, (await time.latest()) + WEEK * 10))
+        .to.be.revertedWith("Escrow unlocked");
+    });
+    
+    it("Should withdraw after unlockAll even when the voter cannot clear votes", async function () {
+      await lock(user1, MAX_TIME);
+      // A token has no clearVotes, so every call to it reverts
+      await votingEscrow.setVoter(await token.getAddress());
+      await votingEscrow.unlockAll();
+      
+      const before = await token.balanceOf(user1.address);
+      await expect(votingEscrow.connect(user1).withdraw()).to.emit(votingEscrow, "Withdraw");
+      expect(await token.balanceOf(user1.address) - before).to.equal(amount);
+      expect(await votingEscrow["balanceOf(address)"](user1.address)).to.equal(0);
+    });
+  });
+  
+  describe("Smart Wallet Checker", function () {
+    const amount = ethers.parseEther("1000");
+    let whitelist;
+    let multisig;
+    let wrapper;
+    
+    beforeEach(async function () {
+      const SmartWalletWhitelist = await ethers.getContractFactory("SmartWalletWhitelist");
+      whitelist = await SmartWalletWhitelist.deploy();
+      await votingEscrow.commitSmartWalletChecker(await whitelist.getAddress());
+      await votingEscrow.applySmartWalletChecker();
+      
+      const ExampleWallet = await ethers.getContractFactory("ExampleWallet");
+      multisig = await ExampleWallet.deploy();
+      wrapper = await ExampleWallet.deploy();
+      for (const wallet of [multisig, wrapper]) {
+        await token.transfer(await wallet.getAddress(), amount * 2n);
+        await wallet.execute(
+          await token.getAddress(),
+          token.interface.encodeFunctionData("approve", [await votingEscrow.getAddress(), amount * 2n])
+        );
+      }
+    });
+    
+    async function createLockFrom(wallet) {
+      const unlockTime = (await time.latest()) + 365 * 24 * 60 * 60;
+      return wallet.execute(
+        await votingEscrow.getAddress(),
+        votingEscrow.interface.encodeFunctionData("createLock", [amount, unlockTime])
+      );
+    }
+    
+    async function increaseAmountFrom(wallet) {
+      return wallet.execute(
+        await votingEscrow.getAddress(),
+        votingEscrow.interface.encodeFunctionData("increaseAmount", [amount])
+      );
+    }
+    
+    it("Should reject contracts that are not whitelisted", async function () {
+      await expect(createLockFrom(wrapper)).to.be.revertedWith("Smart contract depositors not allowed");
+      
+      // A contract that was approved, locked and then revoked cannot add to its lock
+      await whitelist.approveWallet(await wrapper.getAddress());
+      await createLockFrom(wrapper);
+      await expect(whitelist.revokeWallet(await wrapper.getAddress()))
+        .to.emit(whitelist, "RevokeWallet")
+        .withArgs(await wrapper.getAddress());
+      await expect(increaseAmountFrom(wrapper)).to.be.revertedWith("Smart contract depositors not allowed");
+      
+      // Exiting is never gated
+      await wrapper.execute(await votingEscrow.getAddress(), votingEscrow.interface.encodeFunctionData("withdrawEarly"));
+      expect((await votingEscrow.locked(await wrapper.getAddress())).amount).to.equal(0);
+    });
+    
+    it("Should let a whitelisted multisig lock and add to its lock", async function () {
+      await expect(whitelist.approveWallet(await multisig.getAddress()))
+        .to.emit(whitelist, "ApproveWallet")
+        .withArgs(await multisig.getAddress());
+      
+      await createLockFrom(multisig);
+      await increaseAmountFrom(multisig);
+      expect((await votingEscrow.locked(await multisig.getAddress())).amount).to.equal(amount * 2n);
+      expect(await votingEscrow["balanceOf(address)"](await multisig.getAddress())).to.be.gt(0);
+      
+      // EOAs never need approval
+      await token.connect(user1).approve(await votingEscrow.getAddress(), amount);
+      await votingEscrow.connect(user1).createLock(amount, (await time.latest()) + 365 * 24 * 60 * 60);
+    });
+    
+    it("Should only change the checker through owner commit and apply", async function () {
+      await expect(votingEscrow.connect(user1).commitSmartWalletChecker(user1.address))
+        .to.be.revertedWithCustomError(votingEscrow, "OwnableUnauthorizedAccount");
+      await expect(votingEscrow.connect(user1).applySmartWalletChecker())
+        .to.be.revertedWithCustomError(votingEscrow, "OwnableUnauthorizedAccount");
+      await expect(whitelist.connect(user1).approveWallet(user1.address))
+        .to.be.revertedWithCustomError(whitelist, "OwnableUnauthorizedAccount");
+      
+      // A committed checker does nothing until applied
+      await expect(votingEscrow.commitSmartWalletChecker(ethers.ZeroAddress))
+        .to.emit(votingEscrow, "CommitSmartWalletChecker")
+        .withArgs(ethers.ZeroAddress);
+      expect(await votingEscrow.smartWalletChecker()).to.equal(await whitelist.getAddress());
+      await whitelist.approveWallet(await multisig.getAddress());
+      await createLockFrom(multisig);
+      
+      // Without a checker only EOAs can lock
+      await expect(votingEscrow.applySmartWalletChecker())
+        .to.emit(votingEscrow, "ApplySmartWalletChecker")
+        .withArgs(ethers.ZeroAddress);
+      await expect(increaseAmountFrom(multisig)).to.be.revertedWith("Smart contract depositors not allowed");
+    });
+    
+    it("Should let the owner open locking to all contracts as an escape hatch", async function () {
+      await expect(votingEscrow.connect(user1).setContractsAllowed(true))
+        .to.be.revertedWithCustomError(votingEscrow, "OwnableUnauthorizedAccount");
+      
+      await expect(votingEscrow.setContractsAllowed(true))
+        .to.emit(votingEscrow, "ContractsAllowedUpdated")
+        .withArgs(true);
+      await createLockFrom(wrapper);
+      
+      await votingEscrow.setContractsAllowed(false);
+      await expect(increaseAmountFrom(wrapper)).to.be.revertedWith("Smart contract depositors not allowed");
+    });
+    
+    it("Should consult a chained checker for wallets not on the list", async function () {
+      const SmartWalletWhitelist = await ethers.getContractFactory("SmartWalletWhitelist");
+      const next = await SmartWalletWhitelist.deploy();
+      await next.approveWallet(await multisig.getAddress());
+      
+      expect(await whitelist.check(await multisig.getAddress())).to.equal(false);
+      await expect(whitelist.commitSetChecker(await next.getAddress()))
+        .to.emit(whitelist, "CommitChecker")
+        .withArgs(await next.getAddress());
+      expect(await whitelist.check(await multisig.getAddress())).to.equal(false);
+      await whitelist.applySetChecker();
+      expect(await whitelist.check(await multisig.getAddress())).to.equal(true);
+      await createLockFrom(multisig);
+    });
+  });
 });
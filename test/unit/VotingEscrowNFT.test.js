@@ -0,0 +1,335 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("VotingEscrowNFT", function () {
+  let votingEscrow;
+  let token;
+  let owner;
+  let user1;
+  let user2;
+
+  const WEEK = 7 * 24 * 60 * 60;
+  const YEAR = 365 * 24 * 60 * 60;
+  const amount = ethers.parseEther("1000");
+
+  beforeEach(async function () {
+    [owner, user1, user2] = await ethers.getSigners();
+
+    const Token = await ethers.getContractFactory("SimpleRewardToken");
+    token = await Token.deploy();
+
+    const VotingEscrowNFT = await ethers.getContractFactory("VotingEscrowNFT");
+    votingEscrow = await VotingEscrowNFT.deploy(await token.getAddress(), "Vote-Escrowed NFT", "veNFT");
+
+    for (const user of [user1, user2]) {
+      await token.transfer(user.address, ethers.parseEther("10000"));
+      await token.connect(user).approve(await votingEscrow.getAddress(), ethers.parseEther("10000"));
+    }
+  });
+
+  async function lock(user, value, duration) {
+    const tx = await votingEscrow.connect(user).createLock(value, (await time.latest()) + duration);
+    const receipt = await tx.wait();
+    const event = receipt.logs
+      .filter((log) => log.address === votingEscrow.target)
+      .map((log) => votingEscrow.interface.parseLog(log))
+      .find((e) => e.name === "Deposit");
+    return event.args.tokenId;
+  }
+
+  async function sumOfPositions(addr, t) {
+    let sum = 0n;
+    for (const id of await votingEscrow.tokensOfOwner(addr)) {
+      sum += await votingEscrow.balanceOfNFTAt(id, t);
+    }
+    return sum;
+  }
+
+  describe("Positions", function () {
+    it("Should hold several locks with their own amounts and unlock times", async function () {
+      const short = await lock(user1, amount, YEAR);
+      const long = await lock(user1, amount * 2n, 3 * YEAR);
+      expect(await votingEscrow.tokensOfOwner(user1.address)).to.deep.equal([short, long]);
+      expect(await votingEscrow.ownerOf(long)).to.equal(user1.address);
+
+      const shortLock = await votingEscrow.locked(short);
+      const longLock = await votingEscrow.locked(long);
+      expect(shortLock.amount).to.equal(amount);
+      expect(longLock.amount).to.equal(amount * 2n);
+      expect(longLock.end).to.be.gt(shortLock.end);
+
+      // The owner's power is the sum of its positions, now and as each one decays
+      for (const weeks of [0, 30, 60, 120]) {
+        const t = (await time.latest()) + weeks * WEEK;
+        const expected = await sumOfPositions(user1.address, t);
+        expect(await votingEscrow["balanceOf(address,uint256)"](user1.address, t)).to.equal(expected);
+        expect(await votingEscrow["totalSupply(uint256)"](t)).to.equal(expected);
+      }
+      expect(await votingEscrow["balanceOf(address)"](user1.address)).to.equal(
+        await votingEscrow["delegatedBalanceOf(address)"](user1.address)
+      );
+      expect(await votingEscrow.balanceOfNFTAt(short, shortLock.end)).to.equal(0);
+    });
+
+    it("Should only let the owner or an approved address manage a position", async function () {
+      const id = await lock(user1, amount, YEAR);
+
+      await expect(votingEscrow.connect(user2).increaseAmount(id, amount)).to.be.revertedWith("Not approved or owner");
+      await expect(votingEscrow.connect(user2).increaseUnlockTime(id, (await time.latest()) + 2 * YEAR))
+        .to.be.revertedWith("Not approved or owner");
+
+      await votingEscrow.connect(user1).approve(user2.address, id);
+      await expect(votingEscrow.connect(user2).increaseAmount(id, amount))
+        .to.emit(votingEscrow, "Deposit");
+      expect((await votingEscrow.locked(id)).amount).to.equal(amount * 2n);
+    });
+
+    it("Should withdraw an expired position to its owner and burn it", async function () {
+      const id = await lock(user1, amount, 2 * WEEK);
+      await expect(votingEscrow.connect(user1).withdraw(id)).to.be.revertedWith("Lock not expired");
+
+      await time.increase(2 * WEEK);
+      const before = await token.balanceOf(user1.address);
+      await expect(votingEscrow.connect(user1).withdraw(id))
+        .to.emit(votingEscrow, "Withdraw")
+        .withArgs(id, user1.address, amount, await time.latest() + 1);
+      expect(await token.balanceOf(user1.address) - before).to.equal(amount);
+      expect(await votingEscrow.tokensOfOwner(user1.address)).to.deep.equal([]);
+      await expect(votingEscrow.ownerOf(id)).to.be.revertedWithCustomError(votingEscrow, "ERC721NonexistentToken");
+    });
+  });
+
+  describe("Merge and Split", function () {
+    it("Should merge into the later unlock time and burn the source", async function () {
+      const short = await lock(user1, amount, YEAR);
+      const long = await lock(user1, amount, 2 * YEAR);
+      const longEnd = (await votingEscrow.locked(long)).end;
+
+      await expect(votingEscrow.connect(user1).merge(long, short))
+        .to.emit(votingEscrow, "Merge")
+        .withArgs(long, short);
+
+      const merged = await votingEscrow.locked(short);
+      expect(merged.amount).to.equal(amount * 2n);
+      expect(merged.end).to.equal(longEnd);
+      expect(await votingEscrow.tokensOfOwner(user1.address)).to.deep.equal([short]);
+
+      const now = await time.latest();
+      expect(await votingEscrow["balanceOf(address,uint256)"](user1.address, now))
+        .to.equal(await votingEscrow.balanceOfNFTAt(short, now));
+      expect(await votingEscrow["totalSupply()"]()).to.equal(await votingEscrow["balanceOf(address)"](user1.address));
+    });
+
+    it("Should reject merging across owners or into itself", async function () {
+      const mine = await lock(user1, amount, YEAR);
+      const theirs = await lock(user2, amount, YEAR);
+
+      await expect(votingEscrow.connect(user1).merge(mine, mine)).to.be.revertedWith("Same token");
+      await expect(votingEscrow.connect(user1).merge(mine, theirs)).to.be.revertedWith("Not approved or owner");
+      await votingEscrow.connect(user2).setApprovalForAll(user1.address, true);
+      await expect(votingEscrow.connect(user1).merge(mine, theirs)).to.be.revertedWith("Different owners");
+    });
+
+    it("Should split into positions with the same unlock time", async function () {
+      const id = await lock(user1, amount * 3n, 2 * YEAR);
+      const { end } = await votingEscrow.locked(id);
+
+      await expect(votingEscrow.connect(user1).split(id, [amount, amount]))
+        .to.be.revertedWith("Amounts must sum to locked amount");
+      await expect(votingEscrow.connect(user1).split(id, [amount * 3n])).to.be.revertedWith("Nothing to split");
+
+      const parts = [amount, amount / 2n, amount * 3n / 2n];
+      const ids = await votingEscrow.connect(user1).split.staticCall(id, parts);
+      await expect(votingEscrow.connect(user1).split(id, parts)).to.emit(votingEscrow, "Split");
+
+      expect(ids[0]).to.equal(id);
+      expect(await votingEscrow.tokensOfOwner(user1.address)).to.deep.equal([...ids]);
+      for (let i = 0; i < parts.length; i++) {
+        const part = await votingEscrow.locked(ids[i]);
+        expect(part.amount).to.equal(parts[i]);
+        expect(part.end).to.equal(end);
+      }
+
+      const t = (await time.latest()) + 10 * WEEK;
+      expect(await votingEscrow["balanceOf(address,uint256)"](user1.address, t))
+        .to.equal(await sumOfPositions(user1.address, t));
+    });
+  });
+
+  describe("Transfers and History", function () {
+    it("Should move a position's power with the token and keep its history", async function () {
+      const kept = await lock(user1, amount, YEAR);
+      const sold = await lock(user1, amount, 2 * YEAR);
+      const before = await time.latest();
+      const soldPowerBefore = await votingEscrow.balanceOfNFTAt(sold, before);
+
+      await time.increase(WEEK);
+      await votingEscrow.connect(user1).transferFrom(user1.address, user2.address, sold);
+
+      const now = await time.latest();
+      expect(await votingEscrow.tokensOfOwner(user1.address)).to.deep.equal([kept]);
+      expect(await votingEscrow.tokensOfOwner(user2.address)).to.deep.equal([sold]);
+      expect(await votingEscrow["balanceOf(address,uint256)"](user1.address, now))
+        .to.equal(await votingEscrow.balanceOfNFTAt(kept, now));
+      expect(await votingEscrow["balanceOf(address,uint256)"](user2.address, now))
+        .to.equal(await votingEscrow.balanceOfNFTAt(sold, now));
+
+      // Owner history is not rewritten, and the token's own history travels with it
+      expect(await votingEscrow["balanceOf(address,uint256)"](user2.address, before)).to.equal(0);
+      expect(await votingEscrow["balanceOf(address,uint256)"](user1.address, before))
+        .to.equal(await sumOfPositions(user1.address, before) + soldPowerBefore);
+
+      await votingEscrow.connect(user2).increaseAmount(sold, amount);
+      expect(await votingEscrow.balanceOfNFTAt(sold, before)).to.equal(soldPowerBefore);
+    });
+
+    it("Should back gauge votes and clear them when a position is transferred", async function () {
+      const GaugeController = await ethers.getContractFactory("GaugeController");
+      const controller = await GaugeController.deploy(await votingEscrow.getAddress());
+      await expect(votingEscrow.connect(user1).setVoter(user1.address))
+        .to.be.revertedWithCustomError(votingEscrow, "OwnableUnauthorizedAccount");
+
+      // A controller built on another escrow could never clear votes here
+      const VotingEscrow = await ethers.getContractFactory("VotingEscrow");
+      const other = await VotingEscrow.deploy(await token.getAddress(), "Vote-Escrowed Token", "veToken");
+      const otherController = await GaugeController.deploy(await other.getAddress());
+      await expect(votingEscrow.setVoter(await otherController.getAddress()))
+        .to.be.revertedWith("Voter not built on this escrow");
+
+      await expect(votingEscrow.setVoter(await controller.getAddress()))
+        .to.emit(votingEscrow, "VoterUpdated")
+        .withArgs(await controller.getAddress());
+
+      const ExampleVault = await ethers.getContractFactory("ExampleVault");
+      const gauge = await (await ExampleVault.deploy()).getAddress();
+      await controller.addGauge(gauge, 0);
+
+      const first = await lock(user1, amount, YEAR);
+      await lock(user1, amount, 2 * YEAR);
+      await time.increase(WEEK);
+
+      await controller.connect(user1).voteForGaugeWeights(gauge, 10000);
+      const vote = await controller.voteUserSlopes(user1.address, gauge);
+      const votedAt = await time.latest();
+      expect(vote.slope).to.equal(await votingEscrow["balanceOf(address,uint256)"](user1.address, votedAt));
+      expect(vote.end).to.equal(await votingEscrow.delegatedPowerEnd(user1.address));
+
+      await votingEscrow.connect(user1).transferFrom(user1.address, user2.address, first);
+      expect(await controller.userPowerUsed(user1.address)).to.equal(0);
+
+      // The new holder votes with the transferred position
+      await controller.connect(user2).voteForGaugeWeights(gauge, 10000);
+      expect(await controller.userPowerUsed(user2.address)).to.equal(10000);
+    });
+  });
+
+  describe("Locking Gates", function () {
+    let whitelist;
+    let wallet;
+
+    beforeEach(async function () {
+      const SmartWalletWhitelist = await ethers.getContractFactory("SmartWalletWhitelist");
+      whitelist = await SmartWalletWhitelist.deploy();
+      await votingEscrow.commitSmartWalletChecker(await whitelist.getAddress());
+      await votingEscrow.applySmartWalletChecker();
+
+      const ExampleWallet = await ethers.getContractFactory("ExampleWallet");
+      wallet = await ExampleWallet.deploy();
+      await token.transfer(await wallet.getAddress(), amount * 2n);
+      await wallet.execute(
+        await token.getAddress(),
+        token.interface.encodeFunctionData("approve", [await votingEscrow.getAddress(), amount * 2n])
+      );
+    });
+
+    async function createLockFrom(from) {
+      return from.execute(
+        await votingEscrow.getAddress(),
+        votingEscrow.interface.encodeFunctionData("createLock", [amount, (await time.latest()) + YEAR])
+      );
+    }
+
+    it("Should only let whitelisted contracts lock, and never stop them exiting", async function () {
+      await expect(createLockFrom(wallet)).to.be.revertedWith("Smart contract depositors not allowed");
+
+      await whitelist.approveWallet(await wallet.getAddress());
+      await createLockFrom(wallet);
+      const [id] = await votingEscrow.tokensOfOwner(await wallet.getAddress());
+
+      await whitelist.revokeWallet(await wallet.getAddress());
+      await expect(
+        wallet.execute(
+          await votingEscrow.getAddress(),
+          votingEscrow.interface.encodeFunctionData("increaseAmount", [id, amount])
+        )
+      ).to.be.revertedWith("Smart contract depositors not allowed");
+
+      await time.increase(YEAR);
+      await wallet.execute(await votingEscrow.getAddress(), votingEscrow.interface.encodeFunctionData("withdraw", [id]));
+      expect(await token.balanceOf(await wallet.getAddress())).to.equal(amount * 2n);
+
+      // The owner can open locking to every contract
+      await expect(votingEscrow.setContractsAllowed(true))
+        .to.emit(votingEscrow, "ContractsAllowedUpdated")
+        .withArgs(true);
+      await createLockFrom(wallet);
+    });
+
+    it("Should stop lock changes while paused but keep withdrawals open", async function () {
+      const id = await lock(user1, amount, 2 * WEEK);
+      await votingEscrow.setGuardian(user2.address);
+      await votingEscrow.connect(user2).pause();
+
+      await expect(votingEscrow.connect(user1).createLock(amount, (await time.latest()) + YEAR))
+        .to.be.revertedWithCustomError(votingEscrow, "EnforcedPause");
+      await expect(votingEscrow.connect(user1).increaseAmount(id, amount))
+        .to.be.revertedWithCustomError(votingEscrow, "EnforcedPause");
+      await expect(votingEscrow.connect(user1).increaseUnlockTime(id, (await time.latest()) + YEAR))
+        .to.be.revertedWithCustomError(votingEscrow, "EnforcedPause");
+
+      await time.increase(2 * WEEK);
+      await votingEscrow.connect(user1).withdraw(id);
+      expect(await votingEscrow.tokensOfOwner(user1.address)).to.deep.equal([]);
+    });
+
+    it("Should let every position be withdrawn after unlockAll", async function () {
+      const id = await lock(user1, amount, 3 * YEAR);
+      await expect(votingEscrow.connect(user1).unlockAll())
+        .to.be.revertedWithCustomError(votingEscrow, "OwnableUnauthorizedAccount");
+      await expect(votingEscrow.unlockAll()).to.emit(votingEscrow, "UnlockAll");
+      await expect(votingEscrow.unlockAll()).to.be.revertedWith("Escrow unlocked");
+
+      await expect(votingEscrow.connect(user2).createLock(amount, (await time.latest()) + YEAR))
+        .to.be.revertedWith("Escrow unlocked");
+      await expect(votingEscrow.connect(user1).increaseAmount(id, amount)).to.be.revertedWith("Escrow unlocked");
+
+      const before = await token.balanceOf(user1.address);
+      await votingEscrow.connect(user1).withdraw(id);
+      expect(await token.balanceOf(user1.address) - before).to.equal(amount);
+    });
+
+    it("Should clear the gauge votes of a live position withdrawn after unlockAll", async function () {
+      const GaugeController = await ethers.getContractFactory("GaugeController");
+      const controller = await GaugeController.deploy(await votingEscrow.getAddress());
+      await votingEscrow.setVoter(await controller.getAddress());
+      const ExampleVault = await ethers.getContractFactory("ExampleVault");
+      const gauge = await (await ExampleVault.deploy()).getAddress();
+      await controller.addGauge(gauge, 0);
+
+      const id = await lock(user1, amount, 2 * YEAR);
+      await controller.connect(user1).voteForGaugeWeights(gauge, 10000);
+      expect(await controller.userPowerUsed(user1.address)).to.equal(10000);
+
+      await votingEscrow.unlockAll();
+      await votingEscrow.connect(user1).withdraw(id);
+      expect(await controller.userPowerUsed(user1.address)).to.equal(0);
+      expect((await controller.voteUserSlopes(user1.address, gauge)).slope).to.equal(0);
+
+      // The withdrawn tokens no longer weigh on the gauge
+      const nextWeek = (Math.floor((await time.latest()) / WEEK) + 1) * WEEK;
+      await controller.checkpointGauge(gauge);
+      expect(await controller.getGaugeWeight(gauge, nextWeek)).to.equal(0);
+    });
+  });
+});